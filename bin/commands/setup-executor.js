@@ -383,6 +383,7 @@ Les contributions sont les bienvenues ! N'hésitez pas à ouvrir une issue ou un
     // .gitignore
     files['.gitignore'] = `node_modules/
 .env
+.vako/
 *.log
 .DS_Store
 dist/
@@ -806,6 +807,7 @@ Visit [https://vako.js.org](https://vako.js.org) for more information.
     // .gitignore
     files['.gitignore'] = `node_modules/
 .env
+.vako/
 *.log
 .DS_Store
 dist/
@@ -1050,6 +1052,7 @@ npm start
     // .gitignore
     files['.gitignore'] = `node_modules/
 .env
+.vako/
 *.log
 .DS_Store
 .next/
@@ -7,6 +7,8 @@ const path = require('path')
 const fs = require('fs')
 
 const SetupWizard = require('./commands/setup')
+const ConfigLoader = require('../lib/core/config-loader')
+const configSchema = require('../lib/core/config-schema')
 // DevServer is instantiated by the App class, so we don't need to require it here directly.
 // const DevServer = require('../lib/dev/dev-server');
 
@@ -22,9 +24,13 @@ program.name('vako').description('Vako Framework CLI').version(version) // FIX:
 program
   .command('dev')
   .description('Start development server')
-  .option('-p, --port <port>', 'Port number', '3000')
+  .option('-p, --port <port>', 'Port number (default: 3000)')
   .option('-f, --file <file>', 'Entry file', 'app.js')
-  .option('-w, --watch <dirs>', 'Watch directories', 'views,routes,public')
+  .option(
+    '-w, --watch <dirs>',
+    'Watch directories (default: views,routes,public)'
+  )
+  .option('-c, --config <file>', 'Config file (default: vako.config.js|json)')
   .action(async (options) => {
     try {
       const { App } = require('../index')
@@ -43,27 +49,34 @@ program
         }
       }
 
-      const port = parseInt(options.port)
-      const wsPort = port + 8
-
+      // Les options de la ligne de commande priment sur vako.config.js
+      const port = options.port ? parseInt(options.port) : undefined
       const app = new App({
-        port: port,
-        wsPort: wsPort,
+        config: options.config,
+        port,
+        wsPort: port ? port + 8 : undefined,
         isDev: true,
-        watchDirs: options.watch.split(',').map((dir) => dir.trim()),
-        routesDir: 'routes',
-        viewsDir: 'views',
-        staticDir: 'public',
+        watchDirs: options.watch
+          ? options.watch.split(',').map((dir) => dir.trim())
+          : undefined,
       })
 
       // Utiliser la méthode startDev qui configure automatiquement le devServer
-      app.startDev(port)
+      app.startDev(app.options.port)
 
       console.log(
-        chalk.green(`\n🚀 Vako dev server running on http://localhost:${port}`)
+        chalk.green(
+          `\n🚀 Vako dev server running on http://localhost:${app.options.port}`
+        )
+      )
+      console.log(
+        chalk.cyan(
+          `📡 WebSocket server on ws://localhost:${app.options.wsPort}`
+        )
+      )
+      console.log(
+        chalk.gray(`\n👀 Watching: ${app.options.watchDirs.join(',')}\n`)
       )
-      console.log(chalk.cyan(`📡 WebSocket server on ws://localhost:${wsPort}`))
-      console.log(chalk.gray(`\n👀 Watching: ${options.watch}\n`))
     } catch (error) {
       console.error(chalk.red('❌ Error starting dev server:'), error.message)
       if (error.stack) {
@@ -76,10 +89,37 @@ program
 // ============= BUILD COMMAND =============
 program
   .command('build')
-  .description('Build for production')
-  .action(() => {
-    console.log(chalk.blue('🔨 Building for production...'))
-    console.log(chalk.green('✅ Build completed!'))
+  .description('Build for production (route manifest)')
+  .option('-o, --output <file>', 'Manifest file (default: .vako/routes.json)')
+  .option('-c, --config <file>', 'Config file (default: vako.config.js|json)')
+  .action((options) => {
+    try {
+      console.log(chalk.blue('🔨 Building for production...'))
+      const { App } = require('../index')
+      const app = new App({
+        config: options.config,
+        isDev: false,
+        autoUpdater: { enabled: false },
+        plugins: { autoLoad: false },
+      })
+
+      // Manifeste lu par loadRoutes en production au lieu du parcours
+      const { file, manifest } = app.routeManager.writeManifest(
+        app.options.routesDir,
+        options.output || app.options.routeManifest || undefined
+      )
+      console.log(
+        chalk.green(
+          `✅ ${path.relative(process.cwd(), file)}: ${manifest.routes.length} route file(s)`
+        )
+      )
+      console.log(chalk.green('✅ Build completed!'))
+      // L'app chargée peut avoir ouvert des timers
+      process.exit(0)
+    } catch (error) {
+      console.error(chalk.red('❌ Build failed:'), error.message)
+      process.exit(1)
+    }
   })
 
 // ============= START COMMAND =============
@@ -87,8 +127,32 @@ program
   .command('start')
   .description('Start production server')
   .option('-f, --file <file>', 'Entry file', 'app.js')
+  .option('-w, --workers <count>', 'Cluster workers: number or "auto"')
+  .option('-c, --config <file>', 'Config file (default: vako.config.js|json)')
   .action((options) => {
     try {
+      // Mode cluster : --workers ou cluster.workers dans vako.config.js
+      const { config, filePath } = ConfigLoader.load({
+        file: options.config,
+      })
+      const clusterConfig = config.cluster || {}
+      ConfigLoader.validate(clusterConfig, {
+        spec: configSchema.properties.cluster,
+        key: 'cluster',
+        source: filePath && path.relative(process.cwd(), filePath),
+      })
+
+      const workers = options.workers ?? clusterConfig.workers
+      if (workers !== undefined) {
+        const ClusterSupervisor = require('../lib/core/cluster-supervisor')
+        new ClusterSupervisor({
+          ...clusterConfig,
+          file: options.file,
+          workers,
+        }).start()
+        return
+      }
+
       console.log(chalk.blue('🚀 Starting production server...'))
       execSync(`node ${options.file}`, { stdio: 'inherit' }) // FIX: execSync is now defined
     } catch (error) {
@@ -97,6 +161,73 @@ program
     }
   })
 
+// ============= OPENAPI COMMAND =============
+program
+  .command('openapi')
+  .description('Generate the OpenAPI 3.1 document of the routes')
+  .option('-o, --output <file>', 'Output file', 'openapi.json')
+  .option(
+    '-f, --file <file>',
+    'Entry file exporting the app (adds dynamic and plugin routes)'
+  )
+  .option('-c, --config <file>', 'Config file (default: vako.config.js|json)')
+  .option('--title <title>', 'API title (default: package.json name)')
+  .option('--api-version <version>', 'API version (default: package.json)')
+  .action(async (options) => {
+    try {
+      const { App } = require('../index')
+      let app
+
+      if (options.file) {
+        // Le fichier d'entrée exporte l'app (module.exports = app)
+        const exported = await require(
+          path.resolve(process.cwd(), options.file)
+        )
+        app = exported instanceof App ? exported : exported?.app
+        if (!(app instanceof App)) {
+          throw new Error(
+            `${options.file} doit exporter l'instance App (module.exports = app)`
+          )
+        }
+        await app.plugins?.autoLoading
+      } else {
+        app = new App({
+          config: options.config,
+          isDev: false,
+          autoUpdater: { enabled: false },
+          plugins: { autoLoad: false },
+        })
+        if (app.plugins && app.options.plugins.enabled) {
+          await app.plugins.loadAllPlugins()
+        }
+        app.loadRoutes()
+      }
+      // Routes déclaratives stockées (option dynamicRoutes)
+      await app.declarativeRoutes?.loading
+
+      const document = app.openapi({
+        title: options.title,
+        version: options.apiVersion,
+      })
+      fs.writeFileSync(
+        path.resolve(process.cwd(), options.output),
+        JSON.stringify(document, null, 2) + '\n'
+      )
+      const count = Object.values(document.paths).reduce(
+        (total, item) => total + Object.keys(item).length,
+        0
+      )
+      console.log(
+        chalk.green(`✅ ${options.output}: ${count} operation(s) documented`)
+      )
+      // L'app chargée peut avoir ouvert un port ou des timers
+      process.exit(0)
+    } catch (error) {
+      console.error(chalk.red('❌ Error generating OpenAPI:'), error.message)
+      process.exit(1)
+    }
+  })
+
 // ============= SETUP COMMAND =============
 program
   .command('setup [project-name]')
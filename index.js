@@ -2,16 +2,31 @@ const App = require('./lib/app')
 const NextJsAdapter = require('./lib/adapters/nextjs-adapter')
 const AuthManager = require('./lib/core/auth-manager')
 const RouteManager = require('./lib/routing/route-manager')
+const SchemaValidator = require('./lib/routing/schema-validator')
 const LayoutManager = require('./lib/layout/layout-manager')
 const Logger = require('./lib/core/logger')
+const { HttpError, ValidationError, ConfigError } = require('./lib/core/errors')
+const { view, redirect } = require('./lib/routing/handler-result')
+const { MetricsRegistry } = require('./lib/core/metrics')
+const ClusterSupervisor = require('./lib/core/cluster-supervisor')
 
 module.exports = {
   App,
   AuthManager,
   RouteManager,
+  SchemaValidator,
   LayoutManager,
   Logger,
   NextJsAdapter,
+  HttpError,
+  ValidationError,
+  ConfigError,
+  MetricsRegistry,
+  ClusterSupervisor,
+
+  // Valeurs de retour des handlers
+  view,
+  redirect,
 
   // Méthodes de création simplifiées
   createApp: (options = {}) => new App(options),
@@ -1,4 +1,9 @@
 const express = require('express')
+const cluster = require('cluster')
+const http = require('http')
+const https = require('https')
+const http2 = require('http2')
+const tls = require('tls')
 const path = require('path')
 
 const helmet = require('helmet') // Sécurité headers
@@ -9,9 +14,26 @@ const ModuleInstaller = require('./core/module-installer')
 const Logger = require('./core/logger')
 const LayoutManager = require('./layout/layout-manager')
 const RouteManager = require('./routing/route-manager')
+const OpenApiGenerator = require('./routing/openapi-generator')
+const DeclarativeRoutes = require('./routing/declarative-routes')
+const { SseHub } = require('./routing/sse')
+const WebSocketManager = require('./routing/websocket-manager')
 const DevServer = require('./dev/dev-server')
 const PluginManager = require('./plugin-manager')
 const AuthManager = require('./core/auth-manager')
+const ErrorHandler = require('./core/error-handler')
+const ConfigLoader = require('./core/config-loader')
+const CorsManager = require('./core/cors-manager')
+const HealthManager = require('./core/health-manager')
+const { MetricsRegistry } = require('./core/metrics')
+const { inject } = require('./core/inject')
+const ClusterWorker = require('./core/cluster-worker')
+const CertificateManager = require('./core/certificate-manager')
+const {
+  contextMiddleware,
+  currentContext,
+  bindContext,
+} = require('./core/request-context')
 
 // Vérification de l'existence de l'auto-updater de manière sécurisée
 let AutoUpdater = null
@@ -24,6 +46,9 @@ try {
 
 class App {
   constructor(options = {}) {
+    // Options de vako.config.js, surchargées par celles passées en code
+    options = this.resolveOptions(options)
+
     // Validation des options d'entrée
     this.validateOptions(options)
 
@@ -34,7 +59,15 @@ class App {
       viewsDir: this.sanitizePath(options.viewsDir) || 'views',
       staticDir: this.sanitizePath(options.staticDir) || 'public',
       routesDir: this.sanitizePath(options.routesDir) || 'routes',
+      // Manifeste écrit par vako build, lu par loadRoutes en production
+      routeManifest:
+        options.routeManifest === false
+          ? false
+          : this.sanitizePath(options.routeManifest) || '.vako/routes.json',
       isDev: Boolean(options.isDev),
+      // HTTPS et HTTP/2 (repli HTTP/1.1) ; certificat généré en développement
+      https: options.https || false,
+      http2: Boolean(options.http2),
       watchDirs: this.sanitizePaths(options.watchDirs) || [
         'views',
         'routes',
@@ -111,6 +144,100 @@ class App {
         ), // min 5 min
         ...options.autoUpdater,
       },
+      // Pages d'erreur 404/500 et surcharge par views/errors/<code>.ejs
+      errors: {
+        enabled: Boolean(options.errors?.enabled ?? true),
+        viewsDir: this.sanitizePath(options.errors?.viewsDir) || 'errors',
+        contextLines: Math.min(
+          Math.max(0, parseInt(options.errors?.contextLines, 10) || 5),
+          20
+        ),
+      },
+      // Sondes /_vako/health/live et /_vako/health/ready
+      health: {
+        enabled: Boolean(options.health?.enabled ?? true),
+        path: options.health?.path || '/_vako/health',
+        timeout: Math.max(1, parseInt(options.health?.timeout, 10) || 5000),
+        maxEventLoopLag: Math.max(
+          1,
+          parseInt(options.health?.maxEventLoopLag, 10) || 200
+        ),
+        // Fenêtre glissante de la mesure de latence (ms)
+        eventLoopWindow: Math.max(
+          1000,
+          parseInt(options.health?.eventLoopWindow, 10) || 60000
+        ),
+      },
+      // Métriques Prometheus sur /_vako/metrics
+      metrics: {
+        enabled: Boolean(options.metrics?.enabled ?? true),
+        path: options.metrics?.path || '/_vako/metrics',
+        protect: Boolean(options.metrics?.protect ?? true),
+      },
+      // Documentation OpenAPI générée depuis les routes, sur /_vako/docs
+      docs: {
+        enabled: Boolean(options.docs?.enabled ?? true),
+        path: options.docs?.path || '/_vako/docs',
+        protect: Boolean(options.docs?.protect ?? true),
+        title: options.docs?.title,
+        version: options.docs?.version,
+      },
+      // Routes déclaratives (redirection, JSON, proxy) persistées, API /_vako/routes
+      dynamicRoutes: {
+        enabled: Boolean(options.dynamicRoutes?.enabled ?? false),
+        path: options.dynamicRoutes?.path || '/_vako/routes',
+        store: options.dynamicRoutes?.store ?? 'json',
+        file: options.dynamicRoutes?.file,
+      },
+      // Routes versionnées (users.v2.js, option version) : négociation par
+      // en-tête Accept-Version / type de média ou par segment /v2 de l'URL
+      versioning: {
+        strategy: options.versioning?.strategy || 'header',
+        header: options.versioning?.header || 'Accept-Version',
+        prefix: options.versioning?.prefix || '',
+        default: options.versioning?.default || 'latest',
+        deprecated: options.versioning?.deprecated || {},
+      },
+      // Server-Sent Events : res.sse(), option sse des routes, app.sse.channel()
+      sse: {
+        heartbeat: Math.max(
+          0,
+          parseInt(options.sse?.heartbeat ?? 15000, 10) || 0
+        ),
+        retry: options.sse?.retry,
+        history: Math.max(0, parseInt(options.sse?.history ?? 100, 10) || 0),
+        historyTtl: Math.max(
+          0,
+          parseInt(options.sse?.historyTtl ?? 300000, 10) || 0
+        ),
+      },
+      // Routes WebSocket (routes/*.ws.js) servies sur le port HTTP
+      websockets: {
+        maxPayload: Math.max(
+          1,
+          parseInt(options.websockets?.maxPayload, 10) || 1048576
+        ),
+        pingInterval: Math.max(
+          0,
+          parseInt(options.websockets?.pingInterval ?? 30000, 10) || 0
+        ),
+        origins: options.websockets?.origins || [],
+      },
+      // Identifiant de requête (X-Request-Id) et contexte AsyncLocalStorage
+      requestContext: {
+        enabled: Boolean(options.requestContext?.enabled ?? true),
+        header: options.requestContext?.header || 'X-Request-Id',
+        trustHeader: Boolean(options.requestContext?.trustHeader ?? true),
+      },
+      // Arrêt gracieux : délai de drainage des connexions et signaux gérés
+      shutdown: {
+        timeout: Math.max(0, parseInt(options.shutdown?.timeout, 10) || 10000),
+        handleSignals: Boolean(options.shutdown?.handleSignals ?? false),
+        signals: this.sanitizeArray(options.shutdown?.signals) || [
+          'SIGTERM',
+          'SIGINT',
+        ],
+      },
     }
 
     this.app = express()
@@ -119,10 +246,47 @@ class App {
     // FIX: Stocker l'ID de l'intervalle pour éviter les fuites de mémoire
     this.updateInterval = null
 
+    // Serveur HTTP créé par listen() et connexions suivies pour le drainage
+    this.server = null
+    this.tlsOptions = null
+    this.connections = new Map()
+    this.sessions = new Set()
+    this.isShuttingDown = false
+    this.stopPromise = null
+    this.signalHandlers = new Map()
+
     // Initialize components
     this.logger = new Logger()
+    if (this.configFile) {
+      this.logger.log(
+        'info',
+        'Configuration loaded',
+        `📄 ${path.relative(process.cwd(), this.configFile)}`
+      )
+    }
     this.layoutManager = new LayoutManager(this, this.options.layouts)
     this.routeManager = new RouteManager(this, this.options)
+    // Middlewares ajoutés par app.use() et les plugins, toujours avant les routes
+    this.middlewareRouter = express.Router()
+    this.sse = new SseHub(this.options.sse)
+    this.websockets = new WebSocketManager(this, this.options.websockets)
+    this.openapiGenerator = new OpenApiGenerator(this)
+    if (this.options.dynamicRoutes.enabled) {
+      this.declarativeRoutes = new DeclarativeRoutes(
+        this,
+        this.options.dynamicRoutes
+      )
+    }
+    this.errorHandler = new ErrorHandler(this, this.options.errors)
+    this.corsManager = new CorsManager(this, this.options.security.cors)
+
+    if (this.options.health.enabled) {
+      this.health = new HealthManager(this, this.options.health)
+    }
+
+    // Registre disponible même sans endpoint, pour l'API des plugins
+    this.metrics = new MetricsRegistry()
+    this.setupMetrics()
 
     // Système d'authentification
     this.auth = new AuthManager(this)
@@ -141,6 +305,11 @@ class App {
       this.plugins = new PluginManager(this, this.options.plugins)
     }
 
+    // Worker lancé par `vako start --workers` : pont IPC avec le master
+    if (cluster.isWorker && process.env.VAKO_CLUSTER) {
+      this.clusterWorker = new ClusterWorker(this)
+    }
+
     this.init()
   }
 
@@ -209,7 +378,7 @@ class App {
                   err.message
                 )
               })
-            }, 2000) // Délai pour permettre au serveur de démarrer d'abord
+            }, 2000).unref() // Délai pour permettre au serveur de démarrer d'abord
           }
         })
         .catch((error) => {
@@ -243,7 +412,7 @@ class App {
           setTimeout(
             () => reject(new Error('Timeout lors de la vérification')),
             5000
-          )
+          ).unref()
         ),
       ])
 
@@ -413,20 +582,181 @@ class App {
   }
 
   // 📋 Route d'administration pour l'auto-updater (SÉCURISÉE)
+  /**
+   * Garde des routes /_vako/* : rôle admin si l'authentification est active
+   * (évalué à chaque requête, enableAuth() peut venir après), sinon localhost
+   */
+  createAdminGuard() {
+    return (req, res, next) => {
+      if (this.auth.isEnabled) {
+        return this.auth.requireRole('admin')(req, res, next)
+      }
+
+      // Fallback: restreindre à localhost si l'auth n'est pas activée
+      const ip = req.ip || req.connection.remoteAddress
+      if (ip !== '127.0.0.1' && ip !== '::1' && ip !== '::ffff:127.0.0.1') {
+        return res.status(403).json({ error: 'Accès refusé' })
+      }
+      next()
+    }
+  }
+
+  // Métriques HTTP et process enregistrées par le framework
+  setupMetrics() {
+    this.httpMetrics = {
+      requests: this.metrics.counter(
+        'vako_http_requests_total',
+        'Requêtes HTTP traitées',
+        ['method', 'route', 'status']
+      ),
+      duration: this.metrics.histogram(
+        'vako_http_request_duration_seconds',
+        'Durée des requêtes HTTP en secondes',
+        ['method', 'route']
+      ),
+      inFlight: this.metrics.gauge(
+        'vako_http_requests_in_flight',
+        'Requêtes HTTP en cours'
+      ),
+    }
+
+    this.metrics.gauge(
+      'vako_process_uptime_seconds',
+      'Durée de fonctionnement du process',
+      [],
+      { collect: () => Math.round(process.uptime()) }
+    )
+    this.metrics.gauge(
+      'vako_process_resident_memory_bytes',
+      'Mémoire résidente du process',
+      [],
+      { collect: () => process.memoryUsage().rss }
+    )
+  }
+
+  /**
+   * Compte chaque requête à la fin de la réponse. Le label route reprend le
+   * motif Express (/users/:id) pour garder une cardinalité bornée.
+   */
+  metricsMiddleware() {
+    const { requests, duration, inFlight } = this.httpMetrics
+
+    return (req, res, next) => {
+      const endTimer = duration.startTimer()
+      let recorded = false
+      inFlight.inc()
+
+      const record = () => {
+        if (recorded) return
+        recorded = true
+        inFlight.dec()
+
+        let route = 'unmatched'
+        if (req.route) route = `${req.baseUrl}${req.route.path}`
+        else if (res.statusCode === 404) route = 'not_found'
+
+        const method = req.method
+        endTimer({ method, route })
+        requests.inc({ method, route, status: res.statusCode })
+      }
+
+      res.once('finish', record)
+      res.once('close', record)
+      next()
+    }
+  }
+
+  /**
+   * En cluster, les métriques de tous les workers sont agrégées par le
+   * master, chaque série portant un label worker
+   */
+  async renderMetrics() {
+    if (!this.clusterWorker) return this.metrics.render()
+
+    const entries = await this.clusterWorker.aggregate('metrics')
+    return MetricsRegistry.merge(
+      entries
+        .filter((entry) => !entry.error)
+        .map((entry) => ({
+          labels: { worker: String(entry.worker) },
+          metrics: entry.data,
+        }))
+    ).render()
+  }
+
+  setupMetricsRoutes() {
+    if (!this.options.metrics.enabled) return
+
+    const handlers = []
+    if (this.options.metrics.protect) handlers.push(this.createAdminGuard())
+
+    this.app.get(
+      this.options.metrics.path,
+      ...handlers,
+      async (req, res, next) => {
+        try {
+          res
+            .set('Content-Type', MetricsRegistry.contentType)
+            .set('Cache-Control', 'no-store')
+            .send(await this.renderMetrics())
+        } catch (error) {
+          next(error)
+        }
+      }
+    )
+    this.log(
+      'info',
+      'Route de métriques configurée',
+      `📈 ${this.options.metrics.path}`
+    )
+  }
+
+  setupDocsRoutes() {
+    const {
+      enabled,
+      path: docsPath,
+      protect,
+      title,
+      version,
+    } = this.options.docs
+    if (!enabled) return
+
+    this.openapiGenerator.setupRoutes(
+      docsPath,
+      protect ? this.createAdminGuard() : null,
+      { title, version }
+    )
+    this.log('info', 'Documentation API configurée', `📖 ${docsPath}`)
+  }
+
+  // API d'administration et chargement des routes déclaratives stockées
+  setupDeclarativeRoutes() {
+    if (!this.declarativeRoutes) return
+
+    const basePath = this.options.dynamicRoutes.path
+    this.declarativeRoutes.setupRoutes(basePath, this.createAdminGuard())
+    this.declarativeRoutes.load().catch((error) => {
+      this.log('error', 'Routes déclaratives non chargées', error.message)
+    })
+    this.log('info', 'API des routes dynamiques configurée', `🗂️ ${basePath}`)
+  }
+
+  setupHealthRoutes() {
+    if (!this.health) return
+
+    this.health.setupRoutes(this.createAdminGuard())
+    this.log(
+      'info',
+      'Routes de santé configurées',
+      `💓 ${this.options.health.path}/live, ${this.options.health.path}/ready`
+    )
+  }
+
   setupAutoUpdaterRoutes() {
     if (!this.autoUpdaterActive) return
 
     // FIX: Sécurisation des routes d'administration
-    const adminGuard = this.auth.isEnabled
-      ? this.auth.requireRole('admin')
-      : (req, res, next) => {
-          // Fallback: restreindre à localhost si l'auth n'est pas activée
-          const ip = req.ip || req.connection.remoteAddress
-          if (ip !== '127.0.0.1' && ip !== '::1' && ip !== '::ffff:127.0.0.1') {
-            return res.status(403).json({ error: 'Accès refusé' })
-          }
-          next()
-        }
+    const adminGuard = this.createAdminGuard()
 
     // Route pour vérifier les mises à jour
     this.app.get('/_vako/updates/check', adminGuard, async (req, res) => {
@@ -484,8 +814,14 @@ class App {
       this.plugins.executeHook('app:init', this)
     }
 
+    this.setupHealthRoutes()
+    this.setupMetricsRoutes()
+    this.setupDocsRoutes()
+    this.setupDeclarativeRoutes()
+
+    // Le serveur WebSocket et les watchers démarrent avec listen(), pour que
+    // inject() puisse être utilisé sans ouvrir de port
     if (this.options.isDev) {
-      this.devServer.setup()
       // FIX: S'assurer que le middleware est bien ajouté si isDev est vrai
       this.app.use(this.devServer.middleware())
     }
@@ -494,11 +830,42 @@ class App {
     if (this.autoUpdaterActive) {
       this.setupAutoUpdaterRoutes()
     }
+
+    // Router des routes fichiers, dynamiques et de plugins, après les routes
+    // internes /_vako pour qu'un catch-all racine ne les masque pas
+    this.app.use(this.routeManager.middleware())
   }
 
   setupExpress() {
+    if (this.options.http2) {
+      this.installHttp2Bridge()
+    }
+
+    // En premier : tout ce qui suit (logs compris) voit le contexte
+    if (this.options.requestContext.enabled) {
+      this.app.use(contextMiddleware(this.options.requestContext))
+    }
+
+    // Pendant l'arrêt, les connexions keep-alive sont fermées après la réponse
+    this.app.use((req, res, next) => {
+      // (en-tête interdit en HTTP/2, où la session se ferme par GOAWAY)
+      if (this.isShuttingDown && req.httpVersionMajor < 2) {
+        res.setHeader('Connection', 'close')
+      }
+      next()
+    })
+
+    if (this.options.metrics.enabled) {
+      this.app.use(this.metricsMiddleware())
+    }
+
     // Configuration sécurisée des headers
     if (this.options.security.helmet) {
+      // Un objet security.helmet complète ou remplace les options par défaut
+      const helmetOptions =
+        typeof this.options.security.helmet === 'object'
+          ? this.options.security.helmet
+          : {}
       this.app.use(
         helmet({
           contentSecurityPolicy: {
@@ -510,13 +877,33 @@ class App {
             },
           },
           hsts: process.env.NODE_ENV === 'production',
+          ...helmetOptions,
         })
       )
     }
 
+    // CORS : politique globale et politiques par route, avant le rate limiting
+    // pour que les réponses 429 portent aussi les en-têtes CORS
+    this.app.use(this.corsManager.middleware())
+
     // Rate limiting
     if (this.options.security.rateLimit) {
-      const limiter = rateLimit(this.options.security.rateLimit)
+      const rateLimitOptions = { ...this.options.security.rateLimit }
+
+      // Les sondes de santé et le scrape des métriques ne consomment pas le quota
+      const internalPaths = []
+      if (this.health) internalPaths.push(this.options.health.path)
+      if (this.options.metrics.enabled) {
+        internalPaths.push(this.options.metrics.path)
+      }
+      if (internalPaths.length > 0) {
+        const skip = rateLimitOptions.skip
+        rateLimitOptions.skip = (req, res) =>
+          internalPaths.some((p) => req.path.startsWith(p)) ||
+          (skip ? skip(req, res) : false)
+      }
+
+      const limiter = rateLimit(rateLimitOptions)
       this.app.use(limiter)
     }
 
@@ -531,17 +918,21 @@ class App {
     // Configuration sécurisée du parsing
     // FIX: Suppression de la vérification redondante 'verify'. Le 'limit' s'en charge proprement.
     this.app.use(
-      express.json({
-        limit: '10mb',
-      })
+      bindContext(
+        express.json({
+          limit: '10mb',
+        })
+      )
     )
 
     this.app.use(
-      express.urlencoded({
-        extended: true,
-        limit: '10mb',
-        parameterLimit: 100,
-      })
+      bindContext(
+        express.urlencoded({
+          extended: true,
+          limit: '10mb',
+          parameterLimit: 100,
+        })
+      )
     )
 
     // Serveur de fichiers statiques sécurisé
@@ -557,6 +948,14 @@ class App {
     // FIX: Suppression du middleware de sécurité naïf (Helmet fait déjà le travail)
     // this.app.use(this.securityMiddleware());
 
+    // url('users.id', { id }) dans les vues
+    this.app.use((req, res, next) => {
+      res.locals.url = (name, params, query) => this.url(name, params, query)
+      next()
+    })
+    this.app.use(this.sse.middleware())
+    this.app.use(this.routeManager.signalMiddleware())
+
     if (this.options.layouts?.enabled) {
       this.app.use(this.layoutManager.middleware())
     }
@@ -565,6 +964,8 @@ class App {
       this.app.use(this.devServer.middleware())
     }
 
+    this.app.use(this.middlewareRouter)
+
     this.logger.log(
       'success',
       'Express configuration initialized',
@@ -613,22 +1014,40 @@ class App {
     return this.routeManager.createRoute(method, path, handler, options)
   }
 
-  deleteRoute(method, path) {
-    return this.routeManager.deleteRoute(method, path)
+  deleteRoute(method, path, version) {
+    return this.routeManager.deleteRoute(method, path, version)
   }
 
-  updateRoute(method, path, newHandler) {
-    return this.routeManager.updateRoute(method, path, newHandler)
+  updateRoute(method, path, newHandler, version) {
+    return this.routeManager.updateRoute(method, path, newHandler, version)
   }
 
-  loadRoutes(routesDir = this.options.routesDir) {
-    return this.routeManager.loadRoutes(routesDir)
+  loadRoutes(routesDir = this.options.routesDir, options) {
+    return this.routeManager.loadRoutes(routesDir, options)
   }
 
   listRoutes() {
     return this.routeManager.listRoutes()
   }
 
+  clearRouteCache(path) {
+    return this.routeManager.clearCache(path)
+  }
+
+  // URL d'une route nommée (voir RouteManager.url)
+  url(name, params, query) {
+    return this.routeManager.url(name, params, query)
+  }
+
+  /**
+   * Document OpenAPI 3.1 des routes enregistrées (fichiers, dynamiques,
+   * plugins). options : title, version, description, servers, includeInternal
+   */
+  openapi(options = {}) {
+    const { title, version } = this.options.docs
+    return this.openapiGenerator.generate({ title, version, ...options })
+  }
+
   // Delegate layout methods to LayoutManager
   createLayout(layoutName, content = null) {
     return this.layoutManager.createLayout(layoutName, content)
@@ -642,23 +1061,115 @@ class App {
     return this.layoutManager.listLayouts()
   }
 
-  use(middleware) {
-    this.app.use(middleware)
+  use(...args) {
+    this.middlewareRouter.use(...args)
     return this
   }
 
+  /**
+   * Express (expressInit) remplace le prototype de req/res par
+   * app.request/app.response, qui héritent des classes HTTP/1. Pour les
+   * requêtes HTTP/2, expressInit est remplacé par une version qui applique
+   * les mêmes méthodes sur les classes de compatibilité http2.
+   */
+  installHttp2Bridge() {
+    const bridge = (expressProto, http2Proto) => {
+      const bridged = Object.create(http2Proto)
+      for (const proto of [Object.getPrototypeOf(expressProto), expressProto]) {
+        Object.defineProperties(
+          bridged,
+          Object.getOwnPropertyDescriptors(proto)
+        )
+      }
+      return bridged
+    }
+    const request = bridge(this.app.request, http2.Http2ServerRequest.prototype)
+    const response = bridge(
+      this.app.response,
+      http2.Http2ServerResponse.prototype
+    )
+
+    // Internes HTTP/1 utilisés par des middlewares (express-session)
+    Object.defineProperties(response, {
+      _header: {
+        get() {
+          return this.headersSent
+        },
+      },
+      _implicitHeader: {
+        value() {
+          this.writeHead(this.statusCode)
+        },
+      },
+    })
+
+    this.app.lazyrouter()
+    const layer = this.app._router.stack.find((l) => l.name === 'expressInit')
+    const expressInit = layer.handle
+
+    layer.handle = (req, res, next) => {
+      if (req.httpVersionMajor !== 2) return expressInit(req, res, next)
+
+      req.res = res
+      res.req = req
+      req.next = next
+      Object.setPrototypeOf(req, request)
+      Object.setPrototypeOf(res, response)
+      res.locals = res.locals || Object.create(null)
+      // req.hostname lit Host, remplacé par :authority en HTTP/2
+      if (!req.headers.host && req.headers[':authority']) {
+        req.headers.host = req.headers[':authority']
+      }
+      next()
+    }
+  }
+
+  createServer() {
+    this.tlsOptions = CertificateManager.resolve(this.options, {
+      isDev: this.options.isDev,
+      logger: this.logger,
+    })
+
+    if (this.options.http2) {
+      return http2.createSecureServer({ ...this.tlsOptions, allowHTTP1: true })
+    }
+    return this.tlsOptions
+      ? https.createServer(this.tlsOptions)
+      : http.createServer()
+  }
+
   listen(port = this.options.port, callback) {
-    return this.app.listen(port, async () => {
+    // Le serveur est conservé pour que stop() puisse le fermer proprement
+    this.server = this.createServer()
+    this.trackConnections(this.server)
+    this.server.on('request', this.app)
+    this.websockets.attach(this.server)
+
+    // Gestionnaires 404 et d'erreurs montés en dernier, après les routes
+    if (this.options.errors.enabled) {
+      this.errorHandler.mount()
+    }
+
+    if (this.options.shutdown.handleSignals) {
+      this.registerSignalHandlers()
+    }
+
+    if (this.devServer && !this.devServer.wss) {
+      this.devServer.setup()
+    }
+
+    return this.server.listen(port, async () => {
       console.log('\n' + '═'.repeat(60))
       console.log(`\x1b[35m\x1b[1m
    ╔══════════════════════════════════════════════════════╗
    ║                    🚀 VAKO 🚀                     ║
    ╚══════════════════════════════════════════════════════╝\x1b[0m`)
 
+      const protocol = this.tlsOptions ? 'https' : 'http'
       this.logger.log(
         'server',
         'Server started successfully',
-        `🌐 http://localhost:${port}`
+        `🌐 ${protocol}://localhost:${port}${this.options.http2 ? ' (HTTP/2)' : ''}`
       )
 
       // Affichage des informations auto-updater seulement si actif
@@ -731,6 +1242,8 @@ class App {
           this.log('error', 'Erreur vérification automatique', error.message)
         })
       }, interval)
+      // Le timer ne doit pas empêcher le process (ou les tests) de se terminer
+      this.updateInterval.unref()
 
       this.log(
         'info',
@@ -746,11 +1259,30 @@ class App {
     }
   }
 
+  /**
+   * Contexte de la requête en cours (req.context), accessible depuis le code
+   * appelé par un handler, un hook ou un service. null hors requête.
+   */
+  context() {
+    return currentContext()
+  }
+
+  /**
+   * Exécute une requête en mémoire à travers toute la pile Express
+   * (middlewares, layouts, sessions, plugins) sans ouvrir de port.
+   * Retourne { status, headers, body, json, cookies }.
+   */
+  inject(options = {}) {
+    if (this.options.errors.enabled) {
+      this.errorHandler.mount()
+    }
+    return inject(this.app, options)
+  }
+
   startDev(port = this.options.port) {
     this.options.isDev = true
     if (!this.devServer) {
       this.devServer = new DevServer(this, this.options)
-      this.devServer.setup()
       // FIX: Ajouter dynamiquement le middleware si on passe en mode dev après l'init
       this.app.use(this.devServer.middleware())
     }
@@ -758,9 +1290,124 @@ class App {
     return this.listen(port)
   }
 
-  async stop() {
+  // 🔌 Suivi des connexions pour pouvoir drainer les sockets keep-alive
+  trackConnections(server) {
+    // Derrière TLS, les requêtes HTTP/1.1 portent la socket chiffrée
+    const event =
+      server instanceof tls.Server ? 'secureConnection' : 'connection'
+
+    server.on(event, (socket) => {
+      // Les sessions HTTP/2 sont suivies à part et fermées par GOAWAY
+      if (socket.alpnProtocol === 'h2') return
+
+      // Nombre de requêtes en cours sur la socket (0 = inactive)
+      this.connections.set(socket, 0)
+      socket.on('close', () => this.connections.delete(socket))
+    })
+
+    server.on('session', (session) => {
+      this.sessions.add(session)
+      session.on('close', () => this.sessions.delete(session))
+    })
+
+    server.on('request', (req, res) => {
+      if (req.httpVersionMajor === 2) return
+      const socket = req.socket
+      this.connections.set(socket, (this.connections.get(socket) || 0) + 1)
+
+      res.on('finish', () => {
+        const pending = Math.max(0, (this.connections.get(socket) || 1) - 1)
+        this.connections.set(socket, pending)
+        if (this.isShuttingDown && pending === 0) socket.end()
+      })
+    })
+  }
+
+  // 📴 Arrêt déclenché par SIGTERM / SIGINT
+  registerSignalHandlers() {
+    if (this.signalHandlers.size > 0) return
+
+    this.options.shutdown.signals.forEach((signal) => {
+      const handler = () => {
+        this.log('server', 'Signal reçu', `📴 ${signal} → arrêt gracieux`)
+        this.stop()
+          .then(() => process.exit(0))
+          .catch((error) => {
+            this.log('error', "Erreur lors de l'arrêt", error.message)
+            process.exit(1)
+          })
+      }
+      process.once(signal, handler)
+      this.signalHandlers.set(signal, handler)
+    })
+  }
+
+  removeSignalHandlers() {
+    this.signalHandlers.forEach((handler, signal) => {
+      process.removeListener(signal, handler)
+    })
+    this.signalHandlers.clear()
+  }
+
+  // ⏳ Ferme le serveur et attend la fin des requêtes en cours (avec délai max)
+  closeServer(timeout) {
+    if (!this.server || !this.server.listening) return Promise.resolve()
+
+    return new Promise((resolve) => {
+      let deadline = null
+
+      this.server.close(() => {
+        if (deadline) clearTimeout(deadline)
+        resolve()
+      })
+
+      // Les sockets inactives sont fermées immédiatement, les sessions
+      // HTTP/2 terminent leurs flux en cours sans en accepter de nouveaux
+      this.connections.forEach((pending, socket) => {
+        if (pending === 0) socket.destroy()
+      })
+      this.sessions.forEach((session) => session.close())
+
+      deadline = setTimeout(() => {
+        const remaining = this.connections.size + this.sessions.size
+        if (remaining > 0) {
+          this.log(
+            'warning',
+            'Délai de drainage dépassé',
+            `⏱️ ${remaining} connexion(s) interrompue(s)`
+          )
+        }
+        this.connections.forEach((pending, socket) => socket.destroy())
+        this.sessions.forEach((session) => session.destroy())
+      }, timeout)
+      deadline.unref()
+    })
+  }
+
+  stop(options = {}) {
+    // Un seul arrêt à la fois : les appels concurrents partagent la promesse
+    if (!this.stopPromise) {
+      this.stopPromise = this.performStop(options).finally(() => {
+        this.stopPromise = null
+      })
+    }
+    return this.stopPromise
+  }
+
+  async performStop(options = {}) {
+    const timeout = options.timeout ?? this.options.shutdown.timeout
+    this.isShuttingDown = true
+    this.removeSignalHandlers()
+
+    // 1. Ne plus accepter de connexions et drainer les requêtes en cours,
+    // les flux SSE et les WebSockets étant fermés d'emblée
+    this.sse.closeAll()
+    this.websockets.closeAll()
+    await this.closeServer(timeout)
+
+    // 2. Laisser les plugins terminer leur arrêt
     if (this.plugins) {
-      this.plugins.executeHook('app:stop', this)
+      await this.plugins.executeHook('app:stop', this)
     }
 
     // FIX: Nettoyer l'intervalle pour éviter les fuites de mémoire
@@ -768,6 +1415,10 @@ class App {
       clearInterval(this.updateInterval)
       this.updateInterval = null
     }
+    if (this.autoUpdater && this.autoUpdater.checkInterval) {
+      clearInterval(this.autoUpdater.checkInterval)
+      this.autoUpdater.checkInterval = null
+    }
 
     if (this.devServer) {
       this.devServer.stop()
@@ -787,7 +1438,7 @@ class App {
       try {
         this.autoUpdater.closeReadline()
         this.log('info', 'Auto-updater arrêté', '🔄')
-      } catch {
+      } catch (err) {
         this.log(
           'error',
           "Erreur lors de l'arrêt de l'auto-updater",
@@ -796,40 +1447,47 @@ class App {
       }
     }
 
+    if (this.plugins) {
+      this.plugins.destroy()
+    }
+    if (this.declarativeRoutes) {
+      await this.declarativeRoutes.store.close()
+    }
+    if (this.health) {
+      this.health.destroy()
+    }
+    if (this.clusterWorker) {
+      this.clusterWorker.destroy()
+    }
+    this.layoutManager.destroy()
+
+    this.server = null
+    this.isShuttingDown = false
     this.logger.log('server', 'Server stopped', '🛑 Goodbye!')
   }
 
   // Méthodes de validation et sanitisation
-  validateOptions(options) {
+  resolveOptions(options) {
     if (typeof options !== 'object' || options === null) {
       throw new Error('Les options doivent être un objet')
     }
 
-    // Validation du port
-    if (options.port !== undefined && !this.isValidPort(options.port)) {
-      throw new Error('Le port doit être un nombre entre 1 et 65535')
-    }
+    const { config: configFile, ...codeOptions } = options
+    this.configFile = null
+    if (configFile === false) return codeOptions
 
-    // Validation du port WebSocket
-    if (options.wsPort !== undefined && !this.isValidPort(options.wsPort)) {
-      throw new Error('Le port WebSocket doit être un nombre entre 1 et 65535')
-    }
+    const { config, filePath } = ConfigLoader.load({ file: configFile })
+    this.configFile = filePath
+    return ConfigLoader.merge(config, codeOptions)
+  }
 
-    // Validation des chemins
-    const pathOptions = ['viewsDir', 'staticDir', 'routesDir', 'errorLog']
-    for (const pathOption of pathOptions) {
-      if (
-        options[pathOption] !== undefined &&
-        !this.isValidPath(options[pathOption])
-      ) {
-        throw new Error(`${pathOption} doit être un chemin valide`)
-      }
+  validateOptions(options) {
+    if (typeof options !== 'object' || options === null) {
+      throw new Error('Les options doivent être un objet')
     }
 
-    // Validation des tableaux
-    if (options.watchDirs !== undefined && !Array.isArray(options.watchDirs)) {
-      throw new Error('watchDirs doit être un tableau')
-    }
+    // Lève une ConfigError nommant la clé invalide
+    ConfigLoader.validate(options)
   }
 
   isValidPort(port) {
@@ -309,21 +309,21 @@ class AuthManager {
 
   setupSessions() {
     const session = require('express-session')
-    this.app.use(
-      session({
-        secret: this.config.session.secret,
-        resave: false,
-        saveUninitialized: false,
-        name: 'vako.sid',
-        cookie: {
-          maxAge: this.config.session.maxAge,
-          secure: this.config.session.secure,
-          httpOnly: this.config.session.httpOnly,
-          sameSite: this.config.session.sameSite,
-        },
-        genid: () => crypto.randomUUID(),
-      })
-    )
+    // Conservé pour les routes WebSocket, qui lisent la session à l'upgrade
+    this.sessionMiddleware = session({
+      secret: this.config.session.secret,
+      resave: false,
+      saveUninitialized: false,
+      name: 'vako.sid',
+      cookie: {
+        maxAge: this.config.session.maxAge,
+        secure: this.config.session.secure,
+        httpOnly: this.config.session.httpOnly,
+        sameSite: this.config.session.sameSite,
+      },
+      genid: () => crypto.randomUUID(),
+    })
+    this.app.use(this.sessionMiddleware)
     console.log('✅ Sessions configurées avec sécurité renforcée')
   }
 
@@ -438,7 +438,7 @@ class AuthManager {
               .json({ success: false, message: 'Identifiants incorrects' })
           }
         } catch (error) {
-          console.error('Erreur lors de la connexion:', error.message)
+          this.logError('Erreur lors de la connexion', error)
           res.status(500).json({ success: false, message: 'Erreur serveur' })
         }
       }
@@ -525,7 +525,7 @@ class AuthManager {
               .status(409)
               .json({ success: false, message: 'Cet utilisateur existe déjà' })
           } else {
-            console.error("Erreur lors de l'inscription:", error.message)
+            this.logError("Erreur lors de l'inscription", error)
             res.status(500).json({ success: false, message: 'Erreur serveur' })
           }
         }
@@ -611,7 +611,7 @@ class AuthManager {
             user: req.session.user,
           })
         } catch (error) {
-          console.error('Erreur lors de la mise à jour:', error.message)
+          this.logError('Erreur lors de la mise à jour', error)
           res
             .status(500)
             .json({ success: false, message: 'Erreur lors de la mise à jour' })
@@ -687,7 +687,7 @@ class AuthManager {
             )
           }
         } catch (error) {
-          console.error('Erreur lors de la connexion:', error.message)
+          this.logError('Erreur lors de la connexion', error)
           res.redirect(`${this.config.routes.web.login}?error=server_error`)
         }
       }
@@ -778,7 +778,7 @@ class AuthManager {
           ) {
             res.redirect(`${this.config.routes.web.register}?error=user_exists`)
           } else {
-            console.error("Erreur lors de l'inscription:", error.message)
+            this.logError("Erreur lors de l'inscription", error)
             res.redirect(
               `${this.config.routes.web.register}?error=server_error`
             )
@@ -790,7 +790,7 @@ class AuthManager {
     this.app.createRoute('get', this.config.routes.web.logout, (req, res) => {
       if (req.session) {
         req.session.destroy((err) => {
-          if (err) console.error('Erreur lors de la déconnexion:', err)
+          if (err) this.logError('Erreur lors de la déconnexion', err)
           res.redirect(this.config.redirects.afterLogout)
         })
       } else {
@@ -891,7 +891,7 @@ class AuthManager {
       }
       return user
     } catch (error) {
-      console.error("Erreur lors de l'authentification:", error.message)
+      this.logError("Erreur lors de l'authentification", error)
       return null
     }
   }
@@ -931,7 +931,7 @@ class AuthManager {
       !req.session.user ||
       !this.isValidSessionUser(req.session.user)
     ) {
-      if (req.xhr || req.headers.accept.indexOf('json') > -1) {
+      if (req.xhr || (req.headers.accept || '').indexOf('json') > -1) {
         return res
           .status(401)
           .json({ success: false, message: 'Authentification requise' })
@@ -952,6 +952,27 @@ class AuthManager {
     }
   }
 
+  // Contrôle de l'upgrade WebSocket : 401 sans session valide (vérifiée par
+  // isValidSessionUser, plus stricte que requireRole), 403 sans le rôle
+  // demandé (admin les a tous), null si l'accès est permis
+  checkAccess(user, role) {
+    if (!this.isValidSessionUser(user)) return 401
+    if (role && user.role !== role && user.role !== 'admin') return 403
+    return null
+  }
+
+  // Vérifie que la base d'authentification répond (health check)
+  async ping() {
+    if (!this.db) throw new Error("Base d'authentification non initialisée")
+    if (this.config.database.type === 'mysql') {
+      await this.db.execute('SELECT 1')
+      return
+    }
+    await new Promise((resolve, reject) => {
+      this.db.get('SELECT 1', (err) => (err ? reject(err) : resolve()))
+    })
+  }
+
   async destroy() {
     if (this.db) {
       if (this.config.database.type === 'mysql') await this.db.end()
@@ -1060,6 +1081,12 @@ class AuthManager {
       )
   }
 
+  // Erreurs survenues pendant une requête : passent par le logger de l'app,
+  // qui y ajoute l'identifiant de la requête
+  logError(message, error) {
+    this.app.logger.log('error', message, error?.message || String(error))
+  }
+
   logSystemInfo() {
     console.log(
       "✅ Système d'authentification initialisé avec sécurité renforcée"
@@ -0,0 +1,171 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { execFileSync } = require('child_process')
+
+const { ConfigError } = require('./errors')
+
+const DEV_HOSTS = ['localhost', '127.0.0.1', '::1']
+
+/**
+ * Options TLS de listen() : certificats fournis (chemins ou contenus) ou,
+ * en développement, certificat local généré dans .vako/certs
+ */
+class CertificateManager {
+  /**
+   * Retourne { key, cert, pfx, ca, passphrase } prêt pour https/http2, ou
+   * null si HTTPS n'est pas demandé
+   */
+  static resolve(options, { isDev = false, cwd = process.cwd(), logger } = {}) {
+    const httpsOption = options.https
+    if (!httpsOption && !options.http2) return null
+
+    const config = typeof httpsOption === 'object' ? httpsOption : {}
+    if (!config.pfx && !(config.key && config.cert)) {
+      if (!isDev) {
+        throw new ConfigError(
+          options.http2 && !httpsOption ? 'http2' : 'https',
+          'key et cert (ou pfx) requis hors développement'
+        )
+      }
+      return {
+        ...CertificateManager.ensureDevCertificate({ cwd, logger }),
+        ...(config.passphrase ? { passphrase: config.passphrase } : {}),
+      }
+    }
+
+    const tls = {}
+    for (const field of ['key', 'cert', 'pfx']) {
+      if (config[field]) {
+        tls[field] = CertificateManager.readMaterial(config[field], field, cwd)
+      }
+    }
+    if (config.ca) {
+      tls.ca = (Array.isArray(config.ca) ? config.ca : [config.ca]).map(
+        (entry) => CertificateManager.readMaterial(entry, 'ca', cwd)
+      )
+    }
+    if (config.passphrase) tls.passphrase = config.passphrase
+    return tls
+  }
+
+  // Buffer, contenu PEM en chaîne ou chemin de fichier
+  static readMaterial(value, field, cwd) {
+    if (Buffer.isBuffer(value)) return value
+    if (typeof value !== 'string') {
+      throw new ConfigError(
+        `https.${field}`,
+        'doit être un chemin ou un Buffer'
+      )
+    }
+    if (value.includes('-----BEGIN ')) return Buffer.from(value)
+
+    const filePath = path.resolve(cwd, value)
+    try {
+      return fs.readFileSync(filePath)
+    } catch {
+      throw new ConfigError(`https.${field}`, `fichier illisible (${filePath})`)
+    }
+  }
+
+  /**
+   * Certificat de développement pour localhost, réutilisé tant qu'il est
+   * valide. mkcert le rend approuvé par le navigateur ; à défaut, openssl
+   * produit un certificat auto-signé (avertissement du navigateur).
+   */
+  static ensureDevCertificate({ cwd = process.cwd(), logger } = {}) {
+    const dir = path.join(cwd, '.vako', 'certs')
+    const keyFile = path.join(dir, 'localhost-key.pem')
+    const certFile = path.join(dir, 'localhost.pem')
+
+    if (CertificateManager.isValid(certFile) && fs.existsSync(keyFile)) {
+      return { key: fs.readFileSync(keyFile), cert: fs.readFileSync(certFile) }
+    }
+
+    fs.mkdirSync(dir, { recursive: true })
+    const log = (type, message, details) =>
+      logger && logger.log(type, message, details)
+
+    let generated = false
+    if (CertificateManager.hasCommand('mkcert')) {
+      try {
+        // Installe l'autorité locale si besoin (sans effet si déjà présente)
+        CertificateManager.run('mkcert', ['-install'])
+        CertificateManager.run('mkcert', [
+          '-key-file',
+          keyFile,
+          '-cert-file',
+          certFile,
+          ...DEV_HOSTS,
+        ])
+        generated = true
+        log('success', 'Certificat de développement créé', `🔐 mkcert → ${dir}`)
+      } catch (error) {
+        log('warning', 'Échec de mkcert', error.message)
+      }
+    }
+
+    if (!generated && CertificateManager.hasCommand('openssl')) {
+      CertificateManager.run('openssl', [
+        'req',
+        '-x509',
+        '-newkey',
+        'rsa:2048',
+        '-nodes',
+        '-sha256',
+        '-days',
+        '365',
+        '-subj',
+        '/CN=localhost',
+        '-addext',
+        'subjectAltName=DNS:localhost,IP:127.0.0.1,IP:::1',
+        '-keyout',
+        keyFile,
+        '-out',
+        certFile,
+      ])
+      generated = true
+      log(
+        'warning',
+        'Certificat auto-signé créé',
+        `🔐 ${dir} — installez mkcert pour un certificat approuvé par le navigateur`
+      )
+    }
+
+    if (!generated) {
+      throw new Error(
+        'Impossible de générer un certificat de développement : installez mkcert ou openssl, ou renseignez https.key et https.cert'
+      )
+    }
+
+    fs.chmodSync(keyFile, 0o600)
+    return { key: fs.readFileSync(keyFile), cert: fs.readFileSync(certFile) }
+  }
+
+  // Certificat présent et encore valide au moins un jour
+  static isValid(certFile) {
+    if (!fs.existsSync(certFile)) return false
+    try {
+      const cert = new crypto.X509Certificate(fs.readFileSync(certFile))
+      return new Date(cert.validTo).getTime() > Date.now() + 86400000
+    } catch {
+      return false
+    }
+  }
+
+  static hasCommand(command) {
+    try {
+      execFileSync(command, ['-version'], { stdio: 'ignore', timeout: 5000 })
+      return true
+    } catch (error) {
+      // Une commande présente peut refuser -version : seul ENOENT compte
+      return error.code !== 'ENOENT'
+    }
+  }
+
+  static run(command, args) {
+    execFileSync(command, args, { stdio: 'pipe', timeout: 30000 })
+  }
+}
+
+module.exports = CertificateManager
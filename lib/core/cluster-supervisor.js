@@ -0,0 +1,367 @@
+const cluster = require('cluster')
+const os = require('os')
+const path = require('path')
+
+const Logger = require('./logger')
+
+/**
+ * Master du mode cluster (`vako start --workers N|auto`).
+ *
+ * Les workers exécutent le fichier d'entrée et partagent le port du master.
+ * Un worker qui plante est relancé avec un délai croissant, SIGHUP remplace
+ * les workers un par un (nouveau code sans couper le trafic), SIGTERM/SIGINT
+ * les arrêtent proprement.
+ */
+class ClusterSupervisor {
+  constructor(options = {}) {
+    this.options = {
+      file: 'app.js',
+      args: [],
+      workers: 'auto',
+      restartDelay: 1000,
+      maxRestartDelay: 30000,
+      // Un worker resté en vie aussi longtemps remet le délai à zéro
+      stableAfter: 30000,
+      readyTimeout: 30000,
+      shutdownTimeout: 10000,
+      ...options,
+    }
+    this.options.workers = ClusterSupervisor.resolveWorkerCount(
+      this.options.workers
+    )
+
+    this.logger = options.logger || new Logger()
+    // Id cluster → { worker, startedAt, ready, replacement, stopping }
+    this.workers = new Map()
+    this.crashCount = 0
+    this.restartTimers = new Set()
+    this.requestId = 0
+    // Collectes en cours auprès des workers : id → { resolve, timeoutId }
+    this.pending = new Map()
+    this.isReloading = false
+    this.isStopping = false
+    this.signalHandlers = new Map()
+  }
+
+  // Nombre de workers : entier positif ou "auto" (un par cœur)
+  static resolveWorkerCount(workers) {
+    if (workers === 'auto' || workers === undefined || workers === null) {
+      return os.availableParallelism
+        ? os.availableParallelism()
+        : os.cpus().length
+    }
+    const count = parseInt(workers, 10)
+    if (
+      !Number.isInteger(count) ||
+      count < 1 ||
+      String(count) !== String(workers).trim()
+    ) {
+      throw new Error(
+        `Nombre de workers invalide: ${workers} (entier positif ou "auto")`
+      )
+    }
+    return count
+  }
+
+  start() {
+    if (!cluster.isPrimary) {
+      throw new Error(
+        'ClusterSupervisor doit être démarré dans le process master'
+      )
+    }
+
+    const entryFile = path.resolve(process.cwd(), this.options.file)
+    cluster.setupPrimary({ exec: entryFile, args: this.options.args })
+
+    cluster.on('exit', (worker, code, signal) =>
+      this.onExit(worker, code, signal)
+    )
+    cluster.on('message', (worker, message) => this.onMessage(worker, message))
+
+    this.registerSignalHandlers()
+    this.logger.log(
+      'server',
+      'Cluster démarré',
+      `🧩 ${this.options.workers} worker(s) → ${path.relative(process.cwd(), entryFile)} (master ${process.pid})`
+    )
+
+    for (let i = 0; i < this.options.workers; i++) this.fork()
+    return this
+  }
+
+  /**
+   * Un remplaçant (rechargement) qui meurt avant d'écouter n'est pas relancé :
+   * le rechargement est abandonné et les anciens workers restent en place.
+   */
+  fork(replacement = false) {
+    // VAKO_CLUSTER active le pont IPC (ClusterWorker) dans l'App du worker
+    const worker = cluster.fork({ VAKO_CLUSTER: '1' })
+    const entry = { worker, startedAt: Date.now(), ready: false, replacement }
+    this.workers.set(worker.id, entry)
+
+    worker.once('listening', () => {
+      entry.ready = true
+      entry.replacement = false
+      this.logger.log(
+        'success',
+        'Worker prêt',
+        `#${worker.id} (pid ${worker.process.pid})`
+      )
+    })
+    return worker
+  }
+
+  onExit(worker, code, signal) {
+    const entry = this.workers.get(worker.id)
+    this.workers.delete(worker.id)
+    this.rejectWorkerRequests(worker.id)
+
+    if (!entry || entry.stopping || entry.replacement || this.isStopping) {
+      return
+    }
+
+    // Délai doublé à chaque plantage rapproché, plafonné
+    if (Date.now() - entry.startedAt > this.options.stableAfter) {
+      this.crashCount = 0
+    }
+    const delay = Math.min(
+      this.options.restartDelay * 2 ** this.crashCount,
+      this.options.maxRestartDelay
+    )
+    this.crashCount++
+
+    this.logger.log(
+      'error',
+      'Worker arrêté de façon inattendue',
+      `#${worker.id} (${signal || `code ${code}`}) → relance dans ${delay}ms`
+    )
+
+    const timer = setTimeout(() => {
+      this.restartTimers.delete(timer)
+      if (!this.isStopping) this.fork()
+    }, delay)
+    this.restartTimers.add(timer)
+  }
+
+  // Attend qu'un worker écoute sur le port, ou échoue s'il meurt avant
+  waitReady(worker) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeoutId)
+        worker.removeListener('listening', onListening)
+        worker.removeListener('exit', onExit)
+      }
+      const onListening = () => {
+        cleanup()
+        resolve()
+      }
+      const onExit = (code) => {
+        cleanup()
+        reject(new Error(`le worker #${worker.id} s'est arrêté (code ${code})`))
+      }
+      const timeoutId = setTimeout(() => {
+        cleanup()
+        reject(
+          new Error(
+            `le worker #${worker.id} n'écoute pas après ${this.options.readyTimeout}ms`
+          )
+        )
+      }, this.options.readyTimeout)
+
+      worker.once('listening', onListening)
+      worker.once('exit', onExit)
+    })
+  }
+
+  // Arrêt gracieux d'un worker, forcé après shutdownTimeout
+  stopWorker(entry, reason) {
+    const { worker } = entry
+    entry.stopping = true
+
+    return new Promise((resolve) => {
+      if (worker.isDead()) return resolve()
+
+      const killTimer = setTimeout(() => {
+        this.logger.log(
+          'warning',
+          'Worker forcé',
+          `#${worker.id} toujours actif après ${this.options.shutdownTimeout}ms`
+        )
+        worker.process.kill('SIGKILL')
+      }, this.options.shutdownTimeout + 1000)
+
+      worker.once('exit', () => {
+        clearTimeout(killTimer)
+        resolve()
+      })
+
+      if (worker.isConnected()) {
+        worker.send({
+          type: 'vako:shutdown',
+          reason,
+          timeout: this.options.shutdownTimeout,
+        })
+      } else {
+        worker.process.kill('SIGTERM')
+      }
+    })
+  }
+
+  /**
+   * Rechargement sans interruption : chaque worker n'est arrêté qu'une fois
+   * son remplaçant à l'écoute. En cas d'échec les anciens workers restent.
+   */
+  async reload() {
+    if (this.isReloading || this.isStopping) return false
+    this.isReloading = true
+    this.logger.log('reload', 'Rechargement du cluster', '🔄 SIGHUP')
+
+    try {
+      const previous = Array.from(this.workers.values())
+      for (const entry of previous) {
+        if (entry.worker.isDead()) continue
+
+        const replacement = this.fork(true)
+        try {
+          await this.waitReady(replacement)
+        } catch (error) {
+          this.logger.log('error', 'Rechargement interrompu', error.message)
+          const failed = this.workers.get(replacement.id)
+          if (failed) await this.stopWorker(failed, 'rechargement annulé')
+          return false
+        }
+        await this.stopWorker(entry, 'rechargement')
+      }
+
+      this.crashCount = 0
+      this.logger.log(
+        'success',
+        'Cluster rechargé',
+        `${this.workers.size} worker(s)`
+      )
+      return true
+    } finally {
+      this.isReloading = false
+    }
+  }
+
+  async stop() {
+    if (this.isStopping) return
+    this.isStopping = true
+    this.restartTimers.forEach((timer) => clearTimeout(timer))
+    this.restartTimers.clear()
+
+    this.logger.log(
+      'server',
+      'Arrêt du cluster',
+      `📴 ${this.workers.size} worker(s)`
+    )
+    await Promise.all(
+      Array.from(this.workers.values()).map((entry) =>
+        this.stopWorker(entry, 'arrêt du cluster')
+      )
+    )
+    this.removeSignalHandlers()
+    this.logger.log('server', 'Cluster arrêté', '🛑 Goodbye!')
+  }
+
+  registerSignalHandlers() {
+    const handlers = {
+      SIGHUP: () => this.reload(),
+      SIGTERM: () => this.stop().then(() => process.exit(0)),
+      SIGINT: () => this.stop().then(() => process.exit(0)),
+    }
+
+    for (const [signal, handler] of Object.entries(handlers)) {
+      // SIGHUP n'existe pas sous Windows
+      if (signal === 'SIGHUP' && process.platform === 'win32') continue
+      process.on(signal, handler)
+      this.signalHandlers.set(signal, handler)
+    }
+  }
+
+  removeSignalHandlers() {
+    this.signalHandlers.forEach((handler, signal) => {
+      process.removeListener(signal, handler)
+    })
+    this.signalHandlers.clear()
+  }
+
+  // ============= AGRÉGATION SANTÉ / MÉTRIQUES =============
+
+  onMessage(worker, message) {
+    if (!message || typeof message.type !== 'string') return
+
+    if (message.type === 'vako:collected') {
+      const pending = this.pending.get(message.id)
+      if (!pending) return
+      this.pending.delete(message.id)
+      clearTimeout(pending.timeoutId)
+      pending.resolve(
+        message.error
+          ? { worker: worker.id, error: message.error }
+          : { worker: worker.id, data: message.data }
+      )
+      return
+    }
+
+    // Un worker demande l'état de tout le cluster
+    if (message.type === 'vako:aggregate') {
+      this.collect(message.kind, message.options, message.timeout).then(
+        (entries) => {
+          if (worker.isConnected()) {
+            worker.send({ type: 'vako:aggregated', id: message.id, entries })
+          }
+        }
+      )
+    }
+  }
+
+  // Interroge les workers à l'écoute ; un worker muet compte comme en échec
+  collect(kind, options = {}, timeout = 5000) {
+    const workers = Array.from(this.workers.values())
+      .filter(
+        (entry) => entry.ready && !entry.stopping && entry.worker.isConnected()
+      )
+      .map((entry) => entry.worker)
+
+    return Promise.all(
+      workers.map(
+        (worker) =>
+          new Promise((resolve) => {
+            const id = ++this.requestId
+            const timeoutId = setTimeout(() => {
+              this.pending.delete(id)
+              resolve({
+                worker: worker.id,
+                error: `Timeout après ${timeout}ms`,
+              })
+            }, timeout)
+
+            this.pending.set(id, { resolve, timeoutId, workerId: worker.id })
+            worker.send({ type: 'vako:collect', id, kind, options })
+          })
+      )
+    )
+  }
+
+  rejectWorkerRequests(workerId) {
+    for (const [id, pending] of this.pending) {
+      if (pending.workerId !== workerId) continue
+      this.pending.delete(id)
+      clearTimeout(pending.timeoutId)
+      pending.resolve({ worker: workerId, error: 'Worker arrêté' })
+    }
+  }
+
+  list() {
+    return Array.from(this.workers.values()).map((entry) => ({
+      id: entry.worker.id,
+      pid: entry.worker.process.pid,
+      ready: entry.ready,
+      uptime: Math.round((Date.now() - entry.startedAt) / 1000),
+    }))
+  }
+}
+
+module.exports = ClusterSupervisor
@@ -0,0 +1,126 @@
+const cluster = require('cluster')
+
+/**
+ * Côté worker du mode cluster (`vako start --workers`) : arrêt gracieux
+ * demandé par le master et agrégation de la santé et des métriques de tous
+ * les workers par IPC.
+ */
+class ClusterWorker {
+  constructor(app) {
+    this.app = app
+    this.requestId = 0
+    // Id de requête IPC → { resolve, reject, timeoutId }
+    this.pending = new Map()
+
+    this.onMessage = this.onMessage.bind(this)
+    this.onDisconnect = () => this.shutdown('master déconnecté')
+    this.signalHandlers = new Map()
+
+    process.on('message', this.onMessage)
+    process.on('disconnect', this.onDisconnect)
+
+    // Ctrl+C atteint tout le groupe de process : chaque worker draine ses
+    // requêtes au lieu de mourir immédiatement
+    ;['SIGTERM', 'SIGINT'].forEach((signal) => {
+      const handler = () => this.shutdown(signal)
+      process.on(signal, handler)
+      this.signalHandlers.set(signal, handler)
+    })
+  }
+
+  get id() {
+    return cluster.worker?.id
+  }
+
+  onMessage(message) {
+    if (!message || typeof message.type !== 'string') return
+
+    switch (message.type) {
+      case 'vako:shutdown':
+        this.shutdown(message.reason || 'master', message.timeout)
+        break
+      case 'vako:collect':
+        this.collectLocal(message.kind, message.options)
+          .then((data) =>
+            this.send({ type: 'vako:collected', id: message.id, data })
+          )
+          .catch((error) =>
+            this.send({
+              type: 'vako:collected',
+              id: message.id,
+              error: error.message,
+            })
+          )
+        break
+      case 'vako:aggregated': {
+        const pending = this.pending.get(message.id)
+        if (!pending) return
+        this.pending.delete(message.id)
+        clearTimeout(pending.timeoutId)
+        pending.resolve(message.entries)
+        break
+      }
+    }
+  }
+
+  send(message) {
+    if (process.connected) process.send(message)
+  }
+
+  // Données de ce worker demandées par le master
+  async collectLocal(kind, options = {}) {
+    if (kind === 'metrics') return this.app.metrics.snapshot()
+    if (kind === 'health') {
+      if (!this.app.health) throw new Error('Health checks désactivés')
+      return this.app.health.readiness(options.verbose)
+    }
+    throw new Error(`Collecte inconnue: ${kind}`)
+  }
+
+  /**
+   * Interroge tous les workers via le master.
+   * Retourne [{ worker, data }] ou [{ worker, error }] par worker.
+   */
+  aggregate(kind, options = {}, timeout = 5000) {
+    const id = ++this.requestId
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pending.delete(id)
+        reject(new Error(`Pas de réponse du master après ${timeout}ms`))
+      }, timeout + 1000)
+
+      this.pending.set(id, { resolve, reject, timeoutId })
+      this.send({ type: 'vako:aggregate', id, kind, options, timeout })
+    })
+  }
+
+  shutdown(reason, timeout) {
+    if (this.app.isShuttingDown) return
+
+    this.app.log('server', 'Arrêt du worker', `🔁 ${this.id} (${reason})`)
+    this.app
+      .stop(timeout ? { timeout } : {})
+      .then(() => process.exit(0))
+      .catch((error) => {
+        this.app.log('error', "Erreur lors de l'arrêt du worker", error.message)
+        process.exit(1)
+      })
+  }
+
+  destroy() {
+    process.removeListener('message', this.onMessage)
+    process.removeListener('disconnect', this.onDisconnect)
+    this.signalHandlers.forEach((handler, signal) => {
+      process.removeListener(signal, handler)
+    })
+    this.signalHandlers.clear()
+    this.pending.forEach(({ reject, timeoutId }) => {
+      clearTimeout(timeoutId)
+      reject(new Error('Worker arrêté'))
+    })
+    this.pending.clear()
+  }
+}
+
+module.exports = ClusterWorker
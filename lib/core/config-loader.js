@@ -0,0 +1,184 @@
+const path = require('path')
+const fs = require('fs')
+
+const schema = require('./config-schema')
+const { ConfigError } = require('./errors')
+
+const CONFIG_FILES = ['vako.config.js', 'vako.config.json']
+const DANGEROUS_PATH_PATTERNS = ['../', '..\\', '<', '>', '|', '?', '*']
+
+/**
+ * Chargement et validation de vako.config.js|json
+ */
+class ConfigLoader {
+  // Premier fichier de configuration présent à la racine du projet
+  static find(cwd = process.cwd()) {
+    for (const fileName of CONFIG_FILES) {
+      const filePath = path.join(cwd, fileName)
+      if (fs.existsSync(filePath)) return filePath
+    }
+    return null
+  }
+
+  /**
+   * Charge le fichier, applique les surcharges `env.<NODE_ENV>` puis valide.
+   * Retourne `{ config, filePath }`, avec une config vide si aucun fichier.
+   */
+  static load(options = {}) {
+    const cwd = options.cwd || process.cwd()
+    const env = options.env || process.env.NODE_ENV || 'development'
+    const filePath = options.file
+      ? path.resolve(cwd, options.file)
+      : ConfigLoader.find(cwd)
+
+    if (!filePath) return { config: {}, filePath: null }
+    if (!fs.existsSync(filePath)) {
+      throw new ConfigError('config', 'fichier introuvable', filePath)
+    }
+
+    const source = path.relative(cwd, filePath) || filePath
+    let fileConfig
+    try {
+      if (filePath.endsWith('.json')) {
+        fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      } else {
+        delete require.cache[require.resolve(filePath)]
+        fileConfig = require(filePath)
+      }
+    } catch (error) {
+      throw new ConfigError('config', error.message, source)
+    }
+
+    if (typeof fileConfig === 'function') fileConfig = fileConfig({ env })
+    if (!ConfigLoader.isPlainObject(fileConfig)) {
+      throw new ConfigError(
+        'config',
+        'le fichier doit exporter un objet',
+        source
+      )
+    }
+
+    const { env: envOverrides, ...baseConfig } = fileConfig
+    if (
+      envOverrides !== undefined &&
+      !ConfigLoader.isPlainObject(envOverrides)
+    ) {
+      throw new ConfigError('env', 'doit être un objet', source)
+    }
+
+    const config = ConfigLoader.merge(baseConfig, envOverrides?.[env] || {})
+    ConfigLoader.validate(config, { source })
+
+    return { config, filePath }
+  }
+
+  // Fusion profonde : les objets sont fusionnés, le reste est remplacé
+  static merge(base, override) {
+    const result = { ...base }
+    for (const [key, value] of Object.entries(override)) {
+      if (value === undefined) continue
+      result[key] =
+        ConfigLoader.isPlainObject(value) &&
+        ConfigLoader.isPlainObject(result[key])
+          ? ConfigLoader.merge(result[key], value)
+          : value
+    }
+    return result
+  }
+
+  /**
+   * Valide des options contre le schéma, lève une ConfigError nommant la clé
+   */
+  static validate(options, { source, spec = schema, key = '' } = {}) {
+    if (options === undefined) return
+    const fail = (message) => {
+      throw new ConfigError(key || 'options', message, source)
+    }
+
+    if (spec.orFalse && options === false) return
+    if (spec.orBoolean && typeof options === 'boolean') return
+
+    switch (spec.type) {
+      case 'any':
+        return
+      case 'function':
+        if (typeof options !== 'function') fail('doit être une fonction')
+        return
+      case 'port': {
+        const port = Number(options)
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+          fail('doit être un port entre 1 et 65535')
+        }
+        return
+      }
+      case 'path':
+        if (
+          typeof options !== 'string' ||
+          options.trim().length === 0 ||
+          DANGEROUS_PATH_PATTERNS.some((pattern) => options.includes(pattern))
+        ) {
+          fail('doit être un chemin relatif valide')
+        }
+        return
+      case 'string':
+        if (typeof options !== 'string') fail('doit être une chaîne')
+        return
+      case 'boolean':
+        if (typeof options !== 'boolean') fail('doit être un booléen')
+        return
+      case 'number':
+        if (typeof options !== 'number' || Number.isNaN(options)) {
+          fail('doit être un nombre')
+        }
+        if (spec.min !== undefined && options < spec.min) {
+          fail(`doit être supérieur ou égal à ${spec.min}`)
+        }
+        if (spec.max !== undefined && options > spec.max) {
+          fail(`doit être inférieur ou égal à ${spec.max}`)
+        }
+        return
+      case 'enum':
+        if (!spec.values.includes(options)) {
+          fail(`doit valoir ${spec.values.map((v) => `"${v}"`).join(', ')}`)
+        }
+        return
+      case 'array':
+        if (!Array.isArray(options)) fail('doit être un tableau')
+        options.forEach((item, index) =>
+          ConfigLoader.validate(item, {
+            source,
+            spec: spec.items,
+            key: `${key}[${index}]`,
+          })
+        )
+        return
+      case 'object':
+        if (!ConfigLoader.isPlainObject(options)) fail('doit être un objet')
+        for (const [name, value] of Object.entries(options)) {
+          const childKey = key ? `${key}.${name}` : name
+          if (!spec.properties[name]) {
+            if (spec.additionalProperties) continue
+            throw new ConfigError(childKey, 'option inconnue', source)
+          }
+          ConfigLoader.validate(value, {
+            source,
+            spec: spec.properties[name],
+            key: childKey,
+          })
+        }
+        return
+      default:
+        throw new Error(`Type de schéma inconnu: ${spec.type}`)
+    }
+  }
+
+  static isPlainObject(value) {
+    return (
+      value !== null &&
+      typeof value === 'object' &&
+      Object.getPrototypeOf(value) === Object.prototype
+    )
+  }
+}
+
+module.exports = ConfigLoader
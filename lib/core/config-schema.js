@@ -0,0 +1,266 @@
+/**
+ * Schéma des options de l'application.
+ *
+ * Il sert à valider `new App(options)` et vako.config.js, et à générer les
+ * interfaces de types/index.d.ts (scripts/generate-config-types.js).
+ * Types supportés : port, path, string, number, boolean, enum, array, object,
+ * function, any. `orFalse` accepte aussi `false` (fonctionnalité désactivée),
+ * `orBoolean` accepte `true` et `false` (valeurs par défaut ou désactivée).
+ * `additionalProperties` laisse passer les clés inconnues d'un objet (options
+ * transmises telles quelles à une bibliothèque : helmet, express-rate-limit).
+ */
+
+const paths = { type: 'array', items: { type: 'path' } }
+const strings = { type: 'array', items: { type: 'string' } }
+
+const schema = {
+  type: 'object',
+  tsName: 'VakoOptions',
+  properties: {
+    port: { type: 'port' },
+    wsPort: { type: 'port' },
+    viewsDir: { type: 'path' },
+    staticDir: { type: 'path' },
+    routesDir: { type: 'path' },
+    routeManifest: { type: 'path', orFalse: true },
+    isDev: { type: 'boolean' },
+    // Chemins ou contenus des certificats ; true en dev : certificat généré
+    https: {
+      type: 'object',
+      tsName: 'HttpsOptions',
+      orBoolean: true,
+      properties: {
+        key: { type: 'any', tsType: 'string | Buffer' },
+        cert: { type: 'any', tsType: 'string | Buffer' },
+        pfx: { type: 'any', tsType: 'string | Buffer' },
+        ca: { type: 'any', tsType: 'string | Buffer | (string | Buffer)[]' },
+        passphrase: { type: 'string' },
+      },
+    },
+    http2: { type: 'boolean' },
+    watchDirs: paths,
+    errorLog: { type: 'path' },
+    showStack: { type: 'boolean' },
+    autoInstall: { type: 'boolean' },
+    security: {
+      type: 'object',
+      tsName: 'SecurityOptions',
+      properties: {
+        // true : politique par défaut de Vako, objet : options de helmet()
+        helmet: {
+          type: 'object',
+          orBoolean: true,
+          additionalProperties: true,
+          tsType: 'Record<string, any>',
+          properties: {},
+        },
+        rateLimit: {
+          type: 'object',
+          tsName: 'RateLimitOptions',
+          orFalse: true,
+          additionalProperties: true,
+          properties: {
+            windowMs: { type: 'number', min: 0 },
+            max: { type: 'number', min: 0 },
+            message: { type: 'string' },
+            standardHeaders: { type: 'boolean' },
+            legacyHeaders: { type: 'boolean' },
+            skip: {
+              type: 'function',
+              tsType: '(req: Request, res: Response) => boolean',
+            },
+          },
+        },
+        cors: {
+          type: 'object',
+          tsName: 'CorsOptions',
+          orFalse: true,
+          properties: {
+            origin: {
+              type: 'any',
+              tsType: 'boolean | string | RegExp | (string | RegExp)[]',
+            },
+            credentials: { type: 'boolean' },
+            methods: strings,
+            allowedHeaders: strings,
+            exposedHeaders: strings,
+            maxAge: { type: 'number', min: 0 },
+            optionsSuccessStatus: { type: 'number', min: 200, max: 299 },
+          },
+        },
+      },
+    },
+    layouts: {
+      type: 'object',
+      tsName: 'LayoutOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        layoutsDir: { type: 'path' },
+        defaultLayout: { type: 'string' },
+        extension: { type: 'string' },
+        sections: strings,
+        cache: { type: 'boolean' },
+      },
+    },
+    plugins: {
+      type: 'object',
+      tsName: 'PluginOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        autoLoad: { type: 'boolean' },
+        pluginsDir: { type: 'path' },
+        whitelist: strings,
+        supportTypeScript: { type: 'boolean' },
+        maxRetries: { type: 'number', min: 0 },
+        timeout: { type: 'number', min: 0 },
+        devMode: { type: 'boolean' },
+        watchMode: { type: 'boolean' },
+        enableHooks: { type: 'boolean' },
+        enableAPI: { type: 'boolean' },
+        enableMetrics: { type: 'boolean' },
+        enableValidation: { type: 'boolean' },
+        allowHotReload: { type: 'boolean' },
+        enableSandbox: { type: 'boolean' },
+      },
+    },
+    prefetch: {
+      type: 'object',
+      tsName: 'PrefetchOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxConcurrent: { type: 'number', min: 1, max: 10 },
+        notifyUser: { type: 'boolean' },
+        cacheRoutes: { type: 'boolean' },
+        prefetchDelay: { type: 'number', min: 0 },
+      },
+    },
+    autoUpdater: {
+      type: 'object',
+      tsName: 'AutoUpdaterOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        checkOnStart: { type: 'boolean' },
+        autoUpdate: { type: 'boolean' },
+        updateChannel: { type: 'enum', values: ['stable', 'beta', 'alpha'] },
+        securityUpdates: { type: 'boolean' },
+        showNotifications: { type: 'boolean' },
+        backupCount: { type: 'number', min: 1 },
+        checkInterval: { type: 'number', min: 0 },
+      },
+    },
+    errors: {
+      type: 'object',
+      tsName: 'ErrorOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        viewsDir: { type: 'path' },
+        contextLines: { type: 'number', min: 0, max: 20 },
+      },
+    },
+    health: {
+      type: 'object',
+      tsName: 'HealthOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        path: { type: 'string' },
+        timeout: { type: 'number', min: 1 },
+        maxEventLoopLag: { type: 'number', min: 1 },
+        eventLoopWindow: { type: 'number', min: 1000 },
+      },
+    },
+    metrics: {
+      type: 'object',
+      tsName: 'MetricsOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        path: { type: 'string' },
+        protect: { type: 'boolean' },
+      },
+    },
+    docs: {
+      type: 'object',
+      tsName: 'DocsOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        path: { type: 'string' },
+        protect: { type: 'boolean' },
+        title: { type: 'string' },
+        version: { type: 'string' },
+      },
+    },
+    dynamicRoutes: {
+      type: 'object',
+      tsName: 'DynamicRoutesOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        path: { type: 'string' },
+        store: { type: 'enum', values: ['json', 'sqlite'], orFalse: true },
+        file: { type: 'path' },
+      },
+    },
+    versioning: {
+      type: 'object',
+      tsName: 'VersioningOptions',
+      properties: {
+        strategy: { type: 'enum', values: ['header', 'path', 'both'] },
+        header: { type: 'string' },
+        prefix: { type: 'string' },
+        default: { type: 'any', tsType: 'string | number' },
+        deprecated: {
+          type: 'any',
+          tsType: 'Record<string, boolean | DeprecationPolicy>',
+        },
+      },
+    },
+    sse: {
+      type: 'object',
+      tsName: 'SseOptions',
+      properties: {
+        heartbeat: { type: 'number', min: 0 },
+        retry: { type: 'number', min: 0 },
+        history: { type: 'number', min: 0 },
+        historyTtl: { type: 'number', min: 0 },
+      },
+    },
+    websockets: {
+      type: 'object',
+      tsName: 'WebSocketsOptions',
+      properties: {
+        maxPayload: { type: 'number', min: 1 },
+        pingInterval: { type: 'number', min: 0 },
+        origins: strings,
+      },
+    },
+    requestContext: {
+      type: 'object',
+      tsName: 'RequestContextOptions',
+      properties: {
+        enabled: { type: 'boolean' },
+        header: { type: 'string' },
+        trustHeader: { type: 'boolean' },
+      },
+    },
+    // Lu par `vako start` : nombre de workers et relance des workers
+    cluster: {
+      type: 'object',
+      tsName: 'ClusterOptions',
+      properties: {
+        workers: { type: 'any', tsType: "number | 'auto'" },
+        restartDelay: { type: 'number', min: 0 },
+        maxRestartDelay: { type: 'number', min: 0 },
+        shutdownTimeout: { type: 'number', min: 0 },
+      },
+    },
+    shutdown: {
+      type: 'object',
+      tsName: 'ShutdownOptions',
+      properties: {
+        timeout: { type: 'number', min: 0 },
+        handleSignals: { type: 'boolean' },
+        signals: { ...strings, tsType: 'NodeJS.Signals[]' },
+      },
+    },
+  },
+}
+
+module.exports = schema
@@ -0,0 +1,170 @@
+const express = require('express')
+const cors = require('cors')
+
+const schema = require('./config-schema')
+const ConfigLoader = require('./config-loader')
+
+const CORS_SPEC = schema.properties.security.properties.cors
+
+/**
+ * Politique CORS globale (security.cors) et politiques par route
+ */
+class CorsManager {
+  constructor(app, options = {}) {
+    this.app = app
+    this.globalPolicy = { ...options }
+    // Clé `${method}:${path}` → { method, path, policy, source }
+    this.routePolicies = new Map()
+    this.router = null
+    this.globalMiddleware = this.globalPolicy.origin
+      ? cors(this.globalPolicy)
+      : null
+
+    this.checkPolicy(this.globalPolicy, 'security.cors')
+    this.rebuild()
+  }
+
+  /**
+   * Middleware monté dans setupExpress : politique de la route si elle en a
+   * une, sinon politique globale
+   */
+  middleware() {
+    return (req, res, next) => {
+      // Version dans l'URL (/api/v2/users) : politique de la route /api/users
+      const originalUrl = req.url
+      const versioned = this.app.routeManager?.versioning.matchPrefix(req.url)
+      if (versioned) req.url = versioned.url
+
+      this.router(req, res, (err) => {
+        req.url = originalUrl
+        if (err) return next(err)
+        if (req.corsPolicyApplied || !this.globalMiddleware) return next()
+        this.globalMiddleware(req, res, next)
+      })
+    }
+  }
+
+  /**
+   * Politique propre à une route : objet d'options cors, `true` pour la
+   * politique globale, `false` pour désactiver CORS sur la route.
+   * La méthode `use` couvre toutes les routes sous un préfixe.
+   */
+  setRoutePolicy(method, routePath, policy, source) {
+    const key = `${method}:${routePath}`
+
+    if (policy === true || policy === undefined || policy === null) {
+      if (this.routePolicies.delete(key)) this.rebuild()
+      return
+    }
+
+    if (policy !== false) {
+      ConfigLoader.validate(policy, {
+        spec: CORS_SPEC,
+        key: 'security.cors',
+        source: source || `${method.toUpperCase()} ${routePath}`,
+      })
+    }
+
+    const resolved =
+      policy === false ? false : { ...this.globalPolicy, ...policy }
+    if (resolved) {
+      this.checkPolicy(resolved, `${method.toUpperCase()} ${routePath}`)
+    }
+
+    this.routePolicies.set(key, {
+      method,
+      path: routePath,
+      policy: resolved,
+      source,
+    })
+    this.rebuild()
+  }
+
+  removeRoutePolicy(method, routePath) {
+    if (this.routePolicies.delete(`${method}:${routePath}`)) this.rebuild()
+  }
+
+  // Retire les politiques déclarées par un fichier de routes (rechargement)
+  removeSourcePolicies(source) {
+    let removed = false
+    for (const [key, entry] of this.routePolicies) {
+      if (entry.source === source) {
+        this.routePolicies.delete(key)
+        removed = true
+      }
+    }
+    if (removed) this.rebuild()
+  }
+
+  /**
+   * Reconstruit le routeur interne : les preflight OPTIONS sont résolus avec
+   * la politique de la méthode annoncée dans Access-Control-Request-Method
+   */
+  rebuild() {
+    const router = express.Router()
+    const byPath = new Map()
+
+    for (const entry of this.routePolicies.values()) {
+      if (!byPath.has(entry.path)) byPath.set(entry.path, new Map())
+      byPath.get(entry.path).set(entry.method, entry.policy)
+    }
+
+    for (const [routePath, policies] of byPath) {
+      const handlers = new Map()
+      for (const [method, policy] of policies) {
+        handlers.set(method, policy ? cors(policy) : null)
+      }
+
+      const apply = (method) => (req, res, next) => {
+        req.corsPolicyApplied = true
+        const handler = handlers.get(method)
+        if (!handler) return next('router')
+        handler(req, res, (err) => (err ? next(err) : next('router')))
+      }
+
+      const preflight = (req, res, next) => {
+        const requested = (
+          req.get('Access-Control-Request-Method') || ''
+        ).toLowerCase()
+        const method = [requested, 'all', 'use'].find((m) => handlers.has(m))
+        if (!method || !req.get('Access-Control-Request-Method')) return next()
+        apply(method)(req, res, next)
+      }
+
+      if (handlers.has('use')) {
+        router.use(routePath, (req, res, next) =>
+          req.method === 'OPTIONS'
+            ? preflight(req, res, next)
+            : apply('use')(req, res, next)
+        )
+        continue
+      }
+
+      router.options(routePath, preflight)
+      for (const method of handlers.keys()) {
+        router[method](routePath, apply(method))
+      }
+    }
+
+    // Remplacement atomique, le middleware monté lit toujours this.router
+    this.router = router
+  }
+
+  // Avertissement de développement : credentials avec une origine joker
+  checkPolicy(policy, label) {
+    if (!this.app.options.isDev || !policy.credentials) return
+
+    const origins = Array.isArray(policy.origin)
+      ? policy.origin
+      : [policy.origin]
+    if (origins.some((origin) => origin === '*' || origin === true)) {
+      this.app.logger.log(
+        'warning',
+        'CORS credentials with wildcard origin',
+        `${label} → any site can send authenticated requests, list trusted origins instead`
+      )
+    }
+  }
+}
+
+module.exports = CorsManager
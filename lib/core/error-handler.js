@@ -0,0 +1,269 @@
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const ejs = require('ejs')
+
+const { HttpError } = require('./errors')
+
+// Icônes et libellés affichés par error/error.ejs selon le statut
+const ERROR_TYPES = {
+  400: { icon: '⚠️', en: 'Bad Request', fr: 'Requête invalide' },
+  401: { icon: '🔐', en: 'Unauthorized', fr: 'Authentification requise' },
+  403: { icon: '⛔', en: 'Forbidden', fr: 'Accès refusé' },
+  404: { icon: '🔍', en: 'Not Found', fr: 'Page introuvable' },
+  405: { icon: '🚫', en: 'Method Not Allowed', fr: 'Méthode non autorisée' },
+  408: { icon: '⏱️', en: 'Request Timeout', fr: 'Délai dépassé' },
+  413: { icon: '📦', en: 'Payload Too Large', fr: 'Requête trop volumineuse' },
+  429: { icon: '🐢', en: 'Too Many Requests', fr: 'Trop de requêtes' },
+  500: { icon: '💥', en: 'Server Error', fr: 'Erreur serveur' },
+  502: { icon: '🔌', en: 'Bad Gateway', fr: 'Passerelle invalide' },
+  503: { icon: '🚧', en: 'Service Unavailable', fr: 'Service indisponible' },
+  504: { icon: '⏳', en: 'Gateway Timeout', fr: 'Délai de passerelle dépassé' },
+}
+
+// Le template intégré charge Tailwind et ses polices depuis un CDN
+const ERROR_PAGE_CSP = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline' https://cdn.tailwindcss.com",
+  "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+  "font-src 'self' https://fonts.gstatic.com",
+  "img-src 'self' data:",
+].join('; ')
+
+class ErrorHandler {
+  constructor(app, options = {}) {
+    this.app = app
+    this.options = {
+      viewsDir: 'errors',
+      contextLines: 5,
+      ...options,
+    }
+    this.isProd = process.env.NODE_ENV === 'production'
+    this.templatePath = path.join(__dirname, '..', '..', 'error', 'error.ejs')
+    this.templateCache = new Map()
+    this.mounted = false
+
+    this.notFoundMiddleware = (req, res, next) => {
+      next(new HttpError(404, `Route introuvable: ${req.method} ${req.path}`))
+    }
+    this.errorMiddleware = (err, req, res, next) =>
+      this.handle(err, req, res, next)
+  }
+
+  /**
+   * Ajoute le gestionnaire 404 et le middleware d'erreur en fin de pile.
+   * Routes et middlewares applicatifs passent par des routers montés avant
+   * eux : ils n'ont pas à être replacés ensuite.
+   */
+  mount() {
+    if (this.mounted) return
+    this.app.app.use(this.notFoundMiddleware)
+    this.app.app.use(this.errorMiddleware)
+    this.mounted = true
+  }
+
+  /**
+   * Traitement d'une erreur : hooks, log puis réponse négociée
+   */
+  handle(err, req, res, next) {
+    const error = err instanceof Error ? err : new Error(String(err))
+    const status = HttpError.normalizeStatus(error.status || error.statusCode)
+
+    this.notifyPlugins(error, status, req, res)
+
+    if (status >= 500) {
+      this.app.logger.log(
+        'error',
+        'Request error',
+        `${req.method} ${req.originalUrl} → ${status} ${error.message}`
+      )
+    }
+
+    // Réponse déjà commencée : on laisse Express fermer la connexion
+    if (res.headersSent) {
+      return typeof next === 'function' ? next(error) : res.end()
+    }
+
+    try {
+      res.status(status)
+      if (Array.isArray(error.headers) || typeof error.headers === 'object') {
+        res.set(error.headers)
+      }
+
+      if (this.wantsJson(req)) {
+        return res.json(this.buildJsonBody(error, status))
+      }
+      return this.sendHtml(error, status, req, res)
+    } catch (renderError) {
+      this.app.logger.log(
+        'error',
+        'Error page rendering failed',
+        renderError.message
+      )
+      if (!res.headersSent) {
+        res.type('text/plain').send(this.publicMessage(error, status))
+      }
+    }
+  }
+
+  notifyPlugins(error, status, req, res) {
+    const plugins = this.app.plugins
+    if (!plugins) return
+
+    // Les hooks ne retardent pas la réponse
+    plugins.executeHook('error:handle', error, req, res).catch(() => {})
+    if (status >= 500) {
+      plugins.executeHook('error:critical', error, req).catch(() => {})
+    }
+  }
+
+  wantsJson(req) {
+    if (req.xhr) return true
+    const accepted = req.accepts(['html', 'json'])
+    if (accepted === 'json') return true
+    if (accepted === 'html') return false
+    return req.path.startsWith('/api/')
+  }
+
+  publicMessage(error, status) {
+    if (error.expose || status < 500 || !this.isProd) return error.message
+    return 'Une erreur interne est survenue'
+  }
+
+  buildJsonBody(error, status) {
+    const body = {
+      error: this.publicMessage(error, status),
+      status,
+    }
+    if (error.code) body.code = error.code
+    if (error.details !== undefined && (error.expose || !this.isProd)) {
+      body.details = error.details
+    }
+    if (this.app.options.showStack) body.stack = error.stack
+    return body
+  }
+
+  sendHtml(error, status, req, res) {
+    const locals = {
+      status,
+      message: this.publicMessage(error, status),
+      lang: this.detectLanguage(req),
+      env: this.isProd ? 'production' : 'development',
+      errorType: { icon: (ERROR_TYPES[status] || ERROR_TYPES[500]).icon },
+      errorTypeName: ERROR_TYPES[status] || ERROR_TYPES[500],
+      showStack: Boolean(this.app.options.showStack),
+      error: this.isProd ? { message: error.message } : error,
+      diagnostics: this.isProd ? null : this.collectDiagnostics(error),
+      request: { method: req.method, path: req.path },
+    }
+
+    // Page personnalisée par l'application : views/errors/<code>.ejs
+    const overridePath = this.resolveOverride(status)
+    if (overridePath) {
+      const html = this.compile(overridePath, !this.isProd)(locals)
+      return res.type('html').send(html)
+    }
+
+    res.setHeader('Content-Security-Policy', ERROR_PAGE_CSP)
+    const html = this.compile(this.templatePath, false)(locals)
+    return res.type('html').send(html)
+  }
+
+  resolveOverride(status) {
+    const viewsDir = path.resolve(process.cwd(), this.app.options.viewsDir)
+    const overridePath = path.join(
+      viewsDir,
+      this.options.viewsDir,
+      `${status}.ejs`
+    )
+    if (!overridePath.startsWith(viewsDir)) return null
+    return fs.existsSync(overridePath) ? overridePath : null
+  }
+
+  // Compilation synchrone et mise en cache des templates d'erreur
+  compile(templatePath, fresh) {
+    if (!fresh && this.templateCache.has(templatePath)) {
+      return this.templateCache.get(templatePath)
+    }
+    const template = fs.readFileSync(templatePath, 'utf8')
+    const fn = ejs.compile(template, { filename: templatePath })
+    this.templateCache.set(templatePath, fn)
+    return fn
+  }
+
+  detectLanguage(req) {
+    if (req.query && (req.query.lang === 'fr' || req.query.lang === 'en')) {
+      return req.query.lang
+    }
+    return req.acceptsLanguages('fr', 'en') === 'fr' ? 'fr' : 'en'
+  }
+
+  /**
+   * Diagnostics de développement : extrait du code source en erreur
+   */
+  collectDiagnostics(error) {
+    return {
+      codeContext: this.extractCodeContext(error),
+      platform: {
+        node: process.version,
+        os: `${os.type()} ${os.release()}`,
+      },
+      timestamp: new Date().toISOString(),
+    }
+  }
+
+  extractCodeContext(error) {
+    const frame = this.findSourceFrame(error.stack)
+    if (!frame) return null
+
+    try {
+      const lines = fs.readFileSync(frame.file, 'utf8').split(/\r?\n/)
+      const start = Math.max(0, frame.line - 1 - this.options.contextLines)
+      const end = Math.min(lines.length, frame.line + this.options.contextLines)
+
+      return {
+        file: path.relative(process.cwd(), frame.file),
+        line: frame.line,
+        column: frame.column,
+        codeLines: lines.slice(start, end).map((content, index) => {
+          const number = start + index + 1
+          return {
+            number,
+            content,
+            isError: number === frame.line,
+            highlightColumn:
+              number === frame.line ? frame.column - 1 : undefined,
+          }
+        }),
+      }
+    } catch {
+      return null
+    }
+  }
+
+  // Première frame de la stack appartenant au projet (hors node_modules)
+  findSourceFrame(stack) {
+    if (typeof stack !== 'string') return null
+    const framePattern = /\(?((?:[A-Za-z]:)?[\\/][^():]+):(\d+):(\d+)\)?$/
+    const cwd = process.cwd()
+    let fallback = null
+
+    for (const line of stack.split('\n').slice(1)) {
+      const match = line.trim().match(framePattern)
+      if (!match) continue
+      const frame = {
+        file: match[1],
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10),
+      }
+      if (!fs.existsSync(frame.file)) continue
+      if (!frame.file.includes('node_modules') && frame.file.startsWith(cwd)) {
+        return frame
+      }
+      if (!fallback) fallback = frame
+    }
+    return fallback
+  }
+}
+
+module.exports = ErrorHandler
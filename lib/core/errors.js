@@ -0,0 +1,54 @@
+const http = require('http')
+
+/**
+ * Erreur HTTP portant un code de statut, utilisée par le pipeline d'erreurs
+ */
+class HttpError extends Error {
+  constructor(status = 500, message, details) {
+    const statusCode = HttpError.normalizeStatus(status)
+    super(message || http.STATUS_CODES[statusCode] || 'Erreur')
+
+    this.name = 'HttpError'
+    this.status = statusCode
+    this.statusCode = statusCode
+    // Les erreurs 4xx peuvent être montrées telles quelles au client
+    this.expose = statusCode < 500
+    if (details !== undefined) this.details = details
+  }
+
+  static normalizeStatus(status) {
+    const code = parseInt(status, 10)
+    return code >= 400 && code <= 599 ? code : 500
+  }
+}
+
+/**
+ * Entrées de requête refusées par le schéma d'une route (400). details liste
+ * les erreurs : [{ location, field, message, rule }]
+ */
+class ValidationError extends HttpError {
+  constructor(errors = [], message = 'Requête invalide') {
+    super(400, message, errors)
+
+    this.name = 'ValidationError'
+    this.code = 'VALIDATION_ERROR'
+  }
+}
+
+/**
+ * Option de configuration invalide, identifiée par son chemin (ex: layouts.extension)
+ */
+class ConfigError extends Error {
+  constructor(key, message, source) {
+    super(
+      `Option de configuration invalide "${key}" : ${message}` +
+        (source ? ` (${source})` : '')
+    )
+
+    this.name = 'ConfigError'
+    this.key = key
+    if (source) this.source = source
+  }
+}
+
+module.exports = { HttpError, ValidationError, ConfigError }
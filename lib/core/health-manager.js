@@ -0,0 +1,286 @@
+const { monitorEventLoopDelay } = require('perf_hooks')
+
+/**
+ * Registre de health checks exposé sous /_vako/health/live et /ready
+ */
+class HealthManager {
+  constructor(app, options = {}) {
+    this.app = app
+    this.options = {
+      path: '/_vako/health',
+      timeout: 5000,
+      maxEventLoopLag: 200,
+      eventLoopWindow: 60000,
+      ...options,
+    }
+    // Nom → { check, critical, timeout }
+    this.checks = new Map()
+    this.startedAt = Date.now()
+    this.eventLoopMonitor = null
+    // p99 (ms) des tranches écoulées de la fenêtre glissante
+    this.eventLoopSamples = []
+    this.eventLoopTimer = null
+
+    this.registerBuiltinChecks()
+  }
+
+  /**
+   * Enregistre un check : la fonction peut retourner false, lever une erreur
+   * ou rejeter pour signaler un échec, ou un objet de détails en cas de succès.
+   * Un check non critique en échec rend l'application "degraded" sans la
+   * retirer du trafic.
+   */
+  register(name, check, options = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Le nom du health check doit être une chaîne non vide')
+    }
+    if (typeof check !== 'function') {
+      throw new Error(`Le health check "${name}" doit être une fonction`)
+    }
+
+    this.checks.set(name, {
+      check,
+      critical: options.critical ?? true,
+      timeout: Math.max(1, options.timeout || this.options.timeout),
+    })
+    return this
+  }
+
+  unregister(name) {
+    return this.checks.delete(name)
+  }
+
+  registerBuiltinChecks() {
+    // Base de l'authentification, seulement une fois le système activé
+    this.register(
+      'auth-database',
+      async () => {
+        if (!this.app.auth?.isEnabled) return { enabled: false }
+        await this.app.auth.ping()
+        return { enabled: true, type: this.app.auth.config.database.type }
+      },
+      { critical: true }
+    )
+
+    // Plugins dont le chargement a échoué
+    this.register(
+      'plugins',
+      () => {
+        const plugins = this.app.plugins
+        if (!plugins) return { enabled: false }
+
+        const failed = Array.from(plugins.errorCount.keys()).filter(
+          (name) => !plugins.plugins.has(name)
+        )
+        if (failed.length > 0) {
+          throw new Error(`Plugins en échec: ${failed.join(', ')}`)
+        }
+        return { loaded: plugins.plugins.size }
+      },
+      { critical: false }
+    )
+
+    // Latence de la boucle d'événements sur une fenêtre glissante
+    // (eventLoopWindow, en 6 tranches) : les sondes la lisent sans la remettre
+    // à zéro, des sondes rapprochées ne masquent donc pas une latence durable
+    this.eventLoopMonitor = monitorEventLoopDelay({ resolution: 20 })
+    this.eventLoopMonitor.enable()
+    const slots = 6
+    this.eventLoopTimer = setInterval(
+      () => {
+        this.eventLoopSamples.push(this.currentEventLoopLag())
+        if (this.eventLoopSamples.length > slots - 1) {
+          this.eventLoopSamples.shift()
+        }
+        this.eventLoopMonitor.reset()
+      },
+      Math.max(1000, Math.round(this.options.eventLoopWindow / slots))
+    )
+    this.eventLoopTimer.unref()
+    this.register(
+      'event-loop',
+      () => {
+        if (!this.eventLoopMonitor) return { enabled: false }
+        const lag = Math.max(
+          this.currentEventLoopLag(),
+          ...this.eventLoopSamples
+        )
+        if (lag > this.options.maxEventLoopLag) {
+          throw new Error(
+            `Latence de la boucle d'événements: ${lag}ms (max ${this.options.maxEventLoopLag}ms)`
+          )
+        }
+        return { lagMs: lag, windowMs: this.options.eventLoopWindow }
+      },
+      { critical: false }
+    )
+  }
+
+  // p99 de la tranche en cours, en ms (0 sans mesure)
+  currentEventLoopLag() {
+    return Math.round(this.eventLoopMonitor.percentile(99) / 1e6) || 0
+  }
+
+  async runCheck(name, entry) {
+    const start = Date.now()
+    let timeoutId = null
+
+    try {
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(
+          () => reject(new Error(`Timeout après ${entry.timeout}ms`)),
+          entry.timeout
+        )
+      })
+      const result = await Promise.race([
+        Promise.resolve().then(() => entry.check()),
+        timeoutPromise,
+      ])
+
+      if (result === false) throw new Error('Check en échec')
+      return {
+        name,
+        status: 'pass',
+        critical: entry.critical,
+        duration: Date.now() - start,
+        details: result && typeof result === 'object' ? result : undefined,
+      }
+    } catch (error) {
+      return {
+        name,
+        status: 'fail',
+        critical: entry.critical,
+        duration: Date.now() - start,
+        error: error.message,
+      }
+    } finally {
+      if (timeoutId) clearTimeout(timeoutId)
+    }
+  }
+
+  /**
+   * Exécute tous les checks en parallèle.
+   * Statut : "ok", "degraded" (non critique en échec) ou "fail".
+   */
+  async run() {
+    const results = await Promise.all(
+      Array.from(this.checks.entries()).map(([name, entry]) =>
+        this.runCheck(name, entry)
+      )
+    )
+
+    let status = 'ok'
+    if (this.app.isShuttingDown) {
+      status = 'fail'
+    } else if (results.some((r) => r.status === 'fail' && r.critical)) {
+      status = 'fail'
+    } else if (results.some((r) => r.status === 'fail')) {
+      status = 'degraded'
+    }
+
+    return { status, results }
+  }
+
+  liveness() {
+    return {
+      status: 'ok',
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      timestamp: new Date().toISOString(),
+    }
+  }
+
+  async readiness(verbose = false) {
+    const { status, results } = await this.run()
+    const report = {
+      status,
+      shuttingDown: this.app.isShuttingDown,
+      timestamp: new Date().toISOString(),
+      checks: {},
+    }
+
+    for (const result of results) {
+      const { name, ...detail } = result
+      report.checks[name] = verbose ? detail : { status: detail.status }
+    }
+
+    if (verbose) {
+      report.uptime = Math.round((Date.now() - this.startedAt) / 1000)
+      report.memory = process.memoryUsage()
+      report.node = process.version
+    }
+
+    return report
+  }
+
+  /**
+   * Readiness de tous les workers du cluster, interrogés par le master.
+   * "fail" seulement si aucun worker ne peut servir de trafic.
+   */
+  async clusterReadiness(verbose = false) {
+    const entries = await this.app.clusterWorker.aggregate(
+      'health',
+      { verbose },
+      this.options.timeout + 1000
+    )
+
+    const report = {
+      status: 'ok',
+      shuttingDown: this.app.isShuttingDown,
+      timestamp: new Date().toISOString(),
+      workers: {},
+    }
+    let serving = 0
+
+    for (const { worker, data, error } of entries) {
+      const status = error ? 'fail' : data.status
+      if (status !== 'fail') serving++
+      if (status !== 'ok') report.status = 'degraded'
+      report.workers[worker] = verbose ? data || { status, error } : { status }
+    }
+    if (serving === 0) report.status = 'fail'
+
+    return report
+  }
+
+  /**
+   * Routes de sonde. La vue détaillée (?verbose) passe par le garde admin.
+   */
+  setupRoutes(adminGuard) {
+    const basePath = this.options.path
+
+    this.app.app.get(`${basePath}/live`, (req, res) => {
+      res.set('Cache-Control', 'no-store').json(this.liveness())
+    })
+
+    this.app.app.get(
+      `${basePath}/ready`,
+      (req, res, next) =>
+        req.query.verbose !== undefined ? adminGuard(req, res, next) : next(),
+      async (req, res, next) => {
+        try {
+          const verbose = req.query.verbose !== undefined
+          const report = this.app.clusterWorker
+            ? await this.clusterReadiness(verbose)
+            : await this.readiness(verbose)
+          res
+            .status(report.status === 'fail' ? 503 : 200)
+            .set('Cache-Control', 'no-store')
+            .json(report)
+        } catch (error) {
+          next(error)
+        }
+      }
+    )
+  }
+
+  destroy() {
+    clearInterval(this.eventLoopTimer)
+    this.eventLoopTimer = null
+    if (this.eventLoopMonitor) {
+      this.eventLoopMonitor.disable()
+      this.eventLoopMonitor = null
+    }
+  }
+}
+
+module.exports = HealthManager
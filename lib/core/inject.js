@@ -0,0 +1,196 @@
+const http = require('http')
+const { Duplex } = require('stream')
+const querystring = require('querystring')
+
+/**
+ * Injection de requêtes en mémoire : la requête traverse toute la pile
+ * Express (middlewares, layouts, sessions, plugins) sans ouvrir de port.
+ */
+
+// Socket factice : les écritures de ServerResponse sont ignorées, le corps
+// est capturé par createResponse()
+function createSocket(remoteAddress) {
+  const socket = new Duplex({
+    read() {},
+    write(chunk, encoding, callback) {
+      callback()
+    },
+  })
+  socket.remoteAddress = remoteAddress
+  socket.remotePort = 0
+  socket.remoteFamily = remoteAddress.includes(':') ? 'IPv6' : 'IPv4'
+  socket.encrypted = false
+  socket.setTimeout = () => socket
+  socket.setNoDelay = () => socket
+  socket.setKeepAlive = () => socket
+  return socket
+}
+
+/**
+ * Réponse qui capture le corps. Les méthodes sont posées sur l'instance car
+ * Express remplace le prototype de `res` par app.response.
+ */
+function createResponse(req, socket) {
+  const res = new http.ServerResponse(req)
+  const chunks = []
+  const originalEnd = res.end
+
+  res.assignSocket(socket)
+
+  res.write = function (chunk, encoding, callback) {
+    if (typeof encoding === 'function') {
+      callback = encoding
+      encoding = undefined
+    }
+    if (!this.headersSent) this._implicitHeader()
+    if (chunk !== undefined && chunk !== null && req.method !== 'HEAD') {
+      chunks.push(
+        Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding || 'utf8')
+      )
+    }
+    if (callback) process.nextTick(callback)
+    return true
+  }
+
+  res.end = function (chunk, encoding, callback) {
+    if (typeof chunk === 'function') {
+      callback = chunk
+      chunk = undefined
+    } else if (typeof encoding === 'function') {
+      callback = encoding
+      encoding = undefined
+    }
+    if (chunk !== undefined && chunk !== null) this.write(chunk, encoding)
+    if (!this.headersSent) this._implicitHeader()
+    return originalEnd.call(this, callback)
+  }
+
+  return { res, getPayload: () => Buffer.concat(chunks) }
+}
+
+function buildUrl(url = '/', query) {
+  if (!query || Object.keys(query).length === 0) return url
+  const separator = url.includes('?') ? '&' : '?'
+  return `${url}${separator}${querystring.stringify(query)}`
+}
+
+function buildPayload(payload, headers) {
+  if (payload === undefined || payload === null) return null
+  if (Buffer.isBuffer(payload)) return payload
+  if (typeof payload === 'string') return Buffer.from(payload)
+
+  if (!headers['content-type']) headers['content-type'] = 'application/json'
+  const contentType = headers['content-type']
+  if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    return Buffer.from(querystring.stringify(payload))
+  }
+  return Buffer.from(JSON.stringify(payload))
+}
+
+// Set-Cookie → [{ name, value, ...attributs }]
+function parseSetCookie(header) {
+  if (!header) return []
+  const list = Array.isArray(header) ? header : [header]
+  return list.map((cookie) => {
+    const [pair, ...attributes] = cookie.split(';')
+    const index = pair.indexOf('=')
+    const parsed = {
+      name: pair.slice(0, index).trim(),
+      value: decodeURIComponent(pair.slice(index + 1).trim()),
+    }
+    attributes.forEach((attribute) => {
+      const [key, ...rest] = attribute.trim().split('=')
+      const name = key.toLowerCase()
+      parsed[name === 'httponly' ? 'httpOnly' : name] =
+        rest.length > 0 ? rest.join('=') : true
+    })
+    return parsed
+  })
+}
+
+/**
+ * Exécute `handler(req, res)` sur une requête simulée.
+ * Options : method, url, query, headers, payload, cookies, remoteAddress, timeout.
+ */
+function inject(handler, options = {}) {
+  if (typeof options === 'string') options = { url: options }
+
+  const headers = {}
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    headers[name.toLowerCase()] = String(value)
+  }
+  const body = buildPayload(options.payload, headers)
+
+  if (options.cookies && Object.keys(options.cookies).length > 0) {
+    const cookies = Object.entries(options.cookies).map(
+      ([name, value]) => `${name}=${encodeURIComponent(value)}`
+    )
+    headers.cookie = [headers.cookie, ...cookies].filter(Boolean).join('; ')
+  }
+  if (!headers.host) headers.host = 'localhost'
+  if (!headers['user-agent']) headers['user-agent'] = 'vako-inject'
+  if (body) headers['content-length'] = String(body.length)
+
+  const socket = createSocket(options.remoteAddress || '127.0.0.1')
+  const req = new http.IncomingMessage(socket)
+  req.method = (options.method || 'GET').toUpperCase()
+  req.url = buildUrl(options.url, options.query)
+  req.httpVersionMajor = 1
+  req.httpVersionMinor = 1
+  req.httpVersion = '1.1'
+  req.headers = headers
+  req.rawHeaders = Object.entries(headers).flat()
+
+  const { res, getPayload } = createResponse(req, socket)
+
+  return new Promise((resolve, reject) => {
+    let timeoutId = null
+    if (options.timeout) {
+      timeoutId = setTimeout(() => {
+        reject(
+          new Error(
+            `Aucune réponse après ${options.timeout}ms: ${req.method} ${req.url}`
+          )
+        )
+      }, options.timeout)
+    }
+
+    res.once('finish', () => {
+      clearTimeout(timeoutId)
+      const rawPayload = getPayload()
+      const responseHeaders = res.getHeaders()
+      const contentType = String(responseHeaders['content-type'] || '')
+      const response = {
+        statusCode: res.statusCode,
+        status: res.statusCode,
+        statusMessage: res.statusMessage,
+        headers: responseHeaders,
+        rawPayload,
+        body: rawPayload.toString('utf8'),
+        cookies: parseSetCookie(responseHeaders['set-cookie']),
+        json: undefined,
+      }
+
+      if (contentType.includes('json') && response.body.length > 0) {
+        try {
+          response.json = JSON.parse(response.body)
+        } catch {}
+      }
+      resolve(response)
+    })
+
+    try {
+      handler(req, res)
+    } catch (error) {
+      clearTimeout(timeoutId)
+      return reject(error)
+    }
+
+    // Corps de la requête lu par les body parsers comme un flux normal
+    if (body) req.push(body)
+    req.push(null)
+    req.complete = true
+  })
+}
+
+module.exports = { inject, parseSetCookie }
@@ -3,6 +3,8 @@ const path = require('path')
 const util = require('util')
 const chalk = require('chalk')
 
+const { currentContext } = require('./request-context')
+
 class Logger {
   constructor(options = {}) {
     this.options = options
@@ -60,12 +62,16 @@ class Logger {
       }
     }
 
-    const logLine = `${prefix} ${style.badge} ${style.text(message)} ${chalk.dim(formattedDetails)}`
+    // Identifiant de la requête en cours, pour corréler les lignes d'un appel
+    const context = currentContext()
+    const requestTag = context ? `[${context.id}] ` : ''
+
+    const logLine = `${prefix} ${style.badge} ${chalk.gray(requestTag)}${style.text(message)} ${chalk.dim(formattedDetails)}`
     console.log(logLine)
 
     // FIX: Écrire les erreurs dans le fichier de log si configuré
     if (this.logFile && (type === 'error' || type === 'warning')) {
-      const cleanLine = `[${timestamp}] [${type.toUpperCase()}] ${message} ${formattedDetails}\n`
+      const cleanLine = `[${timestamp}] [${type.toUpperCase()}] ${requestTag}${message} ${formattedDetails}\n`
       fs.appendFile(this.logFile, cleanLine, (err) => {
         if (err) console.error('Failed to write to error log file', err)
       })
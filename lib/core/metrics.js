@@ -0,0 +1,308 @@
+/**
+ * Registre de métriques au format texte Prometheus (exposé sur /_vako/metrics)
+ */
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+]
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"')
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!METRIC_NAME.test(name)) {
+      throw new Error(`Nom de métrique invalide: ${name}`)
+    }
+    labelNames.forEach((label) => {
+      if (!LABEL_NAME.test(label) || label === 'le') {
+        throw new Error(`Label invalide pour ${name}: ${label}`)
+      }
+    })
+
+    this.type = type
+    this.name = name
+    this.help = help || name
+    this.labelNames = labelNames
+    // Clé des labels sérialisés → série
+    this.series = new Map()
+  }
+
+  // Ne garde que les labels déclarés, dans l'ordre de déclaration
+  resolveLabels(labels = {}) {
+    const resolved = {}
+    for (const label of this.labelNames) {
+      resolved[label] = labels[label] === undefined ? '' : String(labels[label])
+    }
+    return resolved
+  }
+
+  getSeries(labels, create) {
+    const resolved = this.resolveLabels(labels)
+    const key = JSON.stringify(resolved)
+    if (!this.series.has(key)) this.series.set(key, create(resolved))
+    return this.series.get(key)
+  }
+
+  reset() {
+    this.series.clear()
+  }
+
+  // État sérialisable, transmis au master en mode cluster
+  snapshot() {
+    return {
+      type: this.type,
+      name: this.name,
+      help: this.help,
+      labelNames: this.labelNames,
+      series: Array.from(this.series.values()),
+    }
+  }
+
+  // Réinjecte une série issue d'un snapshot
+  restore(labels, data) {
+    this.getSeries(labels, (resolved) => ({ ...data, labels: resolved }))
+  }
+
+  header() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\n/g, ' ')}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ]
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames)
+  }
+
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') return this.inc({}, labels)
+    if (value < 0) throw new Error('Un compteur ne peut que croître')
+    this.getSeries(labels, (resolved) => ({
+      labels: resolved,
+      value: 0,
+    })).value += value
+  }
+
+  render() {
+    const lines = this.header()
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    }
+    return lines
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, options = {}) {
+    super('gauge', name, help, labelNames)
+    // Valeur calculée au moment du scrape
+    this.collect = options.collect || null
+  }
+
+  set(labels = {}, value) {
+    if (typeof labels === 'number') return this.set({}, labels)
+    this.getSeries(labels, (resolved) => ({
+      labels: resolved,
+      value: 0,
+    })).value = value
+  }
+
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') return this.inc({}, labels)
+    this.getSeries(labels, (resolved) => ({
+      labels: resolved,
+      value: 0,
+    })).value += value
+  }
+
+  dec(labels = {}, value = 1) {
+    if (typeof labels === 'number') return this.dec({}, labels)
+    this.inc(labels, -value)
+  }
+
+  refresh() {
+    if (!this.collect) return
+    const collected = this.collect()
+    if (typeof collected === 'number') this.set(collected)
+  }
+
+  snapshot() {
+    this.refresh()
+    return super.snapshot()
+  }
+
+  render() {
+    this.refresh()
+    const lines = this.header()
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    }
+    return lines
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, options = {}) {
+    super('histogram', name, help, labelNames)
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort(
+      (a, b) => a - b
+    )
+  }
+
+  observe(labels = {}, value) {
+    if (typeof labels === 'number') return this.observe({}, labels)
+    const series = this.getSeries(labels, (resolved) => ({
+      labels: resolved,
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }))
+
+    series.sum += value
+    series.count++
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++
+    }
+  }
+
+  snapshot() {
+    return { ...super.snapshot(), buckets: this.buckets }
+  }
+
+  // Chronomètre : appeler la fonction retournée pour enregistrer la durée
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint()
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9
+      this.observe({ ...labels, ...extraLabels }, seconds)
+      return seconds
+    }
+  }
+
+  render() {
+    const lines = this.header()
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bucket, i) => {
+        const bucketLabels = formatLabels({
+          ...labels,
+          le: formatValue(bucket),
+        })
+        lines.push(`${this.name}_bucket${bucketLabels} ${counts[i]}`)
+      })
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`
+      )
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`)
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`)
+    }
+    return lines
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map()
+  }
+
+  /**
+   * Enregistre une métrique. Réenregistrer le même nom avec le même type
+   * retourne l'instance existante (rechargement de plugin).
+   */
+  register(metric) {
+    const existing = this.metrics.get(metric.name)
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(
+          `La métrique ${metric.name} existe déjà avec le type ${existing.type}`
+        )
+      }
+      return existing
+    }
+    this.metrics.set(metric.name, metric)
+    return metric
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames))
+  }
+
+  gauge(name, help, labelNames = [], options = {}) {
+    return this.register(new Gauge(name, help, labelNames, options))
+  }
+
+  histogram(name, help, labelNames = [], options = {}) {
+    return this.register(new Histogram(name, help, labelNames, options))
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null
+  }
+
+  unregister(name) {
+    return this.metrics.delete(name)
+  }
+
+  render() {
+    const lines = []
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render())
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  snapshot() {
+    return Array.from(this.metrics.values()).map((metric) => metric.snapshot())
+  }
+
+  /**
+   * Registre fusionné à partir des snapshots de plusieurs process :
+   * entries = [{ labels: { worker: '1' }, metrics: snapshot }]. Les labels
+   * de l'entrée sont ajoutés à chaque série.
+   */
+  static merge(entries) {
+    const registry = new MetricsRegistry()
+
+    for (const { labels = {}, metrics } of entries) {
+      for (const data of metrics) {
+        const labelNames = [...Object.keys(labels), ...data.labelNames]
+        const options = data.buckets ? { buckets: data.buckets } : {}
+        const metric = registry[data.type](
+          data.name,
+          data.help,
+          labelNames,
+          options
+        )
+        for (const series of data.series) {
+          metric.restore({ ...series.labels, ...labels }, series)
+        }
+      }
+    }
+
+    return registry
+  }
+}
+
+MetricsRegistry.contentType = 'text/plain; version=0.0.4; charset=utf-8'
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram }
@@ -0,0 +1,95 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks')
+const crypto = require('crypto')
+
+/**
+ * Contexte de requête propagé par AsyncLocalStorage : le logger, les plugins
+ * et le code appelé par un handler retrouvent la requête en cours sans la
+ * recevoir en paramètre.
+ */
+
+// Stockage partagé par toutes les instances, lu par Logger.log
+const storage = new AsyncLocalStorage()
+
+// Identifiants acceptés depuis l'en-tête entrant (UUID, ids de proxy, traces)
+const REQUEST_ID = /^[\w\-.:@]{1,128}$/
+
+class RequestContext {
+  constructor(req, id) {
+    this.id = id
+    this.method = req.method
+    this.path = req.path
+    this.startedAt = Date.now()
+    // État partagé entre middlewares, handler, vues et hooks de plugins
+    this.state = new Map()
+  }
+
+  get(key) {
+    return this.state.get(key)
+  }
+
+  set(key, value) {
+    this.state.set(key, value)
+    return this
+  }
+
+  has(key) {
+    return this.state.has(key)
+  }
+
+  elapsed() {
+    return Date.now() - this.startedAt
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      method: this.method,
+      path: this.path,
+      startedAt: new Date(this.startedAt).toISOString(),
+      state: Object.fromEntries(this.state),
+    }
+  }
+}
+
+/**
+ * Premier middleware de la pile : reprend l'identifiant entrant s'il est
+ * valide, sinon en génère un, et le renvoie dans la réponse
+ */
+function contextMiddleware(options = {}) {
+  const header = options.header || 'X-Request-Id'
+  const trustHeader = options.trustHeader ?? true
+
+  return (req, res, next) => {
+    const incoming = trustHeader ? req.get(header) : undefined
+    const id =
+      incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID()
+    const context = new RequestContext(req, id)
+
+    req.id = id
+    req.context = context
+    res.locals.requestId = id
+    res.locals.context = context
+    res.setHeader(header, id)
+
+    storage.run(context, next)
+  }
+}
+
+function currentContext() {
+  return storage.getStore() || null
+}
+
+/**
+ * Les body parsers reprennent la main depuis les événements du socket, hors
+ * du contexte : next est rattaché au contexte de la requête
+ */
+function bindContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next))
+}
+
+module.exports = {
+  RequestContext,
+  contextMiddleware,
+  currentContext,
+  bindContext,
+}
@@ -1,5 +1,6 @@
 const path = require('path')
 const fs = require('fs')
+const https = require('https')
 
 let chokidar, WebSocket
 
@@ -17,6 +18,8 @@ class DevServer {
     this.app = app
     this.options = options
     this.wss = null
+    // Serveur TLS du WebSocket quand l'app est servie en HTTPS
+    this.wsServer = null
     this.watchers = []
   }
 
@@ -39,9 +42,17 @@ class DevServer {
     }
 
     // Prevent EADDRINUSE if setup() is called multiple times
-    if (this.wss) this.wss.close()
-
-    this.wss = new WebSocket.Server({ port: this.options.wsPort })
+    this.closeWebSocketServer()
+
+    // App en HTTPS : wss:// sur le même certificat, sinon le navigateur
+    // bloque la connexion (contenu mixte)
+    if (this.app.tlsOptions) {
+      this.wsServer = https.createServer(this.app.tlsOptions)
+      this.wss = new WebSocket.Server({ server: this.wsServer })
+      this.wsServer.listen(this.options.wsPort)
+    } else {
+      this.wss = new WebSocket.Server({ port: this.options.wsPort })
+    }
 
     this.wss.on('connection', (ws) => {
       this.app.logger.log(
@@ -113,7 +124,12 @@ class DevServer {
     const relativePath = path.relative(process.cwd(), filePath)
     this.app.logger.log('file', 'File modified', `📝 ${relativePath}`)
 
-    if (this.isRouteFile(filePath)) {
+    if (
+      this.isRouteFile(filePath) &&
+      path.basename(filePath) === '_middleware.js'
+    ) {
+      this.reloadDirectoryMiddleware(filePath)
+    } else if (this.isRouteFile(filePath)) {
       this.reloadSpecificRoute(filePath)
     } else if (this.isViewFile(filePath)) {
       this.broadcast({ type: 'view-reload', file: relativePath })
@@ -150,11 +166,14 @@ class DevServer {
 
   reloadSpecificRoute(filePath) {
     try {
-      delete require.cache[require.resolve(filePath)]
-      this.removeRouteFromExpress(filePath)
-
-      const routesPath = path.join(process.cwd(), this.options.routesDir)
-      this.app.routeManager.loadRouteFile(filePath, routesPath)
+      // Fichier supprimé : ses routes sont retirées ; sinon les nouvelles
+      // remplacent les anciennes d'un bloc (conservées si le chargement échoue)
+      if (!fs.existsSync(filePath)) {
+        this.app.routeManager.unloadRouteFile(filePath)
+      } else {
+        const routesPath = path.join(process.cwd(), this.options.routesDir)
+        this.app.routeManager.loadRouteFile(filePath, routesPath)
+      }
 
       const relativePath = path.relative(process.cwd(), filePath)
       this.app.logger.log('reload', 'Route reloaded', `🔄 ${relativePath}`)
@@ -170,24 +189,18 @@ class DevServer {
     }
   }
 
-  removeRouteFromExpress(filePath) {
-    const routePath = this.app.routeManager.routeMap.get(filePath)
-
-    if (routePath && this.app.app._router) {
-      this.app.app._router.stack = this.app.app._router.stack.filter(
-        (layer) => {
-          if (layer.route && layer.route.path === routePath) {
-            this.app.logger.log(
-              'dev',
-              'Route removed from router',
-              `🗑️ ${routePath}`
-            )
-            return false
-          }
-          return true
-        }
-      )
-    }
+  // Recharge les routes qui héritent d'un _middleware.js modifié
+  reloadDirectoryMiddleware(filePath) {
+    const relativePath = path.relative(process.cwd(), filePath)
+    const affected =
+      this.app.routeManager.invalidateDirectoryMiddleware(filePath)
+
+    affected.forEach((routeFile) => this.reloadSpecificRoute(routeFile))
+    this.app.logger.log(
+      'reload',
+      'Middleware reloaded',
+      `🔄 ${relativePath} → ${affected.length} route(s)`
+    )
   }
 
   sendAvailableRoutes(ws) {
@@ -213,19 +226,9 @@ class DevServer {
 
   collectAvailableRoutes() {
     const routes = ['/']
-    try {
-      const stack = this.app.app._router?.stack || []
-      stack.forEach((layer) => {
-        if (layer.route) {
-          const routePath = layer.route.path
-          if (routePath && !routes.includes(routePath)) {
-            routes.push(routePath)
-          }
-        }
-      })
-    } catch (error) {
-      // Ignore errors
-    }
+    this.app.routeManager.routeTable.forEach((entry) => {
+      if (entry.method !== 'use') routes.push(entry.path)
+    })
     return [...new Set(routes)]
   }
 
@@ -269,7 +272,7 @@ class DevServer {
               (function() {
                 let ws;
                 function connect() {
-                  ws = new WebSocket('ws://localhost:${self.options.wsPort}');
+                  ws = new WebSocket('${self.app.tlsOptions ? 'wss' : 'ws'}://localhost:${self.options.wsPort}');
 
                   ws.onopen = () => console.log('🔗 Vako connected');
                   ws.onmessage = (event) => {
@@ -325,12 +328,20 @@ class DevServer {
     this.watchers.forEach((watcher) => watcher.close())
     this.watchers = []
 
+    this.closeWebSocketServer()
+
+    this.app.logger.log('dev', 'Development server stopped', '🛑')
+  }
+
+  closeWebSocketServer() {
     if (this.wss) {
       this.wss.close()
       this.wss = null
     }
-
-    this.app.logger.log('dev', 'Development server stopped', '🛑')
+    if (this.wsServer) {
+      this.wsServer.close()
+      this.wsServer = null
+    }
   }
 }
 
@@ -1,6 +1,9 @@
 const path = require('path')
 const fs = require('fs')
 
+// Parent d'un layout, déclaré en tête de fichier : <%# extends: main %>
+const EXTENDS_PATTERN = /^\s*<%#\s*extends:\s*([\w-]+)\s*%>/
+
 class LayoutManager {
   constructor(app, options = {}) {
     this.app = app
@@ -10,6 +13,7 @@ class LayoutManager {
       extension: '.ejs',
       ...options,
     }
+    // Layouts lus : nom → { path, parent, mtimeMs }
     this.layoutCache = new Map()
 
     // Verrou pour éviter les race conditions lors de la création de layouts
@@ -211,19 +215,38 @@ class LayoutManager {
     callback
   ) {
     try {
-      // Rendu de la vue en contenu
-      const content = await this.renderViewToString(view, data)
+      // Rendu de la vue en contenu, avec res.locals comme le rendu Express
+      const content = await this.renderViewToString(
+        view,
+        this.templateData(res, data)
+      )
       data.sections.content = content
+      this.collectSections(res, data)
 
       const layoutPath = this.getLayoutPath(layoutName)
 
-      if (await this.layoutExists(layoutPath)) {
-        originalRender.call(res, layoutPath, data, callback)
-      } else {
+      if (!(await this.layoutExists(layoutPath))) {
         // Utilisation du verrou pour éviter la création multiple
         await this.createDefaultLayoutAsync(layoutName)
-        originalRender.call(res, layoutPath, data, callback)
       }
+
+      // Layouts imbriqués : chaque layout devient le contenu de son parent,
+      // seul le plus extérieur passe par le rendu Express
+      const chain = await this.resolveLayoutChain(layoutName)
+      for (const name of chain.slice(0, -1)) {
+        data.sections.content = await this.renderTemplateToString(
+          this.getLayoutPath(name),
+          this.templateData(res, data)
+        )
+        this.collectSections(res, data)
+      }
+
+      originalRender.call(
+        res,
+        this.getLayoutPath(chain[chain.length - 1]),
+        data,
+        callback
+      )
     } catch (error) {
       this.handleRenderError(error, res, view, data, originalRender, callback)
     }
@@ -233,16 +256,19 @@ class LayoutManager {
    * Rendu de vue en chaîne de caractères avec gestion d'erreur (NON-BLOQUANT)
    */
   async renderViewToString(view, data) {
-    const viewPath = this.resolveViewPath(view)
+    return this.renderTemplateToString(this.resolveViewPath(view), data)
+  }
 
+  // Rendu d'un fichier EJS (vue ou layout intermédiaire)
+  async renderTemplateToString(filePath, data) {
     try {
       const ejs = require('ejs')
       // FIX: Utilisation de fs.promises.readFile au lieu de readFileSync pour ne pas bloquer l'event loop
-      const template = await fs.promises.readFile(viewPath, 'utf8')
+      const template = await fs.promises.readFile(filePath, 'utf8')
 
       // Options sécurisées pour EJS (sans double échappement)
       const ejsOptions = {
-        filename: viewPath,
+        filename: filePath,
         rmWhitespace: true,
       }
 
@@ -252,6 +278,91 @@ class LayoutManager {
     }
   }
 
+  /**
+   * Données d'une vue ou d'un layout intermédiaire : res.locals et data, avec
+   * les helpers layout.section(), layout.css()… à la place des options layout
+   */
+  templateData(res, data) {
+    return { ...res.locals, ...data, layout: res.locals.layout ?? data.layout }
+  }
+
+  /**
+   * Sections déclarées par layout.section() pendant un rendu : elles remontent
+   * vers les layouts extérieurs, la déclaration la plus intérieure l'emportant
+   */
+  collectSections(res, data) {
+    const declared = res.locals.sections || {}
+    for (const [name, value] of Object.entries(declared)) {
+      if (name !== 'content' && !(name in data.sections)) {
+        data.sections[name] = value
+      }
+    }
+    res.locals.sections = {}
+  }
+
+  /**
+   * Chaîne d'héritage d'un layout, du plus intérieur au plus extérieur :
+   * admin.ejs commençant par <%# extends: main %> → ['admin', 'main'].
+   * La profondeur est limitée à maxNestingDepth et les cycles sont refusés.
+   */
+  async resolveLayoutChain(layoutName) {
+    const chain = []
+    let name = layoutName
+    while (name) {
+      if (chain.includes(name)) {
+        throw new Error(
+          `Héritage de layouts circulaire : ${[...chain, name].join(' → ')}`
+        )
+      }
+      if (chain.length >= this.securityConfig.maxNestingDepth) {
+        throw new Error(
+          `Héritage de layouts trop profond (max ${this.securityConfig.maxNestingDepth}) : ${chain.join(' → ')} → ${name}`
+        )
+      }
+
+      const layout = await this.loadLayoutInfo(name)
+      if (!layout) {
+        throw new Error(
+          `Layout parent introuvable : ${name} (étendu par ${chain[chain.length - 1]})`
+        )
+      }
+      chain.push(name)
+      name = layout.parent
+    }
+    return chain
+  }
+
+  /**
+   * Chemin et parent d'un layout, null s'il n'existe pas. Le cache suit la
+   * date du fichier : un layout modifié (extends ajouté ou retiré) est relu.
+   */
+  async loadLayoutInfo(layoutName) {
+    const layoutPath = this.getLayoutPath(layoutName)
+    let stat
+    let template
+    try {
+      stat = await fs.promises.stat(layoutPath)
+      const cached = this.layoutCache.get(layoutName)
+      if (cached && cached.mtimeMs === stat.mtimeMs) return cached
+      template = await fs.promises.readFile(layoutPath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.layoutCache.delete(layoutName)
+        return null
+      }
+      throw error
+    }
+
+    const match = EXTENDS_PATTERN.exec(template)
+    const layout = {
+      path: layoutPath,
+      parent: match ? this.sanitizeLayoutName(match[1]) : null,
+      mtimeMs: stat.mtimeMs,
+    }
+    this.layoutCache.set(layoutName, layout)
+    return layout
+  }
+
   /**
    * Résolution sécurisée du chemin de vue
    */
@@ -482,6 +593,7 @@ class LayoutManager {
       }
 
       await fs.promises.writeFile(layoutPath, layoutContent, 'utf8')
+      this.layoutCache.delete(sanitizedName)
 
       const relativePath = path.relative(process.cwd(), layoutPath)
       this.app.logger?.log('create', 'Layout created', `📄 ${relativePath}`)
@@ -2,6 +2,8 @@ const path = require('path')
 const fs = require('fs')
 const EventEmitter = require('events')
 
+const { currentContext } = require('./core/request-context')
+
 // Couleurs pour les logs
 const colors = {
   reset: '\x1b[0m',
@@ -59,12 +61,64 @@ class PluginManager extends EventEmitter {
 
     this.metricsInterval = null // FIX: Store interval to clear it later
 
+    // Métriques exportées sur /_vako/metrics via le registre de l'application
+    this.registryMetrics = this.setupRegistryMetrics()
+
     // Support TypeScript
     this.tsSupport = this.initTypeScriptSupport()
 
     this.init()
   }
 
+  setupRegistryMetrics() {
+    const registry = this.app && this.app.metrics
+    if (!registry) return null
+
+    registry.gauge('vako_plugins_loaded', 'Plugins chargés', [], {
+      collect: () => this.plugins.size,
+    })
+    return {
+      hookDuration: registry.histogram(
+        'vako_plugin_hook_duration_seconds',
+        "Durée d'exécution des hooks par plugin",
+        ['hook', 'plugin']
+      ),
+      hookErrors: registry.counter(
+        'vako_plugin_hook_errors_total',
+        'Hooks en erreur ou en timeout par plugin',
+        ['hook', 'plugin']
+      ),
+      loadFailures: registry.counter(
+        'vako_plugin_load_failures_total',
+        'Échecs de chargement des plugins',
+        ['plugin']
+      ),
+    }
+  }
+
+  /**
+   * API métriques du contexte de plugin : les noms sont préfixés par
+   * vako_plugin_<plugin>_ pour éviter les collisions entre plugins
+   */
+  createPluginMetrics(pluginName) {
+    const registry = this.app && this.app.metrics
+    const prefix = `vako_plugin_${pluginName.replace(/[^a-zA-Z0-9_]/g, '_')}_`
+    const unavailable = () => {
+      throw new Error('Registre de métriques indisponible')
+    }
+
+    return {
+      counter: (name, help, labelNames = []) =>
+        registry
+          ? registry.counter(prefix + name, help, labelNames)
+          : unavailable(),
+      gauge: (name, help, labelNames = [], options = {}) =>
+        registry
+          ? registry.gauge(prefix + name, help, labelNames, options)
+          : unavailable(),
+    }
+  }
+
   // ============= SUPPORT TYPESCRIPT =============
 
   initTypeScriptSupport() {
@@ -132,7 +186,8 @@ class PluginManager extends EventEmitter {
     this.setupWatcher()
 
     if (this.options.autoLoad) {
-      this.loadAllPlugins().catch((error) => {
+      // Attendu par les outils qui lisent les routes sans démarrer le serveur
+      this.autoLoading = this.loadAllPlugins().catch((error) => {
         this.log(
           'error',
           'Erreur lors du chargement automatique',
@@ -339,6 +394,9 @@ class PluginManager extends EventEmitter {
           pluginName,
           (this.errorCount.get(pluginName) || 0) + 1
         )
+        if (this.registryMetrics) {
+          this.registryMetrics.loadFailures.inc({ plugin: pluginName })
+        }
       }
       this.log('error', 'Erreur lors du chargement', error.message)
       this.emit('plugin:error', pluginName, error)
@@ -904,15 +962,16 @@ class PluginManager extends EventEmitter {
 
   async executePluginLoadWithTimeout(plugin) {
     const pluginContext = this.createPluginContext(plugin)
+    let timeoutId = null
     try {
       await Promise.race([
         plugin.module.load(this.app, plugin.config, pluginContext),
-        new Promise((_, reject) =>
-          setTimeout(
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(
             () => reject(new Error('Timeout de chargement dépassé')),
             this.options.timeout
           )
-        ),
+        }),
       ])
       plugin.loaded = true
       plugin.active = true
@@ -920,6 +979,8 @@ class PluginManager extends EventEmitter {
       if (error.message.includes('Timeout'))
         this.emit('plugin:timeout', plugin.name)
       throw error
+    } finally {
+      clearTimeout(timeoutId)
     }
   }
 
@@ -933,8 +994,8 @@ class PluginManager extends EventEmitter {
         this.removeHook(hookName, callback, plugin.name),
       addMiddleware: (middleware) =>
         this.addPluginMiddleware(middleware, plugin.name),
-      addRoute: (method, p, handler) =>
-        this.addPluginRoute(method, p, handler, plugin.name),
+      addRoute: (method, p, handler, options) =>
+        this.addPluginRoute(method, p, handler, plugin.name, options),
       addCommand: (name, handler, description) =>
         this.addPluginCommand(name, handler, description, plugin.name),
       log: (type, message, details = '') =>
@@ -945,6 +1006,9 @@ class PluginManager extends EventEmitter {
       updateConfig: (newConfig) =>
         this.updatePluginConfig(plugin.name, newConfig),
       storage: this.createPluginStorage(plugin.name),
+      metrics: this.createPluginMetrics(plugin.name),
+      // Contexte de la requête en cours (null hors requête)
+      requestContext: () => currentContext(),
       emit: (eventName, ...args) =>
         this.emit(`plugin:${plugin.name}:${eventName}`, ...args),
       app: this.app,
@@ -1052,21 +1116,33 @@ class PluginManager extends EventEmitter {
     const hooks = this.hooks.get(hookName)
     let result = args
     for (const hook of hooks) {
+      const labels = { hook: hookName, plugin: hook.plugin }
+      const endTimer = this.registryMetrics
+        ? this.registryMetrics.hookDuration.startTimer(labels)
+        : null
+      let timeoutId = null
       try {
         const hookResult = await Promise.race([
           hook.callback(...result),
-          new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Hook timeout')), 5000)
-          ),
+          new Promise((_, reject) => {
+            timeoutId = setTimeout(
+              () => reject(new Error('Hook timeout')),
+              5000
+            )
+          }),
         ])
         if (hookResult !== undefined)
           result = Array.isArray(hookResult) ? hookResult : [hookResult]
       } catch (error) {
+        if (this.registryMetrics) this.registryMetrics.hookErrors.inc(labels)
         this.log(
           'error',
           `Erreur hook ${hookName}`,
           `Plugin: ${hook.plugin} → ${error.message}`
         )
+      } finally {
+        clearTimeout(timeoutId)
+        if (endTimer) endTimer()
       }
     }
     return result
@@ -1081,12 +1157,26 @@ class PluginManager extends EventEmitter {
     if (this.app && this.app.use) this.app.use(middleware)
   }
 
-  addPluginRoute(method, p, handler, pluginName) {
+  addPluginRoute(method, p, handler, pluginName, options = {}) {
     if (!method || !p || !handler)
       throw new Error('Méthode, chemin et handler requis')
-    this.routes.push({ method, path: p, handler, plugin: pluginName })
-    if (this.app && this.app.createRoute)
-      this.app.createRoute(method, p, handler)
+    const route = { method, path: p, handler, plugin: pluginName }
+    this.routes.push(route)
+    if (!this.app || !this.app.createRoute) return Promise.resolve(null)
+
+    // createRoute est asynchrone et refuse les options invalides (schéma,
+    // auth…) : l'échec est journalisé au nom du plugin, jamais laissé en rejet
+    return Promise.resolve()
+      .then(() => this.app.createRoute(method, p, handler, options))
+      .catch((error) => {
+        this.routes = this.routes.filter((entry) => entry !== route)
+        this.log(
+          'error',
+          `Route du plugin ${pluginName} refusée`,
+          `${String(method).toUpperCase()} ${p} → ${error.message}`
+        )
+        return null
+      })
   }
 
   addPluginCommand(name, handler, description, pluginName) {
@@ -1190,10 +1280,20 @@ class PluginManager extends EventEmitter {
       },
     }
     const style = logStyles[type] || logStyles.info
+    const context = currentContext()
+    const requestTag = context
+      ? `${colors.gray}[${context.id}]${colors.reset} `
+      : ''
     console.log(
-      `${prefix} ${style.badge}${colors.reset} ${style.text}${message}${colors.reset} ${colors.gray}${details}${colors.reset}`
+      `${prefix} ${style.badge}${colors.reset} ${requestTag}${style.text}${message}${colors.reset} ${colors.gray}${details}${colors.reset}`
     )
-    this.emit('log', { type, message, details, timestamp: new Date() })
+    this.emit('log', {
+      type,
+      message,
+      details,
+      requestId: context?.id,
+      timestamp: new Date(),
+    })
   }
 
   // ============= API PUBLIQUE =============
@@ -0,0 +1,166 @@
+const VERSION_PATTERN = /^\d+(\.\d+)*$/
+
+/**
+ * Versions d'API (fichiers users.v2.js, option version de createRoute).
+ * La version demandée vient du segment /v2 de l'URL (stratégie path, placé
+ * après `prefix` : /api/v2/users), de l'en-tête Accept-Version ou du type de
+ * média (application/vnd.app.v2+json, application/json; version=2) pour la
+ * stratégie header ; both accepte les deux, l'URL l'emportant.
+ */
+class ApiVersioning {
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'header'
+    // Nom tel que configuré pour Vary, en minuscules pour req.headers
+    this.headerName = options.header || 'Accept-Version'
+    this.header = this.headerName.toLowerCase()
+    this.prefix = (options.prefix || '').replace(/\/+$/, '')
+    this.defaultVersion =
+      options.default && options.default !== 'latest'
+        ? ApiVersioning.normalize(options.default)
+        : null
+
+    // Versions dépréciées pour toutes les routes : { '1': { sunset } }
+    this.deprecated = {}
+    for (const [version, policy] of Object.entries(options.deprecated || {})) {
+      this.deprecated[ApiVersioning.normalize(version)] =
+        ApiVersioning.normalizePolicy(
+          policy,
+          `versioning.deprecated.${version}`
+        )
+    }
+  }
+
+  // 'v2', 2 ou '2.1' → '2', '2' ou '2.1'
+  static normalize(version) {
+    if (version === undefined || version === null) return null
+    const text = String(version).trim().replace(/^v/i, '')
+    if (!VERSION_PATTERN.test(text)) {
+      throw new Error(`Version d'API invalide : ${version} (ex: 2, v2, 2.1)`)
+    }
+    return text
+  }
+
+  static compare(a, b) {
+    const partsA = a.split('.').map(Number)
+    const partsB = b.split('.').map(Number)
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0)
+      if (diff !== 0) return diff
+    }
+    return 0
+  }
+
+  /**
+   * Politique de dépréciation : true ou { since, sunset, link }, dates
+   * vérifiées à l'enregistrement
+   */
+  static normalizePolicy(policy, label) {
+    if (policy === undefined || policy === false) return null
+    if (policy === true) return {}
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error(
+        `${label} invalide : true ou { since, sunset, link } attendu`
+      )
+    }
+    for (const key of ['since', 'sunset']) {
+      if (
+        policy[key] !== undefined &&
+        Number.isNaN(new Date(policy[key]).getTime())
+      ) {
+        throw new Error(`${label}.${key} invalide : date attendue`)
+      }
+    }
+    return { since: policy.since, sunset: policy.sunset, link: policy.link }
+  }
+
+  // /api/v2/users?x=1 (prefix /api) → { version: '2', url: '/api/users?x=1' }
+  matchPrefix(url) {
+    if (this.strategy === 'header') return null
+    if (this.prefix && !url.startsWith(`${this.prefix}/`)) return null
+
+    const rest = url.slice(this.prefix.length)
+    const match = /^\/v(\d+(?:\.\d+)*)(?=[/?]|$)/.exec(rest)
+    if (!match) return null
+
+    const tail = rest.slice(match[0].length)
+    return {
+      version: match[1],
+      url: `${this.prefix}${tail.startsWith('/') ? tail : `/${tail}`}`,
+    }
+  }
+
+  // Une valeur illisible est ignorée : la requête reçoit la version par défaut
+  fromHeaders(req) {
+    if (this.strategy === 'path') return null
+
+    const header = req.headers[this.header]
+    if (header) {
+      try {
+        return ApiVersioning.normalize(String(header).split(',')[0])
+      } catch {
+        return null
+      }
+    }
+    const accept = req.headers.accept || ''
+    const match =
+      /\.v(\d+(?:\.\d+)*)\+/i.exec(accept) ||
+      /;\s*version=v?(\d+(?:\.\d+)*)/i.exec(accept)
+    return match ? match[1] : null
+  }
+
+  /**
+   * Variante servie parmi celles d'une même route : la plus récente qui ne
+   * dépasse pas la version demandée (sans demande : la version par défaut,
+   * sinon la plus récente), à défaut la variante sans version
+   */
+  select(variants, requested) {
+    const wanted = requested || this.defaultVersion
+    const versioned = variants
+      .filter((entry) => entry.version)
+      .sort((a, b) => ApiVersioning.compare(b.version, a.version))
+    const match = wanted
+      ? versioned.find(
+          (entry) => ApiVersioning.compare(entry.version, wanted) <= 0
+        )
+      : versioned[0]
+    return match || variants.find((entry) => !entry.version) || null
+  }
+
+  // Les caches distinguent les réponses selon les en-têtes de négociation
+  vary(res) {
+    if (this.strategy === 'path') return
+    res.vary(this.headerName)
+    res.vary('Accept')
+  }
+
+  /**
+   * Middleware d'une variante versionnée ou dépréciée : req.apiVersion, en-tête
+   * API-Version et, pour une route dépréciée, Deprecation, Sunset et Link
+   */
+  middleware(version, routePolicy) {
+    const policy = routePolicy || (version && this.deprecated[version])
+
+    return (req, res, next) => {
+      if (version) {
+        req.apiVersion = version
+        res.set('API-Version', version)
+      }
+      if (policy) {
+        res.set(
+          'Deprecation',
+          policy.since
+            ? `@${Math.floor(new Date(policy.since).getTime() / 1000)}`
+            : 'true'
+        )
+        if (policy.sunset) {
+          res.set('Sunset', new Date(policy.sunset).toUTCString())
+        }
+        if (policy.link)
+          res.append('Link', `<${policy.link}>; rel="deprecation"`)
+      }
+      next()
+    }
+  }
+}
+
+module.exports = ApiVersioning
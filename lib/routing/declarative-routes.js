@@ -0,0 +1,540 @@
+const crypto = require('crypto')
+const http = require('http')
+const https = require('https')
+
+const { HttpError, ValidationError } = require('../core/errors')
+const { createRouteStore } = require('./route-store')
+
+// Champs communs : la route et les options de createRoute prises en charge
+const COMMON_FIELDS = [
+  'method',
+  'path',
+  'type',
+  'name',
+  'description',
+  'auth',
+  'rateLimit',
+  'cache',
+]
+const TYPE_FIELDS = {
+  redirect: ['to', 'status'],
+  json: ['status', 'body', 'headers'],
+  proxy: ['target', 'timeout', 'headers'],
+}
+// Métadonnées d'audit, gérées par le framework
+const AUDIT_FIELDS = ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy']
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+// En-têtes propres à une connexion, jamais relayés par le proxy
+const HOP_BY_HOP = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+]
+
+/**
+ * Routes dynamiques décrites en données (redirection, réponse JSON, proxy),
+ * conservées par un stockage JSON ou SQLite et rechargées au démarrage.
+ * Administrables par l'API /_vako/routes.
+ */
+class DeclarativeRoutes {
+  constructor(app, options = {}) {
+    this.app = app
+    this.options = options
+    this.store = createRouteStore(options)
+    this.definitions = new Map()
+    this.loading = null
+  }
+
+  // Charge et enregistre les routes stockées (une seule fois ; un échec est
+  // retenté au prochain appel)
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        await this.store.init()
+        for (const stored of await this.store.load()) {
+          try {
+            const definition = { ...stored, ...this.normalize(stored) }
+            await this.register(definition)
+            this.definitions.set(definition.id, definition)
+          } catch (error) {
+            this.app.logger.log(
+              'error',
+              'Stored route skipped',
+              `${String(stored.method || 'get').toUpperCase()} ${stored.path} → ${error.message}`
+            )
+          }
+        }
+        this.app.logger.log(
+          'info',
+          'Routes déclaratives chargées',
+          `🗂️ ${this.definitions.size} route(s)`
+        )
+      })().catch((error) => {
+        this.loading = null
+        throw error
+      })
+    }
+    return this.loading
+  }
+
+  list() {
+    return Array.from(this.definitions.values())
+  }
+
+  get(id) {
+    return this.definitions.get(id) || null
+  }
+
+  async create(input, actor = 'system') {
+    await this.load()
+    const fields = this.normalize(input)
+    this.assertAvailable(fields)
+
+    const now = new Date().toISOString()
+    const definition = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: now,
+      createdBy: actor,
+      updatedAt: now,
+      updatedBy: actor,
+    }
+    await this.register(definition)
+    await this.persist(definition, () =>
+      this.app.routeManager.deleteRoute(
+        definition.method,
+        definition.path,
+        null
+      )
+    )
+    this.definitions.set(definition.id, definition)
+
+    this.app.logger.log(
+      'create',
+      'Declarative route created',
+      `${definition.method.toUpperCase()} ${definition.path} (${definition.type}) par ${actor}`
+    )
+    return definition
+  }
+
+  /**
+   * Remplace la définition (merge: false) ou la complète (merge: true).
+   * Méthode et chemin inchangés : la route est remplacée sur place.
+   */
+  async update(id, input, actor = 'system', { merge = false } = {}) {
+    await this.load()
+    const current = this.require(id)
+
+    let source = input
+    if (merge && input && typeof input === 'object') {
+      // Un changement de type ne reprend pas les champs de l'ancien type
+      const kept =
+        input.type && input.type !== current.type
+          ? COMMON_FIELDS
+          : [...COMMON_FIELDS, ...TYPE_FIELDS[current.type]]
+      source = { ...pick(current, kept), ...input }
+    }
+    const fields = this.normalize(source)
+    const moved =
+      fields.method !== current.method || fields.path !== current.path
+    if (moved) this.assertAvailable(fields)
+
+    const definition = {
+      id,
+      ...fields,
+      createdAt: current.createdAt,
+      createdBy: current.createdBy,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor,
+    }
+    await this.register(definition, { replace: !moved })
+    await this.persist(definition, () =>
+      moved
+        ? this.app.routeManager.deleteRoute(
+            definition.method,
+            definition.path,
+            null
+          )
+        : this.register(current, { replace: true })
+    )
+    if (moved) {
+      await this.app.routeManager.deleteRoute(
+        current.method,
+        current.path,
+        null
+      )
+    }
+    this.definitions.set(id, definition)
+
+    this.app.logger.log(
+      'reload',
+      'Declarative route updated',
+      `${definition.method.toUpperCase()} ${definition.path} (${definition.type}) par ${actor}`
+    )
+    return definition
+  }
+
+  async remove(id, actor = 'system') {
+    await this.load()
+    const current = this.require(id)
+
+    await this.store.remove(id)
+    await this.app.routeManager.deleteRoute(current.method, current.path, null)
+    this.definitions.delete(id)
+
+    this.app.logger.log(
+      'delete',
+      'Declarative route deleted',
+      `${current.method.toUpperCase()} ${current.path} par ${actor}`
+    )
+    return current
+  }
+
+  require(id) {
+    const definition = this.get(id)
+    if (!definition) {
+      throw new HttpError(404, `Route déclarative introuvable : ${id}`)
+    }
+    return definition
+  }
+
+  assertAvailable({ method, path }) {
+    if (this.app.routeManager.routeExists(method, path)) {
+      throw new HttpError(
+        409,
+        `La route ${method.toUpperCase()} ${path} existe déjà`
+      )
+    }
+  }
+
+  // Échec d'écriture : la route enregistrée est annulée
+  async persist(definition, rollback) {
+    try {
+      await this.store.save(definition)
+    } catch (error) {
+      await rollback()
+      throw error
+    }
+  }
+
+  async register(definition, { replace = false } = {}) {
+    try {
+      await this.app.routeManager.createRoute(
+        definition.method,
+        definition.path,
+        this.createHandler(definition),
+        this.routeOptions(definition),
+        { replace }
+      )
+    } catch (error) {
+      // Option refusée par createRoute (auth sans authentification…)
+      throw new ValidationError(
+        [{ location: 'body', field: '', message: error.message }],
+        error.message
+      )
+    }
+  }
+
+  routeOptions(definition) {
+    const options = { createdBy: definition.createdBy }
+    for (const key of ['name', 'description', 'auth', 'rateLimit', 'cache']) {
+      if (definition[key] !== undefined) options[key] = definition[key]
+    }
+    // Le proxy gère son propre délai (504) avant celui de la route
+    if (definition.type === 'proxy') options.timeout = definition.timeout + 1000
+    return options
+  }
+
+  /**
+   * Vérifie une définition reçue et retourne ses champs normalisés, dans un
+   * ordre stable ; les erreurs sont regroupées dans une ValidationError
+   */
+  normalize(input) {
+    const errors = []
+    const fail = (field, message, rule) =>
+      errors.push({ location: 'body', field, message, rule })
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ValidationError([
+        {
+          location: 'body',
+          field: '',
+          message: 'Définition de route attendue (objet JSON)',
+        },
+      ])
+    }
+
+    const type = input.type
+    if (!TYPE_FIELDS[type]) {
+      fail(
+        'type',
+        `Le champ type doit valoir ${Object.keys(TYPE_FIELDS).join(', ')}`,
+        'enum'
+      )
+      throw new ValidationError(errors)
+    }
+
+    const allowed = [...COMMON_FIELDS, ...TYPE_FIELDS[type], ...AUDIT_FIELDS]
+    Object.keys(input)
+      .filter((key) => !allowed.includes(key))
+      .forEach((key) =>
+        fail(key, `Champ non pris en charge pour une route ${type}`, 'unknown')
+      )
+
+    const fields = { method: 'get', path: input.path, type }
+    try {
+      const validated = this.app.routeManager.validateRouteInput(
+        input.method || 'get',
+        input.path,
+        () => {}
+      )
+      fields.method = validated.method
+      fields.path = validated.path
+    } catch (error) {
+      fail(/méthode/i.test(error.message) ? 'method' : 'path', error.message)
+    }
+
+    if (type === 'redirect') {
+      const to = input.to
+      if (
+        typeof to !== 'string' ||
+        !(/^\/(?!\/)/.test(to) || /^https?:\/\/\S+$/i.test(to))
+      ) {
+        fail('to', 'Le champ to doit être un chemin (/…) ou une URL http(s)')
+      }
+      fields.to = to
+      fields.status = input.status ?? 302
+      if (!REDIRECT_STATUSES.includes(fields.status)) {
+        fail(
+          'status',
+          `Le champ status doit valoir ${REDIRECT_STATUSES.join(', ')}`,
+          'enum'
+        )
+      }
+    } else if (type === 'json') {
+      fields.status = input.status ?? 200
+      if (
+        !Number.isInteger(fields.status) ||
+        fields.status < 200 ||
+        fields.status > 599
+      ) {
+        fail('status', 'Le champ status doit être compris entre 200 et 599')
+      }
+      if (input.body !== undefined) fields.body = input.body
+    } else {
+      let target = null
+      try {
+        target = new URL(input.target)
+      } catch {
+        // Signalé ci-dessous
+      }
+      if (!target || !['http:', 'https:'].includes(target.protocol)) {
+        fail('target', 'Le champ target doit être une URL http(s)')
+      }
+      fields.target = input.target
+      fields.timeout = input.timeout ?? 30000
+      if (
+        !Number.isInteger(fields.timeout) ||
+        fields.timeout < 1000 ||
+        fields.timeout > 300000
+      ) {
+        fail(
+          'timeout',
+          'Le champ timeout doit être compris entre 1000 et 300000 ms'
+        )
+      }
+    }
+
+    if (input.headers !== undefined && type !== 'redirect') {
+      const headers = input.headers
+      const valid =
+        headers &&
+        typeof headers === 'object' &&
+        !Array.isArray(headers) &&
+        Object.entries(headers).every(
+          ([key, value]) => /^[\w-]+$/.test(key) && typeof value === 'string'
+        )
+      if (valid) fields.headers = headers
+      else fail('headers', 'Le champ headers doit associer des noms à du texte')
+    }
+
+    for (const key of ['name', 'description']) {
+      if (input[key] === undefined) continue
+      if (typeof input[key] !== 'string') {
+        fail(key, `Le champ ${key} doit être une chaîne`, 'type')
+      }
+      fields[key] = input[key]
+    }
+    // Vérifiées par createRoute à l'enregistrement
+    for (const key of ['auth', 'rateLimit', 'cache']) {
+      if (input[key] !== undefined) fields[key] = input[key]
+    }
+
+    if (errors.length > 0) throw new ValidationError(errors)
+    return fields
+  }
+
+  createHandler(definition) {
+    switch (definition.type) {
+      case 'redirect':
+        return (req, res) => res.redirect(definition.status, definition.to)
+      case 'json':
+        return (req, res) => {
+          res.status(definition.status).set(definition.headers || {})
+          if (definition.body === undefined) return res.end()
+          res.json(definition.body)
+        }
+      default:
+        return (req, res) => this.proxy(definition, req, res)
+    }
+  }
+
+  /**
+   * Relaie la requête vers target (query string comprise) et renvoie la
+   * réponse telle quelle ; 502 si la cible est injoignable, 504 si elle ne
+   * répond pas dans le délai
+   */
+  proxy(definition, req, res) {
+    const target = new URL(definition.target)
+    const queryIndex = req.originalUrl.indexOf('?')
+    if (queryIndex !== -1) {
+      const query = req.originalUrl.slice(queryIndex + 1)
+      target.search = target.search ? `${target.search}&${query}` : query
+    }
+
+    const headers = {}
+    for (const [key, value] of Object.entries(req.headers)) {
+      if (!HOP_BY_HOP.includes(key)) headers[key] = value
+    }
+    Object.assign(headers, definition.headers)
+    headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.ip]
+      .filter(Boolean)
+      .join(', ')
+    headers['x-forwarded-proto'] = req.protocol
+    headers['x-forwarded-host'] = req.get('host')
+
+    // Corps déjà lu par les parsers JSON/urlencoded : il est reconstruit
+    let body = null
+    if (req._body) {
+      body = Buffer.from(
+        req.is('json')
+          ? JSON.stringify(req.body)
+          : new URLSearchParams(req.body).toString()
+      )
+      headers['content-length'] = String(body.length)
+    }
+
+    return new Promise((resolve, reject) => {
+      const client = target.protocol === 'https:' ? https : http
+      const upstream = client.request(
+        target,
+        {
+          method: req.method,
+          headers,
+          timeout: definition.timeout,
+          // Client parti ou timeout de la route : la requête cible est annulée
+          signal: req.signal,
+        },
+        (response) => {
+          res.status(response.statusCode)
+          for (const [key, value] of Object.entries(response.headers)) {
+            if (!HOP_BY_HOP.includes(key)) res.setHeader(key, value)
+          }
+          response.pipe(res)
+          response.on('end', resolve)
+          response.on('error', reject)
+        }
+      )
+      upstream.on('timeout', () =>
+        upstream.destroy(new HttpError(504, 'Le serveur cible ne répond pas'))
+      )
+      upstream.on('error', (error) =>
+        reject(
+          error instanceof HttpError || req.signal?.aborted
+            ? error
+            : new HttpError(502, `Serveur cible injoignable : ${error.message}`)
+        )
+      )
+
+      if (body) upstream.end(body)
+      else req.pipe(upstream)
+    })
+  }
+
+  /**
+   * API d'administration : GET/POST sur basePath, GET/PUT/PATCH/DELETE sur
+   * basePath/:id. L'auteur des changements est l'utilisateur connecté, ou
+   * l'IP sans authentification.
+   */
+  setupRoutes(basePath, guard) {
+    const app = this.app.app
+    const handlers = guard ? [guard] : []
+    const actorOf = (req) =>
+      req.session?.user?.username || req.session?.user?.email || `ip:${req.ip}`
+    const handle = (fn) => (req, res, next) =>
+      Promise.resolve()
+        .then(() => fn(req, res))
+        .catch(next)
+
+    app.get(
+      basePath,
+      ...handlers,
+      handle(async (req, res) => {
+        await this.load()
+        res.json({ routes: this.list() })
+      })
+    )
+    app.post(
+      basePath,
+      ...handlers,
+      handle(async (req, res) => {
+        res.status(201).json(await this.create(req.body, actorOf(req)))
+      })
+    )
+    app.get(
+      `${basePath}/:id`,
+      ...handlers,
+      handle(async (req, res) => {
+        await this.load()
+        res.json(this.require(req.params.id))
+      })
+    )
+    for (const method of ['put', 'patch']) {
+      app[method](
+        `${basePath}/:id`,
+        ...handlers,
+        handle(async (req, res) => {
+          res.json(
+            await this.update(req.params.id, req.body, actorOf(req), {
+              merge: method === 'patch',
+            })
+          )
+        })
+      )
+    }
+    app.delete(
+      `${basePath}/:id`,
+      ...handlers,
+      handle(async (req, res) => {
+        await this.remove(req.params.id, actorOf(req))
+        res.status(204).end()
+      })
+    )
+  }
+}
+
+function pick(object, keys) {
+  const picked = {}
+  for (const key of keys) {
+    if (object[key] !== undefined) picked[key] = object[key]
+  }
+  return picked
+}
+
+module.exports = DeclarativeRoutes
@@ -0,0 +1,200 @@
+// Vako API docs: renders the OpenAPI document served next to this file.
+// No framework and no CDN, so it works offline and under a strict CSP.
+;(function () {
+  'use strict'
+
+  const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options']
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag)
+    Object.entries(attrs || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null) return
+      if (key === 'text') node.textContent = value
+      else node.setAttribute(key, value)
+    })
+    ;[]
+      .concat(children || [])
+      .forEach((child) => child && node.appendChild(child))
+    return node
+  }
+
+  // Resolves local $ref pointers (#/components/...)
+  function resolve(spec, value) {
+    if (!value || typeof value.$ref !== 'string') return value
+    return value.$ref
+      .replace(/^#\//, '')
+      .split('/')
+      .reduce((node, key) => (node ? node[key] : undefined), spec)
+  }
+
+  function describeSchema(schema) {
+    if (!schema) return ''
+    const parts = [schema.type || (schema.enum ? 'enum' : 'any')]
+    if (schema.format) parts.push(schema.format)
+    if (schema.enum) parts.push(schema.enum.join(' | '))
+    if (schema.minimum !== undefined) parts.push('≥ ' + schema.minimum)
+    if (schema.maximum !== undefined) parts.push('≤ ' + schema.maximum)
+    if (schema.minLength !== undefined) parts.push('min ' + schema.minLength)
+    if (schema.maxLength !== undefined) parts.push('max ' + schema.maxLength)
+    if (schema.pattern) parts.push('/' + schema.pattern + '/')
+    if (schema.default !== undefined) {
+      parts.push('default ' + JSON.stringify(schema.default))
+    }
+    return parts.join(' · ')
+  }
+
+  function renderParameters(parameters) {
+    const rows = parameters.map((param) =>
+      el('tr', {}, [
+        el('td', {}, [
+          el('code', { text: param.name }),
+          param.required ? el('span', { class: 'required', text: '*' }) : null,
+        ]),
+        el('td', { text: param.in }),
+        el('td', { text: describeSchema(param.schema) }),
+        el('td', { text: param.description || '' }),
+      ])
+    )
+    return el('table', { class: 'params' }, [
+      el('thead', {}, [
+        el('tr', {}, [
+          el('th', { text: 'Name' }),
+          el('th', { text: 'In' }),
+          el('th', { text: 'Schema' }),
+          el('th', { text: 'Description' }),
+        ]),
+      ]),
+      el('tbody', {}, rows),
+    ])
+  }
+
+  function renderOperation(spec, routePath, method, operation) {
+    const details = [el('p', { class: 'meta', text: operation.operationId })]
+    if (operation['x-vako-source']) {
+      details.push(
+        el('p', {
+          class: 'meta',
+          text: 'Source: ' + operation['x-vako-source'],
+        })
+      )
+    }
+    if (operation.security) {
+      details.push(el('p', { class: 'meta', text: 'Requires a session' }))
+    }
+    if (operation.parameters && operation.parameters.length > 0) {
+      details.push(el('h4', { text: 'Parameters' }))
+      details.push(renderParameters(operation.parameters))
+    }
+    if (operation.requestBody) {
+      const content = operation.requestBody.content || {}
+      const type = Object.keys(content)[0]
+      details.push(el('h4', { text: 'Request body (' + type + ')' }))
+      details.push(
+        el('pre', { text: JSON.stringify(content[type].schema, null, 2) })
+      )
+    }
+    details.push(el('h4', { text: 'Responses' }))
+    details.push(
+      el(
+        'ul',
+        { class: 'responses' },
+        Object.entries(operation.responses || {}).map(([status, response]) =>
+          el('li', {}, [
+            el('code', { text: status }),
+            el('span', {
+              text: ' ' + ((resolve(spec, response) || {}).description || ''),
+            }),
+          ])
+        )
+      )
+    )
+
+    return el(
+      'details',
+      {
+        class: 'operation method-' + method,
+        'data-search': (
+          method +
+          ' ' +
+          routePath +
+          ' ' +
+          (operation.summary || '')
+        ).toLowerCase(),
+      },
+      [
+        el('summary', {}, [
+          el('span', { class: 'method', text: method.toUpperCase() }),
+          el('code', { class: 'path', text: routePath }),
+          el('span', { class: 'summary', text: operation.summary || '' }),
+        ]),
+        el('div', { class: 'body' }, details),
+      ]
+    )
+  }
+
+  function render(spec) {
+    document.getElementById('title').textContent = spec.info.title
+    document.getElementById('version').textContent = 'v' + spec.info.version
+    document.getElementById('description').textContent =
+      spec.info.description || ''
+    document.title = spec.info.title
+
+    const groups = new Map()
+    Object.entries(spec.paths || {}).forEach(([routePath, item]) => {
+      METHODS.filter((method) => item[method]).forEach((method) => {
+        const tag = (item[method].tags || ['default'])[0]
+        if (!groups.has(tag)) groups.set(tag, [])
+        groups
+          .get(tag)
+          .push(renderOperation(spec, routePath, method, item[method]))
+      })
+    })
+
+    const container = document.getElementById('operations')
+    container.textContent = ''
+    if (groups.size === 0) {
+      container.appendChild(el('p', { class: 'empty', text: 'No routes.' }))
+      return
+    }
+    groups.forEach((operations, tag) => {
+      container.appendChild(
+        el(
+          'section',
+          { class: 'group' },
+          [el('h2', { text: tag })].concat(operations)
+        )
+      )
+    })
+  }
+
+  function filter(term) {
+    const query = term.trim().toLowerCase()
+    document.querySelectorAll('.operation').forEach((node) => {
+      node.hidden = query !== '' && !node.dataset.search.includes(query)
+    })
+    document.querySelectorAll('.group').forEach((group) => {
+      group.hidden = !group.querySelector('.operation:not([hidden])')
+    })
+  }
+
+  fetch(document.body.dataset.spec, { credentials: 'same-origin' })
+    .then((response) => {
+      if (!response.ok) throw new Error('HTTP ' + response.status)
+      return response.json()
+    })
+    .then(render)
+    .catch((error) => {
+      const container = document.getElementById('operations')
+      container.textContent = ''
+      container.appendChild(
+        el('p', {
+          class: 'empty',
+          text: 'Could not load the OpenAPI document: ' + error.message,
+        })
+      )
+    })
+
+  document
+    .getElementById('filter')
+    .addEventListener('input', (event) => filter(event.target.value))
+})()
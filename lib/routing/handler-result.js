@@ -0,0 +1,141 @@
+const path = require('path')
+const { Readable } = require('stream')
+
+/**
+ * Valeur de retour des handlers (routes fichiers et createRoute) : un objet
+ * ou un tableau part en JSON, une chaîne ou un Buffer via res.send, view() est
+ * rendu avec son layout, redirect() redirige et un flux est transmis tel quel.
+ * Toute autre valeur (undefined, res, id de timer, émetteur…) laisse la
+ * réponse au handler.
+ */
+class ViewResult {
+  constructor(name, data = {}, options = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('view() : nom de vue attendu')
+    }
+    this.name = name
+    this.data = data
+    this.status = options.status
+  }
+}
+
+class RedirectResult {
+  constructor(url, status = 302) {
+    if (typeof url !== 'string' || !url) {
+      throw new Error('redirect() : URL attendue')
+    }
+    if (!Number.isInteger(status) || status < 300 || status > 399) {
+      throw new Error(`redirect() : statut 3xx attendu (reçu ${status})`)
+    }
+    this.url = url
+    this.status = status
+  }
+}
+
+// return view('users/list', { users }) → rendu avec le layout de la vue
+function view(name, data, options) {
+  return new ViewResult(name, data, options)
+}
+
+// return redirect('/login') → 302, redirect('/new', 301)
+function redirect(url, status) {
+  return new RedirectResult(url, status)
+}
+
+/**
+ * Exécute un handler et retourne sa valeur ; un handler qui a passé la main
+ * (next) ne répond pas, sa valeur est ignorée
+ */
+async function callHandler(handler, req, res, next) {
+  let passed = false
+  const result = await handler(req, res, (...args) => {
+    passed = true
+    return next(...args)
+  })
+  return passed ? undefined : result
+}
+
+function isReadable(value) {
+  return (
+    value instanceof Readable ||
+    (typeof ReadableStream !== 'undefined' && value instanceof ReadableStream)
+  )
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}
+
+// Seules ces valeurs forment une réponse : un handler à callback
+// (setTimeout, db.query(sql, cb), emitter.on…) retourne autre chose et
+// répond plus tard lui-même
+function isSendable(result) {
+  return (
+    result instanceof ViewResult ||
+    result instanceof RedirectResult ||
+    typeof result === 'string' ||
+    Buffer.isBuffer(result) ||
+    Array.isArray(result) ||
+    isPlainObject(result) ||
+    isReadable(result)
+  )
+}
+
+function sendResult(result, req, res, next) {
+  // req.on('end', …) retourne req, lui-même un flux lisible
+  if (result === req || !isSendable(result)) return
+  if (res.headersSent || res.sseStream) return
+
+  if (result instanceof ViewResult) {
+    if (result.status) res.status(result.status)
+    // Négociation : les clients API (Accept: application/json) reçoivent les
+    // données de la vue plutôt que le HTML
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.json(result.data)
+    }
+    // Le LayoutManager ne transmet à la vue que res.locals et les champs de
+    // layout (title, meta, sections…) : les données passent par res.locals
+    Object.assign(res.locals, result.data)
+    return res.render(result.name, result.data)
+  }
+
+  if (result instanceof RedirectResult) {
+    return res.redirect(result.status, result.url)
+  }
+
+  if (
+    typeof ReadableStream !== 'undefined' &&
+    result instanceof ReadableStream
+  ) {
+    result = Readable.fromWeb(result)
+  }
+  if (result instanceof Readable) {
+    // fs.createReadStream : type déduit de l'extension du fichier
+    if (!res.get('Content-Type') && typeof result.path === 'string') {
+      const extension = path.extname(result.path)
+      if (extension) res.type(extension)
+    }
+    result.on('error', (error) =>
+      res.headersSent ? res.destroy(error) : next(error)
+    )
+    // Client parti : le flux source est libéré
+    res.on('close', () => result.destroy?.())
+    return result.pipe(res)
+  }
+
+  if (typeof result === 'string' || Buffer.isBuffer(result)) {
+    return res.send(result)
+  }
+  return res.json(result)
+}
+
+module.exports = {
+  ViewResult,
+  RedirectResult,
+  view,
+  redirect,
+  callHandler,
+  sendResult,
+}
@@ -0,0 +1,397 @@
+const fs = require('fs')
+const path = require('path')
+const ejs = require('ejs')
+
+const ApiVersioning = require('./api-versioning')
+const SchemaValidator = require('./schema-validator')
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options']
+const BODY_METHODS = ['post', 'put', 'patch', 'delete']
+const UI_DIR = path.join(__dirname, 'docs-ui')
+
+/**
+ * Document OpenAPI 3.1 construit à partir des routes enregistrées dans
+ * Express : routes fichiers (y compris les routers exportés), routes
+ * dynamiques, routes de plugins et routes déclarées directement sur l'app.
+ * Descriptions, schémas de validation et option auth enrichissent chaque
+ * opération.
+ */
+class OpenApiGenerator {
+  constructor(app) {
+    this.app = app
+  }
+
+  generate(options = {}) {
+    const pkg = this.readPackage()
+    const document = {
+      openapi: '3.1.0',
+      info: {
+        title: options.title || pkg.name || 'Vako API',
+        version: options.version || pkg.version || '1.0.0',
+        ...(options.description || pkg.description
+          ? { description: options.description || pkg.description }
+          : {}),
+      },
+      ...(options.servers ? { servers: options.servers } : {}),
+      paths: {},
+      components: {
+        schemas: {
+          Error: {
+            type: 'object',
+            properties: {
+              error: { type: 'string' },
+              status: { type: 'integer' },
+              code: { type: 'string' },
+              details: {},
+            },
+            required: ['error', 'status'],
+          },
+        },
+        responses: {
+          ValidationError: {
+            description: 'Entrées invalides',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/Error' },
+                    {
+                      type: 'object',
+                      properties: {
+                        code: { const: 'VALIDATION_ERROR' },
+                        details: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              location: {
+                                enum: ['params', 'query', 'headers', 'body'],
+                              },
+                              field: { type: 'string' },
+                              message: { type: 'string' },
+                              rule: { type: 'string' },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        },
+      },
+    }
+
+    const operationIds = new Set()
+    let secured = false
+
+    for (const route of this.collectRoutes(options)) {
+      const { openapiPath, pathParams } = this.convertPath(route.path)
+      const operation = this.buildOperation(route, pathParams)
+
+      operation.operationId = this.uniqueId(
+        route.method,
+        route.path,
+        operationIds
+      )
+      if (operation.security) secured = true
+
+      document.paths[openapiPath] = document.paths[openapiPath] || {}
+      document.paths[openapiPath][route.method] = operation
+    }
+
+    if (secured) {
+      document.components.securitySchemes = {
+        session: { type: 'apiKey', in: 'cookie', name: 'vako.sid' },
+      }
+    }
+    return document
+  }
+
+  /**
+   * Routes dans l'ordre de résolution : pile Express (routes internes et
+   * déclarées sur l'app) puis, à l'emplacement du router Vako, sa table. Une
+   * même méthode/chemin n'est documentée qu'une fois (la première l'emporte).
+   */
+  collectRoutes(options = {}) {
+    const routeManager = this.app.routeManager
+    const dispatcher = routeManager.middleware()
+
+    const routes = new Map()
+    const add = (method, routePath, extra = {}) => {
+      const key = `${method}:${routePath}`
+      if (routes.has(key)) return
+      if (!options.includeInternal && routePath.startsWith('/_vako')) return
+      routes.set(key, { method, path: routePath, ...extra })
+    }
+
+    const addStack = (stack, mountPath = '/', extra = {}) => {
+      for (const layer of stack) {
+        if (!layer.route || typeof layer.route.path !== 'string') continue
+        const subPath = layer.route.path === '/' ? '' : layer.route.path
+        this.routeMethods(layer.route).forEach((method) =>
+          add(
+            method,
+            `${mountPath === '/' ? '' : mountPath}${subPath}` || '/',
+            extra
+          )
+        )
+      }
+    }
+
+    const addTable = () => {
+      for (const entry of routeManager.routeTable) {
+        // Une route versionnée est documentée par sa variante par défaut,
+        // avec la liste de ses versions
+        const group = routeManager.versionGroups.get(entry)
+        if (group && routeManager.versioning.select(group, null) !== entry) {
+          continue
+        }
+        const versioned = group
+          ? {
+              version: entry.version,
+              versions: group.map((variant) => variant.version).filter(Boolean),
+            }
+          : {}
+        if (entry.method !== 'use') {
+          add(entry.method, entry.path, versioned)
+          continue
+        }
+        // Router exporté par un fichier, ou router d'un module fonction
+        const mount = routeManager.fileRouters.get(entry.filePath)
+        if (mount) {
+          addStack(mount.router.stack, mount.path, {
+            mount: { ...mount, filePath: entry.filePath },
+            ...versioned,
+          })
+        } else {
+          addStack(entry.router.stack)
+        }
+      }
+    }
+
+    let tableAdded = false
+    for (const layer of expressStack(this.app.app)) {
+      if (layer.handle === dispatcher) {
+        addTable()
+        tableAdded = true
+      } else if (layer.route) {
+        addStack([layer])
+      }
+    }
+    if (!tableAdded) addTable()
+
+    return Array.from(routes.values())
+  }
+
+  routeMethods(route) {
+    return Object.keys(route.methods).filter((method) =>
+      METHODS.includes(method)
+    )
+  }
+
+  /**
+   * /users/:id(\\d+) → /users/{id}. OpenAPI n'a pas de paramètre de chemin
+   * optionnel : :id? est documenté comme requis.
+   */
+  convertPath(routePath) {
+    const pathParams = []
+    const openapiPath = routePath.replace(
+      /:(\w+)(\([^)]*\))?[?*+]?/g,
+      (match, name) => {
+        pathParams.push(name)
+        return `{${name}}`
+      }
+    )
+    return { openapiPath, pathParams }
+  }
+
+  buildOperation(route, pathParams) {
+    const { method } = route
+    const routeManager = this.app.routeManager
+    const routeKey = routeManager.routeKey(method, route.path, route.version)
+    const dynamic = routeManager.dynamicRoutes.get(routeKey)
+    const fileDoc = route.mount
+      ? {
+          source: path.relative(process.cwd(), route.mount.filePath),
+          description: route.mount.description,
+        }
+      : routeManager.routeDocs.get(routeKey)
+    const validator = routeManager.getRouteSchema(
+      method,
+      route.path,
+      route.version
+    )
+    const plugin = this.app.plugins?.routes.find(
+      (entry) =>
+        entry.method.toLowerCase() === method && entry.path === route.path
+    )
+
+    const operation = {
+      tags: [plugin ? plugin.plugin : this.tagFor(route.path)],
+    }
+    const description = dynamic?.options.description || fileDoc?.description
+    if (description) operation.summary = description
+    if (fileDoc?.source) operation['x-vako-source'] = fileDoc.source
+    if (route.versions) {
+      operation['x-vako-versions'] = route.versions.sort(ApiVersioning.compare)
+    }
+
+    const parameters = this.buildParameters(pathParams, validator)
+    if (parameters.length > 0) operation.parameters = parameters
+
+    const body = validator?.toJsonSchema('body')
+    if (body && BODY_METHODS.includes(method)) {
+      operation.requestBody = {
+        required: Boolean(body.required),
+        content: { 'application/json': { schema: body } },
+      }
+    }
+
+    operation.responses = { 200: { description: 'Succès' } }
+    if (dynamic?.options.sse) {
+      operation.responses[200] = {
+        description: "Flux d'événements (Server-Sent Events)",
+        content: { 'text/event-stream': { schema: { type: 'string' } } },
+      }
+    }
+    if (validator) {
+      operation.responses[400] = {
+        $ref: '#/components/responses/ValidationError',
+      }
+    }
+
+    const auth = dynamic ? dynamic.options.auth : fileDoc?.auth
+    if (auth !== undefined && auth !== false) {
+      operation.security = [{ session: [] }]
+      operation.responses[401] = { description: 'Authentification requise' }
+      if (typeof auth === 'string') {
+        operation.responses[403] = { description: `Rôle ${auth} requis` }
+      }
+    }
+    if (dynamic?.options.rateLimit) {
+      operation.responses[429] = { description: 'Trop de requêtes' }
+    }
+
+    return operation
+  }
+
+  buildParameters(pathParams, validator) {
+    const parameters = []
+    const schema = validator?.schema || {}
+    const locations = { params: 'path', query: 'query', headers: 'header' }
+
+    for (const name of pathParams) {
+      const rules = schema.params?.[name]
+      parameters.push({
+        name,
+        in: 'path',
+        required: true,
+        schema: rules
+          ? SchemaValidator.rulesToJsonSchema(rules)
+          : { type: 'string' },
+        ...(rules?.description ? { description: rules.description } : {}),
+      })
+    }
+
+    for (const [location, where] of Object.entries(locations)) {
+      if (location === 'params' || !schema[location]) continue
+      for (const [name, rules] of Object.entries(schema[location])) {
+        parameters.push({
+          name,
+          in: where,
+          required: Boolean(rules.required),
+          schema: SchemaValidator.rulesToJsonSchema(rules),
+          ...(rules.description ? { description: rules.description } : {}),
+        })
+      }
+    }
+    return parameters
+  }
+
+  // Premier segment statique du chemin : /api/users/:id → api
+  tagFor(routePath) {
+    const segment = routePath
+      .split('/')
+      .find((part) => part && !part.startsWith(':'))
+    return segment || 'default'
+  }
+
+  // get /users/:id → getUsersById, suffixé en cas de collision
+  uniqueId(method, routePath, used) {
+    const words = routePath
+      .split('/')
+      .filter(Boolean)
+      .map((part) =>
+        part.startsWith(':')
+          ? `By${capitalize(part.slice(1).replace(/\W.*$/, ''))}`
+          : capitalize(
+              part.replace(/[^\w]+(\w)?/g, (m, c) => (c || '').toUpperCase())
+            )
+      )
+    const base = `${method}${words.join('') || 'Root'}`
+    let id = base
+    for (let i = 2; used.has(id); i++) id = `${base}${i}`
+    used.add(id)
+    return id
+  }
+
+  /**
+   * Page de documentation autonome (sans CDN) : HTML, script et styles servis
+   * depuis le framework, document régénéré à chaque requête pour refléter
+   * les routes dynamiques
+   */
+  setupRoutes(basePath, guard, options = {}) {
+    const template = ejs.compile(
+      fs.readFileSync(path.join(UI_DIR, 'index.ejs'), 'utf8')
+    )
+    const handlers = guard ? [guard] : []
+
+    this.app.app.get(basePath, ...handlers, (req, res) => {
+      res
+        .type('html')
+        .set('Cache-Control', 'no-store')
+        .send(
+          template({
+            basePath,
+            title: options.title || this.readPackage().name || 'Vako API',
+          })
+        )
+    })
+    this.app.app.get(`${basePath}/openapi.json`, ...handlers, (req, res) => {
+      res.set('Cache-Control', 'no-store').json(this.generate(options))
+    })
+    for (const asset of ['docs.js', 'docs.css']) {
+      this.app.app.get(`${basePath}/${asset}`, (req, res) => {
+        res.sendFile(path.join(UI_DIR, asset))
+      })
+    }
+  }
+
+  readPackage() {
+    try {
+      return JSON.parse(
+        fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8')
+      )
+    } catch {
+      return {}
+    }
+  }
+}
+
+// Pile du router de l'app : app._router (Express 4) ou app.router (Express 5)
+function expressStack(app) {
+  try {
+    return (app._router || app.router)?.stack || []
+  } catch {
+    return []
+  }
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+module.exports = OpenApiGenerator
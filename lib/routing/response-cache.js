@@ -0,0 +1,75 @@
+/**
+ * Cache mémoire des réponses d'une route (option `cache` de createRoute).
+ * Seules les réponses 200 aux requêtes GET/HEAD sont conservées, par URL et,
+ * pour une route authentifiée, par utilisateur.
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl * 1000
+    this.maxEntries = options.maxEntries || 500
+    this.varyByUser = Boolean(options.varyByUser)
+    // Ordre d'insertion = ordre d'utilisation (LRU)
+    this.entries = new Map()
+  }
+
+  keyFor(req) {
+    const user = this.varyByUser ? `${req.session?.user?.id ?? ''}|` : ''
+    return `${user}${req.originalUrl}`
+  }
+
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return null
+    this.entries.delete(key)
+    if (entry.expires <= Date.now()) return null
+    this.entries.set(key, entry)
+    return entry
+  }
+
+  set(key, entry) {
+    this.entries.delete(key)
+    this.entries.set(key, { ...entry, expires: Date.now() + this.ttl })
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+
+  middleware() {
+    const cache = this
+
+    return (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next()
+
+      const key = cache.keyFor(req)
+      const cached = cache.get(key)
+      if (cached) {
+        res.set(cached.headers).set('X-Cache', 'HIT')
+        return res.status(200).send(cached.body)
+      }
+
+      res.set('X-Cache', 'MISS')
+      // res.json et res.render aboutissent à res.send avec le corps final
+      const send = res.send
+      res.send = function (body) {
+        if (
+          this.statusCode === 200 &&
+          (typeof body === 'string' || Buffer.isBuffer(body))
+        ) {
+          const contentType = this.get('Content-Type')
+          cache.set(key, {
+            body,
+            headers: contentType ? { 'Content-Type': contentType } : {},
+          })
+        }
+        return send.call(this, body)
+      }
+      next()
+    }
+  }
+}
+
+module.exports = ResponseCache
@@ -1,6 +1,25 @@
 const path = require('path')
 const fs = require('fs')
 const crypto = require('crypto')
+const express = require('express')
+const rateLimit = require('express-rate-limit')
+
+const ApiVersioning = require('./api-versioning')
+const ResponseCache = require('./response-cache')
+const RouteManifest = require('./route-manifest')
+const SchemaValidator = require('./schema-validator')
+const { SseHub } = require('./sse')
+const { callHandler, sendResult } = require('./handler-result')
+const { HttpError } = require('../core/errors')
+
+// Middleware de dossier, hérité par les routes du dossier et des sous-dossiers
+const MIDDLEWARE_FILE = '_middleware.js'
+// Suffixe de version d'un fichier de route : users.v2.js, users.v2.1.js
+const VERSION_SUFFIX = /\.v(\d+(?:\.\d+)*)$/
+// Route WebSocket : chat.ws.js, servie par app.websockets
+const WS_FILE = /\.ws\.js$/
+// Contrôleur du req.signal de chaque requête
+const abortControllers = new WeakMap()
 
 class RouteManager {
   constructor(app, options) {
@@ -8,6 +27,32 @@ class RouteManager {
     this.options = options
     this.routeMap = new Map()
     this.dynamicRoutes = new Map()
+    // Les clés method:path des maps suivantes prennent le suffixe @v<version>
+    // pour une route versionnée (voir routeKey)
+    // Cache de réponses des routes créées avec l'option cache (clé method:path)
+    this.responseCaches = new Map()
+    // Schémas de validation par route (clé method:path), réutilisés par la doc
+    this.routeSchemas = new Map()
+    // Documentation des routes fichiers : clé method:path → { source, description }
+    this.routeDocs = new Map()
+    // Routers exportés par les fichiers de routes : filePath → { router, path, description }
+    this.fileRouters = new Map()
+    // _middleware.js chargés : dossier → { middleware, auth, file }
+    this.directoryMiddleware = new Map()
+    // Routes du manifeste de vako build lues par loadRoutes en production
+    this.manifest = null
+    // Table servie par le router Vako : une entrée par route (method, path,
+    // router propre), triée par précision du chemin puis par ancienneté.
+    // Remplacée d'un bloc à chaque changement, jamais modifiée sur place.
+    this.routeTable = []
+    this.routeSequence = 0
+    this.dispatcher = null
+    // Variantes d'une même route dont l'une au moins est versionnée :
+    // entrée → variantes, recalculé avec la table
+    this.versionGroups = new Map()
+    this.versioning = new ApiVersioning(options.versioning)
+    // Index nom → entrée, reconstruit à la demande après chaque changement
+    this.namedRoutes = null
 
     // Limite le nombre de routes dynamiques pour éviter les attaques
     this.maxDynamicRoutes = options.maxDynamicRoutes || 1000
@@ -131,18 +176,36 @@ class RouteManager {
     return cleaned
   }
 
-  // Méthode unique pour créer une route
-  async createRoute(method, routePath, handler, options = {}) {
+  // Méthode unique pour créer une route ; replace (updateRoute) remplace
+  // l'entrée existante sans fenêtre où la route répondrait 404
+  async createRoute(
+    method,
+    routePath,
+    handler,
+    options = {},
+    { replace } = {}
+  ) {
     try {
       const validated = this.validateRouteInput(method, routePath, handler)
       method = validated.method
       routePath = validated.path
       handler = validated.handler
+      const version = ApiVersioning.normalize(options.version)
+      const deprecated = ApiVersioning.normalizePolicy(
+        options.deprecated,
+        `${method.toUpperCase()} ${routePath} : deprecated`
+      )
+      const routeKey = this.routeKey(method, routePath, version)
+      const previous = this.dynamicRoutes.get(routeKey)
 
-      if (this.dynamicRoutes.size >= this.maxDynamicRoutes) {
+      if (!previous && this.dynamicRoutes.size >= this.maxDynamicRoutes) {
         throw new Error('Limite de routes dynamiques atteinte')
       }
 
+      // Construit avant tout enregistrement : une option inapplicable
+      // fait échouer la création au lieu de laisser la route ouverte
+      const chain = this.buildRouteChain(method, routePath, options)
+
       if (this.app.plugins) {
         await this.app.plugins.executeHook(
           'route:security-check',
@@ -153,15 +216,28 @@ class RouteManager {
         )
       }
 
-      if (this.routeExists(method, routePath)) {
+      if (!replace && this.routeExists(method, routePath, version)) {
         this.app.logger.log(
           'warning',
           'Route already exists',
-          `${method.toUpperCase()} ${routePath}`
+          `${method.toUpperCase()} ${routePath}${version ? ` (v${version})` : ''}`
         )
         return this.app
       }
 
+      if (options.name !== undefined) {
+        this.checkRouteName(options.name, routePath)
+      }
+
+      // Politique CORS propre à la route (validée avant l'enregistrement)
+      if (options.security?.cors !== undefined) {
+        this.app.corsManager.setRoutePolicy(
+          method,
+          routePath,
+          options.security.cors
+        )
+      }
+
       const secureHandler = this.createSecureHandler(
         handler,
         method,
@@ -169,19 +245,30 @@ class RouteManager {
         options
       )
 
-      if (Array.isArray(secureHandler)) {
-        this.app.app[method](routePath, ...secureHandler)
-      } else {
-        this.app.app[method](routePath, secureHandler)
-      }
+      this.swapRoutes(
+        (entry) =>
+          entry.method === method &&
+          entry.path === routePath &&
+          (entry.version || null) === version,
+        [
+          this.createEntry(
+            method,
+            routePath,
+            [...chain.middleware, ...[].concat(secureHandler)],
+            { source: 'dynamic', name: options.name, version, deprecated }
+          ),
+        ]
+      )
 
-      const routeKey = `${method}:${routePath}`
+      this.setRouteState(this.responseCaches, routeKey, chain.cache)
+      this.setRouteState(this.routeSchemas, routeKey, chain.validator)
       this.dynamicRoutes.set(routeKey, {
         method,
         path: routePath,
         handler: secureHandler,
+        version,
         options: this.sanitizeOptions(options),
-        createdAt: new Date().toISOString(),
+        createdAt: previous?.createdAt || new Date().toISOString(),
         createdBy: options.createdBy || 'system',
         routeId: this.generateRouteId(method, routePath),
       })
@@ -222,12 +309,158 @@ class RouteManager {
     }
   }
 
+  /**
+   * Middlewares placés devant le handler selon les options de la route, dans
+   * l'ordre : rateLimit → auth → schema → middleware → cache (le cache ne
+   * sert une réponse qu'aux requêtes qui ont passé les contrôles), ou
+   * ouverture du flux pour une route sse
+   */
+  buildRouteChain(method, routePath, options = {}) {
+    // 'use' : chaîne d'un _middleware.js, désignée par son fichier
+    const route =
+      method === 'use' ? routePath : `${method.toUpperCase()} ${routePath}`
+    const middleware = []
+    let cache = null
+    let validator = null
+
+    if (options.rateLimit) {
+      middleware.push(this.createRouteLimiter(options.rateLimit, route))
+    }
+
+    if (options.auth !== undefined && options.auth !== false) {
+      if (!this.app.auth?.isEnabled) {
+        throw new Error(
+          `Option auth de ${route} impossible : le système d'authentification n'est pas activé`
+        )
+      }
+      if (options.auth === true) {
+        middleware.push(this.app.requireAuth())
+      } else if (typeof options.auth === 'string' && options.auth.trim()) {
+        middleware.push(this.app.requireRole(options.auth.trim()))
+      } else {
+        throw new Error(
+          `Option auth invalide pour ${route} : true ou un nom de rôle attendu`
+        )
+      }
+    }
+
+    if (options.schema !== undefined) {
+      validator = new SchemaValidator(options.schema, route)
+      middleware.push(validator.middleware())
+    }
+
+    if (options.middleware !== undefined) {
+      const list = [].concat(options.middleware)
+      if (list.some((mw) => typeof mw !== 'function')) {
+        throw new Error(
+          `Option middleware invalide pour ${route} : fonction ou tableau de fonctions attendu`
+        )
+      }
+      // Les middlewares async qui rejettent passent par le pipeline d'erreurs
+      list.forEach((mw) => {
+        middleware.push((req, res, next) => {
+          Promise.resolve(mw(req, res, next)).catch(next)
+        })
+      })
+    }
+
+    if (options.cache !== undefined && options.cache !== false) {
+      if (method !== 'get') {
+        throw new Error(
+          `Option cache impossible pour ${route} : seules les routes GET sont mises en cache`
+        )
+      }
+      cache = new ResponseCache(
+        this.normalizeCacheOptions(options.cache, route, Boolean(options.auth))
+      )
+      middleware.push(cache.middleware())
+    }
+
+    if (options.sse !== undefined && options.sse !== false) {
+      if (method !== 'get' || cache) {
+        throw new Error(
+          `Option sse impossible pour ${route} : réservée aux routes GET sans cache`
+        )
+      }
+      const config = SseHub.normalizeOptions(options.sse, route)
+      middleware.push((req, res, next) => {
+        this.app.sse.open(req, res, config)
+        next()
+      })
+    }
+
+    return { middleware, cache, validator }
+  }
+
+  createRouteLimiter(config, route) {
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(
+        `Option rateLimit invalide pour ${route} : objet { window, max } attendu`
+      )
+    }
+    const { window, max } = this.sanitizeOptions({
+      rateLimit: config,
+    }).rateLimit
+
+    return rateLimit({
+      windowMs: window,
+      max,
+      message:
+        config.message ||
+        this.app.options.security.rateLimit?.message ||
+        'Trop de requêtes, veuillez réessayer plus tard.',
+      standardHeaders: true,
+      legacyHeaders: false,
+      // Limiteur créé à la demande, pas seulement au démarrage
+      validate: { creationStack: false },
+    })
+  }
+
+  // cache: true (60 s), durée en secondes ou { ttl, maxEntries, varyByUser }
+  normalizeCacheOptions(config, route, authenticated) {
+    const options =
+      config === true
+        ? {}
+        : typeof config === 'number'
+          ? { ttl: config }
+          : config
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(
+        `Option cache invalide pour ${route} : true, une durée en secondes ou { ttl } attendu`
+      )
+    }
+
+    const ttl = options.ttl ?? 60
+    if (typeof ttl !== 'number' || !(ttl > 0)) {
+      throw new Error(
+        `Option cache invalide pour ${route} : ttl doit être un nombre de secondes positif`
+      )
+    }
+    return {
+      ttl: Math.min(ttl, 86400),
+      maxEntries: options.maxEntries,
+      // Une réponse authentifiée n'est jamais servie à un autre utilisateur
+      varyByUser: authenticated || Boolean(options.varyByUser),
+    }
+  }
+
+  // Vide le cache de réponses d'une route (méthodes et versions) ou de toutes
+  clearCache(routePath) {
+    this.responseCaches.forEach((cache, routeKey) => {
+      const key = routeKey.replace(/@v[\d.]+$/, '')
+      if (!routePath || key.endsWith(`:${routePath}`)) cache.clear()
+    })
+    return this.app
+  }
+
   // Crée un wrapper sécurisé unique pour les handlers
   createSecureHandler(handler, method, routePath, options = {}) {
     const wrapHandler = (originalHandler) => {
       return async (req, res, next) => {
         const startTime = Date.now()
+        const controller = this.abortControllerFor(req, res)
         let timeoutId = null
+        let timeoutError = null
 
         try {
           // Log de sécurité
@@ -237,24 +470,35 @@ class RouteManager {
             `${method.toUpperCase()} ${routePath} from ${req.ip} (${req.get('User-Agent') || 'Unknown'})`
           )
 
-          // Exécute le handler original avec timeout
+          // Exécute le handler original avec timeout, sauf pour un flux
+          // SSE (option sse ou res.sse()) qui reste ouvert volontairement.
+          // Au timeout : 503 + Retry-After, puis req.signal est annulé
           const timeoutMs = options.timeout || 30000
 
-          const handlerPromise = Promise.resolve(
-            originalHandler(req, res, next)
-          )
-          const timeoutPromise = new Promise((_, reject) => {
-            timeoutId = setTimeout(
-              () => reject(new Error('Handler timeout')),
-              timeoutMs
-            )
+          const handlerPromise = callHandler(originalHandler, req, res, next)
+          const timeoutPromise = new Promise((resolve, reject) => {
+            if (options.sse) return
+            timeoutId = setTimeout(() => {
+              if (res.sseStream) return resolve()
+              timeoutError = new HttpError(
+                503,
+                `Délai de traitement dépassé (${timeoutMs} ms)`
+              )
+              timeoutError.expose = true
+              timeoutError.headers = {
+                'Retry-After': String(options.retryAfter ?? 5),
+              }
+              reject(timeoutError)
+            }, timeoutMs)
           })
 
-          await Promise.race([handlerPromise, timeoutPromise])
+          const result = await Promise.race([handlerPromise, timeoutPromise])
+          // Valeur retournée : JSON, vue, redirection ou flux
+          sendResult(result, req, res, next)
 
           // Log de performance
           const duration = Date.now() - startTime
-          if (duration > 1000) {
+          if (duration > 1000 && !res.sseStream) {
             this.app.logger.log(
               'performance',
               'Slow route',
@@ -263,21 +507,35 @@ class RouteManager {
           }
         } catch (error) {
           const duration = Date.now() - startTime
+          const route = `${method.toUpperCase()} ${routePath}`
+
+          // Client parti : le handler a renoncé, plus rien à répondre
+          if (controller.signal.aborted && !timeoutError) {
+            this.app.logger.log(
+              'warning',
+              'Request aborted',
+              `${route} → ${error.message} (${duration}ms)`
+            )
+            return
+          }
+
           this.app.logger.log(
             'error',
             'Handler error',
-            `${method.toUpperCase()} ${routePath} → ${error.message} (${duration}ms)`
+            `${route} → ${error.message} (${duration}ms)`
           )
 
-          if (!res.headersSent) {
-            const isDev = process.env.NODE_ENV !== 'production'
-            const statusCode = error.statusCode || error.status || 500
+          // Réponse négociée (HTML/JSON) par le pipeline d'erreurs de l'app
+          this.app.errorHandler.handle(error, req, res, next)
 
-            res.status(statusCode).json({
-              error: 'Une erreur est survenue',
-              details: isDev ? error.message : undefined,
-              stack: isDev ? error.stack : undefined,
-            })
+          if (error === timeoutError) {
+            this.suppressLateWrites(res, route)
+            controller.abort(
+              new DOMException(
+                `Délai de traitement dépassé (${route})`,
+                'TimeoutError'
+              )
+            )
           }
         } finally {
           // FIX: Toujours clear le timeout pour éviter les fuites de mémoire
@@ -293,6 +551,99 @@ class RouteManager {
     }
   }
 
+  /**
+   * Contrôleur de req.signal, créé une fois par requête : annulé quand le
+   * client se déconnecte avant la fin de la réponse, ou au timeout d'une
+   * route dynamique
+   */
+  abortControllerFor(req, res) {
+    let controller = abortControllers.get(req)
+    if (!controller) {
+      controller = new AbortController()
+      abortControllers.set(req, controller)
+      req.signal = controller.signal
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          controller.abort(new DOMException('Client déconnecté', 'AbortError'))
+        }
+      })
+    }
+    return controller
+  }
+
+  // req.signal sur toutes les requêtes, y compris celles des routes fichiers
+  signalMiddleware() {
+    return (req, res, next) => {
+      this.abortControllerFor(req, res)
+      next()
+    }
+  }
+
+  /**
+   * Après la réponse de timeout, ce que le handler écrit encore est ignoré
+   * (et signalé une fois) au lieu de lever « headers already sent »
+   */
+  suppressLateWrites(res, route) {
+    let reported = false
+    for (const name of ['writeHead', 'setHeader', 'write', 'end']) {
+      res[name] = (...args) => {
+        if (!reported) {
+          reported = true
+          this.app.logger.log(
+            'warning',
+            'Late response suppressed',
+            `${route} → ${name}() après le timeout`
+          )
+        }
+        const callback = args.find((arg) => typeof arg === 'function')
+        if (callback) process.nextTick(callback)
+        return name === 'write' ? false : res
+      }
+    }
+  }
+
+  /**
+   * Compatibilité des modules fonction écrits pour l'app Express : set(),
+   * get(nom), enable(), engine() et locals agissent sur l'app, avec un
+   * avertissement (dépréciation) qui invite à utiliser le second argument
+   */
+  withAppSettings(router, filePath) {
+    const expressApp = this.app.app
+    let warned = false
+    const forward =
+      (name) =>
+      (...args) => {
+        if (!warned) {
+          warned = true
+          this.app.logger.log(
+            'warning',
+            'Deprecated route module API',
+            `${path.basename(filePath)} : router.${name}() agit sur l'app, utilisez le second argument (router, app) => {}`
+          )
+        }
+        return expressApp[name](...args)
+      }
+
+    const routeGet = router.get.bind(router)
+    router.get = (...args) =>
+      args.length === 1 && typeof args[0] === 'string'
+        ? forward('get')(...args)
+        : routeGet(...args)
+    for (const name of [
+      'set',
+      'enable',
+      'disable',
+      'enabled',
+      'disabled',
+      'engine',
+    ]) {
+      router[name] = forward(name)
+    }
+    router.app = expressApp
+    router.locals = expressApp.locals
+    return router
+  }
+
   // Génération d'ID unique pour les routes
   generateRouteId(method, routePath) {
     return crypto
@@ -315,6 +666,12 @@ class RouteManager {
       'clientId',
       'security',
       'cache',
+      'schema',
+      'name',
+      'version',
+      'deprecated',
+      'sse',
+      'retryAfter',
     ]
 
     allowedKeys.forEach((key) => {
@@ -326,7 +683,10 @@ class RouteManager {
           )
         } else if (key === 'rateLimit' && typeof options[key] === 'object') {
           sanitized[key] = {
-            window: Math.min(options[key].window || 60000, 3600000),
+            window: Math.min(
+              options[key].window || options[key].windowMs || 60000,
+              3600000
+            ),
             max: Math.min(options[key].max || 100, 10000),
           }
         } else {
@@ -367,31 +727,40 @@ class RouteManager {
     }
   }
 
-  async deleteRoute(method, routePath) {
+  /**
+   * Sans version, toutes les variantes de la route sont retirées ; null
+   * désigne la seule variante sans version
+   */
+  async deleteRoute(method, routePath, version) {
     try {
       method = method.toLowerCase()
-      const routeKey = `${method}:${routePath}`
+      if (version !== undefined) version = ApiVersioning.normalize(version)
+      const label = `${method.toUpperCase()} ${routePath}${version ? ` (v${version})` : ''}`
 
-      if (
-        !this.dynamicRoutes.has(routeKey) &&
-        !this.routeExists(method, routePath)
-      ) {
-        this.app.logger.log(
-          'warning',
-          'Route not found',
-          `${method.toUpperCase()} ${routePath}`
-        )
+      if (!this.routeExists(method, routePath, version)) {
+        this.app.logger.log('warning', 'Route not found', label)
         return this.app
       }
 
-      this.removeRouteFromRouter(method, routePath)
-      this.dynamicRoutes.delete(routeKey)
-
-      this.app.logger.log(
-        'delete',
-        'Route deleted dynamically',
-        `${method.toUpperCase()} ${routePath}`
+      // Seule la méthode demandée est retirée, les autres méthodes du même
+      // chemin et les routers montés dessus restent en place
+      const removed = this.swapRoutes(
+        (entry) =>
+          entry.method === method &&
+          entry.path === routePath &&
+          (version === undefined || (entry.version || null) === version)
       )
+      this.forgetRoutes(removed)
+      for (const entry of removed) {
+        const routeKey = this.routeKey(method, routePath, entry.version)
+        this.dynamicRoutes.delete(routeKey)
+        this.responseCaches.delete(routeKey)
+      }
+      if (!this.routeExists(method, routePath)) {
+        this.app.corsManager.removeRoutePolicy(method, routePath)
+      }
+
+      this.app.logger.log('delete', 'Route deleted dynamically', label)
 
       if (this.app.options.isDev && this.app.devServer) {
         this.app.devServer.broadcast({
@@ -413,10 +782,18 @@ class RouteManager {
     }
   }
 
-  async updateRoute(method, routePath, newHandler) {
+  async updateRoute(method, routePath, newHandler, version) {
     try {
-      await this.deleteRoute(method, routePath)
-      await this.createRoute(method, routePath, newHandler)
+      // Les options d'origine (auth, cache…) restent appliquées
+      const routeKey = this.routeKey(
+        method.toLowerCase(),
+        routePath,
+        ApiVersioning.normalize(version)
+      )
+      const options = this.dynamicRoutes.get(routeKey)?.options || { version }
+      await this.createRoute(method, routePath, newHandler, options, {
+        replace: true,
+      })
       this.app.logger.log(
         'reload',
         'Route updated',
@@ -433,43 +810,187 @@ class RouteManager {
     }
   }
 
-  routeExists(method, routePath) {
-    if (!this.app.app._router) return false
-    return this.app.app._router.stack.some((layer) => {
-      if (layer.route) {
-        const routeMethods = Object.keys(layer.route.methods)
+  // version : undefined pour n'importe quelle variante, null pour la seule
+  // variante sans version
+  routeExists(method, routePath, version) {
+    method = method.toLowerCase()
+    return this.routeTable.some(
+      (entry) =>
+        entry.method === method &&
+        entry.path === routePath &&
+        (version === undefined || (entry.version || null) === version)
+    )
+  }
+
+  // Clé des maps par route : get:/users, get:/users@v2
+  routeKey(method, routePath, version) {
+    return `${method}:${routePath}${version ? `@v${version}` : ''}`
+  }
+
+  /**
+   * Middleware monté une seule fois dans Express : parcourt la table courante.
+   * Une requête en cours garde la table de son arrivée, même si une route est
+   * remplacée entre-temps. Parmi les variantes versionnées d'une route, seule
+   * celle retenue par la négociation est essayée.
+   */
+  middleware() {
+    if (this.dispatcher) return this.dispatcher
+
+    this.dispatcher = (req, res, next) => {
+      const table = this.routeTable
+      const groups = this.versionGroups
+      const method = req.method.toLowerCase()
+      const url = req.url
+      let negotiated = null
+      let index = 0
+      let sync = 0
+
+      // Version demandée, lue une fois et seulement si une route versionnée
+      // est en jeu ; le segment /v2 n'est retiré que pour ces routes
+      const negotiate = () => {
+        if (!negotiated) {
+          const prefix = this.versioning.matchPrefix(url)
+          negotiated = prefix || {
+            version: this.versioning.fromHeaders(req),
+            url,
+          }
+        }
+        return negotiated
+      }
+      const runnable = (entry) => {
+        if (!matchesMethod(entry, method)) return false
+        const group = groups.get(entry)
         return (
-          layer.route.path === routePath &&
-          routeMethods.includes(method.toLowerCase())
+          !group || this.versioning.select(group, negotiate().version) === entry
         )
       }
-      return false
-    })
-  }
+      const done = (error) => {
+        req.url = url
+        next(error)
+      }
 
-  removeRouteFromRouter(method, routePath) {
-    if (!this.app.app._router) return
+      const step = (error) => {
+        if (error) return done(error)
+        while (index < table.length && !runnable(table[index])) index++
+        if (index >= table.length) {
+          req.url = url
+          return method === 'options'
+            ? this.sendAllowedMethods(table, req, res, next)
+            : next()
+        }
+        // Les routers qui ne correspondent pas rendent la main de façon
+        // synchrone : on casse la récursion comme le fait Express
+        if (++sync > 100) {
+          sync = 0
+          return setImmediate(step)
+        }
 
-    this.app.app._router.stack = this.app.app._router.stack.filter((layer) => {
-      if (layer.route) {
-        const routeMethods = Object.keys(layer.route.methods)
-        const shouldRemove =
-          layer.route.path === routePath &&
-          routeMethods.includes(method.toLowerCase())
-        if (shouldRemove) {
-          this.app.logger.log(
-            'dev',
-            'Route removed from Express router',
-            `🗑️ ${method.toUpperCase()} ${routePath}`
-          )
+        const entry = table[index++]
+        req.url = groups.has(entry) ? negotiate().url : url
+        // La réponse d'une route versionnée dépend des en-têtes de négociation
+        if (groups.has(entry) && entry.router.stack[0]?.match(req.path)) {
+          this.versioning.vary(res)
         }
-        return !shouldRemove
+        entry.router(req, res, step)
       }
-      return true
+      step()
+    }
+    return this.dispatcher
+  }
+
+  // Réponse OPTIONS par défaut d'Express : méthodes acceptées par le chemin
+  sendAllowedMethods(table, req, res, next) {
+    const methods = new Set()
+    for (const entry of table) {
+      if (entry.method === 'use' || !entry.router.stack[0].match(req.path)) {
+        continue
+      }
+      methods.add(entry.method.toUpperCase())
+      if (entry.method === 'get') methods.add('HEAD')
+    }
+    if (methods.size === 0) return next()
+
+    const allow = Array.from(methods).join(',')
+    res.set('Allow', allow).send(allow)
+  }
+
+  /**
+   * Entrée de la table : method 'use' pour un router monté (ou un module
+   * fonction, dont le router reçoit les routes), sinon une route précise
+   */
+  createEntry(method, routePath, handlers, extra = {}) {
+    const { deprecated, ...fields } = extra
+    const router = express.Router({
+      caseSensitive: this.app.app.get('case sensitive routing'),
+      strict: this.app.app.get('strict routing'),
+    })
+    if (fields.version || deprecated) {
+      handlers = [
+        this.versioning.middleware(fields.version, deprecated),
+        ...handlers,
+      ]
+    }
+    if (handlers.length > 0) router[method](routePath, ...handlers)
+    return { method, path: routePath, sortPath: routePath, router, ...fields }
+  }
+
+  /**
+   * Remplace d'un bloc les entrées désignées par `predicate` par `entries`
+   * et retourne les entrées retirées. Les remplaçantes reprennent le rang
+   * des anciennes parmi les chemins de même précision.
+   */
+  swapRoutes(predicate, entries = []) {
+    const removed = this.routeTable.filter(predicate)
+    const sequence =
+      removed.length > 0
+        ? Math.min(...removed.map((entry) => entry.sequence))
+        : ++this.routeSequence
+    entries.forEach((entry) => {
+      entry.sequence = sequence
     })
+
+    this.routeTable = this.routeTable
+      .filter((entry) => !predicate(entry))
+      .concat(entries)
+      .sort(
+        (a, b) =>
+          RouteManager.compareRoutePaths(a.sortPath, b.sortPath) ||
+          a.sequence - b.sequence
+      )
+    this.versionGroups = groupVersions(this.routeTable)
+    this.methodsCache.clear()
+    this.namedRoutes = null
+    return removed
+  }
+
+  // Oublie schémas et documentation des routes retirées, sauf celles
+  // réenregistrées sous la même clé
+  forgetRoutes(removed, entries = []) {
+    const kept = new Set(
+      entries.map((entry) =>
+        this.routeKey(entry.method, entry.path, entry.version)
+      )
+    )
+    for (const entry of removed) {
+      const routeKey = this.routeKey(entry.method, entry.path, entry.version)
+      if (entry.method === 'use' || kept.has(routeKey)) continue
+      this.routeSchemas.delete(routeKey)
+      this.routeDocs.delete(routeKey)
+    }
   }
 
-  loadRoutes(routesDir = this.options.routesDir) {
+  setRouteState(map, routeKey, value) {
+    if (value) map.set(routeKey, value)
+    else map.delete(routeKey)
+  }
+
+  /**
+   * Charge les routes du dossier. En production, les fichiers, leur ordre,
+   * chemins, versions, noms et _middleware.js viennent du manifeste de vako
+   * build s'il est à jour (options.manifest: false force le parcours) ; en
+   * développement le dossier est toujours parcouru.
+   */
+  loadRoutes(routesDir = this.options.routesDir, options = {}) {
     const routesPath = path.join(process.cwd(), routesDir)
 
     if (!fs.existsSync(routesPath)) {
@@ -482,8 +1003,32 @@ class RouteManager {
       return this.app
     }
 
-    this.app.logger.log('info', 'Scanning routes...', `📂 ${routesDir}`)
-    this.scanDirectory(routesPath, routesPath)
+    this.directoryMiddleware.clear()
+    this.manifest =
+      this.app.options.isDev ||
+      options.manifest === false ||
+      !this.options.routeManifest
+        ? null
+        : new RouteManifest(this, this.options.routeManifest).load(routesPath)
+
+    if (this.manifest) {
+      this.app.logger.log(
+        'info',
+        'Loading route manifest...',
+        `📄 ${this.options.routeManifest}`
+      )
+      for (const route of this.manifest) {
+        this.loadRouteFile(route.filePath, routesPath, route)
+      }
+    } else {
+      this.app.logger.log('info', 'Scanning routes...', `📂 ${routesDir}`)
+      for (const filePath of this.sortRouteFiles(
+        this.scanDirectory(routesPath),
+        routesPath
+      )) {
+        this.loadRouteFile(filePath, routesPath)
+      }
+    }
 
     if (!this.routeExists('get', '/')) {
       this.app.logger.log(
@@ -496,20 +1041,114 @@ class RouteManager {
     return this.app
   }
 
-  scanDirectory(dirPath, basePath) {
-    const files = fs.readdirSync(dirPath)
-    files.forEach((file) => {
+  /**
+   * Écrit le manifeste des routes (vako build) après un chargement par
+   * parcours du dossier ; retourne { file, manifest }
+   */
+  writeManifest(
+    routesDir = this.options.routesDir,
+    file = this.options.routeManifest
+  ) {
+    if (!file) {
+      throw new Error('Manifeste des routes désactivé (routeManifest: false)')
+    }
+    this.loadRoutes(routesDir, { manifest: false })
+    const routeManifest = new RouteManifest(this, file)
+    const manifest = routeManifest.create(path.join(process.cwd(), routesDir))
+    return { file: routeManifest.write(manifest), manifest }
+  }
+
+  // Fichiers de routes du dossier, récursivement
+  scanDirectory(dirPath, files = []) {
+    fs.readdirSync(dirPath).forEach((file) => {
       const filePath = path.join(dirPath, file)
       const stat = fs.statSync(filePath)
       if (stat.isDirectory()) {
-        this.scanDirectory(filePath, basePath)
-      } else if (file.endsWith('.js')) {
-        this.loadRouteFile(filePath, basePath)
+        this.scanDirectory(filePath, files)
+      } else if (file.endsWith('.js') && file !== MIDDLEWARE_FILE) {
+        files.push(filePath)
       }
     })
+    return files
   }
 
-  loadRouteFile(filePath, basePath) {
+  /**
+   * Ordre d'enregistrement indépendant de readdirSync : segment par segment,
+   * statique avant :param, avant catch-all, avant catch-all optionnel.
+   * Deux fichiers qui donnent la même URL sont refusés.
+   */
+  sortRouteFiles(files, basePath) {
+    const entries = files.map((filePath) => {
+      const relativePath = path.relative(basePath, filePath)
+      let routePath = null
+      try {
+        routePath = this.filePathToRoute(relativePath)
+      } catch {
+        // Erreur signalée par loadRouteFile
+      }
+      return {
+        filePath,
+        routePath,
+        version: this.fileRouteVersion(relativePath),
+      }
+    })
+
+    // users.js et users.v2.js sont deux variantes d'une même route, chat.js
+    // et chat.ws.js deux routes distinctes
+    const seen = new Map()
+    for (const { filePath, routePath, version } of entries) {
+      if (routePath === null) continue
+      const kind = WS_FILE.test(filePath) ? 'ws' : 'file'
+      const key = this.routeKey(kind, routePath, version)
+      if (seen.has(key)) {
+        const message = `Conflit de routes : ${path.relative(basePath, seen.get(key))} et ${path.relative(basePath, filePath)} → ${routePath}${version ? ` (v${version})` : ''}`
+        this.app.logger.log('error', 'Route conflict', message)
+        if (process.env.NODE_ENV !== 'production') throw new Error(message)
+      }
+      seen.set(key, filePath)
+    }
+
+    return entries
+      .sort((a, b) => {
+        if (a.routePath === null || b.routePath === null) {
+          return (a.routePath === null) - (b.routePath === null)
+        }
+        return (
+          RouteManager.compareRoutePaths(a.routePath, b.routePath) ||
+          a.filePath.localeCompare(b.filePath)
+        )
+      })
+      .map((entry) => entry.filePath)
+  }
+
+  static compareRoutePaths(a, b) {
+    const rank = (segment) => {
+      // Joker Express (/files/*) d'une route dynamique : comme un catch-all
+      if (segment.includes('*')) return 2
+      if (!segment.startsWith(':')) return 0
+      if (segment.endsWith('(.+)?')) return 3
+      if (segment.endsWith('(.+)')) return 2
+      return 1
+    }
+    const segmentsA = a.split('/').filter(Boolean)
+    const segmentsB = b.split('/').filter(Boolean)
+
+    for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+      const diff = rank(segmentsA[i]) - rank(segmentsB[i])
+      if (diff !== 0) return diff
+      if (segmentsA[i] !== segmentsB[i]) {
+        return segmentsA[i] < segmentsB[i] ? -1 : 1
+      }
+    }
+    // À préfixe égal, le chemin le plus court (le plus précis) d'abord
+    return segmentsA.length - segmentsB.length
+  }
+
+  /**
+   * Enregistre un fichier de routes ; manifestRoute (entrée du manifeste)
+   * fournit son chemin, sa version, son nom et ses _middleware.js
+   */
+  loadRouteFile(filePath, basePath, manifestRoute = null) {
     try {
       const resolvedPath = path.resolve(filePath)
       const resolvedBase = path.resolve(basePath)
@@ -519,17 +1158,96 @@ class RouteManager {
         )
       }
 
-      delete require.cache[require.resolve(filePath)]
+      // Rechargement à chaud : en production le module en cache sert tel quel
+      if (this.app.options.isDev)
+        delete require.cache[require.resolve(filePath)]
       const routeModule = require(filePath)
 
       const relativePath = path.relative(basePath, filePath)
-      const routePath = this.filePathToRoute(relativePath)
+      const routePath = manifestRoute
+        ? manifestRoute.path
+        : this.filePathToRoute(relativePath)
       this.routeMap.set(filePath, routePath)
+      const inherited = this.middlewareFor(
+        filePath,
+        basePath,
+        manifestRoute?.middleware
+      )
+
+      if (WS_FILE.test(filePath)) {
+        this.app.websockets.load(
+          filePath,
+          routePath,
+          routeModule,
+          routeModule.auth ?? inherited.auth
+        )
+        this.app.logger.log(
+          'route',
+          'WebSocket route loaded',
+          `${path.basename(filePath)} → ${routePath}`
+        )
+        return
+      }
+
+      const versioned = {
+        version: manifestRoute
+          ? manifestRoute.version
+          : this.fileRouteVersion(relativePath),
+        deprecated: ApiVersioning.normalizePolicy(
+          routeModule.deprecated,
+          `${path.basename(filePath)} : deprecated`
+        ),
+      }
+
+      this.app.corsManager.removeSourcePolicies(
+        path.relative(process.cwd(), filePath)
+      )
+
+      const source = { source: 'file', filePath }
+      let entries = []
 
       if (typeof routeModule === 'function') {
-        routeModule(this.app.app)
+        if (inherited.middleware.length > 0) {
+          this.app.logger.log(
+            'warning',
+            'Directory middleware ignored',
+            `${path.basename(filePath)} - les modules fonction enregistrent leurs routes eux-mêmes`
+          )
+        }
+        if (versioned.version) {
+          this.app.logger.log(
+            'warning',
+            'Route version ignored',
+            `${path.basename(filePath)} - exportez { get, post… } ou { router } pour une route versionnée`
+          )
+        }
+        // Le module reçoit un router propre au fichier, remplacé en bloc au
+        // rechargement ; il est classé selon le chemin du fichier. L'app
+        // Express suit en second argument pour les réglages globaux
+        const entry = this.createEntry('use', '/', [], {
+          ...source,
+          sortPath: routePath,
+        })
+        routeModule(this.withAppSettings(entry.router, filePath), this.app.app)
+        entries = [entry]
       } else if (routeModule.router) {
-        this.app.app.use(routePath, routeModule.router)
+        this.setupRouteCors(routePath, ['use'], routeModule.cors, filePath)
+        entries = [
+          this.createEntry(
+            'use',
+            routePath,
+            [...inherited.middleware, routeModule.router],
+            { ...source, ...versioned }
+          ),
+        ]
+        this.fileRouters.set(filePath, {
+          router: routeModule.router,
+          path: routePath,
+          description:
+            typeof routeModule.description === 'string'
+              ? routeModule.description
+              : undefined,
+        })
       } else if (
         routeModule.get ||
         routeModule.post ||
@@ -537,7 +1255,20 @@ class RouteManager {
         routeModule.delete ||
         routeModule.patch
       ) {
-        this.setupRouteHandlers(routePath, routeModule)
+        const methods = ['get', 'post', 'put', 'delete', 'patch']
+        this.setupRouteCors(
+          routePath,
+          methods.filter((method) => routeModule[method]),
+          routeModule.cors,
+          filePath
+        )
+        entries = this.setupRouteHandlers(
+          routePath,
+          routeModule,
+          filePath,
+          inherited,
+          versioned
+        )
       } else {
         this.app.logger.log(
           'warning',
@@ -546,6 +1277,22 @@ class RouteManager {
         )
       }
 
+      // Les modules fonction déclarent leurs propres chemins : pas de nom
+      if (typeof routeModule !== 'function') {
+        const name = manifestRoute
+          ? manifestRoute.name
+          : this.fileRouteName(relativePath, routePath)
+        entries.forEach((entry) => {
+          entry.name = name
+        })
+      }
+
+      if (!routeModule.router) this.fileRouters.delete(filePath)
+      this.forgetRoutes(
+        this.swapRoutes((entry) => entry.filePath === filePath, entries),
+        entries
+      )
+
       this.app.logger.log(
         'route',
         'Route loaded',
@@ -618,33 +1365,404 @@ module.exports = {
     }
   }
 
+  /**
+   * Chemin relatif → URL Express :
+   * - users/[id].js → /users/:id
+   * - docs/[...slug].js → /docs/:slug(.+) (un ou plusieurs segments)
+   * - docs/[[...slug]].js → /docs/:slug(.+)? (zéro ou plus)
+   * - (marketing)/about.js → /about (dossier de groupe, absent de l'URL)
+   * - api/users.v2.js → /api/users (version 2, voir fileRouteVersion)
+   * - chat.ws.js → /chat (route WebSocket)
+   */
   filePathToRoute(filePath) {
-    let route = filePath
+    const segments = filePath
       .replace(/\\/g, '/')
       .replace(/\.js$/, '')
-      .replace(/\/index$/, '')
-      .replace(/\[([^\]]+)\]/g, ':$1')
+      .replace(VERSION_SUFFIX, '')
+      .replace(/\.ws$/, '')
+      .split('/')
+      .filter((segment) => segment && !/^\(.+\)$/.test(segment))
+    if (segments[segments.length - 1] === 'index') segments.pop()
+
+    const route = segments.map((segment, i) => {
+      const catchAll = segment.match(/^(\[)?\[\.\.\.(\w+)\](\])?$/)
+      if (!catchAll) return segment.replace(/\[([^\]]+)\]/g, ':$1')
+
+      if (Boolean(catchAll[1]) !== Boolean(catchAll[3])) {
+        throw new Error(`Segment invalide ${segment} (${filePath})`)
+      }
+      if (i !== segments.length - 1) {
+        throw new Error(
+          `Le segment ${segment} doit être le dernier du chemin (${filePath})`
+        )
+      }
+      return `:${catchAll[2]}(.+)${catchAll[1] ? '?' : ''}`
+    })
 
-    if (!route.startsWith('/')) route = '/' + route
-    if (route === '' || route === '/') route = '/'
-    return route
+    return '/' + route.join('/')
   }
 
-  setupRouteHandlers(routePath, handlers) {
-    if (handlers.get) this.app.app.get(routePath, handlers.get)
-    if (handlers.post) this.app.app.post(routePath, handlers.post)
-    if (handlers.put) this.app.app.put(routePath, handlers.put)
-    if (handlers.delete) this.app.app.delete(routePath, handlers.delete)
-    if (handlers.patch) this.app.app.patch(routePath, handlers.patch)
+  // Version d'un fichier de route : api/users.v2.js → '2', sinon null
+  fileRouteVersion(filePath) {
+    const match = VERSION_SUFFIX.exec(filePath.replace(/\.js$/, ''))
+    return match ? match[1] : null
+  }
+
+  /**
+   * Nom d'une route fichier, tiré de son chemin : users/[id].js → users.id,
+   * index.js → index, (shop)/cart/index.js → cart. Les versions d'une route
+   * partagent son nom.
+   */
+  fileRouteName(filePath, routePath) {
+    const segments = filePath
+      .replace(/\\/g, '/')
+      .replace(/\.js$/, '')
+      .replace(VERSION_SUFFIX, '')
+      .split('/')
+      .filter((segment) => segment && !/^\(.+\)$/.test(segment))
+    if (segments.length > 1 && segments[segments.length - 1] === 'index') {
+      segments.pop()
+    }
+    const name = segments
+      .map((segment) => segment.replace(/[[\].]/g, ''))
+      .join('.')
+
+    const taken = this.findNamedRoute(name)
+    if (taken && taken.path !== routePath) {
+      const message = `Nom de route "${name}" déjà utilisé par ${taken.path} (${filePath})`
+      this.app.logger.log('error', 'Route name conflict', message)
+      if (process.env.NODE_ENV !== 'production') throw new Error(message)
+      return undefined
+    }
+    return name
+  }
+
+  // Nom donné par l'option name de createRoute
+  checkRouteName(name, routePath) {
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+      throw new Error(
+        `Nom de route invalide pour ${routePath} : lettres, chiffres, ".", "-" et "_" uniquement`
+      )
+    }
+    const taken = this.findNamedRoute(name)
+    if (taken && taken.path !== routePath) {
+      throw new Error(`Nom de route "${name}" déjà utilisé par ${taken.path}`)
+    }
+  }
+
+  findNamedRoute(name) {
+    if (!this.namedRoutes) {
+      this.namedRoutes = new Map()
+      for (const entry of this.routeTable) {
+        if (entry.name && !this.namedRoutes.has(entry.name)) {
+          this.namedRoutes.set(entry.name, entry)
+        }
+      }
+    }
+    return this.namedRoutes.get(name) || null
+  }
+
+  /**
+   * URL d'une route nommée : url('users.id', { id: 42 }, { tab: 'posts' })
+   * → /users/42?tab=posts. Un paramètre manquant ou inconnu est une erreur ;
+   * un catch-all accepte un tableau de segments.
+   */
+  url(name, params = {}, query = {}) {
+    const entry = this.findNamedRoute(name)
+    if (!entry) throw new Error(`Route nommée introuvable : ${name}`)
+
+    const used = new Set()
+    const missing = []
+    const pathname = entry.path.replace(
+      /\/:(\w+)(?:\(([^)]*)\))?([?*+]?)/g,
+      (match, key, pattern, modifier) => {
+        used.add(key)
+        const value = params[key]
+        if (
+          value === undefined ||
+          value === null ||
+          value === '' ||
+          (Array.isArray(value) && value.length === 0)
+        ) {
+          if (modifier !== '?' && modifier !== '*') missing.push(key)
+          return ''
+        }
+
+        if (pattern === '.+') {
+          const segments = []
+            .concat(value)
+            .flatMap((part) => String(part).split('/'))
+            .filter(Boolean)
+          return '/' + segments.map(encodeURIComponent).join('/')
+        }
+        const text = String(value)
+        if (pattern && !new RegExp(`^(?:${pattern})$`).test(text)) {
+          throw new Error(
+            `Route "${name}" : le paramètre ${key} ne respecte pas (${pattern})`
+          )
+        }
+        return '/' + encodeURIComponent(text)
+      }
+    )
+
+    const extra = Object.keys(params || {}).filter((key) => !used.has(key))
+    if (missing.length > 0 || extra.length > 0) {
+      const problems = []
+      if (missing.length > 0) {
+        problems.push(`paramètre(s) manquant(s) ${missing.join(', ')}`)
+      }
+      if (extra.length > 0) {
+        problems.push(`paramètre(s) inconnu(s) ${extra.join(', ')}`)
+      }
+      throw new Error(
+        `Route "${name}" (${entry.path}) : ${problems.join(' ; ')}`
+      )
+    }
+
+    const search = new URLSearchParams()
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null) continue
+      for (const item of [].concat(value)) search.append(key, String(item))
+    }
+    const queryString = search.toString()
+    return (pathname || '/') + (queryString ? `?${queryString}` : '')
+  }
+
+  // Paramètres catch-all d'une route : /docs/:slug(.+)? → ['slug']
+  catchAllParams(routePath) {
+    return Array.from(routePath.matchAll(/:(\w+)\(\.\+\)/g), (m) => m[1])
+  }
+
+  setupRouteCors(routePath, methods, policy, filePath) {
+    if (policy === undefined) return
+    const source = path.relative(process.cwd(), filePath)
+    methods.forEach((method) =>
+      this.app.corsManager.setRoutePolicy(method, routePath, policy, source)
+    )
+  }
+
+  setupRouteHandlers(
+    routePath,
+    handlers,
+    filePath,
+    inherited = { middleware: [] },
+    versioned = {}
+  ) {
+    const entries = []
+    for (const method of ['get', 'post', 'put', 'delete', 'patch']) {
+      if (!handlers[method]) continue
+
+      const routeKey = this.routeKey(method, routePath, versioned.version)
+      if (filePath) {
+        this.routeDocs.set(routeKey, {
+          source: path.relative(process.cwd(), filePath),
+          description:
+            typeof handlers.description === 'string'
+              ? handlers.description
+              : handlers.description?.[method],
+          auth: inherited.auth,
+        })
+      }
+      const schema = this.resolveModuleSchema(handlers.schema, method)
+      const chain = [
+        ...inherited.middleware,
+        ...this.catchAllMiddleware(routePath),
+      ]
+      if (schema) {
+        const validator = new SchemaValidator(
+          schema,
+          filePath ? path.relative(process.cwd(), filePath) : routePath
+        )
+        this.routeSchemas.set(routeKey, validator)
+        chain.push(validator.middleware())
+      } else {
+        this.routeSchemas.delete(routeKey)
+      }
+      entries.push(
+        this.createEntry(
+          method,
+          routePath,
+          [...chain, ...[].concat(handlers[method]).map(resultHandler)],
+          {
+            source: 'file',
+            filePath,
+            ...versioned,
+          }
+        )
+      )
+    }
+    return entries
+  }
+
+  /**
+   * Retire d'un bloc les routes d'un fichier supprimé
+   */
+  unloadRouteFile(filePath) {
+    const removed = this.swapRoutes((entry) => entry.filePath === filePath)
+    const socketRemoved = this.app.websockets.unload(filePath)
+    this.forgetRoutes(removed)
+    this.routeMap.delete(filePath)
+    this.fileRouters.delete(filePath)
+    this.app.corsManager.removeSourcePolicies(
+      path.relative(process.cwd(), filePath)
+    )
+
+    if (removed.length > 0 || socketRemoved) {
+      this.app.logger.log(
+        'dev',
+        'Route file unloaded',
+        `🗑️ ${path.relative(process.cwd(), filePath)}`
+      )
+    }
+    return removed.length > 0 || socketRemoved
+  }
+
+  /**
+   * Middlewares hérités des _middleware.js, du dossier racine des routes
+   * jusqu'à celui du fichier (extérieur → intérieur). files : _middleware.js
+   * du manifeste, sans chercher dans les autres dossiers
+   */
+  middlewareFor(filePath, basePath, files) {
+    const inherited = { middleware: [], auth: undefined }
+    const dirs = files
+      ? files.map((file) => path.dirname(file))
+      : this.middlewareDirs(filePath, basePath)
+    for (const dir of dirs) {
+      const entry = this.loadDirectoryMiddleware(dir, basePath)
+      inherited.middleware.push(...entry.middleware)
+      if (entry.auth !== undefined) inherited.auth = entry.auth
+    }
+    return inherited
+  }
+
+  // Dossiers du dossier racine des routes jusqu'à celui du fichier
+  middlewareDirs(filePath, basePath) {
+    const relativeDir = path.relative(basePath, path.dirname(filePath))
+    const dirs = [basePath]
+    relativeDir
+      .split(path.sep)
+      .filter(Boolean)
+      .forEach((segment) =>
+        dirs.push(path.join(dirs[dirs.length - 1], segment))
+      )
+    return dirs
+  }
+
+  /**
+   * _middleware.js exporte un middleware, un tableau de middlewares ou les
+   * options de route { auth, rateLimit, middleware } (ex: { auth: 'admin' })
+   */
+  loadDirectoryMiddleware(dir, basePath) {
+    if (this.directoryMiddleware.has(dir)) {
+      return this.directoryMiddleware.get(dir)
+    }
+
+    const file = path.join(dir, MIDDLEWARE_FILE)
+    let entry = { middleware: [] }
+    if (fs.existsSync(file)) {
+      if (this.app.options.isDev) delete require.cache[require.resolve(file)]
+      const exported = require(file)
+      const source = path.relative(path.dirname(basePath), file)
+
+      let options = exported
+      if (typeof exported === 'function' || Array.isArray(exported)) {
+        options = { middleware: exported }
+      } else if (!exported || typeof exported !== 'object') {
+        throw new Error(
+          `${source} doit exporter un middleware, un tableau ou { auth, rateLimit, middleware }`
+        )
+      }
+      const unknown = Object.keys(options).filter(
+        (key) => !['auth', 'rateLimit', 'middleware'].includes(key)
+      )
+      if (unknown.length > 0) {
+        throw new Error(
+          `${source} : option(s) non prises en charge ${unknown.join(', ')} (auth, rateLimit, middleware)`
+        )
+      }
+
+      // Une seule chaîne par dossier : le rateLimit est partagé par ses routes
+      entry = {
+        middleware: this.buildRouteChain('use', source, options).middleware,
+        auth: options.auth,
+        file,
+      }
+    }
+
+    this.directoryMiddleware.set(dir, entry)
+    return entry
+  }
+
+  /**
+   * Fichiers de routes concernés par un _middleware.js (son dossier et les
+   * sous-dossiers), après invalidation de ce middleware
+   */
+  invalidateDirectoryMiddleware(middlewareFile) {
+    const dir = path.dirname(middlewareFile)
+    this.directoryMiddleware.delete(dir)
+
+    return Array.from(this.routeMap.keys()).filter((filePath) =>
+      filePath.startsWith(dir + path.sep)
+    )
+  }
+
+  /**
+   * Les paramètres catch-all arrivent en tableau de segments, comme dans
+   * Next.js : /docs/a/b → req.params.slug = ['a', 'b'] ([] si absent)
+   */
+  catchAllMiddleware(routePath) {
+    const names = this.catchAllParams(routePath)
+    if (names.length === 0) return []
+
+    return [
+      (req, res, next) => {
+        for (const name of names) {
+          const value = req.params[name]
+          req.params[name] = value ? value.split('/').filter(Boolean) : []
+        }
+        next()
+      },
+    ]
+  }
+
+  /**
+   * Export schema d'un module de route : commun à toutes les méthodes
+   * ({ query, body… }) ou par méthode ({ get: { query }, post: { body } })
+   */
+  resolveModuleSchema(schema, method) {
+    if (!schema) return null
+    const methods = ['get', 'post', 'put', 'delete', 'patch']
+    const perMethod = Object.keys(schema).every((key) => methods.includes(key))
+    return perMethod ? schema[method] || null : schema
+  }
+
+  // Schéma de validation d'une route (instance de SchemaValidator) ou null
+  getRouteSchema(method, routePath, version) {
+    return (
+      this.routeSchemas.get(
+        this.routeKey(method.toLowerCase(), routePath, version)
+      ) || null
+    )
   }
 
   listRoutes() {
     const routes = []
     this.routeMap.forEach((routePath, filePath) => {
+      if (WS_FILE.test(filePath)) {
+        routes.push({
+          type: 'websocket',
+          path: routePath,
+          source: path.relative(process.cwd(), filePath),
+        })
+        return
+      }
       routes.push({
         type: 'file',
         path: routePath,
         source: path.relative(process.cwd(), filePath),
+        name: this.routeTable.find((entry) => entry.filePath === filePath)
+          ?.name,
+        version: this.fileRouteVersion(filePath) || undefined,
         methods: this.getRouteMethods(routePath),
       })
     })
@@ -653,6 +1771,8 @@ module.exports = {
         type: 'dynamic',
         path: routeInfo.path,
         method: routeInfo.method.toUpperCase(),
+        name: routeInfo.options.name,
+        version: routeInfo.version || undefined,
         createdAt: routeInfo.createdAt,
       })
     })
@@ -662,14 +1782,11 @@ module.exports = {
   getRouteMethods(routePath) {
     const cacheKey = `methods:${routePath}`
     if (this.methodsCache.has(cacheKey)) return this.methodsCache.get(cacheKey)
-    if (!this.app.app._router) return []
 
     const methods = new Set()
-    this.app.app._router.stack.forEach((layer) => {
-      if (layer.route && layer.route.path === routePath) {
-        Object.keys(layer.route.methods).forEach((method) =>
-          methods.add(method.toUpperCase())
-        )
+    this.routeTable.forEach((entry) => {
+      if (entry.method !== 'use' && entry.path === routePath) {
+        methods.add(entry.method.toUpperCase())
       }
     })
 
@@ -679,4 +1796,44 @@ module.exports = {
   }
 }
 
+// Variantes d'une même route (méthode et chemin) dès que l'une est versionnée
+function groupVersions(table) {
+  const variants = new Map()
+  for (const entry of table) {
+    const key = `${entry.method}:${entry.sortPath}`
+    if (!variants.has(key)) variants.set(key, [])
+    variants.get(key).push(entry)
+  }
+
+  const groups = new Map()
+  for (const group of variants.values()) {
+    if (group.some((entry) => entry.version)) {
+      group.forEach((entry) => groups.set(entry, group))
+    }
+  }
+  return groups
+}
+
+// Une route GET répond aussi à HEAD, comme dans Express
+function matchesMethod(entry, method) {
+  return (
+    entry.method === 'use' ||
+    entry.method === method ||
+    (entry.method === 'get' && method === 'head')
+  )
+}
+
+/**
+ * Handler d'une route fichier : sa valeur retournée est envoyée et ses erreurs
+ * async (HttpError comprise) passent au pipeline d'erreurs. Les middlewares
+ * d'erreur (4 arguments) restent tels quels.
+ */
+function resultHandler(handler) {
+  if (typeof handler !== 'function' || handler.length > 3) return handler
+  return (req, res, next) =>
+    callHandler(handler, req, res, next)
+      .then((result) => sendResult(result, req, res, next))
+      .catch(next)
+}
+
 module.exports = RouteManager
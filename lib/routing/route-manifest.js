@@ -0,0 +1,244 @@
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+
+// Format du fichier : un manifeste d'une autre version est ignoré
+const MANIFEST_VERSION = 3
+// Changements cités dans l'avertissement d'un manifeste périmé
+const MAX_LISTED_CHANGES = 5
+
+/**
+ * Manifeste des routes fichiers écrit par `vako build` : fichiers dans l'ordre
+ * d'enregistrement avec leur chemin, méthodes, nom, version, schémas et
+ * _middleware.js appliqués. En production, loadRoutes construit la table des
+ * routes depuis ce manifeste au lieu de parcourir le dossier. Chaque fichier
+ * est vérifié par son empreinte (sha256) ; sa taille et sa date, relevées au
+ * build, évitent de le relire tant qu'elles n'ont pas changé.
+ */
+class RouteManifest {
+  constructor(routeManager, file) {
+    this.routeManager = routeManager
+    this.app = routeManager.app
+    this.file = path.resolve(process.cwd(), file)
+  }
+
+  /**
+   * Manifeste des routes chargées depuis routesPath (après un loadRoutes qui
+   * a parcouru le dossier)
+   */
+  create(routesPath) {
+    const routeManager = this.routeManager
+    const relative = (filePath) => toPosix(path.relative(routesPath, filePath))
+    const middlewareFiles = new Set()
+    const files = {}
+
+    const routes = Array.from(routeManager.routeMap.entries()).map(
+      ([filePath, routePath]) => {
+        const routeModule = require(filePath)
+        const entries = routeManager.routeTable.filter(
+          (entry) => entry.filePath === filePath
+        )
+        const middleware = routeManager
+          .middlewareDirs(filePath, routesPath)
+          .map((dir) => routeManager.directoryMiddleware.get(dir)?.file)
+          .filter(Boolean)
+        middleware.forEach((file) => middlewareFiles.add(file))
+        files[relative(filePath)] = stamp(filePath)
+
+        const route = {
+          file: relative(filePath),
+          path: routePath,
+          type: routeType(filePath, routeModule),
+          methods: entries.map((entry) => entry.method),
+          version: routeManager.fileRouteVersion(relative(filePath)),
+          name: entries[0]?.name,
+          middleware: middleware.map(relative),
+        }
+        if (route.type === 'handlers' && routeModule.schema) {
+          route.schema = {}
+          route.methods.forEach((method) => {
+            const schema = routeManager.resolveModuleSchema(
+              routeModule.schema,
+              method
+            )
+            if (schema) route.schema[method] = schema
+          })
+        }
+        return route
+      }
+    )
+
+    middlewareFiles.forEach((file) => {
+      files[relative(file)] = stamp(file)
+    })
+    return {
+      version: MANIFEST_VERSION,
+      generatedAt: new Date().toISOString(),
+      routesDir: toPosix(path.relative(process.cwd(), routesPath)),
+      // Fichiers .js et sous-dossiers de chaque dossier : un fichier ajouté ou
+      // retiré change la liste
+      directories: listDirectories(routesPath, routesPath),
+      files,
+      routes,
+    }
+  }
+
+  write(manifest) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    // Les RegExp des schémas (pattern) sont écrites par leur source
+    const json = JSON.stringify(
+      manifest,
+      (key, value) => (value instanceof RegExp ? value.source : value),
+      2
+    )
+    fs.writeFileSync(this.file, `${json}\n`)
+    return this.file
+  }
+
+  /**
+   * Routes du manifeste (chemins absolus), ou null : manifeste absent,
+   * illisible, construit pour un autre dossier ou périmé. loadRoutes parcourt
+   * alors le dossier.
+   */
+  load(routesPath) {
+    if (!fs.existsSync(this.file)) return null
+    const label = path.relative(process.cwd(), this.file)
+
+    let manifest
+    try {
+      manifest = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (error) {
+      this.app.logger.log('warning', 'Invalid route manifest', error.message)
+      return null
+    }
+    if (
+      manifest?.version !== MANIFEST_VERSION ||
+      !isObject(manifest.directories) ||
+      !isObject(manifest.files) ||
+      !Array.isArray(manifest.routes) ||
+      !manifest.routes.every(isRouteEntry) ||
+      path.resolve(process.cwd(), manifest.routesDir || '') !== routesPath
+    ) {
+      this.app.logger.log(
+        'warning',
+        'Route manifest ignored',
+        `${label} ne correspond pas à ${path.relative(process.cwd(), routesPath)} : relancez vako build`
+      )
+      return null
+    }
+
+    const changes = this.changes(routesPath, manifest)
+    if (changes.length > 0) {
+      const more = changes.length - MAX_LISTED_CHANGES
+      this.app.logger.log(
+        'warning',
+        'Route manifest checksum mismatch',
+        `${label} (${manifest.generatedAt}) : ${changes.slice(0, MAX_LISTED_CHANGES).join(', ')}${more > 0 ? ` (+${more})` : ''} → parcours du dossier des routes, relancez vako build`
+      )
+      return null
+    }
+
+    return manifest.routes.map((route) => ({
+      ...route,
+      filePath: path.join(routesPath, route.file),
+      middleware: route.middleware.map((file) => path.join(routesPath, file)),
+    }))
+  }
+
+  /**
+   * Écarts avec le dossier des routes depuis vako build : fichier ajouté,
+   * retiré, modifié ou supprimé. Un dossier ou un fichier dont la date n'a
+   * pas changé n'est ni listé ni relu ; sinon sa liste ou son empreinte est
+   * comparée, une copie ou un checkout qui change les dates garde le
+   * manifeste.
+   */
+  changes(routesPath, manifest) {
+    const changes = []
+    for (const [dir, expected] of Object.entries(manifest.directories)) {
+      const dirPath = path.join(routesPath, dir)
+      const stat = fs.statSync(dirPath, { throwIfNoEntry: false })
+      if (!stat?.isDirectory()) changes.push(`dossier supprimé ${dir}`)
+      else if (
+        stat.mtimeMs !== expected?.mtimeMs &&
+        listEntries(dirPath).join('/') !== expected?.entries?.join('/')
+      ) {
+        changes.push(`fichiers ajoutés ou supprimés dans ${dir}`)
+      }
+    }
+    for (const [file, expected] of Object.entries(manifest.files)) {
+      const filePath = path.join(routesPath, file)
+      const stat = fs.statSync(filePath, { throwIfNoEntry: false })
+      if (!stat) changes.push(`fichier supprimé ${file}`)
+      else if (
+        (stat.size !== expected?.size || stat.mtimeMs !== expected?.mtimeMs) &&
+        checksum(filePath) !== expected?.hash
+      ) {
+        changes.push(`fichier modifié ${file}`)
+      }
+    }
+    return changes
+  }
+}
+
+// Taille, date de modification et empreinte relevées au build
+function stamp(filePath) {
+  const stat = fs.statSync(filePath)
+  return { size: stat.size, mtimeMs: stat.mtimeMs, hash: checksum(filePath) }
+}
+
+function checksum(filePath) {
+  return crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(filePath))
+    .digest('hex')
+}
+
+// Date et contenu de chaque dossier sous basePath ('.' pour le dossier
+// lui-même)
+function listDirectories(dir, basePath, directories = {}) {
+  directories[toPosix(path.relative(basePath, dir)) || '.'] = {
+    mtimeMs: fs.statSync(dir).mtimeMs,
+    entries: listEntries(dir),
+  }
+  fs.readdirSync(dir).forEach((name) => {
+    const child = path.join(dir, name)
+    if (fs.statSync(child).isDirectory()) {
+      listDirectories(child, basePath, directories)
+    }
+  })
+  return directories
+}
+
+// Fichiers .js et sous-dossiers, triés : .DS_Store, fichiers d'échange des
+// éditeurs… n'en font pas partie
+function listEntries(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() || entry.name.endsWith('.js'))
+    .map((entry) => (entry.isDirectory() ? `${entry.name}/` : entry.name))
+    .sort()
+}
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isRouteEntry(route) {
+  return (
+    isObject(route) &&
+    typeof route.file === 'string' &&
+    typeof route.path === 'string' &&
+    Array.isArray(route.middleware)
+  )
+}
+
+function routeType(filePath, routeModule) {
+  if (/\.ws\.js$/.test(filePath)) return 'websocket'
+  if (typeof routeModule === 'function') return 'function'
+  return routeModule.router ? 'router' : 'handlers'
+}
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, '/')
+}
+
+module.exports = RouteManifest
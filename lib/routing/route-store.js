@@ -0,0 +1,163 @@
+const path = require('path')
+const fs = require('fs')
+
+/**
+ * Stockage des routes déclaratives (option dynamicRoutes.store). Chaque
+ * backend expose init(), load(), save(definition), remove(id) et close().
+ */
+class JsonRouteStore {
+  constructor(file) {
+    this.file = path.resolve(file)
+    this.definitions = null
+    // Écritures sérialisées : un seul rename à la fois
+    this.writing = Promise.resolve()
+  }
+
+  async init() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+  }
+
+  async load() {
+    if (!this.definitions) {
+      // Fichier illisible : definitions reste null, le prochain appel relit
+      // le fichier au lieu d'écraser son contenu par une liste vide
+      const definitions = new Map()
+      if (fs.existsSync(this.file)) {
+        const content = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+        for (const definition of content.routes || []) {
+          definitions.set(definition.id, definition)
+        }
+      }
+      this.definitions = definitions
+    }
+    return Array.from(this.definitions.values())
+  }
+
+  async save(definition) {
+    await this.load()
+    this.definitions.set(definition.id, definition)
+    return this.flush()
+  }
+
+  async remove(id) {
+    await this.load()
+    this.definitions.delete(id)
+    return this.flush()
+  }
+
+  // Fichier temporaire puis rename : jamais de fichier à moitié écrit
+  flush() {
+    const content = JSON.stringify(
+      { routes: Array.from(this.definitions.values()) },
+      null,
+      2
+    )
+    // Une écriture échouée est signalée à son appelant et n'empêche pas les
+    // suivantes
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        const temp = `${this.file}.tmp`
+        try {
+          await fs.promises.writeFile(temp, content, 'utf8')
+          await fs.promises.rename(temp, this.file)
+        } catch (error) {
+          await fs.promises.rm(temp, { force: true }).catch(() => {})
+          throw error
+        }
+      })
+    return this.writing
+  }
+
+  async close() {
+    await this.writing.catch(() => {})
+  }
+}
+
+class SqliteRouteStore {
+  constructor(file) {
+    this.file = path.resolve(file)
+    this.db = null
+  }
+
+  async init() {
+    const sqlite3 = require('sqlite3')
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    this.db = new sqlite3.Database(this.file)
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS vako_routes (
+        id TEXT PRIMARY KEY, definition TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`)
+  }
+
+  async load() {
+    const rows = await new Promise((resolve, reject) =>
+      this.db.all(
+        'SELECT definition FROM vako_routes ORDER BY created_at, id',
+        (err, result) => (err ? reject(err) : resolve(result))
+      )
+    )
+    return rows.map((row) => JSON.parse(row.definition))
+  }
+
+  save(definition) {
+    return this.run(
+      `INSERT INTO vako_routes (id, definition) VALUES (?, ?)
+       ON CONFLICT(id) DO UPDATE SET definition = excluded.definition, updated_at = CURRENT_TIMESTAMP`,
+      [definition.id, JSON.stringify(definition)]
+    )
+  }
+
+  remove(id) {
+    return this.run('DELETE FROM vako_routes WHERE id = ?', [id])
+  }
+
+  close() {
+    if (!this.db) return Promise.resolve()
+    return new Promise((resolve) => this.db.close(() => resolve()))
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) =>
+      this.db.run(sql, params, (err) => (err ? reject(err) : resolve()))
+    )
+  }
+}
+
+// Stockage en mémoire (store: false) : l'API fonctionne, rien n'est conservé
+class MemoryRouteStore extends JsonRouteStore {
+  async init() {}
+
+  async load() {
+    if (!this.definitions) this.definitions = new Map()
+    return Array.from(this.definitions.values())
+  }
+
+  flush() {
+    return Promise.resolve()
+  }
+}
+
+function createRouteStore(options = {}) {
+  switch (options.store) {
+    case 'sqlite':
+      return new SqliteRouteStore(options.file || './data/routes.db')
+    case false:
+      return new MemoryRouteStore('')
+    case 'json':
+    case undefined:
+      return new JsonRouteStore(options.file || './data/routes.json')
+    default:
+      throw new Error(
+        `Stockage de routes non supporté: ${options.store} (json, sqlite ou false)`
+      )
+  }
+}
+
+module.exports = {
+  JsonRouteStore,
+  SqliteRouteStore,
+  MemoryRouteStore,
+  createRouteStore,
+}
@@ -0,0 +1,379 @@
+const { ValidationError } = require('../core/errors')
+
+// Parties de la requête validables, dans l'ordre de vérification
+const LOCATIONS = ['params', 'query', 'headers', 'body']
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object']
+
+const RULES = [
+  'type',
+  'required',
+  'default',
+  'enum',
+  'min',
+  'max',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'format',
+  'items',
+  'properties',
+  'custom',
+  'customMessage',
+  // Documentation uniquement
+  'description',
+  'example',
+]
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time':
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/,
+  uri: /^[a-z][a-z\d+\-.]*:\/\/\S+$/i,
+}
+
+/**
+ * Schéma déclaratif d'une route : { params, query, headers, body }, chaque
+ * partie étant une table champ → règles (même format que
+ * AuthManager.validateInput, complété par type, enum, min/max, format…).
+ *
+ * Les valeurs reçues en texte (URL, en-têtes, formulaires) sont converties
+ * vers le type déclaré avant le handler.
+ */
+class SchemaValidator {
+  constructor(schema, route = 'route') {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error(
+        `Schéma invalide pour ${route} : objet { params, query, headers, body } attendu`
+      )
+    }
+
+    this.route = route
+    this.schema = {}
+    for (const [location, fields] of Object.entries(schema)) {
+      if (!LOCATIONS.includes(location)) {
+        throw new Error(
+          `Schéma invalide pour ${route} : partie "${location}" inconnue (${LOCATIONS.join(', ')})`
+        )
+      }
+      this.schema[location] = this.compileFields(fields, location)
+    }
+  }
+
+  compileFields(fields, prefix) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error(
+        `Schéma invalide pour ${this.route} : ${prefix} doit être une table de champs`
+      )
+    }
+    const compiled = {}
+    for (const [field, rules] of Object.entries(fields)) {
+      compiled[field] = this.compileRules(rules, `${prefix}.${field}`)
+    }
+    return compiled
+  }
+
+  // Vérifie la définition une fois, à l'enregistrement de la route
+  compileRules(rules, name) {
+    // Raccourci : { page: 'integer' }
+    if (typeof rules === 'string') rules = { type: rules }
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error(`Schéma invalide pour ${this.route} : règles de ${name}`)
+    }
+
+    const unknown = Object.keys(rules).filter((rule) => !RULES.includes(rule))
+    if (unknown.length > 0) {
+      throw new Error(
+        `Schéma invalide pour ${this.route} : règle(s) inconnue(s) ${unknown.join(', ')} sur ${name}`
+      )
+    }
+    if (rules.type && !TYPES.includes(rules.type)) {
+      throw new Error(
+        `Schéma invalide pour ${this.route} : type "${rules.type}" sur ${name} (${TYPES.join(', ')})`
+      )
+    }
+    if (rules.format && !FORMATS[rules.format]) {
+      throw new Error(
+        `Schéma invalide pour ${this.route} : format "${rules.format}" sur ${name} (${Object.keys(FORMATS).join(', ')})`
+      )
+    }
+    if (rules.enum && !Array.isArray(rules.enum)) {
+      throw new Error(
+        `Schéma invalide pour ${this.route} : enum doit être un tableau sur ${name}`
+      )
+    }
+
+    const compiled = { ...rules }
+    if (typeof rules.pattern === 'string') {
+      compiled.pattern = new RegExp(rules.pattern)
+    }
+    if (rules.items)
+      compiled.items = this.compileRules(rules.items, `${name}[]`)
+    if (rules.properties) {
+      compiled.properties = this.compileFields(rules.properties, name)
+    }
+    return compiled
+  }
+
+  /**
+   * Valide la requête : { values, errors } avec les valeurs converties par
+   * partie et la liste des erreurs { location, field, message }
+   */
+  validate(req) {
+    const values = {}
+    const errors = []
+
+    for (const location of LOCATIONS) {
+      const fields = this.schema[location]
+      if (!fields) continue
+
+      let input = req[location]
+      if (location === 'body' && input === undefined) input = {}
+      if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push({
+          location,
+          field: '',
+          message:
+            location === 'body'
+              ? 'Le corps de la requête doit être un objet'
+              : `${location} invalide`,
+        })
+        continue
+      }
+
+      const output = { ...input }
+      for (const [field, rules] of Object.entries(fields)) {
+        // Les en-têtes sont reçus en minuscules
+        const key = location === 'headers' ? field.toLowerCase() : field
+        const value = this.checkValue(input[key], rules, field, (error) =>
+          errors.push({ location, ...error })
+        )
+        if (value !== undefined) output[key] = value
+      }
+      values[location] = output
+    }
+
+    return { values, errors }
+  }
+
+  checkValue(value, rules, field, report) {
+    const fail = (message, rule) => {
+      report({ field, message, rule })
+      return undefined
+    }
+
+    if (value === undefined || value === null || value === '') {
+      if (rules.required)
+        return fail(`Le champ ${field} est requis`, 'required')
+      return rules.default !== undefined ? clone(rules.default) : undefined
+    }
+
+    value = coerce(value, rules.type)
+    if (rules.type && !matchesType(value, rules.type)) {
+      return fail(`Le champ ${field} doit être de type ${rules.type}`, 'type')
+    }
+
+    if (rules.enum && !rules.enum.includes(value)) {
+      return fail(
+        `Le champ ${field} doit valoir ${rules.enum.join(', ')}`,
+        'enum'
+      )
+    }
+
+    if (typeof value === 'number') {
+      if (rules.min !== undefined && value < rules.min) {
+        return fail(`Le champ ${field} doit être ≥ ${rules.min}`, 'min')
+      }
+      if (rules.max !== undefined && value > rules.max) {
+        return fail(`Le champ ${field} doit être ≤ ${rules.max}`, 'max')
+      }
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+      const unit = Array.isArray(value) ? 'élément(s)' : 'caractères'
+      if (rules.minLength !== undefined && value.length < rules.minLength) {
+        return fail(
+          `Le champ ${field} doit contenir au moins ${rules.minLength} ${unit}`,
+          'minLength'
+        )
+      }
+      if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return fail(
+          `Le champ ${field} ne peut pas dépasser ${rules.maxLength} ${unit}`,
+          'maxLength'
+        )
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (rules.pattern && !rules.pattern.test(value)) {
+        return fail(`Le format du champ ${field} est invalide`, 'pattern')
+      }
+      if (rules.format && !FORMATS[rules.format].test(value)) {
+        return fail(
+          `Le champ ${field} doit être au format ${rules.format}`,
+          'format'
+        )
+      }
+    }
+
+    if (Array.isArray(value) && rules.items) {
+      const items = []
+      let valid = true
+      value.forEach((item, i) => {
+        const checked = this.checkValue(
+          item,
+          { required: true, ...rules.items },
+          `${field}[${i}]`,
+          (error) => {
+            valid = false
+            report(error)
+          }
+        )
+        items.push(checked)
+      })
+      if (!valid) return undefined
+      value = items
+    }
+
+    if (rules.properties && isPlainObject(value)) {
+      const nested = { ...value }
+      let valid = true
+      for (const [key, nestedRules] of Object.entries(rules.properties)) {
+        const checked = this.checkValue(
+          value[key],
+          nestedRules,
+          `${field}.${key}`,
+          (error) => {
+            valid = false
+            report(error)
+          }
+        )
+        if (checked !== undefined) nested[key] = checked
+      }
+      if (!valid) return undefined
+      value = nested
+    }
+
+    if (rules.custom && !rules.custom(value)) {
+      return fail(
+        rules.customMessage || `Le champ ${field} est invalide`,
+        'custom'
+      )
+    }
+
+    return value
+  }
+
+  /**
+   * Middleware placé devant le handler : remplace params, query et body par
+   * les valeurs converties (toutes dans req.validated), ou répond 400
+   */
+  middleware() {
+    return (req, res, next) => {
+      const { values, errors } = this.validate(req)
+      if (errors.length > 0) return next(new ValidationError(errors))
+
+      if (values.params) Object.assign(req.params, values.params)
+      if (values.query) req.query = values.query
+      if (values.body) req.body = values.body
+      req.validated = values
+      next()
+    }
+  }
+
+  /**
+   * JSON Schema d'une partie du schéma (documentation, OpenAPI)
+   */
+  toJsonSchema(location) {
+    const fields = this.schema[location]
+    return fields ? SchemaValidator.fieldsToJsonSchema(fields) : null
+  }
+
+  static fieldsToJsonSchema(fields) {
+    const properties = {}
+    const required = []
+    for (const [field, rules] of Object.entries(fields)) {
+      properties[field] = SchemaValidator.rulesToJsonSchema(rules)
+      if (rules.required) required.push(field)
+    }
+    return {
+      type: 'object',
+      properties,
+      ...(required.length > 0 ? { required } : {}),
+    }
+  }
+
+  static rulesToJsonSchema(rules) {
+    const json = {}
+    if (rules.type) json.type = rules.type
+    const copied = {
+      enum: 'enum',
+      default: 'default',
+      description: 'description',
+      example: 'example',
+      format: 'format',
+      min: 'minimum',
+      max: 'maximum',
+    }
+    for (const [rule, keyword] of Object.entries(copied)) {
+      if (rules[rule] !== undefined) json[keyword] = rules[rule]
+    }
+    if (rules.minLength !== undefined) {
+      json[rules.type === 'array' ? 'minItems' : 'minLength'] = rules.minLength
+    }
+    if (rules.maxLength !== undefined) {
+      json[rules.type === 'array' ? 'maxItems' : 'maxLength'] = rules.maxLength
+    }
+    if (rules.pattern) json.pattern = rules.pattern.source
+    if (rules.items) json.items = SchemaValidator.rulesToJsonSchema(rules.items)
+    if (rules.properties) {
+      Object.assign(json, SchemaValidator.fieldsToJsonSchema(rules.properties))
+    }
+    return json
+  }
+}
+
+// Conversion des valeurs texte vers le type déclaré ; laissée telle quelle
+// si elle échoue, la vérification de type signale alors l'erreur
+function coerce(value, type) {
+  if (type === 'array') return Array.isArray(value) ? value : [value]
+  if (typeof value !== 'string') return value
+
+  if (type === 'number' || type === 'integer') {
+    const number = Number(value.trim())
+    return value.trim() !== '' && Number.isFinite(number) ? number : value
+  }
+  if (type === 'boolean') {
+    if (value === 'true' || value === '1') return true
+    if (value === 'false' || value === '0') return false
+  }
+  return value
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return isPlainObject(value)
+    default:
+      return typeof value === type
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+function clone(value) {
+  return value && typeof value === 'object' ? structuredClone(value) : value
+}
+
+module.exports = SchemaValidator
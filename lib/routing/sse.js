@@ -0,0 +1,349 @@
+/**
+ * Server-Sent Events : res.sse() ouvre un flux text/event-stream (l'option
+ * sse de createRoute l'ouvre avant le handler). Les canaux diffusent à leurs
+ * abonnés et gardent un historique pour reprendre un flux depuis Last-Event-ID.
+ * Les ids sont numérotés par le hub, communs à tous les canaux.
+ */
+class SseStream {
+  constructor(req, res, options = {}) {
+    this.req = req
+    this.res = res
+    this.closed = false
+    this.channels = new Set()
+    this.closeListeners = []
+    // Envoyé par EventSource à la reconnexion : dernier événement reçu
+    this.lastEventId = req.get('Last-Event-ID') || null
+
+    // Connexion longue : pas de délai d'inactivité ni de tampon
+    req.socket?.setTimeout(0)
+    req.socket?.setNoDelay(true)
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'X-Accel-Buffering': 'no',
+    })
+    // En-tête interdit en HTTP/2
+    if (req.httpVersionMajor < 2) res.set('Connection', 'keep-alive')
+    res.flushHeaders()
+
+    if (options.retry) this.retry(options.retry)
+    if (options.heartbeat > 0) {
+      this.heartbeat = setInterval(
+        () => this.comment('heartbeat'),
+        options.heartbeat
+      )
+      this.heartbeat.unref()
+    }
+    res.on('close', () => this.dispose())
+  }
+
+  /**
+   * Événement : data en texte (une ligne data: par ligne) ou sérialisé en
+   * JSON ; options { event, id, retry }
+   */
+  send(data, options = {}) {
+    let chunk = ''
+    if (options.id !== undefined && options.id !== null) {
+      chunk += `id: ${singleLine(options.id)}\n`
+    }
+    if (options.event) chunk += `event: ${singleLine(options.event)}\n`
+    if (options.retry) chunk += `retry: ${parseInt(options.retry, 10)}\n`
+
+    const text = typeof data === 'string' ? data : JSON.stringify(data)
+    for (const line of (text ?? '').split(/\r\n|\r|\n/)) {
+      chunk += `data: ${line}\n`
+    }
+    return this.write(`${chunk}\n`)
+  }
+
+  // Ligne ignorée par le navigateur, garde la connexion ouverte
+  comment(text = '') {
+    return this.write(`: ${singleLine(text)}\n\n`)
+  }
+
+  // Délai de reconnexion conseillé au navigateur (ms)
+  retry(ms) {
+    return this.write(`retry: ${parseInt(ms, 10)}\n\n`)
+  }
+
+  join(channel) {
+    if (typeof channel === 'string') channel = this.hub.channel(channel)
+    channel.subscribe(this)
+    return this
+  }
+
+  leave(channel) {
+    if (typeof channel === 'string') channel = this.hub.channels.get(channel)
+    channel?.unsubscribe(this)
+    return this
+  }
+
+  onClose(listener) {
+    if (this.closed) listener()
+    else this.closeListeners.push(listener)
+    return this
+  }
+
+  close() {
+    if (this.closed) return
+    this.dispose()
+    this.res.end()
+  }
+
+  write(chunk) {
+    if (this.closed) return false
+    this.res.write(chunk)
+    return true
+  }
+
+  dispose() {
+    if (this.closed) return
+    this.closed = true
+    clearInterval(this.heartbeat)
+    this.channels.forEach((channel) => channel.unsubscribe(this))
+    this.closeListeners.splice(0).forEach((listener) => listener())
+  }
+}
+
+class SseChannel {
+  constructor(name, options = {}) {
+    this.name = name
+    this.clients = new Set()
+    // Derniers événements diffusés, rejoués à la reprise d'un flux ; ils
+    // expirent après historyTtl ms (0 : jamais)
+    this.history = []
+    this.historySize = options.history ?? 100
+    this.historyTtl = options.historyTtl ?? 300000
+    // Hub du canal : numérotation commune et retrait du canal inutilisé
+    this.hub = options.hub || null
+    this.lastId = 0
+    this.releaseTimer = null
+  }
+
+  get size() {
+    return this.clients.size
+  }
+
+  /**
+   * Abonne un flux ; si Last-Event-ID désigne un événement encore dans
+   * l'historique, les suivants sont renvoyés avant les nouveaux
+   */
+  subscribe(stream, lastEventId = stream.lastEventId) {
+    if (stream.closed) return this
+    clearTimeout(this.releaseTimer)
+    this.releaseTimer = null
+    this.clients.add(stream)
+    stream.channels.add(this)
+
+    if (lastEventId !== null && lastEventId !== undefined) {
+      this.pruneHistory()
+      // Last-Event-ID peut venir d'un autre canal du flux : on rejoue les
+      // événements de ce canal diffusés après lui
+      const since = this.sequenceOf(String(lastEventId))
+      if (since !== null) {
+        this.history
+          .filter((event) => event.seq > since)
+          .forEach((event) => stream.send(event.data, event))
+      }
+    }
+    return this
+  }
+
+  unsubscribe(stream) {
+    this.clients.delete(stream)
+    stream.channels.delete(this)
+    this.scheduleRelease()
+    return this
+  }
+
+  // Diffuse à tous les abonnés, retourne l'id attribué à l'événement
+  broadcast(data, options = {}) {
+    const seq = this.hub ? this.hub.nextSequence() : ++this.lastId
+    const id =
+      options.id !== undefined && options.id !== null
+        ? singleLine(options.id)
+        : String(seq)
+    const event = { id, event: options.event, data, seq, time: Date.now() }
+
+    if (this.historySize > 0) {
+      this.pruneHistory()
+      this.history.push(event)
+      if (this.history.length > this.historySize) this.history.shift()
+    }
+    this.clients.forEach((stream) => stream.send(data, event))
+    this.scheduleRelease()
+    return id
+  }
+
+  // Rang d'un id dans la numérotation : événement de l'historique ou id numéroté
+  sequenceOf(id) {
+    const event = this.history.find((item) => item.id === id)
+    if (event) return event.seq
+    if (this.hub) return this.hub.sequenceOf(id)
+    return /^\d+$/.test(id) ? Number(id) : null
+  }
+
+  pruneHistory() {
+    if (!(this.historyTtl > 0)) return
+    const limit = Date.now() - this.historyTtl
+    while (this.history.length > 0 && this.history[0].time <= limit) {
+      this.history.shift()
+    }
+  }
+
+  // Sans abonné, le canal quitte le hub une fois son historique expiré
+  scheduleRelease() {
+    if (!this.hub || this.clients.size > 0 || this.releaseTimer) return
+    this.pruneHistory()
+    if (this.history.length === 0) {
+      this.hub.release(this)
+      return
+    }
+    if (!(this.historyTtl > 0)) return
+
+    const newest = this.history[this.history.length - 1]
+    this.releaseTimer = setTimeout(
+      () => {
+        this.releaseTimer = null
+        this.scheduleRelease()
+      },
+      Math.max(0, newest.time + this.historyTtl - Date.now())
+    )
+    this.releaseTimer.unref()
+  }
+
+  close() {
+    this.clients.forEach((stream) => stream.close())
+  }
+}
+
+/**
+ * Registre des flux et des canaux de l'app (app.sse). Options par défaut des
+ * flux : { heartbeat, retry, history, historyTtl }.
+ */
+class SseHub {
+  constructor(options = {}) {
+    this.options = options
+    this.channels = new Map()
+    this.streams = new Set()
+    // Dernier rang attribué, tous canaux confondus
+    this.lastId = 0
+  }
+
+  /**
+   * Option sse d'une route : true ou { heartbeat, retry, channel }, channel
+   * étant un nom, une liste de noms ou une fonction (req) → nom(s)
+   */
+  static normalizeOptions(config, label) {
+    if (config === true) return {}
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(
+        `Option sse invalide pour ${label} : true ou { heartbeat, retry, channel } attendu`
+      )
+    }
+    for (const key of ['heartbeat', 'retry']) {
+      if (
+        config[key] !== undefined &&
+        (typeof config[key] !== 'number' || config[key] < 0)
+      ) {
+        throw new Error(
+          `Option sse.${key} invalide pour ${label} : durée en ms attendue`
+        )
+      }
+    }
+    const channel = config.channel
+    if (
+      channel !== undefined &&
+      typeof channel !== 'function' &&
+      ![].concat(channel).every((name) => typeof name === 'string' && name)
+    ) {
+      throw new Error(
+        `Option sse.channel invalide pour ${label} : nom, liste de noms ou fonction (req) attendu`
+      )
+    }
+    return {
+      heartbeat: config.heartbeat,
+      retry: config.retry,
+      channel,
+    }
+  }
+
+  // Ouvre le flux de la réponse (une seule fois : les appels suivants le retournent)
+  open(req, res, options = {}) {
+    if (res.sseStream) return res.sseStream
+
+    const stream = new SseStream(req, res, {
+      heartbeat: options.heartbeat ?? this.options.heartbeat,
+      retry: options.retry ?? this.options.retry,
+    })
+    stream.hub = this
+    res.sseStream = stream
+    this.streams.add(stream)
+    stream.onClose(() => this.streams.delete(stream))
+
+    const channels =
+      typeof options.channel === 'function'
+        ? options.channel(req)
+        : options.channel
+    ;[].concat(channels ?? []).forEach((name) => stream.join(name))
+    return stream
+  }
+
+  channel(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(
+        name,
+        new SseChannel(name, {
+          history: this.options.history,
+          historyTtl: this.options.historyTtl,
+          hub: this,
+        })
+      )
+    }
+    return this.channels.get(name)
+  }
+
+  nextSequence() {
+    return ++this.lastId
+  }
+
+  // Rang d'un Last-Event-ID, cherché dans l'historique de tous les canaux
+  sequenceOf(id) {
+    for (const channel of this.channels.values()) {
+      const event = channel.history.find((item) => item.id === id)
+      if (event) return event.seq
+    }
+    return /^\d+$/.test(id) ? Number(id) : null
+  }
+
+  // Canal sans abonné ni historique : recréé au prochain channel(name)
+  release(channel) {
+    if (this.channels.get(channel.name) === channel) {
+      this.channels.delete(channel.name)
+    }
+  }
+
+  broadcast(name, data, options) {
+    return this.channel(name).broadcast(data, options)
+  }
+
+  // res.sse(options) sur toutes les réponses
+  middleware() {
+    return (req, res, next) => {
+      res.sse = (options) => this.open(req, res, options)
+      next()
+    }
+  }
+
+  // Arrêt de l'app : les flux ouverts ne retiennent pas le drainage
+  closeAll() {
+    this.streams.forEach((stream) => stream.close())
+  }
+}
+
+// id et event tiennent sur une ligne : un saut de ligne créerait un champ
+function singleLine(value) {
+  return String(value).replace(/[\r\n]/g, '')
+}
+
+module.exports = { SseStream, SseChannel, SseHub }
@@ -0,0 +1,319 @@
+const http = require('http')
+const crypto = require('crypto')
+const express = require('express')
+const WebSocket = require('ws')
+
+/**
+ * Routes WebSocket déclarées par les fichiers *.ws.js du dossier routes et
+ * servies sur le port HTTP de l'app (événement upgrade). Un module exporte
+ * open(ws, req), message(ws, data, req) et close(ws, code, reason), plus
+ * l'option auth ; chaque connexion reçoit params, session, user, rooms et les
+ * helpers join/leave/broadcast.
+ */
+class WebSocketManager {
+  constructor(app, options = {}) {
+    this.app = app
+    this.options = options
+    // Routes triées comme la table HTTP : la plus précise d'abord
+    this.routes = []
+    this.rooms = new Map()
+    this.clients = new Set()
+    this.wss = null
+    this.pingTimer = null
+  }
+
+  /**
+   * Enregistre (ou remplace) la route d'un fichier. Les connexions ouvertes
+   * restent en place et passent aux nouveaux handlers.
+   */
+  load(filePath, routePath, routeModule, auth) {
+    const handlers = ['open', 'message', 'close']
+    if (!handlers.some((name) => typeof routeModule[name] === 'function')) {
+      throw new Error(
+        `Route WebSocket ${routePath} : open, message ou close attendu`
+      )
+    }
+    if (auth !== undefined && auth !== false) {
+      if (!this.app.auth?.isEnabled) {
+        throw new Error(
+          `Option auth de WS ${routePath} impossible : le système d'authentification n'est pas activé`
+        )
+      }
+      if (auth !== true && !(typeof auth === 'string' && auth.trim())) {
+        throw new Error(
+          `Option auth invalide pour WS ${routePath} : true ou un nom de rôle attendu`
+        )
+      }
+    }
+
+    // Layer Express : mêmes paramètres et options de casse que les routes HTTP
+    const matcher = express
+      .Router({
+        caseSensitive: this.app.app.get('case sensitive routing'),
+        strict: this.app.app.get('strict routing'),
+      })
+      .get(routePath, () => {}).stack[0]
+
+    const existing = this.routes.find((route) => route.filePath === filePath)
+    if (existing && existing.path === routePath) {
+      Object.assign(existing, { module: routeModule, auth, matcher })
+      return existing
+    }
+    if (existing) this.unload(filePath)
+
+    const route = {
+      filePath,
+      path: routePath,
+      module: routeModule,
+      auth,
+      matcher,
+      clients: new Set(),
+    }
+    const RouteManager = this.app.routeManager.constructor
+    this.routes = this.routes
+      .concat(route)
+      .sort((a, b) => RouteManager.compareRoutePaths(a.path, b.path))
+    return route
+  }
+
+  // Fichier supprimé : ses connexions sont fermées (1001, going away)
+  unload(filePath) {
+    const route = this.routes.find((entry) => entry.filePath === filePath)
+    if (!route) return false
+    this.routes = this.routes.filter((entry) => entry !== route)
+    route.clients.forEach((ws) => ws.close(1001, 'Route removed'))
+    return true
+  }
+
+  match(pathname) {
+    for (const route of this.routes) {
+      if (route.matcher.match(pathname)) {
+        return { route, params: { ...route.matcher.params } }
+      }
+    }
+    return null
+  }
+
+  // Branché par listen() sur le serveur HTTP de l'app
+  attach(server) {
+    this.closeAll()
+    this.wss = new WebSocket.Server({
+      noServer: true,
+      maxPayload: this.options.maxPayload,
+    })
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(server, req, socket, head).catch((error) => {
+        this.app.logger.log('error', 'WebSocket upgrade failed', error.message)
+        rejectUpgrade(socket, 500, 'Erreur interne')
+      })
+    })
+
+    // Les connexions qui ne répondent plus au ping sont coupées
+    if (this.options.pingInterval > 0) {
+      this.pingTimer = setInterval(() => {
+        this.clients.forEach((ws) => {
+          if (!ws.isAlive) return ws.terminate()
+          ws.isAlive = false
+          ws.ping()
+        })
+      }, this.options.pingInterval)
+      this.pingTimer.unref()
+    }
+  }
+
+  async handleUpgrade(server, req, socket, head) {
+    const url = new URL(req.url, 'http://localhost')
+    const found = this.match(url.pathname)
+    if (!found) {
+      // Un autre gestionnaire upgrade (socket.io…) peut prendre la requête
+      if (server.listenerCount('upgrade') === 1) {
+        rejectUpgrade(socket, 404, 'Route WebSocket introuvable')
+      }
+      return
+    }
+
+    // Les navigateurs envoient les cookies de session quelle que soit la
+    // page d'origine : seules l'origine de l'app et origins sont acceptées
+    if (!this.isAllowedOrigin(req)) {
+      return rejectUpgrade(socket, 403, 'Origine non autorisée')
+    }
+
+    const sessionMiddleware = this.app.auth?.sessionMiddleware
+    if (sessionMiddleware) {
+      await new Promise((resolve, reject) =>
+        sessionMiddleware(req, {}, (error) =>
+          error ? reject(error) : resolve()
+        )
+      )
+    }
+
+    const { route, params } = found
+    if (route.auth !== undefined && route.auth !== false) {
+      const denied = this.app.auth.checkAccess(
+        req.session?.user,
+        typeof route.auth === 'string' ? route.auth.trim() : null
+      )
+      if (denied === 401) {
+        return rejectUpgrade(socket, 401, 'Authentification requise')
+      }
+      if (denied === 403) {
+        return rejectUpgrade(socket, 403, 'Permissions insuffisantes')
+      }
+    }
+
+    req.params = params
+    req.query = Object.fromEntries(url.searchParams)
+    this.wss.handleUpgrade(req, socket, head, (ws) =>
+      this.connect(route, ws, req)
+    )
+  }
+
+  isAllowedOrigin(req) {
+    const origin = req.headers.origin
+    // Clients hors navigateur : pas d'en-tête Origin
+    if (!origin) return true
+    if ((this.options.origins || []).includes(origin)) return true
+    try {
+      return new URL(origin).host === req.headers.host
+    } catch {
+      return false
+    }
+  }
+
+  connect(route, ws, req) {
+    ws.id = crypto.randomUUID()
+    ws.params = req.params
+    ws.session = req.session
+    ws.user = req.session?.user || null
+    ws.rooms = new Set()
+    ws.isAlive = true
+    ws.join = (room) => {
+      if (!this.rooms.has(room)) this.rooms.set(room, new Set())
+      this.rooms.get(room).add(ws)
+      ws.rooms.add(room)
+      return ws
+    }
+    ws.leave = (room) => {
+      this.removeFromRoom(ws, room)
+      return ws
+    }
+    // Aux autres clients de la route, ou d'une room : { room }
+    ws.broadcast = (data, options = {}) =>
+      this.broadcast(data, {
+        route: options.room ? undefined : route.path,
+        ...options,
+        except: ws,
+      })
+
+    route.clients.add(ws)
+    this.clients.add(ws)
+    // Socket active pour le drainage de stop() : la poignée de main de
+    // fermeture (1001) a le temps d'aboutir avant la coupure
+    if (this.app.connections.has(req.socket)) {
+      this.app.connections.set(req.socket, 1)
+    }
+    ws.on('pong', () => {
+      ws.isAlive = true
+    })
+
+    const label = `${route.path} (${req.socket.remoteAddress})`
+    this.app.logger.log('info', 'WebSocket connected', label)
+    this.app.plugins?.executeHook('websocket:connect', ws, req)
+    this.run(route, 'open', ws, [ws, req])
+
+    ws.on('message', (data, isBinary) => {
+      const message = isBinary ? data : data.toString()
+      this.app.plugins?.executeHook('websocket:message', ws, message, req)
+      this.run(route, 'message', ws, [ws, message, req])
+    })
+
+    ws.on('close', (code, reason) => {
+      route.clients.delete(ws)
+      this.clients.delete(ws)
+      Array.from(ws.rooms).forEach((room) => this.removeFromRoom(ws, room))
+      this.app.logger.log('info', 'WebSocket disconnected', `${label} ${code}`)
+      this.app.plugins?.executeHook('websocket:disconnect', ws, code, req)
+      this.run(route, 'close', ws, [ws, code, reason.toString()])
+    })
+  }
+
+  // Une erreur de handler ferme la connexion (1011) sans arrêter le serveur
+  run(route, name, ws, args) {
+    const handler = route.module[name]
+    if (typeof handler !== 'function') return
+    Promise.resolve()
+      .then(() => handler(...args))
+      .catch((error) => {
+        this.app.logger.log(
+          'error',
+          'WebSocket handler error',
+          `${route.path} ${name} → ${error.message}`
+        )
+        if (ws.readyState === WebSocket.OPEN) ws.close(1011, 'Erreur interne')
+      })
+  }
+
+  removeFromRoom(ws, room) {
+    ws.rooms.delete(room)
+    const members = this.rooms.get(room)
+    if (!members) return
+    members.delete(ws)
+    if (members.size === 0) this.rooms.delete(room)
+  }
+
+  /**
+   * Envoie data (sérialisé en JSON s'il n'est ni chaîne ni Buffer) à tous les
+   * clients, à ceux d'une room ou d'une route ; except exclut une connexion.
+   * Retourne le nombre de destinataires.
+   */
+  broadcast(data, options = {}) {
+    let targets = this.clients
+    if (options.room) {
+      targets = this.rooms.get(options.room) || new Set()
+    } else if (options.route) {
+      targets =
+        this.routes.find((route) => route.path === options.route)?.clients ||
+        new Set()
+    }
+
+    const payload =
+      typeof data === 'string' || Buffer.isBuffer(data)
+        ? data
+        : JSON.stringify(data)
+    let sent = 0
+    targets.forEach((ws) => {
+      if (ws === options.except || ws.readyState !== WebSocket.OPEN) return
+      ws.send(payload)
+      sent++
+    })
+    return sent
+  }
+
+  list() {
+    return this.routes.map((route) => ({
+      path: route.path,
+      filePath: route.filePath,
+      clients: route.clients.size,
+    }))
+  }
+
+  // Arrêt de l'app : fermeture propre (1001) avant le drainage HTTP
+  closeAll() {
+    clearInterval(this.pingTimer)
+    this.clients.forEach((ws) => ws.close(1001, 'Server shutting down'))
+    this.wss?.close()
+  }
+}
+
+// Réponse HTTP brute sur la socket avant l'upgrade
+function rejectUpgrade(socket, status, message) {
+  if (!socket.writable) return socket.destroy()
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+      'Connection: close\r\n' +
+      'Content-Type: text/plain; charset=utf-8\r\n' +
+      `Content-Length: ${Buffer.byteLength(message)}\r\n\r\n${message}`
+  )
+}
+
+module.exports = WebSocketManager
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Génère les interfaces d'options de types/index.d.ts à partir du schéma
+ * lib/core/config-schema.js. Usage : node scripts/generate-config-types.js [--check]
+ */
+
+const fs = require('fs')
+const path = require('path')
+const schema = require('../lib/core/config-schema')
+
+const TYPES_FILE = path.join(__dirname, '..', 'types', 'index.d.ts')
+const START_MARKER =
+  '// <config-schema> generated by scripts/generate-config-types.js'
+const END_MARKER = '// </config-schema>'
+
+const SCALAR_TYPES = {
+  port: 'number',
+  path: 'string',
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  function: 'Function',
+  any: 'any',
+}
+
+function renderType(spec, indent, interfaces) {
+  const type = renderBaseType(spec, indent, interfaces)
+  if (spec.orBoolean) return `boolean | ${type}`
+  return spec.orFalse ? `${type} | false` : type
+}
+
+function renderBaseType(spec, indent, interfaces) {
+  if (spec.tsType) return spec.tsType
+  if (SCALAR_TYPES[spec.type]) return SCALAR_TYPES[spec.type]
+
+  switch (spec.type) {
+    case 'enum':
+      return spec.values.map((value) => `'${value}'`).join(' | ')
+    case 'array': {
+      const itemType = renderType(spec.items, indent, interfaces)
+      return itemType.includes(' ') ? `(${itemType})[]` : `${itemType}[]`
+    }
+    case 'object':
+      // Les objets nommés deviennent des interfaces exportées
+      if (spec.tsName) {
+        interfaces.push(spec)
+        return spec.tsName
+      }
+      return `{\n${renderProperties(spec, indent + '  ', interfaces)}${indent}}`
+    default:
+      throw new Error(`Type de schéma inconnu: ${spec.type}`)
+  }
+}
+
+function renderProperties(spec, indent, interfaces) {
+  const properties = Object.entries(spec.properties)
+    .map(
+      ([name, child]) =>
+        `${indent}${name}?: ${renderType(child, indent, interfaces)}\n`
+    )
+    .join('')
+  // Options passées à une bibliothèque : clés supplémentaires acceptées
+  return spec.additionalProperties
+    ? `${properties}${indent}[key: string]: any\n`
+    : properties
+}
+
+function generate() {
+  const queue = [schema]
+  const blocks = []
+  while (queue.length > 0) {
+    const spec = queue.shift()
+    const nested = []
+    blocks.push(
+      `export interface ${spec.tsName} {\n${renderProperties(spec, '  ', nested)}}\n`
+    )
+    queue.push(...nested)
+  }
+  return blocks.join('\n')
+}
+
+function main() {
+  const content = fs.readFileSync(TYPES_FILE, 'utf8')
+  const start = content.indexOf(START_MARKER)
+  const end = content.indexOf(END_MARKER)
+  if (start === -1 || end === -1) {
+    console.error(`❌ Marqueurs introuvables dans ${TYPES_FILE}`)
+    process.exit(1)
+  }
+
+  const updated =
+    content.slice(0, start + START_MARKER.length) +
+    '\n\n' +
+    generate() +
+    '\n' +
+    content.slice(end)
+
+  if (process.argv.includes('--check')) {
+    if (updated !== content) {
+      console.error(
+        '❌ types/index.d.ts est désynchronisé du schéma de configuration'
+      )
+      process.exit(1)
+    }
+    console.log('✅ types/index.d.ts est à jour')
+    return
+  }
+
+  fs.writeFileSync(TYPES_FILE, updated)
+  console.log('✅ types/index.d.ts mis à jour')
+}
+
+main()
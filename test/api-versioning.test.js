@@ -0,0 +1,131 @@
+const { createProject, createApp } = require('./helpers/project')
+
+const versionRoute = (label) =>
+  `module.exports = { get: (req) => ({ file: '${label}', version: req.apiVersion ?? null }) }`
+
+describe('API versioning', () => {
+  let project
+
+  beforeAll(() => {
+    project = createProject({
+      'routes/api/users.js': versionRoute('users'),
+      'routes/api/users.v1.js': versionRoute('users.v1'),
+      'routes/api/users.v2.js': versionRoute('users.v2'),
+      'routes/api/orders.v2.js': versionRoute('orders.v2'),
+    })
+  })
+
+  afterAll(() => {
+    project.cleanup()
+  })
+
+  describe('stratégie header', () => {
+    let app
+
+    beforeAll(() => {
+      app = createApp({
+        routeManifest: false,
+        versioning: {
+          strategy: 'header',
+          deprecated: {
+            1: {
+              since: '2026-01-01',
+              sunset: '2027-01-01',
+              link: 'https://example.com/migrate',
+            },
+          },
+        },
+      })
+      app.loadRoutes()
+    })
+
+    afterAll(() => app.stop())
+
+    const get = (url, headers = {}) =>
+      app.inject({ url, headers: { accept: 'application/json', ...headers } })
+
+    test('sert la dernière version sans version demandée', async () => {
+      const response = await get('/api/users')
+      expect(response.json).toEqual({ file: 'users.v2', version: '2' })
+      expect(response.headers['api-version']).toBe('2')
+      expect(response.headers.vary).toContain('Accept-Version')
+    })
+
+    test('lit Accept-Version et le type de média', async () => {
+      expect((await get('/api/users', { 'accept-version': '1' })).json).toEqual(
+        { file: 'users.v1', version: '1' }
+      )
+      expect(
+        (await get('/api/users', { accept: 'application/vnd.app.v1+json' }))
+          .json.file
+      ).toBe('users.v1')
+      expect(
+        (await get('/api/users', { accept: 'application/json; version=1' }))
+          .json.file
+      ).toBe('users.v1')
+    })
+
+    test('retombe sur la version compatible la plus récente', async () => {
+      expect(
+        (await get('/api/users', { 'accept-version': '5' })).json.file
+      ).toBe('users.v2')
+      expect(
+        (await get('/api/users', { 'accept-version': '0.5' })).json.file
+      ).toBe('users')
+      expect(
+        (await get('/api/orders', { 'accept-version': '1' })).statusCode
+      ).toBe(404)
+    })
+
+    test('annonce les versions dépréciées', async () => {
+      const response = await get('/api/users', { 'accept-version': '1' })
+      expect(response.headers.deprecation).toBe(
+        `@${Date.parse('2026-01-01') / 1000}`
+      )
+      expect(response.headers.sunset).toBe(new Date('2027-01-01').toUTCString())
+      expect(response.headers.link).toBe(
+        '<https://example.com/migrate>; rel="deprecation"'
+      )
+      expect((await get('/api/users')).headers.deprecation).toBeUndefined()
+    })
+
+    test('supprime une seule version avec deleteRoute', async () => {
+      app.createRoute('get', '/ping', () => ({ v: 1 }), { version: 1 })
+      app.createRoute('get', '/ping', () => ({ v: 2 }), { version: 2 })
+      expect((await get('/ping')).json).toEqual({ v: 2 })
+
+      await app.routeManager.deleteRoute('get', '/ping', 2)
+      expect((await get('/ping')).json).toEqual({ v: 1 })
+    })
+  })
+
+  describe('stratégie path', () => {
+    let app
+
+    beforeAll(() => {
+      app = createApp({
+        routeManifest: false,
+        versioning: { strategy: 'path', prefix: '/api' },
+      })
+      app.loadRoutes()
+    })
+
+    afterAll(() => app.stop())
+
+    test('lit la version dans le segment /vN', async () => {
+      const response = await app.inject({ url: '/api/v1/users' })
+      expect(response.json).toEqual({ file: 'users.v1', version: '1' })
+      expect((await app.inject({ url: '/api/users' })).json.file).toBe(
+        'users.v2'
+      )
+    })
+
+    test('ignore Accept-Version', async () => {
+      const response = await app.inject({
+        url: '/api/users',
+        headers: { 'accept-version': '1' },
+      })
+      expect(response.json.file).toBe('users.v2')
+    })
+  })
+})
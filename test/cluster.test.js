@@ -0,0 +1,278 @@
+const cluster = require('cluster')
+const { EventEmitter } = require('events')
+const ClusterSupervisor = require('../lib/core/cluster-supervisor')
+const ClusterWorker = require('../lib/core/cluster-worker')
+const { createProject, createApp } = require('./helpers/project')
+
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+// Attend qu'une condition soit vraie (relances différées par setTimeout)
+const until = async (condition) => {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 5))
+}
+
+describe('superviseur du cluster', () => {
+  let supervisor
+  let logger
+  let nextId
+  // Comportement des prochains workers créés : 'listen', 'crash' ou 'idle'
+  let behaviors
+
+  // Sans start() le master n'écoute pas cluster : les sorties sont
+  // transmises à onExit comme le ferait l'événement 'exit' du cluster
+  const exit = (worker, code) =>
+    setImmediate(() => {
+      worker.dead = true
+      worker.emit('exit', code)
+      supervisor.onExit(worker, code, null)
+    })
+
+  const fakeWorker = () => {
+    const worker = new EventEmitter()
+    worker.id = ++nextId
+    worker.dead = false
+    worker.process = { pid: 1000 + worker.id, kill: jest.fn() }
+    worker.isDead = () => worker.dead
+    worker.isConnected = () => !worker.dead
+    worker.send = jest.fn((message) => {
+      if (message.type === 'vako:shutdown') exit(worker, 0)
+    })
+
+    const behavior = behaviors.shift() || 'listen'
+    if (behavior === 'listen') setImmediate(() => worker.emit('listening'))
+    if (behavior === 'crash') exit(worker, 1)
+    return worker
+  }
+
+  const ready = async (count) => {
+    for (let i = 0; i < count; i++) supervisor.fork()
+    await tick()
+  }
+
+  beforeEach(() => {
+    nextId = 0
+    behaviors = []
+    logger = { log: jest.fn() }
+    jest.spyOn(cluster, 'fork').mockImplementation(fakeWorker)
+    supervisor = new ClusterSupervisor({
+      workers: 2,
+      restartDelay: 10,
+      logger,
+    })
+  })
+
+  afterEach(async () => {
+    await supervisor.stop()
+    jest.restoreAllMocks()
+  })
+
+  test('le nombre de workers est un entier positif ou "auto"', () => {
+    expect(ClusterSupervisor.resolveWorkerCount('auto')).toBeGreaterThan(0)
+    expect(ClusterSupervisor.resolveWorkerCount(' 4 ')).toBe(4)
+    for (const invalid of ['0', '-1', 'abc', '2x', 1.5]) {
+      expect(() => ClusterSupervisor.resolveWorkerCount(invalid)).toThrow(
+        'Nombre de workers invalide'
+      )
+    }
+  })
+
+  test('un worker qui plante est relancé avec un délai croissant', async () => {
+    await ready(1)
+    const [first] = supervisor.list()
+    expect(first).toMatchObject({ id: 1, pid: 1001, ready: true })
+
+    behaviors.push('crash')
+    exit(supervisor.workers.get(1).worker, 1)
+    await until(() => supervisor.workers.get(3)?.ready)
+    const delays = logger.log.mock.calls
+      .filter(([, message]) => message === 'Worker arrêté de façon inattendue')
+      .map(([, , details]) => details.match(/relance dans (\d+)ms/)[1])
+    expect(delays).toEqual(['10', '20'])
+    expect(supervisor.list().map((worker) => worker.id)).toEqual([3])
+  })
+
+  test('un worker arrêté volontairement n’est pas relancé', async () => {
+    await ready(1)
+    await supervisor.stopWorker(supervisor.workers.get(1), 'test')
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    expect(cluster.fork).toHaveBeenCalledTimes(1)
+    expect(supervisor.workers.size).toBe(0)
+  })
+
+  test('reload remplace les workers un par un, chacun après son remplaçant', async () => {
+    await ready(2)
+    const [first, second] = Array.from(
+      supervisor.workers.values(),
+      (e) => e.worker
+    )
+
+    expect(await supervisor.reload()).toBe(true)
+    expect(supervisor.list().map((worker) => worker.id)).toEqual([3, 4])
+    // L'ancien worker n'est arrêté qu'une fois son remplaçant à l'écoute
+    expect(first.send).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'vako:shutdown', reason: 'rechargement' })
+    )
+    expect(second.dead).toBe(true)
+  })
+
+  test('un remplaçant qui meurt interrompt le rechargement', async () => {
+    await ready(2)
+    behaviors.push('crash')
+
+    expect(await supervisor.reload()).toBe(false)
+    expect(supervisor.list().map((worker) => worker.id)).toEqual([1, 2])
+    expect(logger.log).toHaveBeenCalledWith(
+      'error',
+      'Rechargement interrompu',
+      expect.stringContaining('#3')
+    )
+    expect(cluster.fork).toHaveBeenCalledTimes(3)
+  })
+
+  test('collect agrège les réponses, un worker muet ou arrêté est en échec', async () => {
+    await ready(3)
+    const workers = Array.from(supervisor.workers.values(), (e) => e.worker)
+    workers[0].send.mockImplementationOnce((message) =>
+      setImmediate(() =>
+        supervisor.onMessage(workers[0], {
+          type: 'vako:collected',
+          id: message.id,
+          data: { status: 'ok' },
+        })
+      )
+    )
+    workers[2].send.mockImplementationOnce(() => exit(workers[2], 1))
+    behaviors.push('idle')
+
+    const entries = await supervisor.collect('health', {}, 30)
+    expect(entries).toEqual([
+      { worker: 1, data: { status: 'ok' } },
+      { worker: 2, error: 'Timeout après 30ms' },
+      { worker: 3, error: 'Worker arrêté' },
+    ])
+  })
+})
+
+describe('worker du cluster', () => {
+  let project
+  let app
+
+  beforeEach(() => {
+    project = createProject()
+    app = createApp()
+    app.clusterWorker = new ClusterWorker(app)
+    // Pas de master : les messages IPC sont interceptés
+    jest.spyOn(app.clusterWorker, 'send').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    app.clusterWorker.destroy()
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('fournit sa santé et ses métriques au master', async () => {
+    const { clusterWorker } = app
+    await expect(clusterWorker.collectLocal('health')).resolves.toMatchObject({
+      status: 'ok',
+    })
+    const metrics = await clusterWorker.collectLocal('metrics')
+    expect(metrics.map((metric) => metric.name)).toContain(
+      'vako_http_requests_total'
+    )
+    await expect(clusterWorker.collectLocal('logs')).rejects.toThrow(
+      'Collecte inconnue: logs'
+    )
+  })
+
+  test('la readiness du cluster n’échoue que si aucun worker ne sert', async () => {
+    const aggregate = jest.spyOn(app.clusterWorker, 'aggregate')
+    const probe = () =>
+      app.inject({
+        url: '/_vako/health/ready',
+        headers: { accept: 'application/json' },
+      })
+
+    aggregate.mockResolvedValue([
+      { worker: 1, data: { status: 'ok' } },
+      { worker: 2, error: 'Timeout après 5000ms' },
+    ])
+    let response = await probe()
+    expect(response.statusCode).toBe(200)
+    expect(response.json).toMatchObject({
+      status: 'degraded',
+      workers: { 1: { status: 'ok' }, 2: { status: 'fail' } },
+    })
+
+    aggregate.mockResolvedValue([{ worker: 1, error: 'Worker arrêté' }])
+    response = await probe()
+    expect(response.statusCode).toBe(503)
+    expect(response.json.status).toBe('fail')
+  })
+
+  test('les métriques de chaque worker portent un label worker', async () => {
+    const snapshot = await app.clusterWorker.collectLocal('metrics')
+    jest.spyOn(app.clusterWorker, 'aggregate').mockResolvedValue([
+      { worker: 1, data: snapshot },
+      { worker: 2, error: 'Worker arrêté' },
+    ])
+
+    const response = await app.inject({ url: '/_vako/metrics' })
+    expect(response.body).toContain('vako_process_uptime_seconds{worker="1"}')
+    expect(response.body).not.toContain('worker="2"')
+  })
+
+  test('aggregate attend la réponse du master', async () => {
+    const pending = app.clusterWorker.aggregate('health')
+    app.clusterWorker.onMessage({
+      type: 'vako:aggregated',
+      id: app.clusterWorker.requestId,
+      entries: [{ worker: 1, data: { status: 'ok' } }],
+    })
+    await expect(pending).resolves.toEqual([
+      { worker: 1, data: { status: 'ok' } },
+    ])
+  })
+
+  test('répond aux collectes du master, erreurs comprises', async () => {
+    const { clusterWorker } = app
+    clusterWorker.onMessage({ type: 'vako:collect', id: 7, kind: 'health' })
+    clusterWorker.onMessage({ type: 'vako:collect', id: 8, kind: 'logs' })
+    await new Promise((resolve) => setTimeout(resolve, 20))
+
+    expect(clusterWorker.send).toHaveBeenCalledWith({
+      type: 'vako:collected',
+      id: 7,
+      data: expect.objectContaining({ status: 'ok' }),
+    })
+    expect(clusterWorker.send).toHaveBeenCalledWith({
+      type: 'vako:collected',
+      id: 8,
+      error: 'Collecte inconnue: logs',
+    })
+  })
+
+  test('vako:shutdown arrête l’app puis le process', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {})
+    const stop = jest.spyOn(app, 'stop')
+    app.clusterWorker.onMessage({
+      type: 'vako:shutdown',
+      reason: 'rechargement',
+      timeout: 50,
+    })
+    // Un second ordre pendant l'arrêt est ignoré
+    app.clusterWorker.shutdown('SIGTERM')
+
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    expect(stop).toHaveBeenCalledTimes(1)
+    expect(stop).toHaveBeenCalledWith({ timeout: 50 })
+    expect(exit).toHaveBeenCalledWith(0)
+  })
+
+  test('destroy rejette les agrégations en attente', async () => {
+    const pending = app.clusterWorker.aggregate('metrics')
+    app.clusterWorker.destroy()
+    await expect(pending).rejects.toThrow('Worker arrêté')
+    expect(app.clusterWorker.signalHandlers.size).toBe(0)
+  })
+})
@@ -0,0 +1,116 @@
+const ConfigLoader = require('../lib/core/config-loader')
+const { ConfigError } = require('..')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('ConfigLoader.validate', () => {
+  const errorFor = (options) => {
+    try {
+      ConfigLoader.validate(options, { source: 'vako.config.js' })
+    } catch (error) {
+      return error
+    }
+    return null
+  }
+
+  test('accepte une configuration valide', () => {
+    expect(
+      errorFor({
+        port: 3000,
+        routesDir: 'routes',
+        routeManifest: false,
+        security: { cors: { origin: '*' }, helmet: true },
+        sse: { heartbeat: 0, historyTtl: 1000 },
+      })
+    ).toBeNull()
+  })
+
+  test('nomme la clé inconnue', () => {
+    const error = errorFor({ security: { corz: true } })
+    expect(error).toBeInstanceOf(ConfigError)
+    expect(error.key).toBe('security.corz')
+    expect(error.message).toContain('option inconnue')
+    expect(error.message).toContain('vako.config.js')
+  })
+
+  test.each([
+    [{ port: 70000 }, 'port'],
+    [{ routesDir: '../outside' }, 'routesDir'],
+    [{ isDev: 'yes' }, 'isDev'],
+    [{ sse: { history: -1 } }, 'sse.history'],
+    [{ security: { cors: 'everyone' } }, 'security.cors'],
+  ])('refuse %j', (options, key) => {
+    expect(errorFor(options)?.key).toBe(key)
+  })
+
+  test('accepte cors: false et un objet helmet', () => {
+    expect(errorFor({ security: { cors: false } })).toBeNull()
+    expect(
+      errorFor({ security: { helmet: { contentSecurityPolicy: false } } })
+    ).toBeNull()
+  })
+
+  test('laisse passer les options propres à express-rate-limit', () => {
+    expect(
+      errorFor({
+        security: {
+          rateLimit: {
+            max: 10,
+            keyGenerator: () => 'ip',
+            legacyHeaders: false,
+          },
+        },
+      })
+    ).toBeNull()
+  })
+})
+
+describe('ConfigLoader.load', () => {
+  let project
+
+  beforeEach(() => {
+    project = createProject()
+  })
+
+  afterEach(() => {
+    project.cleanup()
+  })
+
+  test('retourne une config vide sans fichier', () => {
+    expect(ConfigLoader.load()).toEqual({ config: {}, filePath: null })
+  })
+
+  test('fusionne les surcharges env.<NODE_ENV>', () => {
+    project.write({
+      'vako.config.js': `module.exports = {
+        port: 3000,
+        sse: { heartbeat: 1000, history: 10 },
+        env: { production: { port: 8080, sse: { history: 50 } } },
+      }`,
+    })
+
+    const { config } = ConfigLoader.load({ env: 'production' })
+    expect(config).toEqual({
+      port: 8080,
+      sse: { heartbeat: 1000, history: 50 },
+    })
+    expect(ConfigLoader.load({ env: 'development' }).config.port).toBe(3000)
+  })
+
+  test('lit vako.config.json et nomme le fichier en erreur', () => {
+    project.write({ 'vako.config.json': '{ "viewsDir": 42 }' })
+    expect(() => ConfigLoader.load()).toThrow(
+      'Option de configuration invalide "viewsDir" : doit être un chemin relatif valide (vako.config.json)'
+    )
+  })
+
+  test('new App() lit le fichier, les options du code priment', async () => {
+    project.write({
+      'vako.config.js': 'module.exports = { port: 4000, wsPort: 4001 }',
+    })
+    const app = createApp({ wsPort: 5001 })
+    await app.stop()
+    expect(app.options.port).toBe(4000)
+    expect(app.options.wsPort).toBe(5001)
+    expect(() => createApp({ config: false, port: 'abc' })).toThrow(ConfigError)
+  })
+})
@@ -0,0 +1,119 @@
+const { createProject, createApp } = require('./helpers/project')
+
+const APP = 'https://app.example.com'
+const ADMIN = 'https://admin.example.com'
+
+describe('CORS', () => {
+  let project
+  let apps
+
+  const start = (options = {}) => {
+    const app = createApp(options)
+    apps.push(app)
+    return app
+  }
+
+  const from = (app, origin, options = {}) =>
+    app.inject({
+      ...options,
+      headers: { origin, ...options.headers },
+    })
+
+  beforeEach(() => {
+    apps = []
+    project = createProject({
+      'routes/public.js': `module.exports = {
+        cors: { origin: '*', credentials: false },
+        get: () => ({ ok: true }),
+      }`,
+    })
+  })
+
+  afterEach(async () => {
+    await Promise.all(apps.map((app) => app.stop()))
+    project.cleanup()
+  })
+
+  test('sans origine configurée, aucun en-tête CORS', async () => {
+    const app = start()
+    await app.createRoute('get', '/items', () => [])
+    const response = await from(app, APP, { url: '/items' })
+    expect(response.headers['access-control-allow-origin']).toBeUndefined()
+  })
+
+  test('la politique globale s’applique aux origines listées', async () => {
+    const app = start({
+      security: { cors: { origin: [APP], credentials: true } },
+    })
+    await app.createRoute('get', '/items', () => [])
+
+    const allowed = await from(app, APP, { url: '/items' })
+    expect(allowed.headers['access-control-allow-origin']).toBe(APP)
+    expect(allowed.headers['access-control-allow-credentials']).toBe('true')
+
+    const other = await from(app, ADMIN, { url: '/items' })
+    expect(other.headers['access-control-allow-origin']).toBeUndefined()
+  })
+
+  test('une route remplace la politique globale, preflight compris', async () => {
+    const app = start({
+      security: { cors: { origin: [APP], credentials: true } },
+    })
+    await app.createRoute('put', '/api/items/:id', (req) => req.body, {
+      security: { cors: { origin: [ADMIN], methods: ['PUT'] } },
+    })
+    await app.createRoute('get', '/api/items/:id', () => ({}))
+    await app.createRoute('get', '/private', () => ({}), {
+      security: { cors: false },
+    })
+
+    const preflight = await from(app, ADMIN, {
+      method: 'OPTIONS',
+      url: '/api/items/1',
+      headers: { 'access-control-request-method': 'PUT' },
+    })
+    expect(preflight.statusCode).toBe(204)
+    expect(preflight.headers['access-control-allow-origin']).toBe(ADMIN)
+    expect(preflight.headers['access-control-allow-methods']).toBe('PUT')
+    // Politique globale fusionnée sous celle de la route
+    expect(preflight.headers['access-control-allow-credentials']).toBe('true')
+
+    const get = await from(app, APP, { url: '/api/items/1' })
+    expect(get.headers['access-control-allow-origin']).toBe(APP)
+
+    const disabled = await from(app, APP, { url: '/private' })
+    expect(disabled.headers['access-control-allow-origin']).toBeUndefined()
+  })
+
+  test('un fichier de route déclare sa politique par l’export cors', async () => {
+    const app = start({
+      routeManifest: false,
+      security: { cors: { origin: [APP], credentials: true } },
+    })
+    app.loadRoutes()
+    const response = await from(app, 'https://anyone.example', {
+      url: '/public',
+    })
+    expect(response.headers['access-control-allow-origin']).toBe('*')
+    expect(response.headers['access-control-allow-credentials']).toBeUndefined()
+  })
+
+  test('politique invalide refusée, joker avec credentials signalé en développement', async () => {
+    const app = start({ isDev: true })
+    await expect(
+      app.createRoute('get', '/bad', () => ({}), {
+        security: { cors: { origins: [APP] } },
+      })
+    ).rejects.toThrow('security.cors')
+
+    const log = jest.spyOn(app.logger, 'log')
+    await app.createRoute('get', '/open', () => ({}), {
+      security: { cors: { origin: '*', credentials: true } },
+    })
+    expect(log).toHaveBeenCalledWith(
+      'warning',
+      'CORS credentials with wildcard origin',
+      expect.stringContaining('GET /open')
+    )
+  })
+})
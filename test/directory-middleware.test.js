@@ -0,0 +1,99 @@
+const path = require('path')
+const { createProject, createApp } = require('./helpers/project')
+
+const users = {
+  ada: { id: 1, username: 'ada', email: 'ada@example.com', role: 'user' },
+  root: { id: 2, username: 'root', email: 'root@example.com', role: 'admin' },
+}
+
+// Middleware qui note son passage dans req.trail
+const mark = (name) =>
+  `(req, res, next) => { (req.trail = req.trail || []).push('${name}'); next() }`
+
+describe('_middleware.js', () => {
+  let project
+  let app
+
+  const get = (url, user) =>
+    app.inject({
+      url,
+      headers: { accept: 'application/json', ...(user && { 'x-user': user }) },
+    })
+
+  beforeEach(() => {
+    project = createProject({
+      'routes/_middleware.js': `module.exports = ${mark('root')}`,
+      'routes/public.js': `module.exports = { get: (req) => req.trail }`,
+      'routes/shop/_middleware.js': `module.exports = [${mark('shop')}, ${mark('shop-2')}]`,
+      'routes/shop/(catalog)/_middleware.js': `module.exports = {
+        middleware: ${mark('catalog')},
+      }`,
+      'routes/shop/(catalog)/items/[id].js': `module.exports = {
+        get: (req) => req.trail,
+      }`,
+      'routes/admin/_middleware.js': `module.exports = { auth: 'admin' }`,
+      'routes/admin/stats.js': `module.exports = { get: () => ({ ok: true }) }`,
+    })
+    app = createApp({ isDev: true, routeManifest: false })
+    app.auth.isEnabled = true
+    app.use((req, res, next) => {
+      req.session = { user: users[req.get('x-user')] }
+      next()
+    })
+    app.loadRoutes()
+  })
+
+  afterEach(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('les middlewares s’appliquent du dossier extérieur au dossier intérieur', async () => {
+    expect((await get('/public')).json).toEqual(['root'])
+    expect((await get('/shop/items/7')).json).toEqual([
+      'root',
+      'shop',
+      'shop-2',
+      'catalog',
+    ])
+  })
+
+  test('{ auth } protège toutes les routes du dossier', async () => {
+    // Rôle exigé sans session : redirection vers la connexion
+    expect((await get('/admin/stats')).statusCode).toBe(302)
+    expect((await get('/admin/stats', 'ada')).statusCode).toBe(403)
+    expect((await get('/admin/stats', 'root')).json).toEqual({ ok: true })
+  })
+
+  test('une modification recharge les routes du dossier en développement', async () => {
+    const file = path.join(project.dir, 'routes/shop/_middleware.js')
+    project.write({
+      'routes/shop/_middleware.js': `module.exports = ${mark('v2')}`,
+    })
+    // Jest a son propre registre de modules, que require.cache ne vide pas
+    jest.resetModules()
+    const log = jest.spyOn(app.logger, 'log')
+    app.devServer.handleFileChange(file)
+
+    expect(log).toHaveBeenCalledWith(
+      'reload',
+      'Middleware reloaded',
+      expect.stringContaining('1 route(s)')
+    )
+    expect((await get('/shop/items/7')).json).toEqual(['root', 'v2', 'catalog'])
+    expect((await get('/public')).json).toEqual(['root'])
+  })
+
+  test('un export invalide est signalé avec son fichier', () => {
+    project.write({
+      'routes/bad/_middleware.js': `module.exports = { auth: true, cors: {} }`,
+      'routes/bad/page.js': `module.exports = { get: () => ({}) }`,
+    })
+    expect(() =>
+      app.routeManager.middlewareFor(
+        path.join(project.dir, 'routes/bad/page.js'),
+        path.join(project.dir, 'routes')
+      )
+    ).toThrow('routes/bad/_middleware.js : option(s) non prises en charge cors')
+  })
+})
@@ -0,0 +1,103 @@
+const { HttpError } = require('..')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('pipeline d’erreurs', () => {
+  let project
+  let apps
+  const nodeEnv = process.env.NODE_ENV
+
+  // NODE_ENV est lu à la création de l'ErrorHandler
+  const start = (env, options = {}) => {
+    process.env.NODE_ENV = env
+    const app = createApp(options)
+    process.env.NODE_ENV = nodeEnv
+    app.createRoute('get', '/crash', () => {
+      const error = new Error('mot de passe de la base refusé')
+      error.details = { host: 'db.internal' }
+      throw error
+    })
+    app.createRoute('get', '/limited', () => {
+      const error = new HttpError(429, 'Ralentissez')
+      error.headers = { 'Retry-After': '30' }
+      throw error
+    })
+    apps.push(app)
+    return app
+  }
+
+  const json = (app, url) =>
+    app.inject({ url, headers: { accept: 'application/json' } })
+
+  beforeEach(() => {
+    apps = []
+    project = createProject()
+  })
+
+  afterEach(async () => {
+    await Promise.all(apps.map((app) => app.stop()))
+    project.cleanup()
+  })
+
+  test('en production, une erreur 500 ne divulgue ni message ni détails', async () => {
+    const app = start('production')
+    const response = await json(app, '/crash')
+    expect(response.statusCode).toBe(500)
+    expect(response.json).toEqual({
+      error: 'Une erreur interne est survenue',
+      status: 500,
+    })
+
+    const html = await app.inject({
+      url: '/crash',
+      headers: { accept: 'text/html' },
+    })
+    expect(html.body).toContain('Une erreur interne est survenue')
+    expect(html.body).not.toContain('mot de passe')
+    expect(html.headers['content-security-policy']).toContain(
+      "default-src 'self'"
+    )
+  })
+
+  test('en développement, le message et les détails sont transmis', async () => {
+    const app = start('development')
+    const response = await json(app, '/crash')
+    expect(response.json).toEqual({
+      error: 'mot de passe de la base refusé',
+      status: 500,
+      details: { host: 'db.internal' },
+    })
+    expect(response.json.stack).toBeUndefined()
+
+    const withStack = start('development', { showStack: true })
+    expect((await json(withStack, '/crash')).json.stack).toContain(
+      'mot de passe de la base refusé'
+    )
+  })
+
+  test('en-têtes de l’erreur et langue de la page', async () => {
+    const app = start('production')
+    const limited = await json(app, '/limited')
+    expect(limited.statusCode).toBe(429)
+    expect(limited.headers['retry-after']).toBe('30')
+    expect(limited.json.error).toBe('Ralentissez')
+
+    const french = await app.inject({
+      url: '/missing?lang=fr',
+      headers: { accept: 'text/html' },
+    })
+    expect(french.body).toContain('Erreur 404')
+    expect(french.body).toContain('Page introuvable')
+  })
+
+  test('hooks error:handle pour toute erreur, error:critical à partir de 500', async () => {
+    const app = start('production')
+    const hook = jest.spyOn(app.plugins, 'executeHook')
+    await json(app, '/missing')
+    await json(app, '/crash')
+
+    const names = hook.mock.calls
+      .map(([name]) => name)
+      .filter((name) => name.startsWith('error:'))
+    expect(names).toEqual(['error:handle', 'error:handle', 'error:critical'])
+  })
+})
@@ -0,0 +1,97 @@
+const path = require('path')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('routage par fichiers', () => {
+  let project
+  let app
+
+  const get = async (url) =>
+    (await app.inject({ url, headers: { accept: 'application/json' } })).json
+
+  beforeEach(() => {
+    project = createProject({
+      'routes/docs/[...slug].js': `module.exports = {
+        get: (req) => ({ route: 'catch-all', slug: req.params.slug }),
+      }`,
+      'routes/docs/intro.js': `module.exports = { get: () => ({ route: 'intro' }) }`,
+      'routes/files/[[...path]].js': `module.exports = {
+        get: (req) => ({ path: req.params.path }),
+      }`,
+      'routes/(marketing)/about.js': `module.exports = { get: () => ({ route: 'about' }) }`,
+      'routes/(marketing)/pricing/index.js': `module.exports = { get: () => ({ route: 'pricing' }) }`,
+      'routes/users/[id].js': `module.exports = {
+        get: (req) => ({ route: 'user', id: req.params.id }),
+      }`,
+      'routes/users/new.js': `module.exports = { get: () => ({ route: 'new' }) }`,
+    })
+    app = createApp({ routeManifest: false })
+    app.loadRoutes()
+  })
+
+  afterEach(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('un catch-all reçoit les segments en tableau, le statique reste prioritaire', async () => {
+    expect(await get('/docs/guide/install/linux')).toEqual({
+      route: 'catch-all',
+      slug: ['guide', 'install', 'linux'],
+    })
+    expect(await get('/docs/intro')).toEqual({ route: 'intro' })
+
+    const bare = await app.inject({
+      url: '/docs',
+      headers: { accept: 'application/json' },
+    })
+    expect(bare.statusCode).toBe(404)
+  })
+
+  test('un catch-all optionnel répond aussi sans segment', async () => {
+    expect(await get('/files')).toEqual({ path: [] })
+    expect(await get('/files/a/b.txt')).toEqual({ path: ['a', 'b.txt'] })
+  })
+
+  test('les dossiers (groupe) n’apparaissent pas dans l’URL', async () => {
+    expect(await get('/about')).toEqual({ route: 'about' })
+    expect(await get('/pricing')).toEqual({ route: 'pricing' })
+    expect((await app.inject({ url: '/(marketing)/about' })).statusCode).toBe(
+      404
+    )
+  })
+
+  test('les segments statiques passent avant les dynamiques, quel que soit l’ordre du disque', async () => {
+    expect(await get('/users/new')).toEqual({ route: 'new' })
+    expect(await get('/users/42')).toEqual({ route: 'user', id: '42' })
+
+    const base = path.join(project.dir, 'routes')
+    const files = [
+      'users/[id].js',
+      'files/[[...path]].js',
+      'docs/[...slug].js',
+      'users/new.js',
+      'docs/intro.js',
+    ]
+    const sorted = app.routeManager.sortRouteFiles(
+      files.map((file) => path.join(base, file)),
+      base
+    )
+    expect(sorted.map((file) => path.relative(base, file))).toEqual([
+      'docs/intro.js',
+      'docs/[...slug].js',
+      'files/[[...path]].js',
+      'users/new.js',
+      'users/[id].js',
+    ])
+  })
+
+  test('filePathToRoute refuse les catch-alls mal formés ou mal placés', () => {
+    const { routeManager } = app
+    expect(() => routeManager.filePathToRoute('blog/[[...slug].js')).toThrow(
+      'Segment invalide'
+    )
+    expect(() =>
+      routeManager.filePathToRoute('blog/[...slug]/edit.js')
+    ).toThrow('doit être le dernier du chemin')
+  })
+})
@@ -0,0 +1,103 @@
+const http = require('http')
+const { createProject, createApp } = require('./helpers/project')
+
+// Réponse complète { status, body }, ou erreur de connexion
+const request = (port, path, agent) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ host: '127.0.0.1', port, path, agent }, (res) => {
+        let body = ''
+        res.setEncoding('utf8')
+        res.on('data', (chunk) => (body += chunk))
+        res.on('end', () => resolve({ status: res.statusCode, body }))
+      })
+      .on('error', reject)
+  })
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+describe('arrêt gracieux', () => {
+  let project
+  let app
+  let server
+
+  // Démarre l'app sur un port libre et retourne ce port
+  const listen = (options = {}) => {
+    app = createApp({ shutdown: { handleSignals: false }, ...options })
+    app.createRoute('get', '/slow', async () => {
+      await delay(100)
+      return 'fini'
+    })
+    app.createRoute('get', '/fast', () => 'ok')
+    // Ne répond jamais : se termine quand la connexion est coupée
+    app.createRoute(
+      'get',
+      '/hang',
+      (req) =>
+        new Promise((resolve) =>
+          req.signal.addEventListener('abort', resolve, { once: true })
+        )
+    )
+    return new Promise((resolve) => {
+      server = app.listen(0, () => resolve(server.address().port))
+    })
+  }
+
+  beforeEach(() => {
+    project = createProject()
+  })
+
+  afterEach(async () => {
+    await app.stop({ timeout: 50 })
+    project.cleanup()
+  })
+
+  test('les requêtes en cours se terminent, les nouvelles sont refusées', async () => {
+    const port = await listen()
+    const pending = request(port, '/slow')
+    await delay(20)
+
+    const stopped = app.stop()
+    expect(app.stop()).toBe(stopped)
+    await expect(request(port, '/fast')).rejects.toThrow('ECONNREFUSED')
+    await expect(pending).resolves.toEqual({ status: 200, body: 'fini' })
+    await stopped
+    expect(server.listening).toBe(false)
+  })
+
+  test('les sockets keep-alive inactives sont fermées aussitôt', async () => {
+    const port = await listen()
+    const agent = new http.Agent({ keepAlive: true })
+    await request(port, '/fast', agent)
+    expect(app.connections.size).toBe(1)
+
+    const startedAt = Date.now()
+    await app.stop({ timeout: 5000 })
+    expect(Date.now() - startedAt).toBeLessThan(1000)
+    agent.destroy()
+  })
+
+  test('au-delà du délai, les connexions restantes sont coupées', async () => {
+    const port = await listen()
+    const log = jest.spyOn(app.logger, 'log')
+    const pending = request(port, '/hang')
+    await delay(20)
+
+    await app.stop({ timeout: 50 })
+    await expect(pending).rejects.toThrow('socket hang up')
+    expect(log).toHaveBeenCalledWith(
+      'warning',
+      'Délai de drainage dépassé',
+      expect.stringContaining('1 connexion(s)')
+    )
+  })
+
+  test('les signaux ne sont écoutés qu’entre listen() et stop()', async () => {
+    const before = process.listenerCount('SIGTERM')
+    await listen({ shutdown: { handleSignals: true } })
+    expect(process.listenerCount('SIGTERM')).toBe(before + 1)
+
+    await app.stop()
+    expect(process.listenerCount('SIGTERM')).toBe(before)
+  })
+})
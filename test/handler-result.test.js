@@ -0,0 +1,144 @@
+const { HttpError, view, redirect } = require('..')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('valeurs de retour des handlers', () => {
+  let project
+  let app
+
+  beforeAll(() => {
+    project = createProject({
+      'views/layouts/main.ejs': '<main><%- sections.content %></main>',
+      'views/hello.ejs': '<p>Bonjour <%= name %></p>',
+      'data.txt': 'contenu du fichier',
+      'routes/items.js': `
+        const fs = require('fs')
+        const { view, redirect } = require(${JSON.stringify(require.resolve('..'))})
+        module.exports = {
+          get(req) {
+            switch (req.query.kind) {
+              case 'view': return view('hello', { name: 'Ada' })
+              case 'redirect': return redirect('/elsewhere', 301)
+              case 'stream': return fs.createReadStream('data.txt')
+              case 'text': return 'texte brut'
+              default: return [{ id: 1 }]
+            }
+          },
+          post: async () => ({ created: true }),
+        }`,
+    })
+    app = createApp({ routeManifest: false })
+    app.loadRoutes()
+  })
+
+  afterAll(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('un objet ou un tableau part en JSON', async () => {
+    const response = await app.inject({ url: '/items' })
+    expect(response.statusCode).toBe(200)
+    expect(response.json).toEqual([{ id: 1 }])
+
+    const created = await app.inject({ method: 'POST', url: '/items' })
+    expect(created.json).toEqual({ created: true })
+  })
+
+  test('une chaîne est envoyée telle quelle', async () => {
+    const response = await app.inject({ url: '/items?kind=text' })
+    expect(response.headers['content-type']).toContain('text/html')
+    expect(response.body).toBe('texte brut')
+  })
+
+  test('view() rend la vue dans son layout, ou ses données en JSON', async () => {
+    const html = await app.inject({
+      url: '/items?kind=view',
+      headers: { accept: 'text/html' },
+    })
+    expect(html.body).toContain('<main><p>Bonjour Ada</p></main>')
+
+    const json = await app.inject({
+      url: '/items?kind=view',
+      headers: { accept: 'application/json' },
+    })
+    expect(json.json).toEqual({ name: 'Ada' })
+  })
+
+  test('redirect() redirige avec le statut donné', async () => {
+    const response = await app.inject({ url: '/items?kind=redirect' })
+    expect(response.statusCode).toBe(301)
+    expect(response.headers.location).toBe('/elsewhere')
+  })
+
+  test('un flux est transmis avec le type de son fichier', async () => {
+    const response = await app.inject({ url: '/items?kind=stream' })
+    expect(response.headers['content-type']).toContain('text/plain')
+    expect(response.body).toBe('contenu du fichier')
+  })
+
+  test('createRoute : statut de view() et HttpError levée', async () => {
+    app.createRoute('get', '/dyn', async (req) => {
+      if (req.query.taken) throw new HttpError(409, 'Conflit')
+      return view('hello', { name: 'Dyn' }, { status: 202 })
+    })
+
+    const rendered = await app.inject({
+      url: '/dyn',
+      headers: { accept: 'text/html' },
+    })
+    expect(rendered.statusCode).toBe(202)
+    expect(rendered.body).toContain('Bonjour Dyn')
+
+    const failed = await app.inject({
+      url: '/dyn?taken=1',
+      headers: { accept: 'application/json' },
+    })
+    expect(failed.statusCode).toBe(409)
+    expect(failed.json.error).toBe('Conflit')
+  })
+
+  test('un handler qui répond lui-même ou passe la main est respecté', async () => {
+    app.createRoute('get', '/chain', [
+      (req, res, next) => {
+        next()
+        return { ignored: true }
+      },
+      (req, res) => {
+        res.status(201).send('réponse directe')
+        return res
+      },
+    ])
+
+    const response = await app.inject({ url: '/chain' })
+    expect(response.statusCode).toBe(201)
+    expect(response.body).toBe('réponse directe')
+  })
+
+  test('un handler à callback répond plus tard, sa valeur est ignorée', async () => {
+    const errors = []
+    const onError = (error) => errors.push(error)
+    process.on('uncaughtException', onError)
+    app.createRoute('get', '/later', (req, res) =>
+      setTimeout(() => res.send('ok'), 20)
+    )
+    app.createRoute('get', '/emitter', (req, res) =>
+      req.on('end', () => res.send('plus tard')).resume()
+    )
+
+    try {
+      const response = await app.inject({ url: '/later' })
+      expect(response.statusCode).toBe(200)
+      expect(response.body).toBe('ok')
+      expect((await app.inject({ url: '/emitter' })).body).toBe('plus tard')
+      await new Promise((resolve) => setTimeout(resolve, 30))
+      expect(errors).toEqual([])
+    } finally {
+      process.off('uncaughtException', onError)
+    }
+  })
+
+  test('redirect() refuse un statut hors 3xx', () => {
+    expect(() => redirect('/x', 200)).toThrow('statut 3xx attendu')
+    expect(() => view('')).toThrow('nom de vue attendu')
+  })
+})
@@ -0,0 +1,107 @@
+const { createProject, createApp } = require('./helpers/project')
+
+describe('sondes de santé', () => {
+  let project
+  let app
+
+  const probe = (url, options = {}) =>
+    app.inject({
+      url: `/_vako/health/${url}`,
+      headers: { accept: 'application/json' },
+      ...options,
+    })
+
+  beforeEach(() => {
+    project = createProject()
+    app = createApp({ health: { timeout: 50 } })
+  })
+
+  afterEach(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('live répond toujours, ready agrège les checks intégrés', async () => {
+    const live = await probe('live')
+    expect(live.statusCode).toBe(200)
+    expect(live.headers['cache-control']).toBe('no-store')
+    expect(live.json.status).toBe('ok')
+
+    const ready = await probe('ready')
+    expect(ready.statusCode).toBe(200)
+    expect(ready.json).toMatchObject({
+      status: 'ok',
+      shuttingDown: false,
+      checks: {
+        'auth-database': { status: 'pass' },
+        plugins: { status: 'pass' },
+        'event-loop': { status: 'pass' },
+      },
+    })
+    // Sans ?verbose, seul le statut de chaque check est exposé
+    expect(ready.json.checks.plugins).toEqual({ status: 'pass' })
+    expect(ready.json.memory).toBeUndefined()
+  })
+
+  test('un check non critique en échec dégrade, un check critique retire du trafic', async () => {
+    app.health.register('cache', () => false, { critical: false })
+    let response = await probe('ready')
+    expect(response.statusCode).toBe(200)
+    expect(response.json.status).toBe('degraded')
+    expect(response.json.checks.cache).toEqual({ status: 'fail' })
+
+    app.health.register('database', async () => {
+      throw new Error('Connexion refusée')
+    })
+    response = await probe('ready')
+    expect(response.statusCode).toBe(503)
+    expect(response.json.status).toBe('fail')
+  })
+
+  test('un check trop long échoue sur son délai', async () => {
+    app.health.register('slow', () => new Promise(() => {}), { timeout: 10 })
+    const response = await probe('ready?verbose')
+    expect(response.statusCode).toBe(503)
+    expect(response.json.checks.slow).toMatchObject({
+      status: 'fail',
+      critical: true,
+      error: 'Timeout après 10ms',
+    })
+  })
+
+  test('la vue détaillée passe par le garde admin', async () => {
+    app.health.register('queue', () => ({ pending: 3 }))
+    const local = await probe('ready?verbose')
+    expect(local.statusCode).toBe(200)
+    expect(local.json.checks.queue).toMatchObject({
+      status: 'pass',
+      critical: true,
+      details: { pending: 3 },
+    })
+    expect(local.json.node).toBe(process.version)
+
+    const remote = await probe('ready?verbose', { remoteAddress: '10.0.0.8' })
+    expect(remote.statusCode).toBe(403)
+    expect(
+      (await probe('ready', { remoteAddress: '10.0.0.8' })).statusCode
+    ).toBe(200)
+  })
+
+  test('ready répond 503 pendant l’arrêt', async () => {
+    app.isShuttingDown = true
+    const response = await probe('ready')
+    app.isShuttingDown = false
+    expect(response.statusCode).toBe(503)
+    expect(response.json).toMatchObject({ status: 'fail', shuttingDown: true })
+    expect((await probe('live')).statusCode).toBe(200)
+  })
+
+  test('register refuse un nom vide ou un check qui n’est pas une fonction', () => {
+    expect(() => app.health.register('', () => true)).toThrow('chaîne non vide')
+    expect(() => app.health.register('db', true)).toThrow(
+      'doit être une fonction'
+    )
+    expect(app.health.unregister('plugins')).toBe(true)
+    expect(app.health.checks.has('plugins')).toBe(false)
+  })
+})
@@ -0,0 +1,45 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { App } = require('../..')
+
+/**
+ * Projet temporaire : écrit les fichiers donnés (chemin relatif → contenu)
+ * et en fait le dossier courant, les routes et vues de l'app y sont lues.
+ * cleanup() restaure le dossier d'origine et supprime le projet.
+ */
+function createProject(files = {}) {
+  const cwd = process.cwd()
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vako-test-'))
+  const project = {
+    dir,
+    write(more) {
+      for (const [file, content] of Object.entries(more)) {
+        const filePath = path.join(dir, file)
+        fs.mkdirSync(path.dirname(filePath), { recursive: true })
+        fs.writeFileSync(filePath, content)
+      }
+      return project
+    },
+    cleanup() {
+      process.chdir(cwd)
+      fs.rmSync(dir, { recursive: true, force: true })
+    },
+  }
+  project.write(files)
+  process.chdir(dir)
+  return project
+}
+
+// App de test : production, sans auto-updater ni sortie console
+function createApp(options = {}) {
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  return new App({
+    isDev: false,
+    autoUpdater: { enabled: false },
+    ...options,
+  })
+}
+
+module.exports = { createProject, createApp }
@@ -0,0 +1,131 @@
+const fs = require('fs')
+const path = require('path')
+const http2 = require('http2')
+const https = require('https')
+const CertificateManager = require('../lib/core/certificate-manager')
+const { ConfigError } = require('../lib/core/errors')
+const { createProject, createApp } = require('./helpers/project')
+
+// Réponse HTTP/1.1 sur TLS : { status, body }
+const getHttps = (port, ca) =>
+  new Promise((resolve, reject) => {
+    https
+      .get({ host: '127.0.0.1', port, path: '/hello', ca }, (res) => {
+        let body = ''
+        res.setEncoding('utf8')
+        res.on('data', (chunk) => (body += chunk))
+        res.on('end', () => resolve({ status: res.statusCode, body }))
+      })
+      .on('error', reject)
+  })
+
+// Réponse HTTP/2 : { status, body }
+const getHttp2 = (port, ca) =>
+  new Promise((resolve, reject) => {
+    const session = http2.connect(`https://localhost:${port}`, { ca })
+    session.on('error', reject)
+    const stream = session.request({ ':path': '/hello' })
+    let status = null
+    let body = ''
+    stream.setEncoding('utf8')
+    stream.on('response', (headers) => (status = headers[':status']))
+    stream.on('data', (chunk) => (body += chunk))
+    stream.on('end', () => {
+      session.close()
+      resolve({ status, body })
+    })
+    stream.on('error', reject)
+  })
+
+describe('HTTPS et HTTP/2', () => {
+  let project
+  let certificate
+  let app
+
+  const listen = (options) => {
+    app = createApp({ shutdown: { handleSignals: false }, ...options })
+    app.createRoute('get', '/hello', (req) => `bonjour ${req.protocol}`)
+    return new Promise((resolve) => {
+      const server = app.listen(0, () => resolve(server.address().port))
+    })
+  }
+
+  beforeAll(() => {
+    project = createProject()
+    // Certificat localhost généré une fois par openssl : mkcert -install
+    // toucherait au magasin de certificats de la machine
+    const hasCommand = CertificateManager.hasCommand
+    jest
+      .spyOn(CertificateManager, 'hasCommand')
+      .mockImplementation(
+        (command) => command !== 'mkcert' && hasCommand(command)
+      )
+    certificate = CertificateManager.ensureDevCertificate({ cwd: project.dir })
+    fs.writeFileSync(path.join(project.dir, 'key.pem'), certificate.key)
+  })
+
+  afterEach(async () => {
+    if (app) await app.stop({ timeout: 50 })
+    app = null
+  })
+
+  afterAll(() => {
+    project.cleanup()
+  })
+
+  test('https : clé par chemin, certificat en Buffer', async () => {
+    const port = await listen({
+      https: { key: 'key.pem', cert: certificate.cert },
+    })
+    expect(await getHttps(port, certificate.cert)).toEqual({
+      status: 200,
+      body: 'bonjour https',
+    })
+  })
+
+  test('http2 répond en HTTP/2 et garde HTTP/1.1 en repli', async () => {
+    const port = await listen({
+      http2: true,
+      https: { key: certificate.key, cert: certificate.cert },
+    })
+    expect(await getHttp2(port, certificate.cert)).toEqual({
+      status: 200,
+      body: 'bonjour https',
+    })
+    expect(await getHttps(port, certificate.cert)).toEqual({
+      status: 200,
+      body: 'bonjour https',
+    })
+  })
+
+  test('hors développement, key et cert sont exigés', () => {
+    expect(() => CertificateManager.resolve({ https: true })).toThrow(
+      ConfigError
+    )
+    expect(() => CertificateManager.resolve({ http2: true })).toThrow('http2')
+    expect(() =>
+      CertificateManager.resolve(
+        { https: { key: 'absent.pem', cert: certificate.cert } },
+        { cwd: project.dir }
+      )
+    ).toThrow('https.key')
+    expect(CertificateManager.resolve({})).toBeNull()
+  })
+
+  test('en développement, le certificat de .vako/certs est réutilisé', () => {
+    const certFile = path.join(project.dir, '.vako/certs/localhost.pem')
+    const { mtimeMs } = fs.statSync(certFile)
+
+    const tls = CertificateManager.resolve(
+      { https: true },
+      { isDev: true, cwd: project.dir }
+    )
+    expect(tls.cert.equals(certificate.cert)).toBe(true)
+    expect(fs.statSync(certFile).mtimeMs).toBe(mtimeMs)
+    expect(CertificateManager.isValid(certFile)).toBe(true)
+    expect(
+      fs.statSync(path.join(project.dir, '.vako/certs/localhost-key.pem'))
+        .mode & 0o777
+    ).toBe(0o600)
+  })
+})
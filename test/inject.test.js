@@ -0,0 +1,113 @@
+const { HttpError } = require('..')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('app.inject', () => {
+  let project
+  let app
+
+  beforeAll(() => {
+    project = createProject({
+      'views/errors/418.ejs': '<p>Théière : <%= message %></p>',
+    })
+    app = createApp()
+    app.createRoute('post', '/echo', (req, res) => {
+      res.cookie('seen', 'yes')
+      res.json({ body: req.body, query: req.query, cookie: req.get('cookie') })
+    })
+    app.createRoute('get', '/conflict', () => {
+      throw new HttpError(409, 'Déjà pris', { field: 'email' })
+    })
+    app.createRoute('get', '/teapot', () => {
+      throw new HttpError(418, 'Pas de café')
+    })
+    app.createRoute('get', '/crash', () => {
+      throw new Error('boom')
+    })
+  })
+
+  afterAll(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('envoie la requête à travers la pile Express', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/echo',
+      query: { page: '2' },
+      payload: { name: 'Ada' },
+      cookies: { id: 'abc' },
+    })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['content-type']).toContain('application/json')
+    expect(response.json).toEqual({
+      body: { name: 'Ada' },
+      query: { page: '2' },
+      cookie: 'id=abc',
+    })
+    expect(response.cookies).toContainEqual(
+      expect.objectContaining({ name: 'seen', value: 'yes' })
+    )
+  })
+
+  test('répond 404 en HTML ou en JSON selon Accept', async () => {
+    const html = await app.inject({
+      url: '/missing',
+      headers: { accept: 'text/html' },
+    })
+    expect(html.statusCode).toBe(404)
+    expect(html.headers['content-type']).toContain('text/html')
+    expect(html.body).toContain('Route introuvable: GET /missing')
+
+    const json = await app.inject({
+      url: '/missing',
+      headers: { accept: 'application/json' },
+    })
+    expect(json.statusCode).toBe(404)
+    expect(json.json).toEqual({
+      error: 'Route introuvable: GET /missing',
+      status: 404,
+    })
+  })
+
+  test('les chemins /api/ répondent en JSON sans préférence HTML ou JSON', async () => {
+    const response = await app.inject({
+      url: '/api/missing',
+      headers: { accept: 'text/plain' },
+    })
+    expect(response.statusCode).toBe(404)
+    expect(response.json.status).toBe(404)
+  })
+
+  test('transmet le statut et les détails des HttpError', async () => {
+    const response = await app.inject({
+      url: '/conflict',
+      headers: { accept: 'application/json' },
+    })
+    expect(response.statusCode).toBe(409)
+    expect(response.json).toMatchObject({
+      error: 'Déjà pris',
+      status: 409,
+      details: { field: 'email' },
+    })
+  })
+
+  test('rend views/errors/<code>.ejs quand il existe', async () => {
+    const response = await app.inject({
+      url: '/teapot',
+      headers: { accept: 'text/html' },
+    })
+    expect(response.statusCode).toBe(418)
+    expect(response.body).toBe('<p>Théière : Pas de café</p>')
+  })
+
+  test('une exception devient une erreur 500', async () => {
+    const response = await app.inject({
+      url: '/crash',
+      headers: { accept: 'application/json' },
+    })
+    expect(response.statusCode).toBe(500)
+    expect(response.json.status).toBe(500)
+  })
+})
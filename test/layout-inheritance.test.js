@@ -0,0 +1,105 @@
+const fs = require('fs')
+const path = require('path')
+const { createProject, createApp } = require('./helpers/project')
+
+// d0 → d1 → … → d<depth> : chaîne de layouts emboîtés
+const layoutChain = (depth) => {
+  const files = {}
+  for (let i = 0; i < depth; i++) {
+    files[`views/layouts/d${i}.ejs`] =
+      `<%# extends: d${i + 1} %>\nD${i}<%- sections.content %>`
+  }
+  files[`views/layouts/d${depth}.ejs`] = `D${depth}<%- sections.content %>`
+  return files
+}
+
+describe('héritage de layouts', () => {
+  let project
+  let app
+
+  const render = (layout) =>
+    app.inject({
+      url: `/page?layout=${layout}`,
+      headers: { accept: 'text/html' },
+    })
+
+  beforeAll(() => {
+    project = createProject({
+      'views/page.ejs':
+        "<% layout.section('head', '<title>Page</title>') %><p>page</p>",
+      'views/layouts/main.ejs':
+        "<html><head><%- sections.head || '' %></head><body><%- sections.content %><footer><%- sections.footer || 'pied' %></footer></body></html>",
+      'views/layouts/admin.ejs':
+        "<%# extends: main %>\n<nav>admin</nav><%- sections.content %><% layout.section('footer', 'pied admin') %>",
+      'views/layouts/a.ejs': '<%# extends: b %>\nA<%- sections.content %>',
+      'views/layouts/b.ejs': '<%# extends: a %>\nB<%- sections.content %>',
+      'views/layouts/orphan.ejs':
+        '<%# extends: missing %>\n<%- sections.content %>',
+      ...layoutChain(12),
+    })
+    app = createApp()
+    app.createRoute('get', '/page', (req, res) =>
+      res.render('page', { layout: req.query.layout })
+    )
+  })
+
+  afterAll(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('emboîte le layout dans son parent', async () => {
+    const response = await render('admin')
+    expect(response.statusCode).toBe(200)
+    expect(response.body.replace(/\s+/g, ' ')).toBe(
+      '<html><head><title>Page</title></head><body> <nav>admin</nav><p>page</p><footer>pied admin</footer></body></html>'
+    )
+  })
+
+  test('résout la chaîne du layout au plus extérieur', async () => {
+    await expect(
+      app.layoutManager.resolveLayoutChain('admin')
+    ).resolves.toEqual(['admin', 'main'])
+    await expect(
+      app.layoutManager.resolveLayoutChain('d3')
+    ).resolves.toHaveLength(10)
+  })
+
+  test('refuse un héritage circulaire', async () => {
+    await expect(app.layoutManager.resolveLayoutChain('a')).rejects.toThrow(
+      'Héritage de layouts circulaire : a → b → a'
+    )
+    expect((await render('a')).statusCode).toBe(500)
+  })
+
+  test('refuse un héritage trop profond', async () => {
+    await expect(app.layoutManager.resolveLayoutChain('d0')).rejects.toThrow(
+      'Héritage de layouts trop profond (max 10)'
+    )
+    expect((await render('d0')).statusCode).toBe(500)
+  })
+
+  test('signale un parent introuvable', async () => {
+    await expect(
+      app.layoutManager.resolveLayoutChain('orphan')
+    ).rejects.toThrow('Layout parent introuvable : missing (étendu par orphan)')
+  })
+
+  test('relit un layout modifié', async () => {
+    const file = path.join(project.dir, 'views/layouts/standalone.ejs')
+    fs.writeFileSync(file, '<x><%- sections.content %></x>')
+    await expect(
+      app.layoutManager.resolveLayoutChain('standalone')
+    ).resolves.toEqual(['standalone'])
+
+    fs.writeFileSync(
+      file,
+      '<%# extends: main %>\n<x><%- sections.content %></x>'
+    )
+    const later = new Date(Date.now() + 5000)
+    fs.utimesSync(file, later, later)
+    await expect(
+      app.layoutManager.resolveLayoutChain('standalone')
+    ).resolves.toEqual(['standalone', 'main'])
+  })
+})
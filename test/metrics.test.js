@@ -0,0 +1,139 @@
+const { MetricsRegistry } = require('../lib/core/metrics')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('métriques Prometheus', () => {
+  let project
+  let app
+
+  const scrape = (options = {}) =>
+    app.inject({ url: '/_vako/metrics', ...options })
+
+  beforeEach(() => {
+    project = createProject()
+    app = createApp()
+  })
+
+  afterEach(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('compte les requêtes par motif de route, méthode et statut', async () => {
+    app.createRoute('get', '/users/:id', (req) => ({ id: req.params.id }))
+    await app.inject({ url: '/users/1' })
+    await app.inject({ url: '/users/2' })
+    await app.inject({
+      url: '/missing',
+      headers: { accept: 'application/json' },
+    })
+
+    const response = await scrape()
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['content-type']).toContain('version=0.0.4')
+    expect(response.body).toContain(
+      'vako_http_requests_total{method="GET",route="/users/:id",status="200"} 2'
+    )
+    expect(response.body).toContain(
+      'vako_http_requests_total{method="GET",route="not_found",status="404"} 1'
+    )
+    expect(response.body).toContain(
+      'vako_http_request_duration_seconds_count{method="GET",route="/users/:id"} 2'
+    )
+    expect(response.body).toContain(
+      'vako_http_request_duration_seconds_bucket{method="GET",route="/users/:id",le="+Inf"} 2'
+    )
+  })
+
+  test('les plugins enregistrent leurs métriques, hooks et échecs de chargement', async () => {
+    await app.plugins.loadPlugin({
+      name: 'billing',
+      load(app, config, context) {
+        context.metrics.counter('invoices_total', 'Factures émises').inc(3)
+        context.hook('billing:sync', () => {})
+        context.hook('billing:sync', () => {
+          throw new Error('API indisponible')
+        })
+      },
+    })
+    await app.plugins.executeHook('billing:sync')
+    await expect(
+      app.plugins.loadPlugin({
+        name: 'broken',
+        load() {
+          throw new Error('configuration manquante')
+        },
+      })
+    ).rejects.toThrow('configuration manquante')
+
+    const { body } = await scrape()
+    expect(body).toContain('# TYPE vako_plugin_billing_invoices_total counter')
+    expect(body).toContain('vako_plugin_billing_invoices_total 3')
+    expect(body).toContain(
+      'vako_plugin_hook_duration_seconds_count{hook="billing:sync",plugin="billing"} 2'
+    )
+    expect(body).toContain(
+      'vako_plugin_hook_errors_total{hook="billing:sync",plugin="billing"} 1'
+    )
+    expect(body).toContain('vako_plugin_load_failures_total{plugin="broken"} 1')
+    expect(body).toContain('vako_plugins_loaded 1')
+  })
+
+  test('la route passe par le garde admin, sauf protect: false', async () => {
+    expect((await scrape({ remoteAddress: '10.0.0.8' })).statusCode).toBe(403)
+    await app.stop()
+
+    app = createApp({ metrics: { protect: false, path: '/metrics' } })
+    const response = await app.inject({
+      url: '/metrics',
+      remoteAddress: '10.0.0.8',
+    })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toContain('# TYPE vako_process_uptime_seconds gauge')
+  })
+
+  test('metrics.enabled: false ne monte pas la route', async () => {
+    await app.stop()
+    app = createApp({ metrics: { enabled: false } })
+    const response = await scrape({ headers: { accept: 'application/json' } })
+    expect(response.statusCode).toBe(404)
+  })
+})
+
+describe('MetricsRegistry', () => {
+  test('valide les noms, les labels et le type d’une métrique existante', () => {
+    const registry = new MetricsRegistry()
+    expect(() => registry.counter('bad-name', 'x')).toThrow(
+      'Nom de métrique invalide'
+    )
+    expect(() => registry.histogram('latency', 'x', ['le'])).toThrow(
+      'Label invalide'
+    )
+
+    const jobs = registry.counter('jobs_total', 'Jobs')
+    expect(registry.counter('jobs_total', 'Jobs')).toBe(jobs)
+    expect(() => registry.gauge('jobs_total', 'Jobs')).toThrow(
+      'existe déjà avec le type counter'
+    )
+    expect(() => jobs.inc(-1)).toThrow('ne peut que croître')
+  })
+
+  test('échappe les valeurs de labels et fusionne les workers', () => {
+    const worker = new MetricsRegistry()
+    worker
+      .counter('errors_total', 'Erreurs', ['message'])
+      .inc({ message: 'ligne "1"\nligne 2' })
+    worker.histogram('size', 'Taille', [], { buckets: [10, 1] }).observe(5)
+
+    expect(worker.render()).toContain(
+      'errors_total{message="ligne \\"1\\"\\nligne 2"} 1'
+    )
+
+    const merged = MetricsRegistry.merge([
+      { labels: { worker: '1' }, metrics: worker.snapshot() },
+      { labels: { worker: '2' }, metrics: worker.snapshot() },
+    ]).render()
+    expect(merged).toContain('size_bucket{worker="2",le="1"} 0')
+    expect(merged).toContain('size_bucket{worker="2",le="10"} 1')
+    expect(merged).toContain('size_count{worker="1"} 1')
+  })
+})
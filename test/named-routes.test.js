@@ -0,0 +1,74 @@
+const { createProject, createApp } = require('./helpers/project')
+
+describe('routes nommées', () => {
+  let project
+  let app
+
+  beforeEach(async () => {
+    project = createProject({
+      'routes/index.js': `module.exports = { get: () => ({ home: true }) }`,
+      'routes/users/[id].js': `module.exports = { get: (req) => ({ id: req.params.id }) }`,
+      'routes/(shop)/cart/index.js': `module.exports = { get: () => ({}) }`,
+      'routes/docs/[[...slug]].js': `module.exports = { get: () => ({}) }`,
+      'views/layouts/main.ejs': '<%- sections.content %>',
+      'views/links.ejs': `<a href="<%= url('users.id', { id: 7 }, { tab: 'posts' }) %>">profil</a>`,
+    })
+    app = createApp({ routeManifest: false })
+    app.loadRoutes()
+    await app.createRoute('get', '/orders/:orderId', () => ({}), {
+      name: 'orders.show',
+    })
+    await app.createRoute('get', '/links', (req, res) => res.render('links'))
+  })
+
+  afterEach(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('les routes fichiers sont nommées d’après leur chemin', () => {
+    expect(app.url('index')).toBe('/')
+    expect(app.url('users.id', { id: 42 }, { tab: 'posts' })).toBe(
+      '/users/42?tab=posts'
+    )
+    expect(app.url('cart')).toBe('/cart')
+    expect(app.url('docs.slug')).toBe('/docs')
+    expect(app.url('docs.slug', { slug: ['guide', 'install'] })).toBe(
+      '/docs/guide/install'
+    )
+
+    const names = app
+      .listRoutes()
+      .map((route) => route.name)
+      .filter(Boolean)
+    expect(names).toEqual(
+      expect.arrayContaining(['index', 'users.id', 'cart', 'orders.show'])
+    )
+  })
+
+  test('paramètres manquants ou inconnus et nom inconnu', () => {
+    expect(() => app.url('users.id')).toThrow('paramètre(s) manquant(s) id')
+    expect(() => app.url('users.id', { id: 1, tab: 'x' })).toThrow(
+      'paramètre(s) inconnu(s) tab'
+    )
+    expect(app.url('orders.show', { orderId: 12 })).toBe('/orders/12')
+    expect(() => app.url('nowhere')).toThrow('Route nommée introuvable')
+  })
+
+  test('url() est disponible dans les vues', async () => {
+    const response = await app.inject({
+      url: '/links',
+      headers: { accept: 'text/html' },
+    })
+    expect(response.body).toContain('href="/users/7?tab=posts"')
+  })
+
+  test('un nom invalide ou déjà pris est refusé', async () => {
+    await expect(
+      app.createRoute('get', '/a', () => ({}), { name: 'mauvais nom' })
+    ).rejects.toThrow('Nom de route invalide')
+    await expect(
+      app.createRoute('get', '/b', () => ({}), { name: 'users.id' })
+    ).rejects.toThrow('déjà utilisé par /users/:id')
+  })
+})
@@ -0,0 +1,135 @@
+const { createProject, createApp } = require('./helpers/project')
+
+describe('document OpenAPI', () => {
+  let project
+  let app
+
+  beforeAll(() => {
+    project = createProject({
+      'package.json': JSON.stringify({ name: 'shop', version: '2.1.0' }),
+      'routes/items.js': `module.exports = {
+        description: { get: 'List items', post: 'Create an item' },
+        schema: {
+          post: {
+            body: { name: { type: 'string', required: true, description: 'Nom' } },
+          },
+        },
+        get: () => [],
+        post: (req) => req.body,
+      }`,
+      'routes/items/[id].js': `module.exports = {
+        schema: { params: { id: { type: 'integer', min: 1 } } },
+        get: (req) => ({ id: req.params.id }),
+      }`,
+    })
+    app = createApp({ routeManifest: false })
+    app.loadRoutes()
+    // Authentification activée le temps de créer la route : le garde admin
+    // de /_vako/docs retombe ensuite sur localhost
+    app.auth.isEnabled = true
+    app.createRoute('get', '/reports', () => ({}), {
+      description: 'Monthly reports',
+      auth: 'manager',
+      rateLimit: { window: 60000, max: 10 },
+      schema: { query: { month: { type: 'integer', min: 1, max: 12 } } },
+    })
+    app.auth.isEnabled = false
+    app.app.get('/direct', (req, res) => res.send('ok'))
+  })
+
+  afterAll(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('décrit le projet et chaque route enregistrée', () => {
+    const document = app.openapi({ servers: [{ url: 'https://shop.test' }] })
+    expect(document.openapi).toBe('3.1.0')
+    expect(document.info).toEqual({ title: 'shop', version: '2.1.0' })
+    expect(document.servers).toEqual([{ url: 'https://shop.test' }])
+    expect(Object.keys(document.paths).sort()).toEqual([
+      '/direct',
+      '/items',
+      '/items/{id}',
+      '/reports',
+    ])
+  })
+
+  test('routes fichiers : description, source, paramètres et corps', () => {
+    const { paths } = app.openapi()
+    expect(paths['/items'].get).toMatchObject({
+      summary: 'List items',
+      operationId: 'getItems',
+      tags: ['items'],
+      'x-vako-source': 'routes/items.js',
+    })
+    expect(paths['/items'].post.requestBody).toEqual({
+      required: true,
+      content: {
+        'application/json': {
+          schema: expect.objectContaining({
+            required: ['name'],
+            properties: { name: { type: 'string', description: 'Nom' } },
+          }),
+        },
+      },
+    })
+    expect(paths['/items'].post.responses[400]).toEqual({
+      $ref: '#/components/responses/ValidationError',
+    })
+    expect(paths['/items/{id}'].get.parameters).toEqual([
+      {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'integer', minimum: 1 },
+      },
+    ])
+  })
+
+  test('routes dynamiques : auth, rateLimit et paramètres de requête', () => {
+    const document = app.openapi()
+    const operation = document.paths['/reports'].get
+    expect(operation.summary).toBe('Monthly reports')
+    expect(operation.security).toEqual([{ session: [] }])
+    expect(Object.keys(operation.responses).sort()).toEqual([
+      '200',
+      '400',
+      '401',
+      '403',
+      '429',
+    ])
+    expect(operation.parameters).toEqual([
+      expect.objectContaining({ name: 'month', in: 'query', required: false }),
+    ])
+    expect(document.components.securitySchemes.session).toEqual({
+      type: 'apiKey',
+      in: 'cookie',
+      name: 'vako.sid',
+    })
+  })
+
+  test('les routes internes ne sont documentées qu’à la demande', () => {
+    expect(app.openapi().paths['/_vako/docs']).toBeUndefined()
+    expect(
+      app.openapi({ includeInternal: true }).paths['/_vako/docs']
+    ).toBeDefined()
+  })
+
+  test('/_vako/docs sert la page et le document derrière le garde admin', async () => {
+    const page = await app.inject({ url: '/_vako/docs' })
+    expect(page.statusCode).toBe(200)
+    expect(page.body).toContain('/_vako/docs/docs.js')
+    expect(page.body).not.toMatch(/https?:\/\//)
+
+    const json = await app.inject({ url: '/_vako/docs/openapi.json' })
+    expect(json.headers['cache-control']).toBe('no-store')
+    expect(json.json.paths['/items']).toBeDefined()
+
+    const remote = await app.inject({
+      url: '/_vako/docs/openapi.json',
+      remoteAddress: '203.0.113.7',
+    })
+    expect(remote.statusCode).toBe(403)
+  })
+})
@@ -0,0 +1,130 @@
+const { createProject, createApp } = require('./helpers/project')
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+describe('contexte de requête', () => {
+  let project
+  let apps
+
+  const start = (options) => {
+    const app = createApp(options)
+    apps.push(app)
+    return app
+  }
+
+  beforeEach(() => {
+    apps = []
+    project = createProject({
+      'views/layouts/main.ejs': '<%- sections.content %>',
+      'views/id.ejs': '<p><%= requestId %> <%= context.get("tenant") %></p>',
+    })
+  })
+
+  afterEach(async () => {
+    await Promise.all(apps.map((app) => app.stop()))
+    project.cleanup()
+  })
+
+  test('attribue un identifiant, ou reprend un identifiant entrant valide', async () => {
+    const app = start()
+    app.createRoute('get', '/id', (req) => ({ id: req.id }))
+
+    const generated = await app.inject({ url: '/id' })
+    expect(generated.headers['x-request-id']).toMatch(UUID)
+    expect(generated.json.id).toBe(generated.headers['x-request-id'])
+
+    const kept = await app.inject({
+      url: '/id',
+      headers: { 'x-request-id': 'proxy-42' },
+    })
+    expect(kept.json.id).toBe('proxy-42')
+
+    const invalid = await app.inject({
+      url: '/id',
+      headers: { 'x-request-id': 'pas valide' },
+    })
+    expect(invalid.json.id).toMatch(UUID)
+  })
+
+  test('app.context() suit la requête à travers l’async et le body parser', async () => {
+    const app = start()
+    app.use((req, res, next) => {
+      req.context.set('tenant', req.get('x-tenant'))
+      next()
+    })
+    const currentTenant = () => app.context()?.get('tenant')
+    app.createRoute('post', '/tenant', async (req) => {
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      return { tenant: currentTenant(), body: req.body }
+    })
+
+    const responses = await Promise.all(
+      ['acme', 'globex'].map((tenant) =>
+        app.inject({
+          method: 'POST',
+          url: '/tenant',
+          headers: { 'x-tenant': tenant },
+          payload: { tenant },
+        })
+      )
+    )
+    expect(responses.map((response) => response.json)).toEqual([
+      { tenant: 'acme', body: { tenant: 'acme' } },
+      { tenant: 'globex', body: { tenant: 'globex' } },
+    ])
+    expect(app.context()).toBeNull()
+  })
+
+  test('les logs écrits pendant la requête portent son identifiant', async () => {
+    const app = start()
+    app.createRoute('get', '/log', () => {
+      app.logger.log('info', 'Dans le handler', 'détail')
+      return { ok: true }
+    })
+
+    await app.inject({ url: '/log', headers: { 'x-request-id': 'req-7' } })
+    const lines = console.log.mock.calls.map((args) => args.join(' '))
+    expect(lines).toContainEqual(
+      expect.stringMatching(/\[req-7\] Dans le handler/)
+    )
+  })
+
+  test('les vues reçoivent requestId et context', async () => {
+    const app = start()
+    app.use((req, res, next) => {
+      req.context.set('tenant', 'acme')
+      next()
+    })
+    app.createRoute('get', '/view', (req, res) => res.render('id'))
+
+    const response = await app.inject({
+      url: '/view',
+      headers: { 'x-request-id': 'view-1', accept: 'text/html' },
+    })
+    expect(response.body).toContain('<p>view-1 acme</p>')
+  })
+
+  test('trustHeader: false, header et enabled: false', async () => {
+    const untrusted = start({ requestContext: { trustHeader: false } })
+    untrusted.createRoute('get', '/id', (req) => ({ id: req.id }))
+    const generated = await untrusted.inject({
+      url: '/id',
+      headers: { 'x-request-id': 'proxy-42' },
+    })
+    expect(generated.json.id).toMatch(UUID)
+
+    const renamed = start({ requestContext: { header: 'X-Trace-Id' } })
+    renamed.createRoute('get', '/id', (req) => ({ id: req.id }))
+    const traced = await renamed.inject({
+      url: '/id',
+      headers: { 'x-trace-id': 'trace-1' },
+    })
+    expect(traced.headers['x-trace-id']).toBe('trace-1')
+
+    const disabled = start({ requestContext: { enabled: false } })
+    disabled.createRoute('get', '/id', (req) => ({ id: req.id ?? null }))
+    const plain = await disabled.inject({ url: '/id' })
+    expect(plain.headers['x-request-id']).toBeUndefined()
+    expect(plain.json.id).toBeNull()
+  })
+})
@@ -0,0 +1,177 @@
+const fs = require('fs')
+const path = require('path')
+const { createProject, createApp } = require('./helpers/project')
+
+const MANIFEST = '.vako/routes.json'
+
+describe('manifeste des routes', () => {
+  let project
+  let apps
+
+  const start = (options = {}) => {
+    const app = createApp(options)
+    apps.push(app)
+    return app
+  }
+
+  const readManifest = () =>
+    JSON.parse(fs.readFileSync(path.join(project.dir, MANIFEST), 'utf8'))
+
+  beforeEach(() => {
+    apps = []
+    project = createProject({
+      'routes/index.js': "module.exports = { get: () => 'accueil' }",
+      'routes/api/_middleware.js':
+        "module.exports = (req, res, next) => { res.set('X-Api', 'yes'); next() }",
+      'routes/api/users.js': 'module.exports = { get: () => ({ v: 1 }) }',
+      'routes/api/users.v2.js': 'module.exports = { get: () => ({ v: 2 }) }',
+    })
+    start().routeManager.writeManifest()
+  })
+
+  afterEach(async () => {
+    await Promise.all(apps.map((app) => app.stop()))
+    project.cleanup()
+  })
+
+  test('vako build décrit chaque fichier de route', () => {
+    const manifest = readManifest()
+    expect(manifest.routesDir).toBe('routes')
+    expect(Object.keys(manifest.directories).sort()).toEqual(['.', 'api'])
+    expect(manifest.directories['.'].entries).toEqual(['api/', 'index.js'])
+    expect(manifest.files['index.js'].hash).toMatch(/^[0-9a-f]{64}$/)
+    expect(Object.keys(manifest.files).sort()).toEqual([
+      'api/_middleware.js',
+      'api/users.js',
+      'api/users.v2.js',
+      'index.js',
+    ])
+    expect(manifest.routes).toContainEqual(
+      expect.objectContaining({
+        file: 'api/users.v2.js',
+        path: '/api/users',
+        type: 'handlers',
+        methods: ['get'],
+        version: '2',
+        name: 'api.users',
+        middleware: ['api/_middleware.js'],
+      })
+    )
+  })
+
+  test('en production, les routes viennent du manifeste sans parcours', async () => {
+    const app = start()
+    const scan = jest.spyOn(app.routeManager, 'scanDirectory')
+    app.loadRoutes()
+    expect(scan).not.toHaveBeenCalled()
+
+    const response = await app.inject({ url: '/api/users' })
+    expect(response.json).toEqual({ v: 2 })
+    expect(response.headers['x-api']).toBe('yes')
+    expect(app.url('api.users')).toBe('/api/users')
+  })
+
+  test('les chemins et noms du manifeste ne sont pas recalculés', async () => {
+    const manifest = readManifest()
+    manifest.routes
+      .filter((route) => route.path === '/api/users')
+      .forEach((route) => {
+        route.path = '/api/people'
+        route.name = 'people'
+      })
+    fs.writeFileSync(path.join(project.dir, MANIFEST), JSON.stringify(manifest))
+
+    const app = start()
+    app.loadRoutes()
+    expect((await app.inject({ url: '/api/people' })).json).toEqual({ v: 2 })
+    expect(app.url('people')).toBe('/api/people')
+  })
+
+  test.each([
+    [
+      'fichier ajouté',
+      () =>
+        project.write({
+          'routes/api/new.js': "module.exports = { get: () => 'new' }",
+        }),
+      'fichiers ajoutés ou supprimés dans api',
+    ],
+    [
+      'fichier modifié',
+      () =>
+        fs.appendFileSync(
+          path.join(project.dir, 'routes/index.js'),
+          '\n// modifié'
+        ),
+      'fichier modifié index.js',
+    ],
+    [
+      'fichier supprimé',
+      () => fs.unlinkSync(path.join(project.dir, 'routes/api/users.v2.js')),
+      'fichier supprimé api/users.v2.js',
+    ],
+  ])(
+    '%s : manifeste périmé, le dossier est parcouru',
+    (label, change, detail) => {
+      change()
+      const app = start()
+      const log = jest.spyOn(app.logger, 'log')
+      const scan = jest.spyOn(app.routeManager, 'scanDirectory')
+      app.loadRoutes()
+
+      const outdated = log.mock.calls.find(
+        ([, message]) => message === 'Route manifest checksum mismatch'
+      )
+      expect(outdated[0]).toBe('warning')
+      expect(outdated[2]).toContain(detail)
+      expect(scan).toHaveBeenCalled()
+    }
+  )
+
+  test('des fichiers touchés mais inchangés gardent le manifeste', async () => {
+    // cp, git clone, docker COPY : nouvelles dates, même contenu
+    const later = new Date(Date.now() + 60000)
+    for (const file of ['routes', 'routes/api', 'routes/api/users.v2.js']) {
+      fs.utimesSync(path.join(project.dir, file), later, later)
+    }
+    project.write({ 'routes/api/.DS_Store': '', 'routes/.index.js.swp': '' })
+
+    const app = start()
+    const log = jest.spyOn(app.logger, 'log')
+    const scan = jest.spyOn(app.routeManager, 'scanDirectory')
+    app.loadRoutes()
+    expect(scan).not.toHaveBeenCalled()
+    expect(log).not.toHaveBeenCalledWith(
+      'warning',
+      'Route manifest checksum mismatch',
+      expect.any(String)
+    )
+    expect((await app.inject({ url: '/api/users' })).json).toEqual({ v: 2 })
+  })
+
+  test('ignore un manifeste d’un autre format', () => {
+    fs.writeFileSync(
+      path.join(project.dir, MANIFEST),
+      JSON.stringify({ ...readManifest(), version: 1 })
+    )
+    const app = start()
+    const log = jest.spyOn(app.logger, 'log')
+    app.loadRoutes()
+    expect(log).toHaveBeenCalledWith(
+      'warning',
+      'Route manifest ignored',
+      expect.any(String)
+    )
+    expect(app.routeManager.manifest).toBeNull()
+  })
+
+  test('le développement et manifest: false parcourent toujours le dossier', () => {
+    const dev = start({ isDev: true })
+    dev.loadRoutes()
+    expect(dev.routeManager.manifest).toBeNull()
+
+    const forced = start()
+    forced.loadRoutes('routes', { manifest: false })
+    expect(forced.routeManager.manifest).toBeNull()
+  })
+})
@@ -0,0 +1,154 @@
+const { HttpError } = require('..')
+const { createProject, createApp } = require('./helpers/project')
+
+// Utilisateurs de session complets (isValidSessionUser)
+const users = {
+  ada: { id: 1, username: 'ada', email: 'ada@example.com', role: 'user' },
+  bob: { id: 2, username: 'bob', email: 'bob@example.com', role: 'manager' },
+  root: { id: 3, username: 'root', email: 'root@example.com', role: 'admin' },
+}
+
+describe('options des routes', () => {
+  let project
+  let app
+
+  const get = (url, user) =>
+    app.inject({
+      url,
+      headers: { accept: 'application/json', ...(user && { 'x-user': user }) },
+    })
+
+  beforeAll(() => {
+    project = createProject()
+    app = createApp()
+    // Authentification activée sans base : la session vient de l'en-tête
+    // X-User, placée devant les routes comme express-session
+    app.auth.isEnabled = true
+    app.use((req, res, next) => {
+      req.session = { user: users[req.get('x-user')] }
+      next()
+    })
+  })
+
+  afterAll(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('auth: true refuse une requête sans session', async () => {
+    app.createRoute(
+      'get',
+      '/private',
+      (req) => ({ user: req.session.user.id }),
+      {
+        auth: true,
+      }
+    )
+
+    const anonymous = await get('/private')
+    expect(anonymous.statusCode).toBe(401)
+    expect(anonymous.json.user).toBeUndefined()
+
+    const signedIn = await get('/private', 'ada')
+    expect(signedIn.statusCode).toBe(200)
+    expect(signedIn.json).toEqual({ user: 1 })
+  })
+
+  test('auth: un rôle, admin les a tous', async () => {
+    app.createRoute('get', '/reports', () => ({ ok: true }), {
+      auth: 'manager',
+    })
+
+    expect((await get('/reports')).statusCode).toBe(302)
+    expect((await get('/reports', 'ada')).statusCode).toBe(403)
+    expect((await get('/reports', 'bob')).statusCode).toBe(200)
+    expect((await get('/reports', 'root')).statusCode).toBe(200)
+  })
+
+  test('rateLimit limite la route seule', async () => {
+    app.createRoute('get', '/limited', () => ({ ok: true }), {
+      rateLimit: { window: 60000, max: 2 },
+    })
+    app.createRoute('get', '/free', () => ({ ok: true }))
+
+    expect((await get('/limited')).statusCode).toBe(200)
+    expect((await get('/limited')).statusCode).toBe(200)
+    const limited = await get('/limited')
+    expect(limited.statusCode).toBe(429)
+    expect(limited.headers['ratelimit-limit']).toBe('2')
+    expect((await get('/free')).statusCode).toBe(200)
+  })
+
+  test('middleware s’exécute après auth, ses erreurs async vont aux pages d’erreur', async () => {
+    const seen = []
+    app.createRoute('get', '/tenant', (req) => ({ tenant: req.tenant }), {
+      auth: true,
+      middleware: [
+        (req, res, next) => {
+          seen.push(req.session.user.username)
+          next()
+        },
+        async (req, res, next) => {
+          if (req.query.missing) throw new HttpError(404, 'Tenant inconnu')
+          req.tenant = 'acme'
+          next()
+        },
+      ],
+    })
+
+    expect((await get('/tenant')).statusCode).toBe(401)
+    expect(seen).toEqual([])
+
+    const missing = await get('/tenant?missing=1', 'ada')
+    expect(missing.statusCode).toBe(404)
+    expect(missing.json.error).toBe('Tenant inconnu')
+    expect(seen).toEqual(['ada'])
+    expect((await get('/tenant', 'bob')).json).toEqual({ tenant: 'acme' })
+  })
+
+  test('cache : réponse servie depuis le cache, par utilisateur avec auth', async () => {
+    let calls = 0
+    app.createRoute('get', '/stats', () => ({ calls: ++calls }), {
+      cache: { ttl: 30 },
+    })
+    app.createRoute('get', '/me', (req) => ({ me: req.session.user.id }), {
+      auth: true,
+      cache: true,
+    })
+
+    const first = await get('/stats')
+    expect(first.headers['x-cache']).toBe('MISS')
+    const second = await get('/stats')
+    expect(second.headers['x-cache']).toBe('HIT')
+    expect(second.json).toEqual({ calls: 1 })
+
+    app.clearRouteCache('/stats')
+    expect((await get('/stats')).json).toEqual({ calls: 2 })
+
+    await get('/me', 'ada')
+    expect((await get('/me', 'bob')).json).toEqual({ me: 2 })
+    expect((await get('/me', 'ada')).headers['x-cache']).toBe('HIT')
+  })
+
+  test('refuse une option impossible à respecter', async () => {
+    await expect(
+      app.createRoute('post', '/cached', () => ({}), { cache: true })
+    ).rejects.toThrow('seules les routes GET sont mises en cache')
+    await expect(
+      app.createRoute('get', '/bad-auth', () => ({}), { auth: 42 })
+    ).rejects.toThrow('true ou un nom de rôle attendu')
+    await expect(
+      app.createRoute('get', '/bad-mw', () => ({}), { middleware: 'audit' })
+    ).rejects.toThrow('fonction ou tableau de fonctions attendu')
+
+    app.auth.isEnabled = false
+    try {
+      await expect(
+        app.createRoute('get', '/no-auth', () => ({}), { auth: true })
+      ).rejects.toThrow("le système d'authentification n'est pas activé")
+    } finally {
+      app.auth.isEnabled = true
+    }
+    expect((await get('/no-auth')).statusCode).toBe(404)
+  })
+})
@@ -0,0 +1,346 @@
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const {
+  JsonRouteStore,
+  MemoryRouteStore,
+  createRouteStore,
+} = require('../lib/routing/route-store')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('stockage JSON des routes', () => {
+  let project
+
+  beforeEach(() => {
+    project = createProject()
+  })
+
+  afterEach(() => {
+    project.cleanup()
+  })
+
+  const read = (file) =>
+    JSON.parse(fs.readFileSync(path.join(project.dir, file), 'utf8'))
+
+  test('une écriture échouée ne bloque pas les suivantes', async () => {
+    const store = new JsonRouteStore('data/routes.json')
+    await store.init()
+    await store.load()
+    // Un dossier à la place du fichier : le rename échoue
+    fs.mkdirSync(path.join(project.dir, 'data/routes.json'))
+
+    await expect(store.save({ id: 'a', path: '/a' })).rejects.toThrow()
+    expect(fs.existsSync(path.join(project.dir, 'data/routes.json.tmp'))).toBe(
+      false
+    )
+
+    fs.rmdirSync(path.join(project.dir, 'data/routes.json'))
+    await store.save({ id: 'b', path: '/b' })
+    expect(read('data/routes.json').routes.map((route) => route.id)).toEqual([
+      'a',
+      'b',
+    ])
+    await expect(store.close()).resolves.toBeUndefined()
+  })
+
+  test('save et remove réécrivent le fichier', async () => {
+    const store = new JsonRouteStore('data/routes.json')
+    await store.init()
+    await store.save({ id: 'a', path: '/a' })
+    await store.save({ id: 'b', path: '/b' })
+    await store.save({ id: 'a', path: '/a2' })
+    await store.remove('b')
+    expect(read('data/routes.json')).toEqual({
+      routes: [{ id: 'a', path: '/a2' }],
+    })
+
+    const reopened = new JsonRouteStore('data/routes.json')
+    await expect(reopened.load()).resolves.toEqual([{ id: 'a', path: '/a2' }])
+  })
+
+  test('un fichier illisible n’est jamais écrasé', async () => {
+    project.write({ 'data/routes.json': '{ pas du JSON' })
+    const store = new JsonRouteStore('data/routes.json')
+    await expect(store.save({ id: 'a', path: '/a' })).rejects.toThrow(
+      SyntaxError
+    )
+    expect(
+      fs.readFileSync(path.join(project.dir, 'data/routes.json'), 'utf8')
+    ).toBe('{ pas du JSON')
+
+    project.write({ 'data/routes.json': '{ "routes": [] }' })
+    await store.save({ id: 'a', path: '/a' })
+    expect(read('data/routes.json').routes).toHaveLength(1)
+  })
+
+  test('createRouteStore choisit le stockage', () => {
+    expect(createRouteStore()).toBeInstanceOf(JsonRouteStore)
+    expect(createRouteStore({ store: false })).toBeInstanceOf(MemoryRouteStore)
+    expect(() => createRouteStore({ store: 'redis' })).toThrow(
+      'Stockage de routes non supporté: redis'
+    )
+  })
+})
+
+describe('API des routes déclaratives', () => {
+  let project
+  let apps
+
+  const start = (dynamicRoutes = {}) => {
+    const app = createApp({
+      dynamicRoutes: {
+        enabled: true,
+        file: 'data/routes.json',
+        ...dynamicRoutes,
+      },
+    })
+    apps.push(app)
+    return app
+  }
+
+  const api = (app, method, url = '', payload) =>
+    app.inject({
+      method,
+      url: `/_vako/routes${url}`,
+      payload,
+      headers: { accept: 'application/json' },
+    })
+
+  const read = (file) =>
+    JSON.parse(fs.readFileSync(path.join(project.dir, file), 'utf8'))
+
+  beforeEach(() => {
+    apps = []
+    project = createProject()
+  })
+
+  afterEach(async () => {
+    await Promise.all(apps.map((app) => app.stop()))
+    project.cleanup()
+  })
+
+  test('crée, modifie et supprime une route, avec son audit', async () => {
+    const app = start()
+    const created = await api(app, 'POST', '', {
+      path: '/old-pricing',
+      type: 'redirect',
+      to: '/pricing',
+      status: 301,
+    })
+    expect(created.statusCode).toBe(201)
+    expect(created.json).toMatchObject({
+      method: 'get',
+      createdBy: 'ip:127.0.0.1',
+      updatedBy: 'ip:127.0.0.1',
+    })
+    const { id } = created.json
+
+    const redirected = await app.inject({ url: '/old-pricing' })
+    expect(redirected.statusCode).toBe(301)
+    expect(redirected.headers.location).toBe('/pricing')
+
+    const patched = await api(app, 'PATCH', `/${id}`, { status: 302 })
+    expect(patched.json).toMatchObject({ to: '/pricing', status: 302 })
+    expect((await app.inject({ url: '/old-pricing' })).statusCode).toBe(302)
+
+    const moved = await api(app, 'PUT', `/${id}`, {
+      path: '/status.json',
+      type: 'json',
+      body: { ok: true },
+    })
+    expect(moved.statusCode).toBe(200)
+    expect((await app.inject({ url: '/old-pricing' })).statusCode).toBe(404)
+    expect((await app.inject({ url: '/status.json' })).json).toEqual({
+      ok: true,
+    })
+
+    expect((await api(app, 'GET')).json.routes).toHaveLength(1)
+    expect((await api(app, 'DELETE', `/${id}`)).statusCode).toBe(204)
+    expect((await app.inject({ url: '/status.json' })).statusCode).toBe(404)
+    expect((await api(app, 'GET', `/${id}`)).statusCode).toBe(404)
+  })
+
+  test('400 pour une définition invalide, 409 pour une route prise', async () => {
+    const app = start()
+    app.createRoute('get', '/taken', () => ({}))
+
+    const invalid = await api(app, 'POST', '', {
+      path: 'relative',
+      type: 'ftp',
+    })
+    expect(invalid.statusCode).toBe(400)
+    expect(invalid.json.code).toBe('VALIDATION_ERROR')
+
+    const taken = await api(app, 'POST', '', {
+      path: '/taken',
+      type: 'json',
+      body: {},
+    })
+    expect(taken.statusCode).toBe(409)
+  })
+
+  test('les routes enregistrées sont rechargées au démarrage', async () => {
+    const first = start()
+    await api(first, 'POST', '', {
+      path: '/status.json',
+      type: 'json',
+      body: { ok: true },
+      headers: { 'Cache-Control': 'no-store' },
+    })
+    expect(read('data/routes.json').routes).toHaveLength(1)
+
+    const second = start()
+    await second.declarativeRoutes.load()
+    const response = await second.inject({ url: '/status.json' })
+    expect(response.json).toEqual({ ok: true })
+    expect(response.headers['cache-control']).toBe('no-store')
+  })
+
+  test('un chargement échoué est retenté', async () => {
+    project.write({ 'data/routes.json': '{ pas du JSON' })
+    const app = start()
+    await expect(app.declarativeRoutes.load()).rejects.toThrow(SyntaxError)
+
+    project.write({
+      'data/routes.json': JSON.stringify({
+        routes: [{ id: 'x', path: '/x', type: 'json', body: { x: 1 } }],
+      }),
+    })
+    await app.declarativeRoutes.load()
+    expect((await app.inject({ url: '/x' })).json).toEqual({ x: 1 })
+  })
+
+  test('store: false garde les routes en mémoire seulement', async () => {
+    const app = start({ store: false })
+    const created = await api(app, 'POST', '', {
+      path: '/memo',
+      type: 'json',
+      body: [],
+    })
+    expect(created.statusCode).toBe(201)
+    expect(fs.existsSync(path.join(project.dir, 'data/routes.json'))).toBe(
+      false
+    )
+  })
+
+  test('l’API est derrière le garde admin', async () => {
+    const app = start()
+    const remote = await app.inject({
+      url: '/_vako/routes',
+      remoteAddress: '203.0.113.7',
+    })
+    expect(remote.statusCode).toBe(403)
+  })
+
+  describe('routes proxy', () => {
+    let upstream
+    let target
+
+    beforeAll(async () => {
+      // Renvoie la requête reçue ; /hang ne répond jamais
+      upstream = http.createServer((req, res) => {
+        if (req.url.startsWith('/hang')) return
+        let body = ''
+        req.on('data', (chunk) => (body += chunk))
+        req.on('end', () => {
+          res.writeHead(201, {
+            'Content-Type': 'application/json',
+            'X-Upstream': 'oui',
+          })
+          res.end(
+            JSON.stringify({
+              method: req.method,
+              url: req.url,
+              headers: req.headers,
+              body,
+            })
+          )
+        })
+      })
+      await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve))
+      target = `http://127.0.0.1:${upstream.address().port}`
+    })
+
+    afterAll(async () => {
+      upstream.closeAllConnections()
+      await new Promise((resolve) => upstream.close(resolve))
+    })
+
+    test('relaie méthode, query, en-têtes et corps, puis la réponse', async () => {
+      const app = start()
+      const created = await api(app, 'POST', '', {
+        method: 'post',
+        path: '/hooks',
+        type: 'proxy',
+        target: `${target}/api?v=1`,
+        headers: { 'X-Api-Key': 'secret' },
+      })
+      expect(created.statusCode).toBe(201)
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/hooks?page=2',
+        payload: { event: 'paid' },
+        headers: { 'x-forwarded-for': '198.51.100.1' },
+      })
+      expect(response.statusCode).toBe(201)
+      expect(response.headers['x-upstream']).toBe('oui')
+      const echoed = response.json
+      expect(echoed).toMatchObject({
+        method: 'POST',
+        url: '/api?v=1&page=2',
+        body: '{"event":"paid"}',
+      })
+      expect(echoed.headers).toMatchObject({
+        'x-api-key': 'secret',
+        'x-forwarded-for': '198.51.100.1, 127.0.0.1',
+        'x-forwarded-proto': 'http',
+        'content-length': '16',
+      })
+    })
+
+    test('502 si la cible est injoignable, 504 si elle ne répond pas', async () => {
+      const app = start()
+      const closed = http.createServer()
+      await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve))
+      const closedPort = closed.address().port
+      await new Promise((resolve) => closed.close(resolve))
+
+      await api(app, 'POST', '', {
+        path: '/down',
+        type: 'proxy',
+        target: `http://127.0.0.1:${closedPort}/`,
+      })
+      await api(app, 'POST', '', {
+        path: '/slow',
+        type: 'proxy',
+        target: `${target}/hang`,
+        timeout: 1000,
+      })
+      const json = { accept: 'application/json' }
+
+      const down = await app.inject({ url: '/down', headers: json })
+      expect(down.statusCode).toBe(502)
+      expect(down.json.error).toContain('Serveur cible injoignable')
+
+      const slow = await app.inject({ url: '/slow', headers: json })
+      expect(slow.statusCode).toBe(504)
+      expect(slow.json.error).toBe('Le serveur cible ne répond pas')
+    })
+
+    test('target et timeout sont validés', async () => {
+      const app = start()
+      const invalid = await api(app, 'POST', '', {
+        path: '/bad',
+        type: 'proxy',
+        target: 'ftp://example.com',
+        timeout: 10,
+      })
+      expect(invalid.statusCode).toBe(400)
+      expect(invalid.json.details.map((error) => error.field)).toEqual([
+        'target',
+        'timeout',
+      ])
+    })
+  })
+})
@@ -0,0 +1,110 @@
+const path = require('path')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('table des routes', () => {
+  let project
+  let app
+
+  const call = (method, url) =>
+    app.inject({ method, url, headers: { accept: 'application/json' } })
+
+  beforeEach(() => {
+    project = createProject({
+      'routes/notes.js': `module.exports = {
+        get: () => ({ version: 1 }),
+        delete: () => ({ deleted: true }),
+      }`,
+    })
+    app = createApp({ isDev: true, routeManifest: false })
+  })
+
+  afterEach(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('deleteRoute ne retire que la méthode demandée', async () => {
+    await app.createRoute('get', '/items', () => ['a'])
+    await app.createRoute('post', '/items', () => ({ created: true }))
+
+    await app.deleteRoute('GET', '/items')
+    expect((await call('GET', '/items')).statusCode).toBe(404)
+    expect((await call('POST', '/items')).json).toEqual({ created: true })
+    expect(app.routeManager.getRouteMethods('/items')).toEqual(['POST'])
+
+    const log = jest.spyOn(app.logger, 'log')
+    await app.deleteRoute('get', '/items')
+    expect(log).toHaveBeenCalledWith('warning', 'Route not found', 'GET /items')
+  })
+
+  test('updateRoute remplace le handler sur place et garde ses options', async () => {
+    const audit = jest.fn((req, res, next) => next())
+    await app.createRoute('get', '/items/:id', (req) => ({ v: 1 }), {
+      middleware: [audit],
+    })
+    await app.createRoute('get', '/items/special', () => ({ special: true }))
+
+    await app.updateRoute('get', '/items/:id', (req) => ({
+      v: 2,
+      id: req.params.id,
+    }))
+    expect((await call('GET', '/items/3')).json).toEqual({ v: 2, id: '3' })
+    expect(audit).toHaveBeenCalledTimes(1)
+    // Le chemin statique reste prioritaire après le remplacement
+    expect((await call('GET', '/items/special')).json).toEqual({
+      special: true,
+    })
+  })
+
+  test('une requête en cours finit sur la table de son arrivée', async () => {
+    let release
+    const started = new Promise((resolve) => {
+      app.createRoute('get', '/slow', () => {
+        resolve()
+        return new Promise((done) => (release = () => done({ v: 1 })))
+      })
+    })
+    const pending = call('GET', '/slow')
+    await started
+
+    await app.updateRoute('get', '/slow', () => ({ v: 2 }))
+    release()
+    expect((await pending).json).toEqual({ v: 1 })
+    expect((await call('GET', '/slow')).json).toEqual({ v: 2 })
+  })
+
+  test('app.use passe avant les routes, même ajouté après elles', async () => {
+    await app.createRoute('get', '/items', () => [])
+    app.use((req, res, next) => {
+      res.set('X-Before', 'yes')
+      next()
+    })
+    expect((await call('GET', '/items')).headers['x-before']).toBe('yes')
+  })
+
+  test('OPTIONS liste les méthodes du chemin', async () => {
+    await app.createRoute('get', '/items', () => [])
+    await app.createRoute('post', '/items', () => ({}))
+    const response = await call('OPTIONS', '/items')
+    expect(response.headers.allow).toBe('GET,HEAD,POST')
+  })
+
+  test('un fichier rechargé remplace toutes ses routes d’un bloc', async () => {
+    app.loadRoutes()
+    expect((await call('DELETE', '/notes')).json).toEqual({ deleted: true })
+
+    const file = path.join(project.dir, 'routes/notes.js')
+    project.write({
+      'routes/notes.js': `module.exports = { get: () => ({ version: 2 }) }`,
+    })
+    // Jest a son propre registre de modules, que require.cache ne vide pas
+    jest.resetModules()
+    app.devServer.handleFileChange(file)
+
+    expect((await call('GET', '/notes')).json).toEqual({ version: 2 })
+    expect((await call('DELETE', '/notes')).statusCode).toBe(404)
+
+    app.routeManager.unloadRouteFile(file)
+    expect((await call('GET', '/notes')).statusCode).toBe(404)
+  })
+})
@@ -0,0 +1,80 @@
+const { createProject, createApp } = require('./helpers/project')
+
+// Attend l'annulation de la requête puis tente de répondre malgré tout
+const lateHandler = (seen) => async (req, res) => {
+  await new Promise((resolve) =>
+    req.signal.addEventListener('abort', resolve, { once: true })
+  )
+  seen.reason = req.signal.reason?.name
+  res.json({ late: true })
+}
+
+describe('timeout des routes', () => {
+  let project
+  let app
+
+  beforeAll(() => {
+    project = createProject()
+    app = createApp()
+  })
+
+  afterAll(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('répond 503 avec Retry-After et annule req.signal', async () => {
+    const seen = {}
+    app.createRoute('get', '/slow', lateHandler(seen), {
+      timeout: 50,
+      retryAfter: 10,
+    })
+    const log = jest.spyOn(app.logger, 'log')
+
+    const response = await app.inject({
+      url: '/slow',
+      headers: { accept: 'application/json' },
+    })
+    expect(response.statusCode).toBe(503)
+    expect(response.headers['retry-after']).toBe('10')
+    expect(response.json.late).toBeUndefined()
+
+    // La réponse tardive du handler est ignorée et signalée une fois
+    await new Promise((resolve) => setImmediate(resolve))
+    expect(seen.reason).toBe('TimeoutError')
+    expect(
+      log.mock.calls.filter(
+        ([, message]) => message === 'Late response suppressed'
+      )
+    ).toHaveLength(1)
+    log.mockRestore()
+  })
+
+  test('Retry-After vaut 5 secondes par défaut', async () => {
+    app.createRoute('get', '/slow-default', lateHandler({}), { timeout: 50 })
+    const response = await app.inject({ url: '/slow-default' })
+    expect(response.statusCode).toBe(503)
+    expect(response.headers['retry-after']).toBe('5')
+  })
+
+  test('une réponse dans les temps ne déclenche pas le signal', async () => {
+    let aborted = null
+    app.createRoute(
+      'get',
+      '/fast',
+      (req) => {
+        req.signal.addEventListener('abort', () => {
+          aborted = req.signal.reason
+        })
+        return { ok: true }
+      },
+      { timeout: 50 }
+    )
+
+    const response = await app.inject({ url: '/fast' })
+    expect(response.statusCode).toBe(200)
+    expect(response.json).toEqual({ ok: true })
+    await new Promise((resolve) => setTimeout(resolve, 80))
+    expect(aborted).toBeNull()
+  })
+})
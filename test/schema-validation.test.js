@@ -0,0 +1,286 @@
+const SchemaValidator = require('../lib/routing/schema-validator')
+const { createProject, createApp } = require('./helpers/project')
+
+describe('validation des requêtes', () => {
+  let project
+  let app
+
+  const post = (payload, query = {}) =>
+    app.inject({
+      method: 'POST',
+      url: '/api/users',
+      query,
+      payload,
+      headers: { accept: 'application/json' },
+    })
+
+  beforeAll(() => {
+    project = createProject({
+      'routes/items/[id].js': `module.exports = {
+        schema: { get: { params: { id: { type: 'integer', min: 1 } } } },
+        get: (req) => ({ id: req.params.id, type: typeof req.params.id }),
+        delete: (req) => ({ id: req.params.id }),
+      }`,
+    })
+    app = createApp({ routeManifest: false })
+    app.loadRoutes()
+    app.createRoute(
+      'post',
+      '/api/users',
+      (req) => ({ body: req.body, query: req.query, validated: req.validated }),
+      {
+        schema: {
+          query: { dryRun: { type: 'boolean', default: false } },
+          body: {
+            name: { type: 'string', required: true, minLength: 2 },
+            age: { type: 'integer', min: 0 },
+            tags: { type: 'array', items: 'string', maxLength: 2 },
+            role: { enum: ['user', 'admin'], default: 'user' },
+            email: { type: 'string', format: 'email' },
+          },
+        },
+      }
+    )
+  })
+
+  afterAll(async () => {
+    await app.stop()
+    project.cleanup()
+  })
+
+  test('convertit les valeurs et applique les valeurs par défaut', async () => {
+    const response = await post({ name: 'Ada', age: '36' }, { dryRun: 'true' })
+    expect(response.statusCode).toBe(200)
+    expect(response.json.body).toEqual({ name: 'Ada', age: 36, role: 'user' })
+    expect(response.json.query).toEqual({ dryRun: true })
+    expect(response.json.validated.body.age).toBe(36)
+  })
+
+  test('répond 400 en listant chaque champ invalide', async () => {
+    const response = await post({
+      name: 'A',
+      age: -1,
+      tags: ['a', 'b', 'c'],
+      role: 'root',
+      email: 'nope',
+    })
+    expect(response.statusCode).toBe(400)
+    expect(response.json).toMatchObject({
+      error: 'Requête invalide',
+      status: 400,
+      code: 'VALIDATION_ERROR',
+    })
+    expect(
+      response.json.details.map(({ field, rule }) => `${field}:${rule}`)
+    ).toEqual([
+      'name:minLength',
+      'age:min',
+      'tags:maxLength',
+      'role:enum',
+      'email:format',
+    ])
+    expect(response.json.details[0].location).toBe('body')
+  })
+
+  test('un champ requis manquant est signalé', async () => {
+    const response = await post({})
+    expect(response.statusCode).toBe(400)
+    expect(response.json.details).toEqual([
+      expect.objectContaining({
+        location: 'body',
+        field: 'name',
+        rule: 'required',
+      }),
+    ])
+  })
+
+  test('le schéma d’un fichier de route s’applique par méthode', async () => {
+    const valid = await app.inject({ url: '/items/42' })
+    expect(valid.json).toEqual({ id: 42, type: 'number' })
+
+    const invalid = await app.inject({
+      url: '/items/0',
+      headers: { accept: 'application/json' },
+    })
+    expect(invalid.statusCode).toBe(400)
+    expect(invalid.json.details[0]).toMatchObject({
+      location: 'params',
+      field: 'id',
+      rule: 'min',
+    })
+
+    // DELETE n'a pas de schéma : l'identifiant reste du texte
+    const removed = await app.inject({ method: 'DELETE', url: '/items/abc' })
+    expect(removed.json).toEqual({ id: 'abc' })
+  })
+
+  test('le schéma est disponible pour la documentation', () => {
+    const schema = app.routeManager
+      .getRouteSchema('post', '/api/users')
+      .toJsonSchema('body')
+    expect(schema).toMatchObject({
+      type: 'object',
+      required: ['name'],
+      properties: {
+        age: { type: 'integer', minimum: 0 },
+        role: { enum: ['user', 'admin'], default: 'user' },
+      },
+    })
+  })
+
+  test('un schéma invalide est refusé à l’enregistrement', async () => {
+    await expect(
+      app.createRoute('get', '/bad', () => ({}), {
+        schema: { cookies: {} },
+      })
+    ).rejects.toThrow('partie "cookies" inconnue')
+    await expect(
+      app.createRoute('get', '/bad', () => ({}), {
+        schema: { query: { page: { type: 'float' } } },
+      })
+    ).rejects.toThrow('type "float"')
+    await expect(
+      app.createRoute('get', '/bad', () => ({}), {
+        schema: { query: { page: { required: true, minimum: 1 } } },
+      })
+    ).rejects.toThrow('règle(s) inconnue(s) minimum')
+  })
+})
+
+describe('SchemaValidator', () => {
+  const validate = (schema, req) =>
+    new SchemaValidator(schema, 'GET /test').validate({
+      params: {},
+      query: {},
+      headers: {},
+      ...req,
+    })
+
+  test('en-têtes, motifs, objets imbriqués et règle custom', () => {
+    const schema = {
+      headers: { 'X-Tenant': { type: 'string', pattern: '^[a-z]+$' } },
+      body: {
+        address: {
+          type: 'object',
+          properties: {
+            zip: { type: 'string', pattern: '^\\d{5}$', required: true },
+            city: { type: 'string', default: 'Paris' },
+          },
+        },
+        ids: { type: 'array', items: { type: 'integer', min: 1 } },
+        code: {
+          type: 'string',
+          custom: (value) => value.startsWith('V'),
+          customMessage: 'Code inconnu',
+        },
+      },
+    }
+
+    const valid = validate(schema, {
+      headers: { 'x-tenant': 'acme' },
+      body: { address: { zip: '75001' }, ids: ['1', 2], code: 'V1' },
+    })
+    expect(valid.errors).toEqual([])
+    expect(valid.values.body).toEqual({
+      address: { zip: '75001', city: 'Paris' },
+      ids: [1, 2],
+      code: 'V1',
+    })
+
+    const invalid = validate(schema, {
+      headers: { 'x-tenant': 'ACME' },
+      body: { address: {}, ids: [0, 'x'], code: 'A1' },
+    })
+    expect(invalid.errors).toEqual([
+      expect.objectContaining({
+        location: 'headers',
+        field: 'X-Tenant',
+        rule: 'pattern',
+      }),
+      expect.objectContaining({ field: 'address.zip', rule: 'required' }),
+      expect.objectContaining({ field: 'ids[0]', rule: 'min' }),
+      expect.objectContaining({ field: 'ids[1]', rule: 'type' }),
+      expect.objectContaining({ message: 'Code inconnu', rule: 'custom' }),
+    ])
+  })
+
+  test('conversions, maximums et formats', () => {
+    const schema = {
+      query: {
+        limit: { type: 'number', max: 50 },
+        active: 'boolean',
+        tag: 'array',
+        name: { type: 'string', maxLength: 3 },
+        day: { type: 'string', format: 'date' },
+      },
+    }
+    expect(
+      validate(schema, { query: { active: '0', tag: 'a', limit: '1.5' } })
+        .values.query
+    ).toEqual({ active: false, tag: ['a'], limit: 1.5 })
+
+    const { errors } = validate(schema, {
+      query: { limit: '99', active: 'peut-être', name: 'trop', day: '1/2/24' },
+    })
+    expect(errors.map((error) => error.rule)).toEqual([
+      'max',
+      'type',
+      'maxLength',
+      'format',
+    ])
+  })
+
+  test('un corps qui n’est pas un objet est refusé', () => {
+    const { errors } = validate({ body: { name: 'string' } }, { body: [1] })
+    expect(errors).toEqual([
+      {
+        location: 'body',
+        field: '',
+        message: 'Le corps de la requête doit être un objet',
+      },
+    ])
+  })
+
+  test('définitions invalides', () => {
+    const compile = (schema) => () => new SchemaValidator(schema, 'GET /test')
+    expect(compile([])).toThrow('objet { params, query, headers, body }')
+    expect(compile({ query: 'page' })).toThrow('query doit être une table')
+    expect(compile({ query: { page: 3 } })).toThrow('règles de query.page')
+    expect(compile({ query: { day: { format: 'jour' } } })).toThrow(
+      'format "jour"'
+    )
+    expect(compile({ query: { sort: { enum: 'asc' } } })).toThrow(
+      'enum doit être un tableau'
+    )
+  })
+
+  test('JSON Schema des règles', () => {
+    const validator = new SchemaValidator({
+      body: {
+        tags: { type: 'array', items: 'string', minLength: 1, maxLength: 3 },
+        slug: { type: 'string', pattern: '^[a-z-]+$', minLength: 2 },
+        point: { type: 'object', properties: { x: 'number' } },
+        page: { type: 'integer', min: 1, max: 10, required: true },
+      },
+    })
+    expect(validator.toJsonSchema('body')).toEqual({
+      type: 'object',
+      properties: {
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          maxItems: 3,
+        },
+        slug: { type: 'string', pattern: '^[a-z-]+$', minLength: 2 },
+        point: {
+          type: 'object',
+          properties: { x: { type: 'number' } },
+        },
+        page: { type: 'integer', minimum: 1, maximum: 10 },
+      },
+      required: ['page'],
+    })
+    expect(validator.toJsonSchema('query')).toBeNull()
+  })
+})
@@ -0,0 +1,229 @@
+const http = require('http')
+const { SseHub } = require('../lib/routing/sse')
+const { createProject, createApp } = require('./helpers/project')
+
+// Flux minimal : enregistre les événements reçus
+const fakeStream = (lastEventId = null) => ({
+  closed: false,
+  channels: new Set(),
+  lastEventId,
+  events: [],
+  send(data, event) {
+    this.events.push(`${event.id}:${data}`)
+  },
+})
+
+describe('canaux SSE', () => {
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('numérote les événements sur tous les canaux', () => {
+    const hub = new SseHub()
+    expect(hub.broadcast('a', 'a1')).toBe('1')
+    expect(hub.broadcast('b', 'b1')).toBe('2')
+    expect(hub.broadcast('a', 'a2')).toBe('3')
+  })
+
+  test('reprend chaque canal après un Last-Event-ID d’un autre canal', () => {
+    const hub = new SseHub()
+    hub.broadcast('a', 'a1')
+    hub.broadcast('b', 'b1')
+    hub.broadcast('a', 'a2')
+    hub.broadcast('b', 'b2')
+
+    const stream = fakeStream('2')
+    hub.channel('a').subscribe(stream)
+    hub.channel('b').subscribe(stream)
+    expect(stream.events).toEqual(['3:a2', '4:b2'])
+  })
+
+  test('un id personnalisé garde sa place dans la numérotation', () => {
+    const hub = new SseHub()
+    hub.broadcast('a', 'a1', { id: 'start' })
+    hub.broadcast('b', 'b1')
+
+    const stream = fakeStream('start')
+    hub.channel('b').subscribe(stream)
+    expect(stream.events).toEqual(['2:b1'])
+  })
+
+  test('retire un canal sans abonné une fois son historique expiré', () => {
+    jest.useFakeTimers()
+    const hub = new SseHub({ historyTtl: 1000 })
+    const stream = fakeStream()
+    hub.channel('news').subscribe(stream)
+    hub.broadcast('news', 'hello')
+    hub.channel('news').unsubscribe(stream)
+    expect(hub.channels.has('news')).toBe(true)
+
+    jest.advanceTimersByTime(1000)
+    expect(hub.channels.has('news')).toBe(false)
+  })
+
+  test('retire aussitôt un canal vide sans historique', () => {
+    const hub = new SseHub()
+    const stream = fakeStream()
+    hub.channel('empty').subscribe(stream)
+    hub.channel('empty').unsubscribe(stream)
+    expect(hub.channels.has('empty')).toBe(false)
+  })
+
+  test('garde le canal tant qu’un abonné revient avant l’expiration', () => {
+    jest.useFakeTimers()
+    const hub = new SseHub({ historyTtl: 1000 })
+    const channel = hub.channel('news')
+    channel.broadcast('hello')
+    const stream = fakeStream()
+    channel.subscribe(stream)
+
+    jest.advanceTimersByTime(5000)
+    expect(hub.channels.get('news')).toBe(channel)
+  })
+})
+
+// Flux HTTP réel : texte reçu et attente d'un fragment
+const openStream = (port, path, headers = {}) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ host: '127.0.0.1', port, path, headers }, (res) => {
+        const stream = { res, text: '', waiters: [] }
+        // Résout les attentes dont le fragment est arrivé
+        const check = () => {
+          stream.waiters = stream.waiters.filter(({ fragment, done }) => {
+            if (!stream.text.includes(fragment)) return true
+            done(stream.text)
+            return false
+          })
+        }
+        stream.waitFor = (fragment) =>
+          new Promise((done) => {
+            stream.waiters.push({ fragment, done })
+            check()
+          })
+        res.setEncoding('utf8')
+        res.on('data', (chunk) => {
+          stream.text += chunk
+          check()
+        })
+        stream.ended = new Promise((done) => res.on('end', done))
+        resolve(stream)
+      })
+      .on('error', reject)
+  })
+
+describe('routes SSE', () => {
+  let project
+  let app
+  let port
+  const streams = []
+
+  const open = async (path, headers) => {
+    const stream = await openStream(port, path, headers)
+    streams.push(stream)
+    return stream
+  }
+
+  beforeEach(async () => {
+    project = createProject()
+    app = createApp({
+      shutdown: { handleSignals: false },
+      sse: { heartbeat: 0 },
+    })
+    app.createRoute('get', '/news', () => {}, {
+      sse: { channel: 'news', retry: 2000 },
+    })
+    app.createRoute(
+      'get',
+      '/rooms/:id',
+      (req, res) => {
+        res.sse().send('ligne 1\nligne 2', { event: 'welcome', id: 'w1' })
+      },
+      { sse: { channel: (req) => [`room:${req.params.id}`, 'all'] } }
+    )
+    app.createRoute('get', '/manual', (req, res) => {
+      const stream = res.sse({ heartbeat: 20 })
+      stream.comment('ouvert')
+      stream.onClose(() => app.logger.log('info', 'Flux fermé', req.path))
+      setTimeout(() => stream.close(), 60)
+    })
+    port = await new Promise((resolve) => {
+      const server = app.listen(0, () => resolve(server.address().port))
+    })
+  })
+
+  afterEach(async () => {
+    streams.splice(0).forEach((stream) => stream.res.destroy())
+    await app.stop({ timeout: 50 })
+    project.cleanup()
+  })
+
+  test('l’option sse ouvre le flux et abonne la requête au canal', async () => {
+    const stream = await open('/news')
+    expect(stream.res.statusCode).toBe(200)
+    expect(stream.res.headers['content-type']).toBe(
+      'text/event-stream; charset=utf-8'
+    )
+    expect(stream.res.headers['cache-control']).toBe('no-cache, no-transform')
+    await stream.waitFor('retry: 2000')
+
+    app.sse.broadcast('news', { title: 'Sortie' }, { event: 'post' })
+    expect(await stream.waitFor('data: {"title":"Sortie"}')).toContain(
+      'id: 1\nevent: post\ndata: {"title":"Sortie"}\n\n'
+    )
+    expect(app.sse.channel('news').size).toBe(1)
+  })
+
+  test('canaux calculés par requête et texte multiligne', async () => {
+    const stream = await open('/rooms/42')
+    expect(await stream.waitFor('ligne 2')).toContain(
+      'id: w1\nevent: welcome\ndata: ligne 1\ndata: ligne 2\n\n'
+    )
+    app.sse.broadcast('room:7', 'ailleurs')
+    app.sse.broadcast('all', 'à tous')
+    expect(await stream.waitFor('à tous')).not.toContain('ailleurs')
+  })
+
+  test('Last-Event-ID rejoue les événements manqués', async () => {
+    app.sse.broadcast('news', 'un')
+    app.sse.broadcast('news', 'deux')
+    app.sse.broadcast('news', 'trois')
+
+    const stream = await open('/news', { 'Last-Event-ID': '1' })
+    const text = await stream.waitFor('data: trois')
+    expect(text).not.toContain('data: un')
+    expect(text).toContain('id: 2\ndata: deux')
+  })
+
+  test('res.sse() : heartbeat, fermeture par le serveur et onClose', async () => {
+    const log = jest.spyOn(app.logger, 'log')
+    const stream = await open('/manual')
+    await stream.ended
+    expect(stream.text).toMatch(/^: ouvert\n\n(: heartbeat\n\n)+$/)
+    expect(log).toHaveBeenCalledWith('info', 'Flux fermé', '/manual')
+    expect(app.sse.streams.size).toBe(0)
+  })
+
+  test('stop() ferme les flux ouverts', async () => {
+    const stream = await open('/news')
+    await stream.waitFor('retry')
+    await app.stop({ timeout: 1000 })
+    await stream.ended
+    expect(app.sse.streams.size).toBe(0)
+  })
+
+  test('l’option sse est réservée aux routes GET et validée', async () => {
+    await expect(
+      app.createRoute('post', '/events', () => {}, { sse: true })
+    ).rejects.toThrow('réservée aux routes GET sans cache')
+    await expect(
+      app.createRoute('get', '/events', () => {}, { sse: { heartbeat: -1 } })
+    ).rejects.toThrow('sse.heartbeat invalide')
+    await expect(
+      app.createRoute('get', '/events', () => {}, { sse: { channel: [''] } })
+    ).rejects.toThrow('sse.channel invalide')
+    await expect(
+      app.createRoute('get', '/events', () => {}, { sse: 'oui' })
+    ).rejects.toThrow('Option sse invalide')
+  })
+})
@@ -0,0 +1,146 @@
+const WebSocket = require('ws')
+const { createProject, createApp } = require('./helpers/project')
+
+const users = {
+  ada: { id: 1, username: 'ada', email: 'ada@example.com', role: 'user' },
+  root: { id: 2, username: 'root', email: 'root@example.com', role: 'admin' },
+  // Session incomplète : pas d'email ni d'id numérique
+  partial: { id: '3', username: 'partial', role: 'admin' },
+}
+
+// Premier message reçu, ou statut HTTP d'un upgrade refusé
+const connect = (port, path, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`, { headers })
+    ws.once('message', (data) => resolve({ ws, message: data.toString() }))
+    ws.once('unexpected-response', (req, res) => {
+      resolve({ status: res.statusCode })
+      res.resume()
+      ws.terminate()
+    })
+    ws.once('error', reject)
+  })
+
+describe('routes WebSocket', () => {
+  let project
+  let app
+  let port
+
+  const open = (path, headers) => connect(port, path, headers)
+
+  beforeAll(async () => {
+    project = createProject({
+      'routes/rooms/[room].ws.js': `module.exports = {
+        open(ws) {
+          ws.join(ws.params.room)
+          ws.send('bienvenue ' + ws.params.room + ' ' + (ws.user ? ws.user.username : 'anonyme'))
+        },
+        message(ws, data) {
+          ws.broadcast(data, { room: ws.params.room })
+        },
+      }`,
+      'routes/private.ws.js': `module.exports = {
+        auth: true,
+        open: (ws) => ws.send('privé ' + ws.user.username),
+      }`,
+      'routes/admin/_middleware.js': `module.exports = { auth: 'admin' }`,
+      'routes/admin/console.ws.js': `module.exports = {
+        open: (ws) => ws.send('console'),
+      }`,
+    })
+    app = createApp({
+      routeManifest: false,
+      websockets: { pingInterval: 0 },
+      shutdown: { handleSignals: false },
+    })
+    // Authentification activée sans base : la session vient de l'en-tête
+    // X-User, comme express-session le ferait au moment de l'upgrade
+    app.auth.isEnabled = true
+    app.auth.sessionMiddleware = (req, res, next) => {
+      req.session = { user: users[req.headers['x-user']] }
+      next()
+    }
+    app.use(app.auth.sessionMiddleware)
+    app.loadRoutes()
+    app.createRoute('get', '/admin/report', () => ({ ok: true }), {
+      auth: 'admin',
+    })
+
+    await new Promise((resolve) => {
+      const server = app.listen(0, resolve)
+      server.once('listening', () => {
+        port = server.address().port
+      })
+    })
+  })
+
+  afterAll(async () => {
+    // stop() ferme les connexions (1001) : attendre que le serveur les ait
+    // toutes retirées
+    await app.stop()
+    while (app.websockets.clients.size > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+    project.cleanup()
+  })
+
+  test('ouvre la connexion avec les paramètres de la route', async () => {
+    const { message } = await open('/rooms/general')
+    expect(message).toBe('bienvenue general anonyme')
+  })
+
+  test('broadcast atteint la room sans revenir à l’expéditeur', async () => {
+    const first = await open('/rooms/lobby')
+    const second = await open('/rooms/lobby')
+    const other = await open('/rooms/elsewhere')
+    const received = []
+    first.ws.on('message', (data) => received.push(`first:${data}`))
+    other.ws.on('message', (data) => received.push(`other:${data}`))
+
+    const delivered = new Promise((resolve) =>
+      first.ws.once('message', resolve)
+    )
+    second.ws.send('salut')
+    await delivered
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    expect(received).toEqual(['first:salut'])
+  })
+
+  test('auth: true refuse l’upgrade sans session valide', async () => {
+    expect(await open('/private')).toEqual({ status: 401 })
+    expect(await open('/private', { 'x-user': 'partial' })).toEqual({
+      status: 401,
+    })
+    expect((await open('/private', { 'x-user': 'ada' })).message).toBe(
+      'privé ada'
+    )
+  })
+
+  test('un rôle hérité de _middleware.js est exigé, admin compris', async () => {
+    expect(await open('/admin/console', { 'x-user': 'ada' })).toEqual({
+      status: 403,
+    })
+    expect((await open('/admin/console', { 'x-user': 'root' })).message).toBe(
+      'console'
+    )
+  })
+
+  test('requireRole garde son contrôle pour les routes HTTP', async () => {
+    // Le contrôle strict de la session ne vaut que pour les upgrades
+    const response = await app.inject({
+      url: '/admin/report',
+      headers: { 'x-user': 'partial', accept: 'application/json' },
+    })
+    expect(response.statusCode).toBe(200)
+    expect(await open('/admin/console', { 'x-user': 'partial' })).toEqual({
+      status: 401,
+    })
+  })
+
+  test('refuse une autre origine et une route inconnue', async () => {
+    expect(
+      await open('/rooms/general', { origin: 'https://evil.example' })
+    ).toEqual({ status: 403 })
+    expect(await open('/nowhere')).toEqual({ status: 404 })
+  })
+})
@@ -1,15 +1,20 @@
-import { Express, Request, Response, NextFunction } from 'express'
+import { Express, Request, Response, NextFunction, Router } from 'express'
 import { Server } from 'http'
 
 // CORE TYPES
 
+// <config-schema> generated by scripts/generate-config-types.js
+
 export interface VakoOptions {
   port?: number
   wsPort?: number
   viewsDir?: string
   staticDir?: string
   routesDir?: string
+  routeManifest?: string | false
   isDev?: boolean
+  https?: boolean | HttpsOptions
+  http2?: boolean
   watchDirs?: string[]
   errorLog?: string
   showStack?: boolean
@@ -19,19 +24,31 @@ export interface VakoOptions {
   plugins?: PluginOptions
   prefetch?: PrefetchOptions
   autoUpdater?: AutoUpdaterOptions
+  errors?: ErrorOptions
+  health?: HealthOptions
+  metrics?: MetricsOptions
+  docs?: DocsOptions
+  dynamicRoutes?: DynamicRoutesOptions
+  versioning?: VersioningOptions
+  sse?: SseOptions
+  websockets?: WebSocketsOptions
+  requestContext?: RequestContextOptions
+  cluster?: ClusterOptions
+  shutdown?: ShutdownOptions
+}
+
+export interface HttpsOptions {
+  key?: string | Buffer
+  cert?: string | Buffer
+  pfx?: string | Buffer
+  ca?: string | Buffer | (string | Buffer)[]
+  passphrase?: string
 }
 
 export interface SecurityOptions {
-  helmet?: boolean
-  rateLimit?: {
-    windowMs: number
-    max: number
-    message?: string
-  }
-  cors?: {
-    origin?: string[] | boolean
-    credentials?: boolean
-  }
+  helmet?: boolean | Record<string, any>
+  rateLimit?: RateLimitOptions | false
+  cors?: CorsOptions | false
 }
 
 export interface LayoutOptions {
@@ -49,6 +66,16 @@ export interface PluginOptions {
   pluginsDir?: string
   whitelist?: string[]
   supportTypeScript?: boolean
+  maxRetries?: number
+  timeout?: number
+  devMode?: boolean
+  watchMode?: boolean
+  enableHooks?: boolean
+  enableAPI?: boolean
+  enableMetrics?: boolean
+  enableValidation?: boolean
+  allowHotReload?: boolean
+  enableSandbox?: boolean
 }
 
 export interface PrefetchOptions {
@@ -70,13 +97,164 @@ export interface AutoUpdaterOptions {
   checkInterval?: number
 }
 
+export interface ErrorOptions {
+  enabled?: boolean
+  viewsDir?: string
+  contextLines?: number
+}
+
+export interface HealthOptions {
+  enabled?: boolean
+  path?: string
+  timeout?: number
+  maxEventLoopLag?: number
+  eventLoopWindow?: number
+}
+
+export interface MetricsOptions {
+  enabled?: boolean
+  path?: string
+  protect?: boolean
+}
+
+export interface DocsOptions {
+  enabled?: boolean
+  path?: string
+  protect?: boolean
+  title?: string
+  version?: string
+}
+
+export interface DynamicRoutesOptions {
+  enabled?: boolean
+  path?: string
+  store?: 'json' | 'sqlite' | false
+  file?: string
+}
+
+export interface VersioningOptions {
+  strategy?: 'header' | 'path' | 'both'
+  header?: string
+  prefix?: string
+  default?: string | number
+  deprecated?: Record<string, boolean | DeprecationPolicy>
+}
+
+export interface SseOptions {
+  heartbeat?: number
+  retry?: number
+  history?: number
+  historyTtl?: number
+}
+
+export interface WebSocketsOptions {
+  maxPayload?: number
+  pingInterval?: number
+  origins?: string[]
+}
+
+export interface RequestContextOptions {
+  enabled?: boolean
+  header?: string
+  trustHeader?: boolean
+}
+
+export interface ClusterOptions {
+  workers?: number | 'auto'
+  restartDelay?: number
+  maxRestartDelay?: number
+  shutdownTimeout?: number
+}
+
+export interface ShutdownOptions {
+  timeout?: number
+  handleSignals?: boolean
+  signals?: NodeJS.Signals[]
+}
+
+export interface RateLimitOptions {
+  windowMs?: number
+  max?: number
+  message?: string
+  standardHeaders?: boolean
+  legacyHeaders?: boolean
+  skip?: (req: Request, res: Response) => boolean
+  [key: string]: any
+}
+
+export interface CorsOptions {
+  origin?: boolean | string | RegExp | (string | RegExp)[]
+  credentials?: boolean
+  methods?: string[]
+  allowedHeaders?: string[]
+  exposedHeaders?: string[]
+  maxAge?: number
+  optionsSuccessStatus?: number
+}
+
+// </config-schema>
+
 // APP CLASS
 
+export interface AppOptions extends VakoOptions {
+  // Fichier de configuration à charger, false pour ignorer vako.config.js
+  config?: string | false
+}
+
 export type RouteHandler = (
   req: Request,
   res: Response,
   next?: NextFunction
-) => void | Promise<void>
+) => HandlerResult | Promise<HandlerResult>
+
+/**
+ * Valeur retournée par un handler : objet ou tableau en JSON, chaîne ou
+ * Buffer via res.send, view() rendu avec son layout, redirect(), flux transmis.
+ * Toute autre valeur laisse la réponse au handler.
+ */
+export type HandlerResult =
+  | void
+  | ViewResult
+  | RedirectResult
+  | NodeJS.ReadableStream
+  | Buffer
+  | string
+  | number
+  | boolean
+  | null
+  | object
+
+export class ViewResult {
+  name: string
+  data: Record<string, any>
+  status?: number
+  constructor(
+    name: string,
+    data?: Record<string, any>,
+    options?: { status?: number }
+  )
+}
+
+export class RedirectResult {
+  url: string
+  status: number
+  constructor(url: string, status?: number)
+}
+
+/** Rendu d'une vue (JSON de data pour un client qui préfère application/json) */
+export function view(
+  name: string,
+  data?: Record<string, any>,
+  options?: { status?: number }
+): ViewResult
+export function redirect(url: string, status?: number): RedirectResult
+
+/**
+ * Module de route exportant une fonction : router propre au fichier et app
+ * Express. set(), get(nom), engine() et locals du router agissent encore sur
+ * l'app (dépréciés)
+ */
+export type RouteModuleFunction = (router: Router, app: Express) => void
 
 export interface RouteHandlers {
   get?: RouteHandler | RouteHandler[]
@@ -87,15 +265,312 @@ export interface RouteHandlers {
   all?: RouteHandler | RouteHandler[]
 }
 
+export interface RouteCacheOptions {
+  /** Durée de vie en secondes (défaut 60) */
+  ttl?: number
+  maxEntries?: number
+  /** Clé par utilisateur, toujours active avec l'option auth */
+  varyByUser?: boolean
+}
+
+export type SchemaType =
+  'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+
+export interface SchemaRules {
+  type?: SchemaType
+  required?: boolean
+  default?: any
+  enum?: any[]
+  min?: number
+  max?: number
+  /** Longueur d'une chaîne ou nombre d'éléments d'un tableau */
+  minLength?: number
+  maxLength?: number
+  pattern?: RegExp | string
+  format?: 'email' | 'uuid' | 'date' | 'date-time' | 'uri'
+  items?: SchemaRules | SchemaType
+  properties?: SchemaFields
+  custom?: (value: any) => boolean
+  customMessage?: string
+  description?: string
+  example?: any
+}
+
+export type SchemaFields = Record<string, SchemaRules | SchemaType>
+
+export interface RouteSchema {
+  params?: SchemaFields
+  query?: SchemaFields
+  headers?: SchemaFields
+  body?: SchemaFields
+}
+
+export class SchemaValidator {
+  route: string
+  schema: RouteSchema
+  constructor(schema: RouteSchema, route?: string)
+  validate(req: Request): {
+    values: Partial<Record<keyof RouteSchema, Record<string, any>>>
+    errors: ValidationIssue[]
+  }
+  middleware(): RouteHandler
+  toJsonSchema(location: keyof RouteSchema): Record<string, any> | null
+}
+
+export interface RouteOptions {
+  description?: string
+  /** Nom utilisé par app.url() et le helper url() des vues */
+  name?: string
+  /** Validation et conversion des entrées, réponse 400 en cas d'échec */
+  schema?: RouteSchema
+  /** Middlewares exécutés avant le handler */
+  middleware?: RouteHandler | RouteHandler[]
+  /** Limiteur propre à la route (window en ms) */
+  rateLimit?:
+    | { window?: number; windowMs?: number; max?: number; message?: string }
+    | false
+  /** true : session requise ; chaîne : rôle requis */
+  auth?: boolean | string
+  /** Cache des réponses 200 (routes GET) : true, secondes ou options */
+  cache?: boolean | number | RouteCacheOptions
+  /** Délai du handler en ms (30000) : au-delà, 503 et req.signal annulé */
+  timeout?: number
+  /** En-tête Retry-After (secondes) de la réponse 503 de timeout, 5 par défaut */
+  retryAfter?: number
+  createdBy?: string
+  clientId?: string
+  security?: { cors?: CorsPolicy | boolean }
+  /** Version de la route (2, '2.1', 'v2'), négociée selon versioning */
+  version?: string | number
+  /** En-têtes Deprecation, Sunset et Link sur les réponses de la route */
+  deprecated?: boolean | DeprecationPolicy
+  /** Route GET en flux SSE, sans timeout : res.sse() retourne le flux ouvert */
+  sse?: boolean | SseRouteOptions
+}
+
+export interface SseRouteOptions {
+  heartbeat?: number
+  retry?: number
+  /** Canal(aux) rejoint(s) à l'ouverture, éventuellement selon la requête */
+  channel?: string | string[] | ((req: Request) => string | string[])
+}
+
+export interface SseEventOptions {
+  event?: string
+  id?: string | number
+  retry?: number
+}
+
+export class SseStream {
+  readonly closed: boolean
+  /** En-tête Last-Event-ID de la reconnexion */
+  readonly lastEventId: string | null
+  readonly channels: Set<SseChannel>
+  send(data: any, options?: SseEventOptions): boolean
+  comment(text?: string): boolean
+  retry(ms: number): boolean
+  join(channel: string | SseChannel): this
+  leave(channel: string | SseChannel): this
+  onClose(listener: () => void): this
+  close(): void
+}
+
+export class SseChannel {
+  readonly name: string
+  readonly size: number
+  subscribe(stream: SseStream, lastEventId?: string | null): this
+  unsubscribe(stream: SseStream): this
+  /** Retourne l'id de l'événement (numéroté par le hub sans options.id) */
+  broadcast(data: any, options?: SseEventOptions): string
+  close(): void
+}
+
+export class SseHub {
+  constructor(options?: SseOptions)
+  readonly channels: Map<string, SseChannel>
+  readonly streams: Set<SseStream>
+  open(req: Request, res: Response, options?: SseRouteOptions): SseStream
+  /** Canal créé au besoin ; retiré sans abonné une fois son historique expiré */
+  channel(name: string): SseChannel
+  broadcast(name: string, data: any, options?: SseEventOptions): string
+  closeAll(): void
+}
+
+export interface DeprecationPolicy {
+  /** Date de dépréciation (en-tête Deprecation: @epoch) */
+  since?: string | Date
+  /** Date de retrait (en-tête Sunset) */
+  sunset?: string | Date
+  /** Documentation de migration (Link rel="deprecation") */
+  link?: string
+}
+
+export interface OpenApiOptions {
+  title?: string
+  version?: string
+  description?: string
+  servers?: { url: string; description?: string }[]
+  /** Inclut les routes /_vako/* */
+  includeInternal?: boolean
+}
+
+export interface OpenApiDocument {
+  openapi: '3.1.0'
+  info: { title: string; version: string; description?: string }
+  servers?: { url: string; description?: string }[]
+  paths: Record<string, Record<string, any>>
+  components: Record<string, any>
+}
+
 export interface RouteInfo {
-  type: 'file' | 'dynamic'
+  type: 'file' | 'dynamic' | 'websocket'
   path: string
   method?: string
   source?: string
+  name?: string
+  version?: string
   methods?: string[]
   createdAt?: string
 }
 
+export type RouteUrlParams = Record<
+  string,
+  string | number | (string | number)[] | null | undefined
+>
+export type RouteUrlQuery = Record<
+  string,
+  string | number | boolean | (string | number | boolean)[] | null | undefined
+>
+
+export interface DeclarativeRouteBase {
+  method?: string
+  path: string
+  name?: string
+  description?: string
+  auth?: boolean | string
+  rateLimit?: RouteOptions['rateLimit']
+  cache?: RouteOptions['cache']
+}
+
+export type DeclarativeRouteInput = DeclarativeRouteBase &
+  (
+    | { type: 'redirect'; to: string; status?: 301 | 302 | 303 | 307 | 308 }
+    | {
+        type: 'json'
+        status?: number
+        body?: any
+        headers?: Record<string, string>
+      }
+    | {
+        type: 'proxy'
+        target: string
+        timeout?: number
+        headers?: Record<string, string>
+      }
+  )
+
+export type DeclarativeRoute = DeclarativeRouteInput & {
+  id: string
+  method: string
+  createdAt: string
+  createdBy: string
+  updatedAt: string
+  updatedBy: string
+}
+
+export class DeclarativeRoutes {
+  constructor(app: App, options?: DynamicRoutesOptions)
+  loading: Promise<void> | null
+  load(): Promise<void>
+  list(): DeclarativeRoute[]
+  get(id: string): DeclarativeRoute | null
+  create(
+    input: DeclarativeRouteInput,
+    actor?: string
+  ): Promise<DeclarativeRoute>
+  update(
+    id: string,
+    input: Partial<DeclarativeRouteInput>,
+    actor?: string,
+    options?: { merge?: boolean }
+  ): Promise<DeclarativeRoute>
+  remove(id: string, actor?: string): Promise<DeclarativeRoute>
+}
+
+export interface RouteTableEntry {
+  // 'use' for a mounted router or a function route module
+  method: string
+  path: string
+  sortPath: string
+  router: any
+  source: 'file' | 'dynamic'
+  filePath?: string
+  name?: string
+  version?: string | null
+  sequence: number
+}
+
+export class RequestContext {
+  id: string
+  method: string
+  path: string
+  startedAt: number
+  state: Map<string, any>
+  get(key: string): any
+  set(key: string, value: any): this
+  has(key: string): boolean
+  elapsed(): number
+}
+
+declare global {
+  namespace Express {
+    interface Request {
+      id?: string
+      context?: RequestContext
+      /** Entrées converties par le schéma de la route */
+      validated?: Partial<Record<keyof RouteSchema, Record<string, any>>>
+      /** Version servie par une route versionnée */
+      apiVersion?: string
+      /** Annulé si le client se déconnecte ou au timeout de la route */
+      signal: AbortSignal
+    }
+    interface Response {
+      /** Ouvre (ou retourne) le flux Server-Sent Events de la réponse */
+      sse(options?: SseRouteOptions): SseStream
+      sseStream?: SseStream
+    }
+  }
+}
+
+export interface InjectOptions {
+  method?: string
+  url?: string
+  query?: Record<string, any>
+  headers?: Record<string, string | number>
+  // Objects are sent as JSON, or form-encoded with that content-type
+  payload?: string | Buffer | Record<string, any>
+  cookies?: Record<string, string>
+  remoteAddress?: string
+  timeout?: number
+}
+
+export interface InjectCookie {
+  name: string
+  value: string
+  [attribute: string]: string | boolean
+}
+
+export interface InjectResponse {
+  statusCode: number
+  status: number
+  statusMessage: string
+  headers: Record<string, any>
+  rawPayload: Buffer
+  body: string
+  cookies: InjectCookie[]
+  json?: any
+}
+
 export class App {
   express: Express
   app: Express
@@ -104,22 +579,43 @@ export class App {
   routeManager: RouteManager
   pluginManager: PluginManager
   auth: AuthManager
+  errorHandler: ErrorHandler
+  corsManager: CorsManager
+  health?: HealthManager
+  metrics: MetricsRegistry
+  declarativeRoutes?: DeclarativeRoutes
+  /** Flux et canaux Server-Sent Events */
+  sse: SseHub
+  /** Routes WebSocket (routes/*.ws.js) */
+  websockets: WebSocketManager
   autoUpdater: any
   options: VakoOptions
+  server: Server | null
+  isShuttingDown: boolean
 
-  constructor(options?: VakoOptions)
+  constructor(options?: AppOptions)
 
   // Route management
-  loadRoutes(routesDir?: string): this
+  /** En production, lit le manifeste de vako build s'il existe */
+  loadRoutes(routesDir?: string, options?: LoadRoutesOptions): this
   createRoute(
     method: string,
     path: string,
     handler: RouteHandler | RouteHandler[],
-    options?: any
+    options?: RouteOptions
+  ): this
+  /** Sans version : toutes les variantes ; null : la variante sans version */
+  deleteRoute(method: string, path: string, version?: string | null): this
+  updateRoute(
+    method: string,
+    path: string,
+    handler: RouteHandler,
+    version?: string
   ): this
-  deleteRoute(method: string, path: string): this
-  updateRoute(method: string, path: string, handler: RouteHandler): this
   listRoutes(): RouteInfo[]
+  clearRouteCache(path?: string): this
+  url(name: string, params?: RouteUrlParams, query?: RouteUrlQuery): string
+  openapi(options?: OpenApiOptions): OpenApiDocument
 
   // Layout management
   createLayout(name: string, content: string): Promise<this>
@@ -138,6 +634,7 @@ export class App {
   isAuthEnabled(): boolean
   requireAuth(): RouteHandler
   requireRole(role: string): RouteHandler
+  createAdminGuard(): RouteHandler
 
   // Auto-updater
   checkForUpdates(silent?: boolean): Promise<any>
@@ -149,10 +646,14 @@ export class App {
 
   // Server
   listen(port?: number, callback?: () => void): Server
-  stop(): Promise<void>
+  stop(options?: { timeout?: number }): Promise<void>
+  inject(options: InjectOptions | string): Promise<InjectResponse>
+
+  // Request context (null outside a request)
+  context(): RequestContext | null
 
-  // Middleware
-  use(middleware: any): this
+  // Middleware (mounted before every route, whenever it is added)
+  use(...handlers: any[]): this
 }
 
 // AUTH MANAGER
@@ -163,6 +664,10 @@ export class AuthManager {
   destroy(): Promise<void>
   isAuthenticated(req: Request): boolean
   getCurrentUser(req: Request): any | null
+  /** Upgrade WebSocket : 401 sans session valide, 403 sans le rôle, sinon null */
+  checkAccess(user: any, role?: string | null): 401 | 403 | null
+  /** Middleware express-session, aussi appliqué aux upgrades WebSocket */
+  sessionMiddleware?: (req: any, res: any, next: (err?: any) => void) => void
 }
 
 // LOGGER
@@ -174,16 +679,285 @@ export class Logger {
 
 // LAYOUT AND ROUTE MANAGERS
 
+export interface LoadRoutesOptions {
+  /** false : parcourt le dossier même si un manifeste existe */
+  manifest?: boolean
+}
+
+/** Manifeste des routes écrit par vako build (.vako/routes.json) */
+export interface RouteManifestData {
+  version: number
+  generatedAt: string
+  routesDir: string
+  /**
+   * Date et fichiers .js / sous-dossiers de chaque dossier ('.' : dossier des
+   * routes)
+   */
+  directories: Record<string, { mtimeMs: number; entries: string[] }>
+  /** Taille, date et empreinte sha256 des fichiers de routes et _middleware.js */
+  files: Record<string, { size: number; mtimeMs: number; hash: string }>
+  routes: {
+    file: string
+    path: string
+    type: 'handlers' | 'router' | 'function' | 'websocket'
+    methods: string[]
+    version: string | null
+    name?: string
+    middleware: string[]
+    schema?: Record<string, RouteSchema>
+  }[]
+}
+
 export class LayoutManager {
   constructor(app: App, options?: LayoutOptions)
   middleware(): any
   reloadLayouts(): void
+  /** Chaîne d'héritage (<%# extends: main %>), du layout au plus extérieur */
+  resolveLayoutChain(layoutName: string): Promise<string[]>
 }
 
 export class RouteManager {
   constructor(app: App, options?: VakoOptions)
-  loadRoutes(routesDir?: string): void
+  loadRoutes(routesDir?: string, options?: LoadRoutesOptions): App
+  /** Parcourt le dossier des routes et écrit le manifeste (vako build) */
+  writeManifest(
+    routesDir?: string,
+    file?: string
+  ): { file: string; manifest: RouteManifestData }
   listRoutes(): RouteInfo[]
+  clearCache(path?: string): App
+  getRouteSchema(
+    method: string,
+    path: string,
+    version?: string | null
+  ): SchemaValidator | null
+  readonly routeTable: ReadonlyArray<RouteTableEntry>
+  readonly versioning: ApiVersioning
+  routeExists(method: string, path: string, version?: string | null): boolean
+  url(name: string, params?: RouteUrlParams, query?: RouteUrlQuery): string
+  middleware(): (req: any, res: any, next: (err?: any) => void) => void
+  unloadRouteFile(filePath: string): boolean
+  static compareRoutePaths(a: string, b: string): number
+}
+
+export class ApiVersioning {
+  constructor(options?: VersioningOptions)
+  static normalize(version: string | number | null | undefined): string | null
+  static compare(a: string, b: string): number
+  /** Version demandée par la requête (en-tête ou type de média) */
+  fromHeaders(req: Request): string | null
+}
+
+/** Connexion d'une route WebSocket (instance de ws enrichie) */
+export interface VakoWebSocket {
+  id: string
+  params: Record<string, string>
+  session: any
+  user: any | null
+  rooms: Set<string>
+  readyState: number
+  send(data: any, callback?: (err?: Error) => void): void
+  close(code?: number, reason?: string): void
+  join(room: string): this
+  leave(room: string): this
+  /** Aux autres clients de la route, ou d'une room avec { room } */
+  broadcast(data: any, options?: { room?: string }): number
+  on(event: string, listener: (...args: any[]) => void): this
+}
+
+/** Exports d'un fichier routes/*.ws.js */
+export interface WebSocketRouteModule {
+  /** true : session requise ; chaîne : rôle requis */
+  auth?: boolean | string
+  open?(ws: VakoWebSocket, req: Request): void | Promise<void>
+  message?(
+    ws: VakoWebSocket,
+    data: string | Buffer,
+    req: Request
+  ): void | Promise<void>
+  close?(ws: VakoWebSocket, code: number, reason: string): void | Promise<void>
+}
+
+export class WebSocketManager {
+  constructor(app: App, options?: WebSocketsOptions)
+  readonly clients: Set<VakoWebSocket>
+  readonly rooms: Map<string, Set<VakoWebSocket>>
+  /** Retourne le nombre de destinataires */
+  broadcast(
+    data: any,
+    options?: { room?: string; route?: string; except?: VakoWebSocket }
+  ): number
+  list(): { path: string; filePath: string; clients: number }[]
+  closeAll(): void
+}
+
+// ERRORS
+
+export class HttpError extends Error {
+  status: number
+  statusCode: number
+  expose: boolean
+  details?: any
+  constructor(status?: number, message?: string, details?: any)
+  static normalizeStatus(status: any): number
+}
+
+export interface ValidationIssue {
+  location: 'params' | 'query' | 'headers' | 'body'
+  field: string
+  message: string
+  rule?: string
+}
+
+export class ValidationError extends HttpError {
+  code: 'VALIDATION_ERROR'
+  details: ValidationIssue[]
+  constructor(errors?: ValidationIssue[], message?: string)
+}
+
+export class ConfigError extends Error {
+  key: string
+  source?: string
+  constructor(key: string, message: string, source?: string)
+}
+
+export class ErrorHandler {
+  constructor(app: App, options?: ErrorOptions)
+  mount(): void
+  handle(err: any, req: Request, res: Response, next?: NextFunction): void
+}
+
+// CORS
+
+export type CorsPolicy = CorsOptions
+
+export class CorsManager {
+  constructor(app: App, options?: CorsPolicy)
+  middleware(): (req: Request, res: Response, next: NextFunction) => void
+  setRoutePolicy(
+    method: string,
+    path: string,
+    policy: CorsPolicy | boolean,
+    source?: string
+  ): void
+  removeRoutePolicy(method: string, path: string): void
+}
+
+// HEALTH CHECKS
+
+export type HealthCheck = () =>
+  | boolean
+  | void
+  | Record<string, any>
+  | Promise<boolean | void | Record<string, any>>
+
+export interface HealthCheckOptions {
+  critical?: boolean
+  timeout?: number
+}
+
+export interface HealthCheckResult {
+  status: 'pass' | 'fail'
+  critical: boolean
+  duration: number
+  details?: Record<string, any>
+  error?: string
+}
+
+export interface HealthReport {
+  status: 'ok' | 'degraded' | 'fail'
+  shuttingDown: boolean
+  timestamp: string
+  checks: Record<string, HealthCheckResult | { status: 'pass' | 'fail' }>
+}
+
+export class HealthManager {
+  constructor(app: App, options?: HealthOptions)
+  register(name: string, check: HealthCheck, options?: HealthCheckOptions): this
+  unregister(name: string): boolean
+  liveness(): { status: 'ok'; uptime: number; timestamp: string }
+  readiness(verbose?: boolean): Promise<HealthReport>
+}
+
+// METRICS
+
+export type MetricLabels = Record<string, string | number>
+
+export class Counter {
+  name: string
+  inc(labels?: MetricLabels | number, value?: number): void
+  reset(): void
+}
+
+export class Gauge {
+  name: string
+  set(labels: MetricLabels | number, value?: number): void
+  inc(labels?: MetricLabels | number, value?: number): void
+  dec(labels?: MetricLabels | number, value?: number): void
+  reset(): void
+}
+
+export class Histogram {
+  name: string
+  buckets: number[]
+  observe(labels: MetricLabels | number, value?: number): void
+  startTimer(labels?: MetricLabels): (extraLabels?: MetricLabels) => number
+  reset(): void
+}
+
+export interface GaugeOptions {
+  collect?: () => number | void
+}
+
+export class MetricsRegistry {
+  static contentType: string
+  counter(name: string, help: string, labelNames?: string[]): Counter
+  gauge(
+    name: string,
+    help: string,
+    labelNames?: string[],
+    options?: GaugeOptions
+  ): Gauge
+  histogram(
+    name: string,
+    help: string,
+    labelNames?: string[],
+    options?: { buckets?: number[] }
+  ): Histogram
+  get(name: string): Counter | Gauge | Histogram | null
+  unregister(name: string): boolean
+  render(): string
+  snapshot(): any[]
+  // Merges snapshots from several processes, adding labels to each series
+  static merge(
+    entries: { labels?: Record<string, string>; metrics: any[] }[]
+  ): MetricsRegistry
+}
+
+// CLUSTER
+
+export interface ClusterSupervisorOptions extends ClusterOptions {
+  file?: string
+  args?: string[]
+  stableAfter?: number
+  readyTimeout?: number
+  logger?: Logger
+}
+
+export interface ClusterWorkerInfo {
+  id: number
+  pid: number
+  ready: boolean
+  uptime: number
+}
+
+export class ClusterSupervisor {
+  constructor(options?: ClusterSupervisorOptions)
+  static resolveWorkerCount(workers?: number | string): number
+  start(): this
+  reload(): Promise<boolean>
+  stop(): Promise<void>
+  list(): ClusterWorkerInfo[]
 }
 
 // PLUGIN SYSTEM
@@ -208,7 +982,12 @@ export interface PluginContext {
   removeHook(hookName: string, callback: Function): void
 
   // Routes and middleware
-  addRoute(method: string, path: string, ...handlers: RouteHandler[]): void
+  addRoute(
+    method: string,
+    path: string,
+    handler: RouteHandler | RouteHandler[],
+    options?: RouteOptions
+  ): Promise<App | null>
   addMiddleware(middleware: RouteHandler): void
   addCommand(name: string, handler: Function, description?: string): void
 
@@ -223,6 +1002,20 @@ export interface PluginContext {
   getConfig(): any
   updateConfig(config: any): boolean
 
+  // Metrics (names are prefixed with vako_plugin_<plugin>_)
+  metrics: {
+    counter(name: string, help: string, labelNames?: string[]): Counter
+    gauge(
+      name: string,
+      help: string,
+      labelNames?: string[],
+      options?: GaugeOptions
+    ): Gauge
+  }
+
+  // Context of the request being handled (null outside a request)
+  requestContext(): RequestContext | null
+
   // Storage
   storage: {
     set(key: string | object, value?: any): Promise<boolean>
@@ -264,9 +1057,9 @@ export type LogType =
 
 // UTILITY FUNCTIONS
 
-export function createApp(options?: VakoOptions): App
-export function startDev(options?: VakoOptions): App
-export function start(options?: VakoOptions): App
+export function createApp(options?: AppOptions): App
+export function startDev(options?: AppOptions): App
+export function start(options?: AppOptions): App
 
 // NEXT.JS ADAPTER
 
@@ -300,6 +1093,14 @@ export {
   createApp,
   startDev,
   start,
+  view,
+  redirect,
   NextJsAdapter,
+  HttpError,
+  ValidationError,
+  ConfigError,
+  SchemaValidator,
+  MetricsRegistry,
+  ClusterSupervisor,
 }
 export default App